@@ -0,0 +1,46 @@
+// --- Service worker ---
+// Keeps the app shell (HTML, scripts, styles, icons) in a cache so the client
+// opens without a network. Pages are fetched network first so a new build is
+// picked up when online; hashed build assets are served from the cache. API
+// requests are not touched: src/offline.js caches those in IndexedDB.
+const CACHE = 'leetcode-scheduler-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drops caches left by older versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = async (request, response) => {
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => cacheResponse('/', response))
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(request).then(hit => hit || fetch(request).then(response => cacheResponse(request, response)))
+  );
+});
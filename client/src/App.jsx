@@ -1,203 +1,466 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import dayjs from 'dayjs';
-// Optional, but doing it manually below to keep deps low
+import { API_URL, DIFFICULTIES, GRADE_OPTIONS, notifyError } from './api';
+import Blackouts from './Blackouts';
+import BulkAdd from './BulkAdd';
+import CalendarRange from './CalendarRange';
+import Library from './Library';
+import LoadBalancer from './LoadBalancer';
+import MockInterview from './MockInterview';
+import NotesEditor from './NotesEditor';
+import Notifications from './Notifications';
+import OfflineStatus from './OfflineStatus';
+import ProblemMeta from './ProblemMeta';
+import ReviewSession from './ReviewSession';
+import Settings from './Settings';
+import SolutionRunner from './SolutionRunner';
+import Stats from './Stats';
+import { reviewDragProps, reviewDropProps } from './dragReview';
+import { subscribeToChanges } from './sync';
 
-const API_URL = 'http://localhost:3001/api';
+// Calendar dots: more (and darker) dots for busier days, red once over the daily cap
+const LOAD_LEVELS = [
+  { dots: 1, className: 'bg-indigo-300' },
+  { dots: 2, className: 'bg-indigo-500' },
+  { dots: 3, className: 'bg-indigo-700' },
+  { dots: 3, className: 'bg-red-500' },
+];
 
-function App() {
+// Without a cap, 1-2 reviews is light, 3-5 medium and 6+ heavy
+const loadLevel = (count, cap) => {
+  if (cap) {
+    if (count > cap) return LOAD_LEVELS[3];
+    return LOAD_LEVELS[Math.min(2, Math.ceil((count / cap) * 3) - 1)];
+  }
+  return LOAD_LEVELS[count <= 2 ? 0 : count <= 5 ? 1 : 2];
+};
+
+const WEEKDAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// Days covered by one page of the week and agenda calendar views
+const RANGE_DAYS = { week: 7, agenda: 14 };
+
+// Until /settings answers: the server defaults, with today from the browser
+const DEFAULT_SETTINGS = { week_start: 0, daily_cap: null, spread_days: 0, today: null };
+
+function App({ user, onLogout }) {
+  // view switches between the review scheduler, a flashcard review session,
+  // the question library, mock interviews, stats and settings
+  const [view, setView] = useState('schedule');
   const [newQuestion, setNewQuestion] = useState('');
-  // selectedDate is for the List view
+  // bulkAdd swaps the single add form for a pasted list
+  const [bulkAdd, setBulkAdd] = useState(false);
+  // Optional metadata for the add form; tags is a comma-separated string
+  const [newMeta, setNewMeta] = useState({ problem_number: '', difficulty: '', tags: '' });
+  // Offline catalog suggestions for the problem number field
+  const [catalogMatches, setCatalogMatches] = useState([]);
+  // Tag/difficulty filters applied to the list and the calendar
+  const [filters, setFilters] = useState({ tag: '', difficulty: '' });
+  const [tagOptions, setTagOptions] = useState([]);
+  // selectedDate is for the List view; it, currentMonth and rangeStart start
+  // from the browser's date until /settings gives today in the user's zone
   const [selectedDate, setSelectedDate] = useState(dayjs().format('YYYY-MM-DD'));
+  // showQueue switches the List view to everything due today or earlier
+  const [showQueue, setShowQueue] = useState(true);
   // currentMonth is for the Calendar view navigation
   const [currentMonth, setCurrentMonth] = useState(dayjs()); 
+  // The calendar shows a month grid, a week or an agenda starting at rangeStart
+  const [calendarMode, setCalendarMode] = useState('month');
+  const [rangeStart, setRangeStart] = useState(dayjs().format('YYYY-MM-DD'));
+  // Whether dropping a review on another day moves the rest of its chain too
+  const [shiftOnDrop, setShiftOnDrop] = useState(false);
   const [tasks, setTasks] = useState([]);
+  // 'YYYY-MM-DD' -> { pending, completed } reviews that day
   const [calendarStats, setCalendarStats] = useState({});
+  // The user's /settings, including today's date in their time zone
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // Date ranges marked as away; shaded on the calendar
+  const [blackouts, setBlackouts] = useState([]);
   const [expandedTasks, setExpandedTasks] = useState(new Set());
-  const [editingNotes, setEditingNotes] = useState({});
-
-  // Fetch data
-  const fetchData = async () => {
-    // Get tasks for the selected date (List view)
-    const tasksRes = await axios.get(`${API_URL}/schedule?date=${selectedDate}`);
-    setTasks(tasksRes.data);
-
-    // Get stats for dots on the calendar
-    const statsRes = await axios.get(`${API_URL}/calendar-stats`);
-    const statsMap = {};
-    statsRes.data.forEach(item => {
-      statsMap[item.due_date] = item.count;
-    });
-    setCalendarStats(statsMap);
-    
-    return tasksRes.data; // Return tasks for use after save
-  };
+  // Bumped when the deck changes here or in another client, to refetch what
+  // is on screen
+  const [syncKey, setSyncKey] = useState(0);
 
+  // Fetch data for the schedule view; a later run (or leaving the view)
+  // cancels what an earlier one has not set yet
   useEffect(() => {
-    fetchData();
-  }, [selectedDate]);
+    if (view !== 'schedule') return undefined;
+    let cancelled = false;
+    const params = {
+      tag: filters.tag || undefined,
+      difficulty: filters.difficulty || undefined,
+    };
+
+    const load = async () => {
+      try {
+        // Get tasks for the List view: the overdue queue or the selected date
+        const tasksRes = showQueue
+          ? await axios.get(`${API_URL}/queue`, { params })
+          : await axios.get(`${API_URL}/schedule`, { params: { ...params, date: selectedDate } });
+        if (cancelled) return;
+        setTasks(tasksRes.data);
+
+        // Get stats for dots on the calendar
+        const statsRes = await axios.get(`${API_URL}/calendar-stats`, { params });
+        if (cancelled) return;
+        const statsMap = {};
+        statsRes.data.forEach(item => {
+          statsMap[item.due_date] = { pending: item.count, completed: item.completed || 0 };
+        });
+        setCalendarStats(statsMap);
+
+        const tagsRes = await axios.get(`${API_URL}/tags`);
+        if (cancelled) return;
+        setTagOptions(tagsRes.data.filter(tag => tag.count > 0));
+      } catch (error) {
+        if (!cancelled) notifyError('load schedule', error);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedDate, showQueue, view, filters, syncKey]);
+
+  // After a change made here: refetch through the effect above. Stable, so
+  // children that subscribe with it (OfflineStatus) subscribe once.
+  const refresh = useCallback(() => setSyncKey(key => key + 1), []);
+
+  // The first load also moves the selected day, month and range, which
+  // started from the browser's clock, to today in the user's time zone
+  const loadSettings = (first = false) => axios.get(`${API_URL}/settings`)
+    .then(res => {
+      setSettings(res.data);
+      if (first && res.data.today) {
+        setSelectedDate(res.data.today);
+        setCurrentMonth(dayjs(res.data.today));
+        setRangeStart(res.data.today);
+      }
+    })
+    .catch(error => notifyError('load settings', error));
+
+  const loadBlackouts = () => axios.get(`${API_URL}/blackouts`)
+    .then(res => setBlackouts(res.data))
+    .catch(error => notifyError('load blackouts', error));
 
-  // Initialize editing notes when tasks are loaded and notes section is expanded
   useEffect(() => {
-    setEditingNotes(prev => {
-      const newEditingNotes = { ...prev };
-      let changed = false;
-      tasks.forEach(task => {
-        if (expandedTasks.has(task.id) && !newEditingNotes[task.question_id]) {
-          newEditingNotes[task.question_id] = parseNotes(task.notes || '');
-          changed = true;
-        }
-      });
-      return changed ? newEditingNotes : prev;
-    });
-  }, [tasks, expandedTasks]);
+    loadSettings(true);
+    loadBlackouts();
+  }, []);
+
+  // Changes made in other tabs, on other devices or from the CLI
+  useEffect(() => subscribeToChanges(({ type }) => {
+    if (type === 'settings' || type === 'reconnected') loadSettings();
+    if (type === 'schedule' || type === 'reconnected') loadBlackouts();
+    if (type !== 'settings') setSyncKey(key => key + 1);
+  }), []);
+
+  // After adding or removing a blackout: its ranges and the moved reviews
+  const handleBlackoutsChanged = async () => {
+    await loadBlackouts();
+    refresh();
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!newQuestion) return;
-    await axios.post(`${API_URL}/questions`, { title: newQuestion });
+    if (!newQuestion && !newMeta.problem_number) return;
+    try {
+      await axios.post(`${API_URL}/questions`, {
+        title: newQuestion,
+        problem_number: newMeta.problem_number || undefined,
+        difficulty: newMeta.difficulty || undefined,
+        tags: newMeta.tags ? newMeta.tags.split(',') : undefined,
+      });
+    } catch (error) {
+      notifyError('add question', error);
+      return;
+    }
     setNewQuestion('');
-    fetchData(); 
+    setNewMeta({ problem_number: '', difficulty: '', tags: '' });
+    setCatalogMatches([]);
+    refresh();
   };
 
-  const toggleTask = async (id) => {
-    await axios.post(`${API_URL}/schedule/${id}/toggle`);
-    fetchData();
-  };
-
-  const toggleNotes = (taskId) => {
-    const newExpanded = new Set(expandedTasks);
-    if (newExpanded.has(taskId)) {
-      newExpanded.delete(taskId);
-    } else {
-      newExpanded.add(taskId);
-      // Initialize editing notes when expanding if not already set
-      const task = tasks.find(t => t.id === taskId);
-      if (task && !editingNotes[task.question_id]) {
-        const notes = parseNotes(task.notes || '');
-        setEditingNotes(prev => ({
-          ...prev,
-          [task.question_id]: notes
-        }));
-      }
+  // Look up the typed problem number in the offline catalog and prefill the
+  // rest of the form when it matches exactly
+  const handleNumberChange = async (value) => {
+    setNewMeta(prev => ({ ...prev, problem_number: value }));
+    if (!value) {
+      setCatalogMatches([]);
+      return;
+    }
+    let res;
+    try {
+      res = await axios.get(`${API_URL}/catalog`, { params: { q: value } });
+    } catch (error) {
+      notifyError('look up problem', error);
+      setCatalogMatches([]);
+      return;
+    }
+    setCatalogMatches(res.data);
+    const match = res.data.find(problem => String(problem.number) === value.trim());
+    if (match) {
+      setNewQuestion(prev => prev || `${match.number}. ${match.title}`);
+      setNewMeta(prev => ({
+        ...prev,
+        difficulty: prev.difficulty || match.difficulty,
+        tags: prev.tags || match.tags.join(', '),
+      }));
     }
-    setExpandedTasks(newExpanded);
   };
 
-  const parseNotes = (notesString) => {
-    if (!notesString) return { bruteForce: '', optimized: '' };
+  const gradeTask = async (id, grade) => {
     try {
-      const parsed = JSON.parse(notesString);
-      return {
-        bruteForce: parsed.bruteForce || '',
-        optimized: parsed.optimized || ''
-      };
-    } catch {
-      return { bruteForce: notesString, optimized: '' };
+      await axios.post(`${API_URL}/schedule/${id}/review`, { grade });
+    } catch (error) {
+      notifyError('grade review', error);
     }
+    refresh();
   };
 
-  const handleNotesChange = (questionId, field, value) => {
-    setEditingNotes(prev => {
-      const current = prev[questionId] || parseNotes(tasks.find(t => t.question_id === questionId)?.notes || '');
-      return {
-        ...prev,
-        [questionId]: {
-          ...current,
-          [field]: value
-        }
-      };
-    });
+  const rescheduleTask = async (id) => {
+    try {
+      await axios.post(`${API_URL}/schedule/${id}/reschedule`, { shiftChain: true });
+    } catch (error) {
+      notifyError('reschedule review', error);
+    }
+    refresh();
   };
 
-  const saveNotes = async (questionId) => {
-    const notesData = editingNotes[questionId] || parseNotes(tasks.find(t => t.question_id === questionId)?.notes || '');
-    const notesString = JSON.stringify(notesData);
-    
+  // Drag and drop onto a calendar day
+  const moveReview = async (review, date) => {
     try {
-      const response = await axios.put(`${API_URL}/questions/${questionId}/notes`, { notes: notesString });
-      if (response.data.success) {
-        // Wait for data to refresh and get updated tasks
-        const updatedTasks = await fetchData();
-        // Update editing state with the saved notes from the database
-        // This ensures the UI reflects what's actually saved
-        const updatedTask = updatedTasks.find(t => t.question_id === questionId);
-        if (updatedTask) {
-          const savedNotes = parseNotes(updatedTask.notes || '');
-          setEditingNotes(prev => ({
-            ...prev,
-            [questionId]: savedNotes
-          }));
-        } else {
-          // If task not found, just remove from editing state
-          setEditingNotes(prev => {
-            const newState = { ...prev };
-            delete newState[questionId];
-            return newState;
-          });
-        }
-      }
+      await axios.patch(`${API_URL}/schedule/${review.id}`, { due_date: date, shiftChain: shiftOnDrop });
     } catch (error) {
-      console.error('Failed to save notes:', error);
-      if (error.response) {
-        alert(`Failed to save notes: ${error.response.data.error || error.message}`);
-      } else {
-        alert('Failed to save notes. Please check your connection and try again.');
-      }
+      notifyError('move review', error);
+    }
+    refresh();
+  };
+
+  const selectDate = (dateStr) => {
+    setSelectedDate(dateStr);
+    setShowQueue(false);
+  };
+
+  const toggleNotes = (taskId) => {
+    const newExpanded = new Set(expandedTasks);
+    if (newExpanded.has(taskId)) {
+      newExpanded.delete(taskId);
+    } else {
+      newExpanded.add(taskId);
     }
+    setExpandedTasks(newExpanded);
   };
 
   // --- Calendar Logic ---
   const daysInMonth = currentMonth.daysInMonth();
   const firstDayOfMonth = currentMonth.startOf('month').day(); // 0 (Sun) to 6 (Sat)
   const daysArray = Array.from({ length: daysInMonth }, (_, i) => i + 1);
-  const emptySlots = Array.from({ length: firstDayOfMonth }, (_, i) => i);
+  // Columns start on the user's week_start day
+  const weekStart = settings.week_start;
+  const weekdays = [...WEEKDAY_LETTERS.slice(weekStart), ...WEEKDAY_LETTERS.slice(0, weekStart)];
+  const emptySlots = Array.from({ length: (firstDayOfMonth - weekStart + 7) % 7 }, (_, i) => i);
+  const today = settings.today || dayjs().format('YYYY-MM-DD');
 
-  const changeMonth = (val) => {
-    setCurrentMonth(currentMonth.add(val, 'month'));
+  // Arrows page by month, week or agenda range
+  const changePage = (val) => {
+    if (calendarMode === 'month') {
+      setCurrentMonth(currentMonth.add(val, 'month'));
+    } else {
+      setRangeStart(dayjs(rangeStart).add(val * RANGE_DAYS[calendarMode], 'day').format('YYYY-MM-DD'));
+    }
   };
+  // Weeks begin on week_start; the agenda begins on rangeStart itself
+  const rangeFirstDay = calendarMode === 'week'
+    ? dayjs(rangeStart).subtract((dayjs(rangeStart).day() - weekStart + 7) % 7, 'day')
+    : dayjs(rangeStart);
+  const rangeLastDay = rangeFirstDay.add((RANGE_DAYS[calendarMode] || 1) - 1, 'day');
+  const calendarTitle = calendarMode === 'month'
+    ? currentMonth.format('MMMM YYYY')
+    : `${rangeFirstDay.format('MMM D')} – ${rangeLastDay.format(rangeLastDay.month() === rangeFirstDay.month() ? 'D, YYYY' : 'MMM D, YYYY')}`;
 
   return (
     <div className="min-h-screen bg-gray-50 p-8 text-gray-800 font-sans">
+      <Notifications />
+
+      {/* Header & view switcher */}
+      <div className="max-w-4xl mx-auto flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-indigo-700">LeetCode Scheduler</h1>
+        <div className="flex items-center gap-3">
+          <div className="flex gap-1 bg-white p-1 rounded-lg border border-gray-100 shadow-sm">
+            {[['schedule', 'Schedule'], ['library', 'Library'], ['interview', 'Interview'], ['stats', 'Stats'], ['settings', 'Settings']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                className={`px-3 py-1 text-sm rounded ${view === key ? 'bg-indigo-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500">
+            {user.username} ·{' '}
+            <button onClick={onLogout} className="text-indigo-600 hover:text-indigo-800">Log out</button>
+          </div>
+        </div>
+      </div>
+
+      <OfflineStatus onSynced={refresh} />
+
+      {view === 'review' ? (
+        <ReviewSession filters={filters} onExit={() => setView('schedule')} />
+      ) : view === 'library' ? (
+        <Library syncKey={syncKey} />
+      ) : view === 'interview' ? (
+        <MockInterview tagOptions={tagOptions} syncKey={syncKey} />
+      ) : view === 'stats' ? (
+        <Stats syncKey={syncKey} />
+      ) : view === 'settings' ? (
+        settings.time_zone ? (
+          <Settings settings={settings} onSettingsChange={setSettings} />
+        ) : (
+          <div className="max-w-2xl mx-auto text-center py-10 text-gray-400">Loading settings…</div>
+        )
+      ) : (
       <div className="max-w-4xl mx-auto grid grid-cols-1 md:grid-cols-2 gap-8">
         
         {/* LEFT COLUMN: Calendar & Input */}
         <div className="space-y-6">
-          <h1 className="text-2xl font-bold text-indigo-700">LeetCode Scheduler</h1>
 
           {/* Add Question Input */}
-          <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
-            <form onSubmit={handleSubmit} className="flex gap-2">
-              <input
-                type="text"
-                placeholder="Enter Question (e.g. LC 43)"
-                value={newQuestion}
-                onChange={(e) => setNewQuestion(e.target.value)}
-                className="flex-1 p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
-              />
-              <button 
-                type="submit"
-                className="bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700 text-sm font-semibold"
+          <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100 space-y-2">
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={() => setBulkAdd(!bulkAdd)}
+                className="text-xs text-indigo-600 hover:text-indigo-800 font-medium"
               >
-                Add
+                {bulkAdd ? 'Add one question' : 'Add several at once'}
               </button>
+            </div>
+            {bulkAdd ? (
+              <BulkAdd onAdded={refresh} />
+            ) : (
+            <form onSubmit={handleSubmit} className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Enter Question (e.g. LC 43)"
+                  value={newQuestion}
+                  onChange={(e) => setNewQuestion(e.target.value)}
+                  className="flex-1 p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
+                />
+                <button 
+                  type="submit"
+                  className="bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700 text-sm font-semibold"
+                >
+                  Add
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="Problem #"
+                  list="catalog-matches"
+                  value={newMeta.problem_number}
+                  onChange={(e) => handleNumberChange(e.target.value)}
+                  className="w-24 p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs"
+                />
+                <datalist id="catalog-matches">
+                  {catalogMatches.map(problem => (
+                    <option key={problem.number} value={problem.number}>{problem.title}</option>
+                  ))}
+                </datalist>
+                <select
+                  value={newMeta.difficulty}
+                  onChange={(e) => setNewMeta({ ...newMeta, difficulty: e.target.value })}
+                  className="p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs"
+                >
+                  <option value="">Difficulty</option>
+                  {DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+                </select>
+                <input
+                  type="text"
+                  placeholder="Tags (comma separated)"
+                  value={newMeta.tags}
+                  onChange={(e) => setNewMeta({ ...newMeta, tags: e.target.value })}
+                  className="flex-1 min-w-0 p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs"
+                />
+              </div>
             </form>
+            )}
+          </div>
+
+          {/* Tag / difficulty filters */}
+          <div className="flex gap-2">
+            <select
+              value={filters.tag}
+              onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+              className="flex-1 p-2 bg-white border border-gray-200 rounded text-xs focus:outline-none focus:border-indigo-500"
+            >
+              <option value="">All topics</option>
+              {tagOptions.map(tag => (
+                <option key={tag.name} value={tag.name}>{tag.name} ({tag.count})</option>
+              ))}
+            </select>
+            <select
+              value={filters.difficulty}
+              onChange={(e) => setFilters({ ...filters, difficulty: e.target.value })}
+              className="flex-1 p-2 bg-white border border-gray-200 rounded text-xs focus:outline-none focus:border-indigo-500"
+            >
+              <option value="">All difficulties</option>
+              {DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
           </div>
 
           {/* REAL CALENDAR UI */}
           <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
             {/* Calendar Header */}
-            <div className="flex justify-between items-center mb-4">
-              <button onClick={() => changeMonth(-1)} className="p-1 hover:bg-gray-100 rounded">&larr;</button>
+            <div className="flex justify-between items-center mb-2">
+              <button onClick={() => changePage(-1)} className="p-1 hover:bg-gray-100 rounded">&larr;</button>
               <h2 className="font-bold text-lg">
-                {currentMonth.format('MMMM YYYY')}
+                {calendarTitle}
               </h2>
-              <button onClick={() => changeMonth(1)} className="p-1 hover:bg-gray-100 rounded">&rarr;</button>
+              <button onClick={() => changePage(1)} className="p-1 hover:bg-gray-100 rounded">&rarr;</button>
+            </div>
+            <div className="flex justify-between items-center mb-4">
+              <div className="flex gap-1 bg-gray-50 p-0.5 rounded" role="group" aria-label="Calendar view">
+                {[['month', 'Month'], ['week', 'Week'], ['agenda', 'Agenda']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setCalendarMode(key)}
+                    aria-pressed={calendarMode === key}
+                    className={`px-2 py-0.5 text-xs rounded ${calendarMode === key ? 'bg-white shadow-sm text-indigo-600 font-medium' : 'text-gray-500 hover:text-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-1 text-[11px] text-gray-500" title="When dropping a review on another day">
+                <input type="checkbox" checked={shiftOnDrop} onChange={(e) => setShiftOnDrop(e.target.checked)} />
+                Drag moves later reviews too
+              </label>
             </div>
 
+            {calendarMode !== 'month' ? (
+              <CalendarRange
+                mode={calendarMode}
+                start={rangeFirstDay.format('YYYY-MM-DD')}
+                days={RANGE_DAYS[calendarMode]}
+                filters={filters}
+                syncKey={syncKey}
+                today={today}
+                selectedDate={showQueue ? null : selectedDate}
+                onSelectDate={selectDate}
+                onMove={moveReview}
+              />
+            ) : (
+            <>
             {/* Days of Week */}
             <div className="grid grid-cols-7 text-center mb-2">
-              {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((d, i) => (
+              {weekdays.map((d, i) => (
                 <div key={i} className="text-xs text-gray-400 font-bold">{d}</div>
               ))}
             </div>
@@ -210,59 +473,96 @@ function App() {
               {/* Actual Days */}
               {daysArray.map(day => {
                 const dateStr = currentMonth.date(day).format('YYYY-MM-DD');
-                const isSelected = selectedDate === dateStr;
-                const isToday = dateStr === dayjs().format('YYYY-MM-DD');
-                const count = calendarStats[dateStr] || 0;
+                const isSelected = !showQueue && selectedDate === dateStr;
+                const isToday = dateStr === today;
+                const { pending: count = 0, completed = 0 } = calendarStats[dateStr] || {};
+                const level = count > 0 && loadLevel(count, settings.daily_cap);
+                const blackout = blackouts.find(b => b.start_date <= dateStr && dateStr <= b.end_date);
+                const dayTitle = [
+                  count > 0 && `${count} review${count === 1 ? '' : 's'} due`,
+                  completed > 0 && `${completed} done`,
+                  blackout && `Away${blackout.label ? `: ${blackout.label}` : ''}`,
+                ].filter(Boolean).join(' · ');
 
                 return (
                   <div 
                     key={day}
-                    onClick={() => setSelectedDate(dateStr)}
+                    onClick={() => selectDate(dateStr)}
+                    {...(dateStr >= today ? reviewDropProps(dateStr, moveReview) : {})}
+                    title={dayTitle || undefined}
                     className={`
                       h-10 w-10 mx-auto flex flex-col items-center justify-center rounded-full cursor-pointer text-sm relative transition-all
                       ${isSelected ? 'bg-indigo-600 text-white shadow-md' : 'hover:bg-gray-100 text-gray-700'}
                       ${isToday && !isSelected ? 'border border-indigo-600 font-bold text-indigo-600' : ''}
+                      ${blackout && !isSelected ? 'bg-amber-100' : ''}
                     `}
                   >
                     <span>{day}</span>
-                    {/* The Dot for tasks */}
-                    {count > 0 && (
-                      <span className={`absolute bottom-1 h-1 w-1 rounded-full ${isSelected ? 'bg-white' : 'bg-red-500'}`}></span>
+                    {/* Dots showing how many reviews are due, and a green one when some are done */}
+                    {(level || completed > 0) && (
+                      <span className="absolute bottom-1 flex gap-px">
+                        {level && Array.from({ length: level.dots }, (_, i) => (
+                          <span key={i} className={`h-1 w-1 rounded-full ${isSelected ? 'bg-white' : level.className}`}></span>
+                        ))}
+                        {completed > 0 && <span className={`h-1 w-1 rounded-full ${isSelected ? 'bg-white' : 'bg-green-500'}`}></span>}
+                      </span>
                     )}
                   </div>
                 );
               })}
             </div>
+            </>
+            )}
           </div>
+
+          <LoadBalancer settings={settings} onSettingsChange={setSettings} onRebalanced={refresh} />
+          <Blackouts blackouts={blackouts} onChanged={handleBlackoutsChanged} />
         </div>
 
         {/* RIGHT COLUMN: Task List for Selected Date */}
         <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100 h-fit">
-          <div className="mb-6 border-b pb-4">
-            <h2 className="text-xl font-bold text-gray-800">
-              {dayjs(selectedDate).format('dddd, MMM D')}
-            </h2>
-            <p className="text-gray-500 text-sm">
-              You have {tasks.filter(t => !t.completed).length} tasks remaining
-            </p>
+          <div className="mb-6 border-b pb-4 flex justify-between items-start">
+            <div>
+              <h2 className="text-xl font-bold text-gray-800">
+                {showQueue ? "Today's Queue" : dayjs(selectedDate).format('dddd, MMM D')}
+              </h2>
+              <p className="text-gray-500 text-sm">
+                You have {tasks.filter(t => !t.completed).length} tasks remaining
+                {showQueue && ` (${tasks.filter(t => t.days_overdue > 0).length} overdue)`}
+              </p>
+            </div>
+            {showQueue && tasks.some(t => !t.completed) && (
+              <button
+                onClick={() => setView('review')}
+                className="text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700 font-medium px-3 py-1"
+              >
+                Start review
+              </button>
+            )}
+            {!showQueue && (
+              <button
+                onClick={() => setShowQueue(true)}
+                className="text-xs text-indigo-600 hover:text-indigo-800 font-medium px-2 py-1"
+              >
+                Back to queue
+              </button>
+            )}
           </div>
 
           <div className="space-y-3">
             {tasks.length === 0 ? (
               <div className="text-center py-10 text-gray-400">
-                <p>No tasks for this day.</p>
+                <p>{showQueue ? 'Nothing due. You are all caught up!' : 'No tasks for this day.'}</p>
                 <p className="text-xs mt-2">Add a new question or select another date.</p>
               </div>
             ) : (
               tasks.map(task => {
                 const isExpanded = expandedTasks.has(task.id);
-                const notes = parseNotes(task.notes || '');
-                const editingNote = editingNotes[task.question_id] || notes;
-                const hasUnsavedChanges = JSON.stringify(editingNote) !== JSON.stringify(notes);
 
                 return (
                   <div 
                     key={task.id} 
+                    {...(task.completed ? {} : reviewDragProps(task))}
                     className={`rounded-lg border transition-all ${
                       task.completed 
                         ? 'bg-gray-50 border-gray-100' 
@@ -271,17 +571,38 @@ function App() {
                   >
                     <div className="flex items-center justify-between p-3">
                       <div className="flex items-center gap-3 flex-1">
-                        <div 
-                          onClick={() => toggleTask(task.id)}
-                          className={`w-5 h-5 rounded-full border cursor-pointer flex items-center justify-center transition-colors ${
-                            task.completed ? 'bg-green-500 border-green-500' : 'border-gray-400 hover:border-indigo-500'
-                          }`}
-                        >
-                          {task.completed && <span className="text-white text-xs">✓</span>}
+                        <div className="flex-1 min-w-0">
+                          <span className={`text-sm ${task.completed ? 'line-through text-gray-400' : 'text-gray-700 font-medium'}`}>
+                            {task.title}
+                          </span>
+                          <ProblemMeta question={task} />
                         </div>
-                        <span className={`text-sm flex-1 ${task.completed ? 'line-through text-gray-400' : 'text-gray-700 font-medium'}`}>
-                          {task.title}
-                        </span>
+                        {task.days_overdue > 0 && (
+                          <button
+                            onClick={() => rescheduleTask(task.id)}
+                            title="Move to today and shift the rest of this question's reviews"
+                            className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700 hover:bg-red-200 whitespace-nowrap"
+                          >
+                            {task.days_overdue}d overdue · move to today
+                          </button>
+                        )}
+                        {task.completed ? (
+                          <span className="text-xs text-green-600 font-semibold">
+                            ✓ {GRADE_OPTIONS[task.grade - 1]?.label || 'Done'}
+                          </span>
+                        ) : (
+                          <div className="flex gap-1">
+                            {GRADE_OPTIONS.map(option => (
+                              <button
+                                key={option.value}
+                                onClick={() => gradeTask(task.id, option.value)}
+                                className={`px-2 py-0.5 text-xs border rounded ${option.className}`}
+                              >
+                                {option.label}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </div>
                       <button
                         onClick={() => toggleNotes(task.id)}
@@ -293,54 +614,8 @@ function App() {
                     
                     {isExpanded && (
                       <div className="px-3 pb-3 border-t border-gray-100 pt-3 mt-2">
-                        <div className="space-y-4">
-                          <div>
-                            <label className="block text-xs font-semibold text-gray-700 mb-1">
-                              Brute Force Approach
-                            </label>
-                            <textarea
-                              value={editingNote.bruteForce}
-                              onChange={(e) => handleNotesChange(task.question_id, 'bruteForce', e.target.value)}
-                              placeholder="Write your brute force approach here..."
-                              className="w-full p-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500 resize-none"
-                              rows={4}
-                            />
-                          </div>
-                          <div>
-                            <label className="block text-xs font-semibold text-gray-700 mb-1">
-                              Optimized Approach
-                            </label>
-                            <textarea
-                              value={editingNote.optimized}
-                              onChange={(e) => handleNotesChange(task.question_id, 'optimized', e.target.value)}
-                              placeholder="Write your optimized approach here..."
-                              className="w-full p-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500 resize-none"
-                              rows={4}
-                            />
-                          </div>
-                          {hasUnsavedChanges && (
-                            <div className="flex justify-end gap-2">
-                              <button
-                                onClick={() => {
-                                  setEditingNotes(prev => {
-                                    const newState = { ...prev };
-                                    delete newState[task.question_id];
-                                    return newState;
-                                  });
-                                }}
-                                className="px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 text-gray-700"
-                              >
-                                Cancel
-                              </button>
-                              <button
-                                onClick={() => saveNotes(task.question_id)}
-                                className="px-3 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700"
-                              >
-                                Save Notes
-                              </button>
-                            </div>
-                          )}
-                        </div>
+                        <NotesEditor questionId={task.question_id} notes={task.notes} version={task.notes_version} onSaved={refresh} />
+                        <SolutionRunner questionId={task.question_id} />
                       </div>
                     )}
                   </div>
@@ -351,6 +626,7 @@ function App() {
         </div>
 
       </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,756 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import App from './App';
+import { setToken } from './api';
+import { offline } from './offline';
+
+vi.mock('axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    patch: vi.fn(),
+    delete: vi.fn(),
+    interceptors: {
+      request: { use: vi.fn() },
+      response: { use: vi.fn(), eject: vi.fn() },
+    },
+  },
+}));
+
+const user = { id: 1, username: 'alice' };
+
+const task = (overrides) => ({
+  id: 1,
+  question_id: 10,
+  title: 'Two Sum',
+  due_date: '2025-12-15',
+  completed: 0,
+  grade: null,
+  notes: '',
+  notes_version: 0,
+  tags: [],
+  days_overdue: 0,
+  ...overrides,
+});
+
+const SETTINGS = {
+  intervals: [1, 3, 7, 14, 30, 60, 120],
+  time_zone: 'UTC',
+  week_start: 0,
+  daily_cap: null,
+  spread_days: 0,
+  today: '2025-12-15',
+};
+
+const DEFAULT_RESPONSES = {
+  '/settings': SETTINGS,
+};
+
+// Answers GET requests by path; `routes` values are response bodies
+const mockApi = (routes) => {
+  axios.get.mockImplementation(async (url) => {
+    const path = url.replace(/^.*\/api/, '');
+    return { data: routes[path] ?? DEFAULT_RESPONSES[path] ?? [] };
+  });
+};
+
+describe('App', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Only Date is faked so user-event's timers keep working
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2025, 11, 15, 9, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reports a schedule or problem lookup that fails to load', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (/\/(queue|catalog)$/.test(url)) {
+        throw { response: { status: 500, data: { error: 'Database is locked', code: 'INTERNAL' } } };
+      }
+      return { data: DEFAULT_RESPONSES[url.replace(/^.*\/api/, '')] ?? [] };
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    render(<App user={user} onLogout={() => {}} />);
+    expect(await screen.findByText('Failed to load schedule: Database is locked')).toBeInTheDocument();
+
+    await userEvent.type(screen.getByPlaceholderText('Problem #'), '1');
+    expect(await screen.findByText('Failed to look up problem: Database is locked')).toBeInTheDocument();
+  });
+
+  it('starts the calendar on today in the user\'s time zone', async () => {
+    // Still Nov 30 in the browser, already Dec 1 where the user's settings say
+    vi.setSystemTime(new Date(2025, 10, 30, 23, 30));
+    mockApi({ '/settings': { ...SETTINGS, today: '2025-12-01' } });
+
+    render(<App user={user} onLogout={() => {}} />);
+    expect(await screen.findByRole('heading', { name: 'December 2025' })).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Agenda' }));
+    expect(screen.getByRole('heading', { name: 'Dec 1 – 14, 2025' })).toBeInTheDocument();
+  });
+
+  it('listens for synced offline changes once, not on every render', async () => {
+    mockApi({ '/queue': [task()] });
+    const onSynced = vi.spyOn(offline, 'onSynced');
+
+    render(<App user={user} onLogout={() => {}} />);
+    await userEvent.type(await screen.findByPlaceholderText('Enter Question (e.g. LC 43)'), 'Two');
+    expect(onSynced).toHaveBeenCalledTimes(1);
+    onSynced.mockRestore();
+  });
+
+  describe('notes editing', () => {
+    it('opens empty notes in the editor and saves them as sections', async () => {
+      let notes = '';
+      axios.get.mockImplementation(async (url) => ({
+        data: url.endsWith('/queue') ? [task({ notes })] : DEFAULT_RESPONSES[url.replace(/^.*\/api/, '')] ?? [],
+      }));
+      axios.put.mockImplementation(async (url, body) => {
+        notes = body.notes;
+        return { data: { success: true, version: 1 } };
+      });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.type(screen.getByPlaceholderText('Intuition (Markdown)...'), 'Use a **hash map**');
+      await userEvent.type(screen.getByPlaceholderText('Paste your python solution...'), 'return seen');
+      await userEvent.click(screen.getByRole('button', { name: 'Save Notes' }));
+
+      expect(axios.put).toHaveBeenCalledWith(expect.stringMatching(/\/questions\/10\/notes$/), { notes: expect.any(String), version: 0 });
+      const saved = JSON.parse(notes);
+      expect(saved.sections.map(section => section.key)).toEqual(['intuition', 'complexity', 'pitfalls', 'code']);
+      expect(saved.sections[0].body).toBe('Use a **hash map**');
+      expect(saved.sections[3]).toMatchObject({ body: 'return seen', language: 'python' });
+      expect(screen.queryByRole('button', { name: 'Save Notes' })).not.toBeInTheDocument();
+
+      // The preview renders the Markdown
+      await userEvent.click(screen.getByRole('button', { name: 'Preview' }));
+      expect(screen.getByText('hash map').tagName).toBe('STRONG');
+      // Highlighting splits the code into spans, so look at the whole block
+      const code = document.querySelector('code.language-python');
+      expect(code).toHaveTextContent('return seen');
+      expect(code.querySelector('.hljs-keyword')).toHaveTextContent('return');
+    });
+
+    it('discards unsaved changes on cancel', async () => {
+      const notes = JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body: 'Original' }] });
+      mockApi({ '/queue': [task({ notes })] });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.click(screen.getByRole('button', { name: 'Edit' }));
+      const body = screen.getByDisplayValue('Original');
+      await userEvent.type(body, ' edited');
+      expect(body).toHaveValue('Original edited');
+      await userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+      expect(body).toHaveValue('Original');
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+
+    it('offers a way out when the notes were saved elsewhere meanwhile', async () => {
+      const notes = JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body: 'Original' }] });
+      const theirs = JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body: 'Theirs' }] });
+      mockApi({ '/queue': [task({ notes })], '/questions/10/notes': { notes: theirs, version: 2 } });
+      axios.put
+        .mockRejectedValueOnce({ response: { status: 409, data: { error: 'Changed', code: 'NOTES_CONFLICT' } } })
+        .mockResolvedValueOnce({ data: { success: true, version: 3 } });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.click(screen.getByRole('button', { name: 'Edit' }));
+      await userEvent.type(screen.getByDisplayValue('Original'), ' mine');
+      await userEvent.click(screen.getByRole('button', { name: 'Save Notes' }));
+
+      expect(screen.getByRole('alert')).toHaveTextContent('changed somewhere else');
+      expect(screen.getByDisplayValue('Original mine')).toBeInTheDocument();
+      await userEvent.click(screen.getByRole('button', { name: 'Keep mine' }));
+
+      expect(axios.put).toHaveBeenLastCalledWith(expect.stringMatching(/\/questions\/10\/notes$/), {
+        notes: expect.stringContaining('Original mine'),
+        version: 2,
+      });
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    it('converts notes saved in the old two-field format', async () => {
+      mockApi({ '/queue': [task({ notes: JSON.stringify({ bruteForce: 'Nested loops', optimized: 'One pass' }) })] });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      expect(screen.getByRole('heading', { name: 'Brute Force Approach' })).toBeInTheDocument();
+      expect(screen.getByText('One pass')).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Hide Notes' }));
+      expect(screen.queryByText('One pass')).not.toBeInTheDocument();
+    });
+
+    it('adds, reorders and removes sections', async () => {
+      mockApi({ '/queue': [task()] });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.selectOptions(screen.getByRole('combobox', { name: 'Add section' }), 'custom');
+      const titles = () => screen.getAllByRole('textbox', { name: 'Section title' }).map(input => input.value);
+      expect(titles()).toEqual(['Intuition', 'Complexity', 'Pitfalls', 'Code', 'New section']);
+
+      await userEvent.click(screen.getAllByRole('button', { name: 'Move section up' })[4]);
+      expect(titles()).toEqual(['Intuition', 'Complexity', 'Pitfalls', 'New section', 'Code']);
+      await userEvent.click(screen.getAllByRole('button', { name: 'Remove section' })[0]);
+      expect(titles()).toEqual(['Complexity', 'Pitfalls', 'New section', 'Code']);
+      expect(screen.getByRole('button', { name: 'Save Notes' })).toBeInTheDocument();
+    });
+
+    it('diffs and restores an older revision', async () => {
+      const current = JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body: 'new idea' }] });
+      const older = JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body: 'old idea' }] });
+      mockApi({
+        '/queue': [task({ notes: current })],
+        '/questions/10/notes/revisions': [
+          { id: 2, created_at: '2025-12-14T10:00:00.000Z', size: current.length },
+          { id: 1, created_at: '2025-12-01T10:00:00.000Z', size: older.length },
+        ],
+        '/questions/10/notes/revisions/1': { id: 1, notes: older, created_at: '2025-12-01T10:00:00.000Z' },
+      });
+      axios.post.mockResolvedValue({ data: { success: true, notes: older } });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.click(screen.getByRole('button', { name: 'History' }));
+      await userEvent.click(await screen.findByRole('button', { name: /Dec 1, 2025/ }));
+
+      expect(await screen.findByText('- old idea')).toBeInTheDocument();
+      expect(screen.getByText('+ new idea')).toBeInTheDocument();
+      await userEvent.click(screen.getByRole('button', { name: 'Restore this version' }));
+      expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/questions\/10\/notes\/revisions\/1\/restore$/));
+
+      await userEvent.click(screen.getByRole('button', { name: 'Preview' }));
+      expect(screen.getByText('old idea')).toBeInTheDocument();
+    });
+
+    it('reports a failed save with the server message', async () => {
+      mockApi({ '/queue': [task()] });
+      axios.put.mockRejectedValue({ response: { status: 404, data: { error: 'Question not found', code: 'NOT_FOUND' } } });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.type(screen.getByPlaceholderText('Intuition (Markdown)...'), 'x');
+      await userEvent.click(screen.getByRole('button', { name: 'Save Notes' }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Failed to save notes: Question not found');
+      // The edit is kept so it can be retried
+      expect(screen.getByPlaceholderText('Intuition (Markdown)...')).toHaveValue('x');
+    });
+  });
+
+  describe('review session', () => {
+    it('starts from the queue and returns to it', async () => {
+      mockApi({ '/queue': [task()] });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Start review' }));
+      expect(await screen.findByRole('heading', { name: 'Review session' })).toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Two Sum' })).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'End session' }));
+      expect(await screen.findByRole('heading', { name: "Today's Queue" })).toBeInTheDocument();
+    });
+  });
+
+  describe('daily load', () => {
+    it('previews a rebalance before applying it', async () => {
+      mockApi({ '/queue': [task()] });
+      axios.post.mockImplementation(async (url, body) => ({
+        data: {
+          dryRun: body.dryRun,
+          moved: 1,
+          moves: [{ id: 5, question_id: 10, title: 'Two Sum', from: '2025-12-20', to: '2025-12-21' }],
+          busiest_day: { before: 4, after: 2 },
+        },
+      }));
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.type(await screen.findByLabelText('Max reviews per day'), '2');
+      await userEvent.click(screen.getByRole('button', { name: 'Rebalance upcoming…' }));
+
+      expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/schedule\/rebalance$/), { dryRun: true, daily_cap: 2, spread_days: 0 });
+      expect(await screen.findByText('Two Sum: Dec 20 → Dec 21')).toBeInTheDocument();
+      expect(screen.getByText(/busiest day goes from 4 to 2/)).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Apply' }));
+      expect(axios.post).toHaveBeenLastCalledWith(expect.stringMatching(/\/schedule\/rebalance$/), { dryRun: false, daily_cap: 2, spread_days: 0 });
+      expect(screen.queryByText('Two Sum: Dec 20 → Dec 21')).not.toBeInTheDocument();
+    });
+
+    it('saves the cap and spread', async () => {
+      mockApi({ '/queue': [task()] });
+      axios.put.mockImplementation(async (url, body) => ({ data: { ...SETTINGS, ...body } }));
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.type(await screen.findByLabelText('Max reviews per day'), '5');
+      const spread = screen.getByLabelText('Spread (± days)');
+      await userEvent.clear(spread);
+      await userEvent.type(spread, '2');
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      expect(axios.put).toHaveBeenCalledWith(expect.stringMatching(/\/settings$/), { daily_cap: 5, spread_days: 2 });
+      expect(screen.queryByRole('button', { name: 'Save' })).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Max reviews per day')).toHaveValue(5);
+    });
+  });
+
+  describe('time away', () => {
+    it('previews the shifted calendar before adding a blackout', async () => {
+      let blackouts = [];
+      axios.get.mockImplementation(async (url) => {
+        const path = url.replace(/^.*\/api/, '');
+        if (path === '/blackouts') return { data: blackouts };
+        return { data: DEFAULT_RESPONSES[path] ?? [] };
+      });
+      axios.post.mockImplementation(async (url, body) => {
+        if (!body.dryRun) blackouts = [{ id: 1, start_date: body.start_date, end_date: body.end_date, label: body.label }];
+        return {
+          data: {
+            dryRun: body.dryRun,
+            moved: 1,
+            moves: [],
+            calendar: [
+              { date: '2025-12-20', before: 1, after: 0 },
+              { date: '2025-12-23', before: 0, after: 1 },
+            ],
+          },
+        };
+      });
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.type(await screen.findByLabelText('From'), '2025-12-19');
+      await userEvent.type(screen.getByLabelText('To'), '2025-12-22');
+      await userEvent.type(screen.getByPlaceholderText('Label (optional)'), 'Trip');
+      await userEvent.click(screen.getByRole('button', { name: 'Preview shift' }));
+
+      expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/blackouts$/), {
+        start_date: '2025-12-19', end_date: '2025-12-22', label: 'Trip', shiftChain: true, dryRun: true,
+      });
+      expect(await screen.findByText('Will move 1 review. Reviews per day afterwards:')).toBeInTheDocument();
+      expect(screen.getByText('Sat, Dec 20').nextSibling).toHaveTextContent('1 → 0');
+
+      await userEvent.click(screen.getByRole('button', { name: 'Add blackout' }));
+      expect(axios.post).toHaveBeenLastCalledWith(expect.stringMatching(/\/blackouts$/), expect.objectContaining({ dryRun: false }));
+      expect(await screen.findByText('Dec 19 – Dec 22, 2025')).toBeInTheDocument();
+      const away = screen.getAllByTitle('Away: Trip');
+      expect(away.map(cell => cell.textContent)).toEqual(['19', '20', '21', '22']);
+      away.forEach(cell => expect(cell).toHaveClass('bg-amber-100'));
+    });
+  });
+
+  describe('calendar navigation', () => {
+    it('moves between months across the year boundary', async () => {
+      mockApi({});
+      render(<App user={user} onLogout={() => {}} />);
+
+      expect(screen.getByRole('heading', { name: 'December 2025' })).toBeInTheDocument();
+      await userEvent.click(screen.getByRole('button', { name: '→' }));
+      expect(screen.getByRole('heading', { name: 'January 2026' })).toBeInTheDocument();
+      await userEvent.click(screen.getByRole('button', { name: '←' }));
+      await userEvent.click(screen.getByRole('button', { name: '←' }));
+      expect(screen.getByRole('heading', { name: 'November 2025' })).toBeInTheDocument();
+    });
+
+    it('lays out the month starting on the right weekday', async () => {
+      mockApi({});
+      const { container } = render(<App user={user} onLogout={() => {}} />);
+      await screen.findByText("Today's Queue");
+
+      // December 2025 starts on a Monday: one empty slot, then 31 days
+      const grid = container.querySelector('.grid.grid-cols-7.gap-1');
+      expect(grid.children).toHaveLength(1 + 31);
+      expect(grid.children[1]).toHaveTextContent('1');
+    });
+
+    it('starts weeks on the day chosen in settings', async () => {
+      mockApi({ '/settings': { ...SETTINGS, week_start: 1 } });
+      const { container } = render(<App user={user} onLogout={() => {}} />);
+      await screen.findByText("Today's Queue");
+
+      // Monday-first: December 1st sits in the first column
+      const grid = container.querySelector('.grid.grid-cols-7.gap-1');
+      await vi.waitFor(() => expect(grid.children).toHaveLength(31));
+      expect(grid.children[0]).toHaveTextContent('1');
+      const headers = container.querySelector('.grid.grid-cols-7.text-center');
+      expect(headers.firstChild).toHaveTextContent('M');
+      expect(headers.lastChild).toHaveTextContent('S');
+    });
+
+    it('shows how busy each day is', async () => {
+      mockApi({
+        '/calendar-stats': [{ due_date: '2025-12-20', count: 2 }, { due_date: '2025-12-22', count: 7 }],
+      });
+      render(<App user={user} onLogout={() => {}} />);
+      await screen.findByText("Today's Queue");
+
+      const light = await screen.findByTitle('2 reviews due');
+      expect(light).toHaveTextContent('20');
+      expect(light.querySelectorAll('.bg-indigo-300')).toHaveLength(1);
+      expect(screen.getByTitle('7 reviews due').querySelectorAll('.bg-indigo-700')).toHaveLength(3);
+    });
+
+    it('marks days over the daily cap', async () => {
+      mockApi({
+        '/calendar-stats': [{ due_date: '2025-12-20', count: 2 }, { due_date: '2025-12-22', count: 4 }],
+        '/settings': { ...SETTINGS, daily_cap: 3 },
+      });
+      render(<App user={user} onLogout={() => {}} />);
+
+      const over = await screen.findByTitle('4 reviews due');
+      await vi.waitFor(() => expect(over.querySelectorAll('.bg-red-500')).toHaveLength(3));
+      expect(screen.getByTitle('2 reviews due').querySelectorAll('.bg-indigo-500')).toHaveLength(2);
+    });
+
+    it('loads the reviews of a clicked day and returns to the queue', async () => {
+      mockApi({
+        '/queue': [task({ title: 'Queued' })],
+        '/schedule': [task({ id: 2, title: 'Later review', due_date: '2026-01-07' })],
+      });
+      render(<App user={user} onLogout={() => {}} />);
+      expect(await screen.findByText('Queued')).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: '→' }));
+      const grid = screen.getByRole('heading', { name: 'January 2026' }).closest('div').parentElement;
+      await userEvent.click(within(grid).getByText('7'));
+
+      expect(await screen.findByText('Later review')).toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Wednesday, Jan 7' })).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringMatching(/\/schedule$/),
+        { params: expect.objectContaining({ date: '2026-01-07' }) },
+      );
+
+      await userEvent.click(screen.getByRole('button', { name: 'Back to queue' }));
+      expect(await screen.findByText('Queued')).toBeInTheDocument();
+    });
+  });
+
+  describe('solution runner', () => {
+    it('runs a draft solution against its test cases and saves it', async () => {
+      mockApi({ '/queue': [task()], '/questions/10/solution': { code: '', entry: null, updated_at: null, tests: [] } });
+      axios.post.mockResolvedValue({
+        data: {
+          entry: 'twoSum',
+          passed: 1,
+          failed: 1,
+          results: [
+            { index: 0, status: 'pass', output: '[0,1]', error: null, time_ms: 0.4, logs: [] },
+            { index: 1, status: 'fail', output: '[0,1]', error: null, time_ms: 0.2, logs: ['checked 2'] },
+          ],
+        },
+      });
+      axios.put.mockImplementation(async (url, body) => ({ data: { ...body, updated_at: 'now', tests: body.tests } }));
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      await userEvent.click(screen.getByRole('button', { name: /Solution & tests/ }));
+      await userEvent.click(await screen.findByRole('textbox', { name: 'Solution code' }));
+      await userEvent.paste('var twoSum = (nums, target) => [0, 1];');
+      for (const [input, expected] of [['[[2,7,11,15],9]', '[0,1]'], ['[[3,3],6]', '[1,0]']]) {
+        await userEvent.click(screen.getByRole('button', { name: '+ Add test case' }));
+        const n = screen.getAllByRole('textbox', { name: /input$/ }).length;
+        await userEvent.click(screen.getByRole('textbox', { name: `Test ${n} input` }));
+        await userEvent.paste(input);
+        await userEvent.click(screen.getByRole('textbox', { name: `Test ${n} expected` }));
+        await userEvent.paste(expected);
+      }
+      await userEvent.click(screen.getByRole('button', { name: 'Run tests' }));
+
+      const body = {
+        code: 'var twoSum = (nums, target) => [0, 1];',
+        entry: null,
+        tests: [{ input: '[[2,7,11,15],9]', expected: '[0,1]' }, { input: '[[3,3],6]', expected: '[1,0]' }],
+      };
+      expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/questions\/10\/solution\/run$/), body);
+      expect(await screen.findByText('1/2 passed')).toBeInTheDocument();
+      expect(screen.getByText('got [0,1], expected [1,0]')).toBeInTheDocument();
+      expect(screen.getByText('> checked 2')).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Save solution' }));
+      expect(axios.put).toHaveBeenCalledWith(expect.stringMatching(/\/questions\/10\/solution$/), body);
+      expect(screen.queryByRole('button', { name: 'Save solution' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('week and agenda views', () => {
+    const agenda = [
+      task({ id: 1, title: 'Two Sum', due_date: '2025-12-15', completed: 1, grade: 3 }),
+      task({ id: 2, question_id: 11, title: 'LRU Cache', due_date: '2025-12-15' }),
+      task({ id: 3, question_id: 12, title: 'Word Ladder', due_date: '2025-12-18' }),
+    ];
+
+    // A stand-in for the browser's DataTransfer, shared by dragstart and drop
+    const dataTransfer = () => {
+      const data = {};
+      return {
+        setData: (type, value) => { data[type] = value; },
+        getData: (type) => data[type] || '',
+        get types() { return Object.keys(data); },
+      };
+    };
+
+    const drag = (source, target) => {
+      const transfer = dataTransfer();
+      fireEvent.dragStart(source, { dataTransfer: transfer });
+      fireEvent.dragOver(target, { dataTransfer: transfer });
+      fireEvent.drop(target, { dataTransfer: transfer });
+    };
+
+    it('lists the week by title with pending and done counts', async () => {
+      mockApi({ '/agenda': agenda });
+      const { container } = render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(screen.getByRole('button', { name: 'Week' }));
+
+      expect(screen.getByRole('heading', { name: 'Dec 14 – 20, 2025' })).toBeInTheDocument();
+      expect(await screen.findByText('Word Ladder')).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringMatching(/\/agenda$/),
+        { params: { from: '2025-12-14', to: '2025-12-20', tag: undefined, difficulty: undefined } },
+      );
+      const monday = container.querySelector('[data-date="2025-12-15"]');
+      expect(monday).toHaveTextContent('1 pending · 1 done');
+      expect(within(monday).getByText('Two Sum')).toHaveClass('line-through');
+      expect(container.querySelectorAll('[data-date]')).toHaveLength(7);
+
+      await userEvent.click(screen.getByRole('button', { name: '→' }));
+      expect(screen.getByRole('heading', { name: 'Dec 21 – 27, 2025' })).toBeInTheDocument();
+    });
+
+    it('shows only days with reviews in the agenda', async () => {
+      mockApi({ '/agenda': agenda });
+      const { container } = render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(screen.getByRole('button', { name: 'Agenda' }));
+
+      expect(await screen.findByText('Thursday, Dec 18')).toBeInTheDocument();
+      expect(container.querySelectorAll('[data-date]')).toHaveLength(2);
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringMatching(/\/agenda$/),
+        { params: expect.objectContaining({ from: '2025-12-15', to: '2025-12-28' }) },
+      );
+    });
+
+    it('moves a review dropped on another day, optionally with its chain', async () => {
+      mockApi({ '/agenda': agenda, '/queue': [task({ id: 5, title: 'Queued' })] });
+      axios.patch.mockResolvedValue({ data: { success: true } });
+      const { container } = render(<App user={user} onLogout={() => {}} />);
+
+      // From the task list onto a day of the month; past days take no drops
+      const month = container.querySelector('.grid.grid-cols-7.gap-1');
+      drag(await screen.findByText('Queued'), within(month).getByText('10'));
+      expect(axios.patch).not.toHaveBeenCalled();
+      drag(screen.getByText('Queued'), within(month).getByText('17'));
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringMatching(/\/schedule\/5$/),
+        { due_date: '2025-12-17', shiftChain: false },
+      );
+
+      // Within the week, moving the rest of the chain as well
+      await userEvent.click(screen.getByRole('button', { name: 'Week' }));
+      await userEvent.click(screen.getByRole('checkbox', { name: 'Drag moves later reviews too' }));
+      expect(await screen.findByText('Two Sum')).not.toHaveAttribute('draggable');
+      const loads = axios.get.mock.calls.filter(([url]) => url.endsWith('/agenda')).length;
+      drag(screen.getByText('Word Ladder'), container.querySelector('[data-date="2025-12-19"]'));
+      expect(axios.patch).toHaveBeenLastCalledWith(
+        expect.stringMatching(/\/schedule\/3$/),
+        { due_date: '2025-12-19', shiftChain: true },
+      );
+      // The views reload with the moved review
+      await vi.waitFor(() => expect(axios.get.mock.calls.filter(([url]) => url.endsWith('/agenda')).length).toBeGreaterThan(loads));
+    });
+
+    it('marks days with completed reviews on the month', async () => {
+      mockApi({ '/calendar-stats': [{ due_date: '2025-12-15', count: 1, pending: 1, completed: 2 }] });
+      render(<App user={user} onLogout={() => {}} />);
+
+      const day = await screen.findByTitle('1 review due · 2 done');
+      expect(day.querySelectorAll('.bg-green-500')).toHaveLength(1);
+    });
+  });
+
+  describe('bulk add', () => {
+    const results = [
+      {
+        line: 1,
+        input: 'LC 43 #strings started:2025-12-01',
+        status: 'ok',
+        question: { title: '43. Multiply Strings', difficulty: 'Medium', tags: ['strings'], created_at: '2025-12-01' },
+      },
+      { line: 2, input: 'Two Sum started:soon', status: 'error', error: 'started:soon must be a date in YYYY-MM-DD format' },
+    ];
+
+    it('checks the pasted lines, adds them and keeps the failures to fix', async () => {
+      mockApi({});
+      axios.post.mockImplementation(async (url, body) => ({
+        data: { dryRun: body.dryRun, added: 1, failed: 1, results },
+      }));
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Add several at once' }));
+
+      const box = screen.getByLabelText('Questions, one per line');
+      await userEvent.type(box, 'LC 43 #strings started:2025-12-01{Enter}Two Sum started:soon');
+      await userEvent.click(screen.getByRole('button', { name: 'Check' }));
+
+      expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/questions\/bulk$/), {
+        text: 'LC 43 #strings started:2025-12-01\nTwo Sum started:soon',
+        dryRun: true,
+      });
+      expect(await screen.findByText('1 ready to add, 1 with problems.')).toBeInTheDocument();
+      expect(screen.getByText('Line 1: 43. Multiply Strings · Medium · strings · from Dec 1, 2025')).toBeInTheDocument();
+      expect(screen.getByText(/Line 2: Two Sum started:soon: started:soon must be a date/)).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Add 1 question' }));
+      expect(await screen.findByText('Added 1 question; 1 line left to fix.')).toBeInTheDocument();
+      expect(box).toHaveValue('Two Sum started:soon');
+      expect(screen.queryByText(/Line 1:/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('settings', () => {
+    it('saves the settings page and applies the week start', async () => {
+      mockApi({});
+      axios.put.mockImplementation(async (url, body) => ({
+        data: { ...SETTINGS, ...body, intervals: body.intervals.split(',').map(Number) },
+      }));
+      const { container } = render(<App user={user} onLogout={() => {}} />);
+      await screen.findByText("Today's Queue");
+
+      await userEvent.click(screen.getByRole('button', { name: 'Settings' }));
+      const intervals = await screen.findByLabelText('Review intervals (days)');
+      expect(intervals).toHaveValue('1, 3, 7, 14, 30, 60, 120');
+      await userEvent.clear(intervals);
+      await userEvent.type(intervals, '2,5,10');
+      await userEvent.selectOptions(screen.getByLabelText('Week starts on'), 'Saturday');
+      await userEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+      expect(axios.put).toHaveBeenCalledWith(expect.stringMatching(/\/settings$/), {
+        intervals: '2,5,10',
+        time_zone: 'UTC',
+        week_start: 6,
+        daily_cap: null,
+        spread_days: 0,
+      });
+      expect(await screen.findByText('Settings saved')).toBeInTheDocument();
+      expect(intervals).toHaveValue('2, 5, 10');
+
+      // December 2025 starts on a Monday: two empty slots after Saturday and Sunday
+      await userEvent.click(screen.getByRole('button', { name: 'Schedule' }));
+      await screen.findByText("Today's Queue");
+      expect(container.querySelector('.grid.grid-cols-7.gap-1').children).toHaveLength(2 + 31);
+    });
+
+    it('lists the problems the server reports', async () => {
+      mockApi({});
+      axios.put.mockRejectedValue({
+        response: {
+          status: 422,
+          data: {
+            error: 'Validation failed',
+            code: 'VALIDATION_FAILED',
+            details: [{ field: 'time_zone', message: 'time_zone must be an IANA time zone such as Europe/London' }],
+          },
+        },
+      });
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Settings' }));
+
+      const zone = await screen.findByLabelText('Time zone');
+      await userEvent.clear(zone);
+      await userEvent.type(zone, 'Mars/Base');
+      await userEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+      expect(await screen.findByText('time_zone must be an IANA time zone such as Europe/London')).toBeInTheDocument();
+      expect(screen.queryByText('Settings saved')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('live updates', () => {
+    // Stands in for the browser's EventSource; emit() delivers a server event
+    class FakeEventSource {
+      static last;
+
+      constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        FakeEventSource.last = this;
+      }
+
+      addEventListener(type, listener) {
+        this.listeners[type] = listener;
+      }
+
+      emit(type, data) {
+        this.listeners[type]?.({ data: JSON.stringify(data) });
+      }
+
+      close() {
+        this.closed = true;
+      }
+    }
+
+    beforeEach(() => {
+      vi.stubGlobal('EventSource', FakeEventSource);
+      setToken('session-token');
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      setToken(null);
+    });
+
+    it('refetches the schedule when another client changes it', async () => {
+      let tasks = [task()];
+      axios.get.mockImplementation(async (url) => ({
+        data: url.endsWith('/queue') ? tasks : DEFAULT_RESPONSES[url.replace(/^.*\/api/, '')] ?? [],
+      }));
+
+      const { unmount } = render(<App user={user} onLogout={() => {}} />);
+      expect(await screen.findByText('Two Sum')).toBeInTheDocument();
+      const source = FakeEventSource.last;
+      expect(source.url).toMatch(/\/events\?token=session-token&client=/);
+
+      tasks = [task({ id: 2, question_id: 11, title: 'Valid Parentheses' })];
+      source.emit('schedule', { question_ids: [10] });
+      expect(await screen.findByText('Valid Parentheses')).toBeInTheDocument();
+      expect(screen.queryByText('Two Sum')).not.toBeInTheDocument();
+
+      unmount();
+      expect(source.closed).toBe(true);
+    });
+
+    it('shows notes saved elsewhere unless they are being edited', async () => {
+      const notes = (body) => JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body }] });
+      let tasks = [task({ notes: notes('First') })];
+      axios.get.mockImplementation(async (url) => ({
+        data: url.endsWith('/queue') ? tasks : DEFAULT_RESPONSES[url.replace(/^.*\/api/, '')] ?? [],
+      }));
+
+      render(<App user={user} onLogout={() => {}} />);
+      await userEvent.click(await screen.findByRole('button', { name: 'Show Notes' }));
+      expect(screen.getByText('First')).toBeInTheDocument();
+
+      tasks = [task({ notes: notes('Second'), notes_version: 1 })];
+      FakeEventSource.last.emit('notes', { question_id: 10, version: 1 });
+      expect(await screen.findByText('Second')).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Edit' }));
+      await userEvent.type(screen.getByDisplayValue('Second'), ' draft');
+      tasks = [task({ notes: notes('Third'), notes_version: 2 })];
+      FakeEventSource.last.emit('notes', { question_id: 10, version: 2 });
+      await vi.waitFor(() => expect(axios.get.mock.calls.filter(([url]) => url.endsWith('/queue'))).toHaveLength(3));
+      expect(screen.getByDisplayValue('Second draft')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL, getToken, setToken, onUnauthorized, errorMessage } from './api';
+import { offline } from './offline';
+import App from './App';
+
+// Shows the login/register screen until there is a valid session, then the app
+function AuthGate() {
+  const [user, setUser] = useState(null);
+  // Only wait on /auth/me when a token was saved by a previous visit
+  const [checking, setChecking] = useState(() => Boolean(getToken()));
+
+  useEffect(() => onUnauthorized(() => {
+    setToken(null);
+    offline.setUser(null);
+    setUser(null);
+  }), []);
+
+  // Offline, the account from the last visit is answered from the cache
+  useEffect(() => {
+    if (!getToken()) return;
+    axios.get(`${API_URL}/auth/me`)
+      .then(res => {
+        offline.setUser(res.data.user.id);
+        setUser(res.data.user);
+      })
+      // Keep the token through a network failure; it may still be valid
+      .catch(error => error.response && setToken(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const handleAuthenticated = ({ token, user: signedIn }) => {
+    setToken(token);
+    offline.setUser(signedIn.id);
+    setUser(signedIn);
+  };
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_URL}/auth/logout`);
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+    await offline.clearCache();
+    offline.setUser(null);
+    setToken(null);
+    setUser(null);
+  };
+
+  if (checking) {
+    return <div className="min-h-screen bg-gray-50 p-8 text-center text-gray-400">Loading…</div>;
+  }
+  if (!user) {
+    return <Login onAuthenticated={handleAuthenticated} />;
+  }
+  return <App user={user} onLogout={logout} />;
+}
+
+function Login({ onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await axios.post(`${API_URL}/auth/${mode}`, { username, password });
+      onAuthenticated(res.data);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const isLogin = mode === 'login';
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8 text-gray-800 font-sans flex items-start justify-center">
+      <div className="w-full max-w-sm mt-16 bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <h1 className="text-2xl font-bold text-indigo-700 mb-1">LeetCode Scheduler</h1>
+        <p className="text-sm text-gray-500 mb-6">{isLogin ? 'Log in to your deck' : 'Create an account'}</p>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="text"
+            placeholder="Username"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            autoComplete={isLogin ? 'current-password' : 'new-password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
+          />
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <button
+            type="submit"
+            className="w-full bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700 text-sm font-semibold"
+          >
+            {isLogin ? 'Log in' : 'Sign up'}
+          </button>
+        </form>
+
+        <button
+          onClick={() => { setMode(isLogin ? 'register' : 'login'); setError(''); }}
+          className="mt-4 text-xs text-indigo-600 hover:text-indigo-800"
+        >
+          {isLogin ? "Don't have an account? Sign up" : 'Already have an account? Log in'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AuthGate;
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, errorDetails, notifyError } from './api';
+
+// Shown in the preview; the rest are summarized as a count
+const PREVIEW_DAYS = 10;
+
+const formatRange = (start, end) => (
+  start === end
+    ? dayjs(start).format('MMM D, YYYY')
+    : `${dayjs(start).format('MMM D')} – ${dayjs(end).format('MMM D, YYYY')}`
+);
+
+// Vacation / away ranges. Adding one previews (dry run) how the reviews
+// inside it will move before saving it.
+function Blackouts({ blackouts, onChanged }) {
+  const [form, setForm] = useState({ start_date: '', end_date: '', label: '', shiftChain: true });
+  const [preview, setPreview] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const update = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setPreview(null);
+  };
+
+  const submit = async (dryRun) => {
+    try {
+      const res = await axios.post(`${API_URL}/blackouts`, { ...form, dryRun });
+      setErrors([]);
+      if (dryRun) {
+        setPreview(res.data);
+      } else {
+        setPreview(null);
+        setForm({ start_date: '', end_date: '', label: '', shiftChain: true });
+        onChanged?.();
+      }
+    } catch (error) {
+      if (error.response?.status === 422) {
+        setErrors(errorDetails(error));
+      } else {
+        notifyError('add blackout', error);
+      }
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await axios.delete(`${API_URL}/blackouts/${id}`);
+      onChanged?.();
+    } catch (error) {
+      notifyError('remove blackout', error);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100 space-y-3 text-xs">
+      <h3 className="font-bold text-sm text-gray-700">Time away</h3>
+
+      {blackouts.length > 0 && (
+        <ul className="space-y-1">
+          {blackouts.map(blackout => (
+            <li key={blackout.id} className="flex justify-between items-center px-2 py-1 rounded bg-amber-50">
+              <span className="text-gray-700">
+                {formatRange(blackout.start_date, blackout.end_date)}
+                {blackout.label && <span className="text-gray-500"> · {blackout.label}</span>}
+              </span>
+              <button
+                onClick={() => remove(blackout.id)}
+                aria-label={`Remove blackout ${formatRange(blackout.start_date, blackout.end_date)}`}
+                className="px-1 text-gray-400 hover:text-red-600"
+              >
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="flex flex-col gap-1 text-gray-500">
+          From
+          <input
+            type="date"
+            value={form.start_date}
+            onChange={(e) => update('start_date', e.target.value)}
+            className="p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500"
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-gray-500">
+          To
+          <input
+            type="date"
+            value={form.end_date}
+            onChange={(e) => update('end_date', e.target.value)}
+            className="p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500"
+          />
+        </label>
+        <input
+          type="text"
+          placeholder="Label (optional)"
+          value={form.label}
+          onChange={(e) => update('label', e.target.value)}
+          className="flex-1 min-w-0 p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500"
+        />
+      </div>
+      <div className="flex justify-between items-center gap-2">
+        <label className="flex items-center gap-1 text-gray-600">
+          <input type="checkbox" checked={form.shiftChain} onChange={(e) => update('shiftChain', e.target.checked)} />
+          Also push back later reviews to keep their spacing
+        </label>
+        <button
+          onClick={() => submit(true)}
+          disabled={!form.start_date || !form.end_date}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700 disabled:opacity-40"
+        >
+          Preview shift
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-red-600 list-disc pl-4">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+
+      {preview && (
+        <div className="p-3 rounded-lg border border-indigo-100 bg-indigo-50 space-y-2">
+          <p className="text-gray-600">
+            {preview.moved === 0
+              ? 'No reviews fall in this range.'
+              : `Will move ${preview.moved} review${preview.moved === 1 ? '' : 's'}. Reviews per day afterwards:`}
+          </p>
+          {preview.calendar.length > 0 && (
+            <ul className="grid grid-cols-2 gap-x-4 text-gray-600">
+              {preview.calendar.slice(0, PREVIEW_DAYS).map(day => (
+                <li key={day.date} className="flex justify-between">
+                  <span>{dayjs(day.date).format('ddd, MMM D')}</span>
+                  <span className={day.after > day.before ? 'text-indigo-700' : 'text-gray-400'}>
+                    {day.before} → {day.after}
+                  </span>
+                </li>
+              ))}
+              {preview.calendar.length > PREVIEW_DAYS && (
+                <li className="text-gray-400 col-span-2">…and {preview.calendar.length - PREVIEW_DAYS} more days</li>
+              )}
+            </ul>
+          )}
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setPreview(null)} className="px-3 py-1 border border-gray-300 rounded bg-white hover:bg-gray-50 text-gray-700">
+              Cancel
+            </button>
+            <button onClick={() => submit(false)} className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+              Add blackout
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Blackouts;
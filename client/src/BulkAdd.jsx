@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, errorDetails, notifyError } from './api';
+
+const EXAMPLE = `LC 43 #strings #medium started:2026-10-01
+1. Two Sum
+https://leetcode.com/problems/valid-parentheses/
+My own problem #graph`;
+
+const describeQuestion = (question) => [
+  question.title,
+  question.difficulty,
+  question.tags.length > 0 && question.tags.join(', '),
+  `from ${dayjs(question.created_at).format('MMM D, YYYY')}`,
+].filter(Boolean).join(' · ');
+
+// Paste a list (titles, problem list rows, URLs or quick-capture lines) and
+// add it in one request. Check previews each line (dry run); after adding,
+// the lines that failed stay in the box to fix and resend.
+function BulkAdd({ onAdded }) {
+  const [text, setText] = useState('');
+  // Server report for the current text: { dryRun, added, failed, results }
+  const [report, setReport] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const submit = async (dryRun) => {
+    try {
+      const res = await axios.post(`${API_URL}/questions/bulk`, { text, dryRun });
+      setErrors([]);
+      setReport(res.data);
+      if (!dryRun) {
+        const failedLines = res.data.results.filter(result => result.status === 'error').map(result => result.input);
+        setText(failedLines.join('\n'));
+        if (res.data.added > 0) onAdded?.();
+      }
+    } catch (error) {
+      if (error.response?.status === 422) {
+        setErrors(errorDetails(error));
+      } else {
+        notifyError('add questions', error);
+      }
+    }
+  };
+
+  const ready = report?.dryRun ? report.added : 0;
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        aria-label="Questions, one per line"
+        placeholder={EXAMPLE}
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setReport(null);
+        }}
+        rows={5}
+        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs font-mono"
+      />
+      <p className="text-xs text-gray-400">
+        One per line: a title, LC 43, a problem URL, #tags, #easy/#medium/#hard and started:YYYY-MM-DD for when you solved it.
+      </p>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 list-disc pl-4">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+
+      {report && (
+        <div className="text-xs space-y-1">
+          <p className="text-gray-600">
+            {report.dryRun
+              ? `${report.added} ready to add, ${report.failed} with problems.`
+              : `Added ${report.added} question${report.added === 1 ? '' : 's'}${report.failed ? `; ${report.failed} line${report.failed === 1 ? '' : 's'} left to fix` : ''}.`}
+          </p>
+          <ul className="space-y-0.5">
+            {report.results.filter(result => report.dryRun || result.status === 'error').map(result => (
+              <li key={result.line} className={result.status === 'error' ? 'text-red-600' : 'text-gray-600'}>
+                Line {result.line}: {result.status === 'error' ? `${result.input}: ${result.error}` : describeQuestion(result.question)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={() => submit(true)}
+          disabled={!text.trim()}
+          className="px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 text-gray-700 disabled:opacity-40"
+        >
+          Check
+        </button>
+        <button
+          type="button"
+          onClick={() => submit(false)}
+          disabled={!text.trim()}
+          className="px-3 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-40"
+        >
+          {ready > 0 ? `Add ${ready} question${ready === 1 ? '' : 's'}` : 'Add all'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkAdd;
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL, downloadFile, notifyError } from './api';
+
+const feedUrl = (token) => `${API_URL}/calendar.ics?token=${token}`;
+
+// One-off .ics export plus a secret subscription link for calendar apps
+function CalendarFeed() {
+  // undefined while loading, null when there is no subscription link
+  const [token, setToken] = useState(undefined);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/calendar/token`)
+      .then(res => setToken(res.data.token))
+      .catch(error => notifyError('load calendar link', error));
+  }, []);
+
+  const exportCalendar = async () => {
+    try {
+      await downloadFile('/calendar.ics?download=true', 'leetcode-reviews.ics');
+    } catch (error) {
+      notifyError('export calendar', error);
+    }
+  };
+
+  const createLink = async () => {
+    if (token && !confirm('Create a new link? Calendars subscribed to the current one will stop updating.')) return;
+    try {
+      const res = await axios.post(`${API_URL}/calendar/token`);
+      setToken(res.data.token);
+      setCopied(false);
+    } catch (error) {
+      notifyError('create calendar link', error);
+    }
+  };
+
+  const removeLink = async () => {
+    if (!confirm('Turn off the subscription link? Subscribed calendars will stop updating.')) return;
+    try {
+      await axios.delete(`${API_URL}/calendar/token`);
+      setToken(null);
+    } catch (error) {
+      notifyError('turn off calendar link', error);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl(token));
+      setCopied(true);
+    } catch (error) {
+      notifyError('copy calendar link', error);
+    }
+  };
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium text-gray-700">Calendar</span>
+        <button onClick={exportCalendar} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+          Export .ics
+        </button>
+        {token === null && (
+          <button onClick={createLink} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+            Create subscription link
+          </button>
+        )}
+      </div>
+
+      {token && (
+        <div className="space-y-1">
+          <p className="text-gray-500">Subscribe to this URL in your calendar app. Anyone with the link can see your upcoming reviews.</p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl(token)}
+              aria-label="Calendar subscription URL"
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 p-1 border border-gray-200 rounded font-mono text-[11px] text-gray-600 bg-gray-50"
+            />
+            <button onClick={copyLink} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button onClick={createLink} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+              New link
+            </button>
+            <button onClick={removeLink} className="px-3 py-1 border border-red-200 rounded hover:bg-red-50 text-red-600">
+              Turn off
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalendarFeed;
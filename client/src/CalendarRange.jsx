@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, notifyError } from './api';
+import { reviewDragProps, reviewDropProps } from './dragReview';
+
+// "2 pending · 1 done" for a day's reviews
+const dayCounts = (reviews) => {
+  const done = reviews.filter(review => review.completed).length;
+  return [reviews.length - done > 0 && `${reviews.length - done} pending`, done > 0 && `${done} done`]
+    .filter(Boolean).join(' · ');
+};
+
+// Week and agenda views of the calendar: the reviews due on each of `days`
+// days from `start`, by title. Week shows every day; agenda only days with
+// reviews. Pending reviews can be dragged onto another day from today on.
+function CalendarRange({ mode, start, days, filters, syncKey, today, selectedDate, onSelectDate, onMove }) {
+  const [reviews, setReviews] = useState(null);
+  const end = dayjs(start).add(days - 1, 'day').format('YYYY-MM-DD');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/agenda`, {
+      params: { from: start, to: end, tag: filters.tag || undefined, difficulty: filters.difficulty || undefined },
+    }).then(res => setReviews(res.data))
+      .catch(error => notifyError('load calendar', error));
+  }, [start, end, filters, syncKey]);
+
+  if (!reviews) {
+    return <p className="text-center py-6 text-sm text-gray-400">Loading…</p>;
+  }
+
+  const dates = Array.from({ length: days }, (_, i) => dayjs(start).add(i, 'day').format('YYYY-MM-DD'));
+  const shown = mode === 'agenda'
+    ? dates.filter(date => reviews.some(review => review.due_date === date))
+    : dates;
+
+  if (shown.length === 0) {
+    return <p className="text-center py-6 text-sm text-gray-400">Nothing scheduled in these {days} days.</p>;
+  }
+
+  return (
+    <div className="divide-y divide-gray-100">
+      {shown.map(date => {
+        const due = reviews.filter(review => review.due_date === date);
+        return (
+          <div
+            key={date}
+            data-date={date}
+            {...(date >= today ? reviewDropProps(date, onMove) : {})}
+            className={`py-2 ${date === today ? 'bg-indigo-50/50' : ''}`}
+          >
+            <div className="flex justify-between items-baseline">
+              <button
+                onClick={() => onSelectDate(date)}
+                className={`text-xs font-semibold ${date === selectedDate ? 'text-indigo-600' : 'text-gray-600 hover:text-indigo-600'}`}
+              >
+                {dayjs(date).format(mode === 'agenda' ? 'dddd, MMM D' : 'ddd D')}
+              </button>
+              <span className="text-[10px] text-gray-400">{dayCounts(due)}</span>
+            </div>
+            {due.length > 0 && (
+              <ul className="mt-1 space-y-0.5">
+                {due.map(review => (
+                  <li
+                    key={review.id}
+                    {...(review.completed ? {} : reviewDragProps(review))}
+                    title={review.completed ? 'Done' : 'Drag to another day to move this review'}
+                    className={`px-2 py-0.5 rounded text-xs truncate ${review.completed
+                      ? 'text-gray-400 line-through'
+                      : 'bg-white border border-gray-200 text-gray-700 cursor-grab hover:border-indigo-300'}`}
+                  >
+                    {review.title}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default CalendarRange;
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { API_URL, downloadFile, errorDetails, notifyError } from './api';
+
+// Export buttons plus an import flow that previews (dry run) before applying
+function ImportExport({ onImported }) {
+  // { format, data, fileName } of the file waiting to be imported
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [preview, setPreview] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const exportDeck = async (query, fallbackName) => {
+    try {
+      await downloadFile(`/export${query}`, fallbackName);
+    } catch (error) {
+      notifyError('export deck', error);
+    }
+  };
+
+  const runImport = async (file, importMode, dryRun) => {
+    try {
+      const res = await axios.post(`${API_URL}/import`, {
+        format: file.format,
+        data: file.data,
+        mode: importMode,
+        dryRun,
+      });
+      setErrors([]);
+      return res.data;
+    } catch (error) {
+      console.error('Failed to import deck:', error);
+      setErrors(errorDetails(error));
+      setPreview(null);
+      return null;
+    }
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    const file = {
+      fileName: selected.name,
+      format: selected.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json',
+      data: await selected.text(),
+    };
+    setPending(file);
+    setPreview(await runImport(file, mode, true));
+  };
+
+  const handleModeChange = async (value) => {
+    setMode(value);
+    if (pending) setPreview(await runImport(pending, value, true));
+  };
+
+  const cancel = () => {
+    setPending(null);
+    setPreview(null);
+    setErrors([]);
+  };
+
+  const confirmImport = async () => {
+    if (mode === 'replace' && !confirm('Replace your whole deck with this file? This cannot be undone.')) return;
+    const result = await runImport(pending, mode, false);
+    if (result) {
+      cancel();
+      onImported?.(result);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 text-xs">
+        <button onClick={() => exportDeck('?format=json', 'leetcode-deck.json')} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+          Export JSON
+        </button>
+        <button onClick={() => exportDeck('?format=csv', 'leetcode-questions.csv')} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+          Export CSV
+        </button>
+        <button onClick={() => exportDeck('?format=csv&type=schedule', 'leetcode-schedule.csv')} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+          Export history CSV
+        </button>
+        <label className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer">
+          Import…
+          <input type="file" accept=".json,.csv" onChange={handleFile} className="hidden" />
+        </label>
+      </div>
+
+      {pending && (
+        <div className="p-3 rounded-lg border border-indigo-100 bg-indigo-50 text-sm space-y-2">
+          <div className="flex flex-wrap justify-between items-center gap-2">
+            <span className="font-medium text-gray-700">Importing {pending.fileName}</span>
+            <select
+              value={mode}
+              onChange={(e) => handleModeChange(e.target.value)}
+              className="p-1 border border-gray-300 rounded text-xs focus:outline-none focus:border-indigo-500"
+            >
+              <option value="merge">Merge (skip duplicates)</option>
+              <option value="replace">Replace whole deck</option>
+            </select>
+          </div>
+
+          {preview && (
+            <p className="text-gray-600 text-xs">
+              Will add {preview.added.length} question{preview.added.length === 1 ? '' : 's'}
+              {preview.skipped.length > 0 && ` and skip ${preview.skipped.length} duplicate${preview.skipped.length === 1 ? '' : 's'}`}
+              {mode === 'replace' && ', removing everything currently in the deck'}.
+            </p>
+          )}
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc pl-4 max-h-32 overflow-y-auto">
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button onClick={cancel} className="px-3 py-1 text-xs border border-gray-300 rounded bg-white hover:bg-gray-50 text-gray-700">
+              Cancel
+            </button>
+            <button
+              onClick={confirmImport}
+              disabled={!preview}
+              className="px-3 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-40"
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportExport;
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, DIFFICULTIES, notifyError } from './api';
+import ProblemMeta from './ProblemMeta';
+import ImportExport from './ImportExport';
+import CalendarFeed from './CalendarFeed';
+
+const PAGE_SIZE = 20;
+
+// archived filter values sent to GET /questions
+const FILTERS = [
+  { value: '0', label: 'Active' },
+  { value: '1', label: 'Archived' },
+  { value: '', label: 'All' },
+];
+
+// Also refetches the page when syncKey changes (edits from other clients)
+function Library({ syncKey }) {
+  const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [archivedFilter, setArchivedFilter] = useState('0');
+  // Form state of the question being edited; tags is a comma-separated string
+  const [editing, setEditing] = useState(null);
+  // Bumped after every mutation to refetch the current page
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/questions`, {
+      params: { q: search || undefined, archived: archivedFilter || undefined, page, limit: PAGE_SIZE }
+    }).then(res => {
+      setQuestions(res.data.questions);
+      setTotal(res.data.total);
+    }).catch(error => notifyError('load questions', error));
+  }, [search, archivedFilter, page, reloadKey, syncKey]);
+
+  const reload = () => setReloadKey(key => key + 1);
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  const handleSearch = (value) => {
+    setSearch(value);
+    setPage(1);
+  };
+
+  const handleFilter = (value) => {
+    setArchivedFilter(value);
+    setPage(1);
+  };
+
+  const updateQuestion = async (id, changes) => {
+    try {
+      await axios.patch(`${API_URL}/questions/${id}`, changes);
+      reload();
+      return true;
+    } catch (error) {
+      notifyError('update question', error);
+      return false;
+    }
+  };
+
+  const startEditing = (question) => {
+    setEditing({
+      id: question.id,
+      title: question.title,
+      problem_number: question.problem_number ?? '',
+      difficulty: question.difficulty || '',
+      tags: question.tags.join(', '),
+    });
+  };
+
+  const saveEdit = async () => {
+    const changes = {
+      title: editing.title,
+      problem_number: editing.problem_number === '' ? null : editing.problem_number,
+      difficulty: editing.difficulty || null,
+      tags: editing.tags.split(','),
+    };
+    if (await updateQuestion(editing.id, changes)) {
+      setEditing(null);
+    }
+  };
+
+  const deleteQuestion = async (question) => {
+    if (!confirm(`Delete "${question.title}" and all of its scheduled reviews?`)) return;
+    try {
+      await axios.delete(`${API_URL}/questions/${question.id}`);
+      reload();
+    } catch (error) {
+      notifyError('delete question', error);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+      <div className="flex flex-col md:flex-row gap-3 md:items-center justify-between mb-6 border-b pb-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Library</h2>
+          <p className="text-gray-500 text-sm">{total} questions</p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            placeholder="Search titles and notes"
+            value={search}
+            onChange={(e) => handleSearch(e.target.value)}
+            className="p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
+          />
+          <select
+            value={archivedFilter}
+            onChange={(e) => handleFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
+          >
+            {FILTERS.map(filter => (
+              <option key={filter.label} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mb-6 space-y-4">
+        <ImportExport onImported={reload} />
+        <CalendarFeed />
+      </div>
+
+      <div className="space-y-2">
+        {questions.length === 0 ? (
+          <div className="text-center py-10 text-gray-400">
+            <p>No questions found.</p>
+          </div>
+        ) : (
+          questions.map(question => (
+            <div
+              key={question.id}
+              className={`flex items-center gap-3 p-3 rounded-lg border ${
+                question.archived ? 'bg-gray-50 border-gray-100' : 'bg-white border-gray-200'
+              }`}
+            >
+              <div className="flex-1 min-w-0">
+                {editing?.id === question.id ? (
+                  <div
+                    className="space-y-2"
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') saveEdit();
+                      if (e.key === 'Escape') setEditing(null);
+                    }}
+                  >
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={editing.title}
+                        onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                        autoFocus
+                        className="flex-1 p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-sm"
+                      />
+                      <button onClick={saveEdit} className="px-2 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                        Save
+                      </button>
+                      <button onClick={() => setEditing(null)} className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50">
+                        Cancel
+                      </button>
+                    </div>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        placeholder="Problem #"
+                        value={editing.problem_number}
+                        onChange={(e) => setEditing({ ...editing, problem_number: e.target.value })}
+                        className="w-20 p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs"
+                      />
+                      <select
+                        value={editing.difficulty}
+                        onChange={(e) => setEditing({ ...editing, difficulty: e.target.value })}
+                        className="p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs"
+                      >
+                        <option value="">Difficulty</option>
+                        {DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+                      </select>
+                      <input
+                        type="text"
+                        placeholder="Tags (comma separated)"
+                        value={editing.tags}
+                        onChange={(e) => setEditing({ ...editing, tags: e.target.value })}
+                        className="flex-1 p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500 text-xs"
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <p className={`text-sm truncate ${question.archived ? 'text-gray-400' : 'text-gray-700 font-medium'}`}>
+                      {question.title}
+                    </p>
+                    <ProblemMeta question={question} />
+                  </>
+                )}
+                <p className="text-xs text-gray-400">
+                  Added {dayjs(question.created_at).format('MMM D, YYYY')}
+                  {question.next_due && !question.archived && ` · next review ${dayjs(question.next_due).format('MMM D')}`}
+                  {question.archived ? ' · archived' : ''}
+                </p>
+              </div>
+              <div className="flex gap-1 text-xs">
+                <button
+                  onClick={() => startEditing(question)}
+                  className="px-2 py-1 text-indigo-600 hover:text-indigo-800"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => updateQuestion(question.id, { archived: !question.archived })}
+                  className="px-2 py-1 text-gray-600 hover:text-gray-800"
+                >
+                  {question.archived ? 'Unarchive' : 'Archive'}
+                </button>
+                <button
+                  onClick={() => deleteQuestion(question)}
+                  className="px-2 py-1 text-red-600 hover:text-red-800"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Pagination */}
+      <div className="flex justify-between items-center mt-6 text-sm">
+        <button
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40"
+        >
+          &larr; Prev
+        </button>
+        <span className="text-gray-500">Page {page} of {totalPages}</span>
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={page >= totalPages}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40"
+        >
+          Next &rarr;
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Library;
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, errorDetails, notifyError } from './api';
+
+// Shown in the preview; the rest are summarized as a count
+const PREVIEW_MOVES = 8;
+
+// Daily cap / spread settings and a rebalance of upcoming reviews that is
+// previewed (dry run) before it is applied
+function LoadBalancer({ settings, onSettingsChange, onRebalanced }) {
+  // Form values as strings; an empty cap means no cap
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [preview, setPreview] = useState(null);
+
+  const values = form || {
+    daily_cap: settings.daily_cap === null ? '' : String(settings.daily_cap),
+    spread_days: String(settings.spread_days),
+  };
+  const dirty = form !== null;
+
+  const parsed = () => ({
+    daily_cap: values.daily_cap.trim() === '' ? null : Number(values.daily_cap),
+    spread_days: Number(values.spread_days || 0),
+  });
+
+  const save = async () => {
+    try {
+      const res = await axios.put(`${API_URL}/settings`, parsed());
+      onSettingsChange(res.data);
+      setForm(null);
+      setErrors([]);
+    } catch (error) {
+      console.error('Failed to save daily load settings:', error);
+      setErrors(errorDetails(error));
+    }
+  };
+
+  const rebalance = async (dryRun) => {
+    try {
+      const res = await axios.post(`${API_URL}/schedule/rebalance`, { dryRun, ...parsed() });
+      setErrors([]);
+      if (dryRun) {
+        setPreview(res.data);
+      } else {
+        setPreview(null);
+        onRebalanced?.(res.data);
+      }
+    } catch (error) {
+      if (error.response?.status === 422) {
+        setErrors(errorDetails(error));
+      } else {
+        notifyError('rebalance reviews', error);
+      }
+    }
+  };
+
+  const update = (field, value) => {
+    setForm({ ...values, [field]: value });
+    setPreview(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100 space-y-3 text-xs">
+      <h3 className="font-bold text-sm text-gray-700">Daily load</h3>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="flex flex-col gap-1 text-gray-500">
+          Max reviews per day
+          <input
+            type="number"
+            min="1"
+            placeholder="No cap"
+            value={values.daily_cap}
+            onChange={(e) => update('daily_cap', e.target.value)}
+            className="w-24 p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500"
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-gray-500">
+          Spread (± days)
+          <input
+            type="number"
+            min="0"
+            max="14"
+            value={values.spread_days}
+            onChange={(e) => update('spread_days', e.target.value)}
+            className="w-20 p-1 border border-gray-300 rounded focus:outline-none focus:border-indigo-500"
+          />
+        </label>
+        {dirty && (
+          <button onClick={save} className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+            Save
+          </button>
+        )}
+        <button onClick={() => rebalance(true)} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+          Rebalance upcoming…
+        </button>
+      </div>
+      <p className="text-gray-400">New reviews go to the lightest day within the spread and skip days at the cap.</p>
+
+      {errors.length > 0 && (
+        <ul className="text-red-600 list-disc pl-4">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+
+      {preview && (
+        <div className="p-3 rounded-lg border border-indigo-100 bg-indigo-50 space-y-2">
+          {preview.moved === 0 ? (
+            <p className="text-gray-600">Your upcoming reviews are already balanced.</p>
+          ) : (
+            <>
+              <p className="text-gray-600">
+                Will move {preview.moved} review{preview.moved === 1 ? '' : 's'};
+                the busiest day goes from {preview.busiest_day.before} to {preview.busiest_day.after}.
+              </p>
+              <ul className="text-gray-600 space-y-0.5">
+                {preview.moves.slice(0, PREVIEW_MOVES).map(move => (
+                  <li key={move.id}>
+                    {move.title}: {dayjs(move.from).format('MMM D')} → {dayjs(move.to).format('MMM D')}
+                  </li>
+                ))}
+                {preview.moved > PREVIEW_MOVES && <li className="text-gray-400">…and {preview.moved - PREVIEW_MOVES} more</li>}
+              </ul>
+            </>
+          )}
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setPreview(null)} className="px-3 py-1 border border-gray-300 rounded bg-white hover:bg-gray-50 text-gray-700">
+              Cancel
+            </button>
+            {preview.moved > 0 && (
+              <button onClick={() => rebalance(false)} className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LoadBalancer;
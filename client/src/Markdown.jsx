@@ -0,0 +1,15 @@
+import ReactMarkdown from 'react-markdown';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
+
+// Renders user-written Markdown. Raw HTML is ignored and fenced code blocks
+// are highlighted in the language named after the opening fence.
+function Markdown({ children }) {
+  return (
+    <div className="markdown text-sm text-gray-700">
+      <ReactMarkdown rehypePlugins={[rehypeHighlight]}>{children}</ReactMarkdown>
+    </div>
+  );
+}
+
+export default Markdown;
@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, DIFFICULTIES, errorDetails, notifyError } from './api';
+import ProblemMeta from './ProblemMeta';
+
+const DURATIONS = [30, 45, 60, 90];
+
+// Outcomes understood by POST /interviews/:id/finish, besides skipped
+const OUTCOME_OPTIONS = [
+  { value: 'solved', label: 'Solved', className: 'border-green-300 text-green-600 hover:bg-green-50' },
+  { value: 'partial', label: 'Partly', className: 'border-orange-300 text-orange-600 hover:bg-orange-50' },
+  { value: 'failed', label: 'Failed', className: 'border-red-300 text-red-600 hover:bg-red-50' },
+];
+
+const OUTCOME_LABELS = { solved: 'Solved', partial: 'Partly solved', failed: 'Failed', skipped: 'Skipped' };
+
+const formatTimer = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const secondsUntil = (time, now) => Math.max(0, Math.ceil((Date.parse(time) - now) / 1000));
+
+// Timed practice: pick a mix of questions, work through them against the
+// clock marking each solved, partly solved or failed, then see the score and
+// which failed questions were pulled forward in the schedule. When time runs
+// out the session is finished with the rest skipped.
+//
+// Without a session it shows the setup form and past sessions.
+function MockInterview({ tagOptions, syncKey }) {
+  const [mix, setMix] = useState({ Easy: 1, Medium: 2, Hard: 0 });
+  const [tags, setTags] = useState([]);
+  const [duration, setDuration] = useState(45);
+  const [errors, setErrors] = useState([]);
+  const [history, setHistory] = useState(null);
+  // The running session (as answered by the server) and one { question_id,
+  // outcome, time_spent } per question answered so far
+  const [session, setSession] = useState(null);
+  const [results, setResults] = useState([]);
+  const [questionStartedAt, setQuestionStartedAt] = useState(() => Date.now());
+  const [now, setNow] = useState(() => Date.now());
+  const [submitting, setSubmitting] = useState(false);
+  // The finished session with its pulled_forward moves
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/interviews`)
+      .then(res => setHistory(res.data))
+      .catch(error => notifyError('load past interviews', error));
+  }, [syncKey, summary]);
+
+  const begin = (interview) => {
+    setSession(interview);
+    setResults([]);
+    setSummary(null);
+    setQuestionStartedAt(Date.now());
+    setNow(Date.now());
+  };
+
+  const start = async () => {
+    try {
+      const res = await axios.post(`${API_URL}/interviews`, { mix, tags, duration_minutes: duration });
+      setErrors([]);
+      begin(res.data);
+    } catch (error) {
+      if (error.response?.status === 422) {
+        setErrors(errorDetails(error));
+      } else {
+        notifyError('start interview', error);
+      }
+    }
+  };
+
+  const resume = async (id) => {
+    try {
+      begin((await axios.get(`${API_URL}/interviews/${id}`)).data);
+    } catch (error) {
+      notifyError('resume interview', error);
+    }
+  };
+
+  const finish = async (answered) => {
+    setSubmitting(true);
+    try {
+      const res = await axios.post(`${API_URL}/interviews/${session.id}/finish`, { results: answered });
+      setSummary(res.data);
+      setSession(null);
+    } catch (error) {
+      notifyError('finish interview', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const question = session?.questions[results.length];
+
+  const record = (outcome) => {
+    const answered = [...results, {
+      question_id: question.question_id,
+      outcome,
+      time_spent: Math.floor((Date.now() - questionStartedAt) / 1000),
+    }];
+    setResults(answered);
+    setQuestionStartedAt(Date.now());
+    if (answered.length === session.questions.length) finish(answered);
+  };
+
+  // Ticks the clock and finishes the session when it runs out
+  useEffect(() => {
+    if (!session || submitting) return undefined;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= Date.parse(session.ends_at)) {
+        clearInterval(timer);
+        finish(results);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  });
+
+  const toggleTag = (name) => {
+    setTags(tags.includes(name) ? tags.filter(tag => tag !== name) : [...tags, name]);
+  };
+
+  if (session) {
+    const left = secondsUntil(session.ends_at, now);
+    return (
+      <div className="max-w-2xl mx-auto bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Mock interview</h2>
+          <div className="flex items-center gap-3 text-sm text-gray-500">
+            {question && <span>Question {results.length + 1} of {session.questions.length}</span>}
+            <span role="timer" aria-label="Time left" className={`font-mono text-lg ${left < 300 ? 'text-red-600' : 'text-indigo-600'}`}>
+              {formatTimer(left)}
+            </span>
+          </div>
+        </div>
+
+        {question ? (
+          <div className="rounded-lg border border-gray-200 p-5 space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800">{question.title}</h3>
+              <ProblemMeta question={question} />
+              <p className="text-xs text-gray-400 mt-1">
+                On this question for {formatTimer(Math.floor(Math.max(0, now - questionStartedAt) / 1000))}
+              </p>
+            </div>
+            <div className="flex flex-wrap justify-end items-center gap-2">
+              <span className="text-xs text-gray-500 mr-auto">How did it go?</span>
+              <button
+                onClick={() => record('skipped')}
+                disabled={submitting}
+                className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 text-gray-700 disabled:opacity-40"
+              >
+                Skip
+              </button>
+              {OUTCOME_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => record(option.value)}
+                  disabled={submitting}
+                  className={`px-3 py-1 text-sm border rounded disabled:opacity-40 ${option.className}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <p className="text-center py-6 text-gray-400">Saving results…</p>
+        )}
+
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={() => finish(results)}
+            disabled={submitting}
+            className="text-xs text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-40"
+          >
+            End interview now
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const inputClass = 'p-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500';
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      {summary && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100 space-y-3" aria-live="polite">
+          <h2 className="text-xl font-bold text-gray-800">Score: {summary.score}%</h2>
+          <ul className="text-sm divide-y divide-gray-100">
+            {summary.questions.map(item => (
+              <li key={item.question_id} className="flex justify-between py-1.5">
+                <span className="text-gray-700">{item.title}</span>
+                <span className="text-gray-500">
+                  {OUTCOME_LABELS[item.outcome]}
+                  {item.time_spent_seconds !== null && ` · ${formatTimer(item.time_spent_seconds)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {summary.pulled_forward.length > 0 && (
+            <p className="text-xs text-gray-500">
+              Pulled forward:{' '}
+              {summary.pulled_forward.map(move => `${move.title} (${dayjs(move.to).format('ddd, MMM D')})`).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100 space-y-4">
+        <h2 className="text-xl font-bold text-gray-800">{summary ? 'Another interview' : 'Mock interview'}</h2>
+        <p className="text-sm text-gray-500">
+          Questions are drawn from your library, favoring ones you have struggled with or not seen in a while.
+        </p>
+        <div className="flex flex-wrap gap-4">
+          {DIFFICULTIES.map(difficulty => (
+            <label key={difficulty} className="flex items-center gap-2 text-sm text-gray-600">
+              {difficulty}
+              <input
+                type="number"
+                min={0}
+                max={10}
+                value={mix[difficulty]}
+                onChange={(e) => setMix({ ...mix, [difficulty]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                aria-label={`${difficulty} questions`}
+                className={`${inputClass} w-16`}
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Time
+            <select value={duration} onChange={(e) => setDuration(Number(e.target.value))} className={inputClass}>
+              {DURATIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} min</option>)}
+            </select>
+          </label>
+        </div>
+        {tagOptions.length > 0 && (
+          <div className="flex flex-wrap gap-1" aria-label="Topics">
+            {tagOptions.map(tag => (
+              <button
+                key={tag.name}
+                onClick={() => toggleTag(tag.name)}
+                aria-pressed={tags.includes(tag.name)}
+                className={`px-2 py-0.5 rounded text-xs border ${tags.includes(tag.name) ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}`}
+              >
+                {tag.name}
+              </button>
+            ))}
+          </div>
+        )}
+        {errors.length > 0 && (
+          <ul className="text-xs text-red-600 list-disc list-inside">
+            {errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+        <div className="flex justify-end">
+          <button onClick={start} className="px-4 py-1.5 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700">
+            Start interview
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <h3 className="font-semibold text-gray-800 mb-2">Past sessions</h3>
+        {!history ? (
+          <p className="text-sm text-gray-400">Loading…</p>
+        ) : history.length === 0 ? (
+          <p className="text-sm text-gray-400">No interviews yet.</p>
+        ) : (
+          <ul className="text-sm divide-y divide-gray-100">
+            {history.map(past => (
+              <li key={past.id} className="flex justify-between items-center py-1.5">
+                <span className="text-gray-700">
+                  {dayjs(past.started_at).format('MMM D, YYYY')}
+                  <span className="text-gray-400"> · {past.total} question{past.total === 1 ? '' : 's'}, {past.duration_minutes} min</span>
+                  {past.tags.length > 0 && <span className="text-gray-400"> · {past.tags.join(', ')}</span>}
+                </span>
+                {past.finished_at ? (
+                  <span className="text-gray-500">{past.solved}/{past.total} solved · {past.score}%</span>
+                ) : (
+                  <button onClick={() => resume(past.id)} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium">
+                    Resume
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MockInterview;
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import MockInterview from './MockInterview';
+
+vi.mock('axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    interceptors: {
+      request: { use: vi.fn() },
+      response: { use: vi.fn(), eject: vi.fn() },
+    },
+  },
+}));
+
+const START = new Date(2025, 11, 15, 9, 0);
+const later = (seconds) => vi.setSystemTime(new Date(START.getTime() + seconds * 1000));
+
+const question = (question_id, title, difficulty) => ({
+  question_id, title, difficulty, position: question_id, outcome: null, time_spent_seconds: null, tags: [], url: null,
+});
+
+const interview = {
+  id: 7,
+  duration_minutes: 30,
+  tags: ['Array'],
+  started_at: START.toISOString(),
+  ends_at: new Date(START.getTime() + 30 * 60000).toISOString(),
+  finished_at: null,
+  score: null,
+  questions: [question(1, 'Two Sum', 'Easy'), question(2, 'LRU Cache', 'Medium')],
+};
+
+const past = {
+  id: 3, duration_minutes: 45, tags: [], started_at: '2025-12-01T10:00:00.000Z', finished_at: '2025-12-01T10:40:00.000Z',
+  score: 50, total: 2, solved: 1, partial: 0, failed: 1,
+};
+
+// Answers finish with the outcomes that were sent and LRU Cache pulled forward
+const finished = (results) => ({
+  ...interview,
+  finished_at: new Date().toISOString(),
+  score: 50,
+  questions: interview.questions.map(q => {
+    const result = results.find(r => r.question_id === q.question_id);
+    return { ...q, outcome: result?.outcome || 'skipped', time_spent_seconds: result?.time_spent ?? null };
+  }),
+  pulled_forward: [{ question_id: 2, title: 'LRU Cache', from: '2025-12-30', to: '2025-12-16' }],
+});
+
+const renderInterview = () => render(
+  <MockInterview tagOptions={[{ name: 'Array', count: 3 }, { name: 'Graph', count: 1 }]} syncKey={0} />,
+);
+
+describe('MockInterview', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Only Date is faked so user-event's timers keep working
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(START);
+    axios.get.mockResolvedValue({ data: [past] });
+    axios.post.mockImplementation(async (url, body) => ({
+      data: url.endsWith('/finish') ? finished(body.results) : interview,
+    }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('runs a session and shows the score and the questions pulled forward', async () => {
+    renderInterview();
+    expect(await screen.findByText('1/2 solved · 50%')).toBeInTheDocument();
+
+    await userEvent.clear(screen.getByRole('spinbutton', { name: 'Medium questions' }));
+    await userEvent.type(screen.getByRole('spinbutton', { name: 'Medium questions' }), '1');
+    await userEvent.click(screen.getByRole('button', { name: 'Array' }));
+    await userEvent.selectOptions(screen.getByRole('combobox'), '30');
+    await userEvent.click(screen.getByRole('button', { name: 'Start interview' }));
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringMatching(/\/interviews$/),
+      { mix: { Easy: 1, Medium: 1, Hard: 0 }, tags: ['Array'], duration_minutes: 30 },
+    );
+
+    expect(await screen.findByRole('heading', { name: 'Two Sum' })).toBeInTheDocument();
+    expect(screen.getByText('Question 1 of 2')).toBeInTheDocument();
+    expect(screen.getByRole('timer', { name: 'Time left' })).toHaveTextContent('30:00');
+
+    later(600);
+    await userEvent.click(screen.getByRole('button', { name: 'Solved' }));
+    expect(screen.getByRole('heading', { name: 'LRU Cache' })).toBeInTheDocument();
+    later(1500);
+    await userEvent.click(screen.getByRole('button', { name: 'Failed' }));
+
+    expect(axios.post).toHaveBeenLastCalledWith(expect.stringMatching(/\/interviews\/7\/finish$/), {
+      results: [
+        { question_id: 1, outcome: 'solved', time_spent: 600 },
+        { question_id: 2, outcome: 'failed', time_spent: 900 },
+      ],
+    });
+    expect(await screen.findByRole('heading', { name: 'Score: 50%' })).toBeInTheDocument();
+    expect(screen.getByText('Solved · 10:00')).toBeInTheDocument();
+    expect(screen.getByText('Pulled forward: LRU Cache (Tue, Dec 16)')).toBeInTheDocument();
+  });
+
+  it('finishes the session when time runs out', async () => {
+    renderInterview();
+    await userEvent.click(await screen.findByRole('button', { name: 'Start interview' }));
+    await userEvent.click(await screen.findByRole('button', { name: 'Partly' }));
+
+    later(30 * 60);
+    await vi.waitFor(() => expect(axios.post).toHaveBeenCalledTimes(2), { timeout: 2000 });
+    expect(axios.post).toHaveBeenLastCalledWith(expect.stringMatching(/\/finish$/), {
+      results: [{ question_id: 1, outcome: 'partial', time_spent: 0 }],
+    });
+    expect(await screen.findByText('Skipped')).toBeInTheDocument();
+  });
+
+  it('lists why a session could not start and resumes unfinished ones', async () => {
+    axios.get.mockImplementation(async (url) => ({
+      data: url.endsWith('/interviews') ? [{ ...past, id: 7, finished_at: null, score: null }] : interview,
+    }));
+    axios.post.mockRejectedValue({
+      response: { status: 422, data: { error: 'No questions', details: [{ field: 'tags', message: 'no active questions have these tags' }] } },
+    });
+    renderInterview();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Start interview' }));
+    expect(await screen.findByText('no active questions have these tags')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Resume' }));
+    expect(axios.get).toHaveBeenLastCalledWith(expect.stringMatching(/\/interviews\/7$/));
+    expect(await screen.findByRole('heading', { name: 'Two Sum' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,314 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, notifyError } from './api';
+import Markdown from './Markdown';
+import {
+  SECTION_PRESETS, CODE_LANGUAGES, parseNotes, serializeNotes, hasContent, addSection,
+  isCodeSection, notesToMarkdown, diffLines,
+} from './notes';
+
+const DIFF_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-700 line-through',
+  same: 'text-gray-500',
+};
+const DIFF_MARKS = { added: '+', removed: '-', same: ' ' };
+
+// Read-only rendering of a saved notes string
+export function NotesView({ notes }) {
+  const parsed = parseNotes(notes);
+  if (!hasContent(parsed)) {
+    return <p className="text-xs text-gray-400">No notes yet.</p>;
+  }
+  return <Markdown>{notesToMarkdown(parsed)}</Markdown>;
+}
+
+// Revision list for one question; picking a revision shows its diff against
+// the current notes and offers to restore it
+function NoteHistory({ questionId, current, onRestored }) {
+  const [revisions, setRevisions] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/questions/${questionId}/notes/revisions`)
+      .then(res => setRevisions(res.data))
+      .catch(error => notifyError('load note history', error));
+  }, [questionId, current]);
+
+  const selectRevision = async (id) => {
+    try {
+      const res = await axios.get(`${API_URL}/questions/${questionId}/notes/revisions/${id}`);
+      setSelected(res.data);
+    } catch (error) {
+      notifyError('load revision', error);
+    }
+  };
+
+  const restore = async () => {
+    try {
+      const res = await axios.post(`${API_URL}/questions/${questionId}/notes/revisions/${selected.id}/restore`);
+      setSelected(null);
+      onRestored(res.data.notes, res.data.version);
+    } catch (error) {
+      notifyError('restore revision', error);
+    }
+  };
+
+  if (!revisions) {
+    return <p className="text-xs text-gray-400">Loading history…</p>;
+  }
+  if (revisions.length === 0) {
+    return <p className="text-xs text-gray-400">No saved versions yet.</p>;
+  }
+
+  const diff = selected && diffLines(notesToMarkdown(parseNotes(selected.notes)), notesToMarkdown(parseNotes(current)));
+
+  return (
+    <div className="space-y-2">
+      <ul className="text-xs space-y-1 max-h-32 overflow-y-auto">
+        {revisions.map((revision, i) => (
+          <li key={revision.id}>
+            <button
+              onClick={() => selectRevision(revision.id)}
+              className={`w-full text-left px-2 py-1 rounded ${selected?.id === revision.id ? 'bg-indigo-50 text-indigo-700' : 'hover:bg-gray-50 text-gray-600'}`}
+            >
+              {dayjs(revision.created_at).format('MMM D, YYYY h:mm A')}
+              {i === 0 && ' (current)'}
+              <span className="text-gray-400"> · {revision.size} chars</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {selected && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500">Changes from this version to the current notes:</p>
+          <pre className="text-xs border border-gray-100 rounded max-h-60 overflow-auto">
+            {diff.map((line, i) => (
+              <div key={i} className={`px-2 ${DIFF_STYLES[line.type]}`}>{DIFF_MARKS[line.type]} {line.text}</div>
+            ))}
+          </pre>
+          <div className="flex justify-end">
+            <button onClick={restore} className="px-3 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700">
+              Restore this version
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sectioned Markdown notes for one question with preview, editing and history.
+// version is the notes_version the notes prop was read at; saves send it back
+// so an edit started before someone else's save is refused instead of
+// silently replacing it.
+function NotesEditor({ questionId, notes, version, onSaved }) {
+  // The notes string last stored on the server and its version; draft is the
+  // parsed working copy
+  const [saved, setSaved] = useState(notes || '');
+  const [savedVersion, setSavedVersion] = useState(version);
+  const [draft, setDraft] = useState(() => parseNotes(notes));
+  const [mode, setMode] = useState(() => (hasContent(parseNotes(notes)) ? 'preview' : 'edit'));
+  // Set when a save was refused because the notes changed elsewhere
+  const [conflict, setConflict] = useState(false);
+  const [prevNotes, setPrevNotes] = useState(notes);
+
+  const dirty = serializeNotes(draft) !== serializeNotes(parseNotes(saved));
+
+  // Newer notes from the server (e.g. saved in another tab) replace an
+  // untouched draft; unsaved edits are kept, and saving them then clashes
+  if (notes !== prevNotes && !dirty) {
+    setPrevNotes(notes);
+    setSaved(notes || '');
+    setSavedVersion(version);
+    setDraft(parseNotes(notes));
+  }
+
+  const updateSection = (index, changes) => {
+    setDraft(prev => ({ sections: prev.sections.map((s, i) => (i === index ? { ...s, ...changes } : s)) }));
+  };
+
+  const moveSection = (index, delta) => {
+    setDraft(prev => {
+      const sections = [...prev.sections];
+      const [section] = sections.splice(index, 1);
+      sections.splice(index + delta, 0, section);
+      return { sections };
+    });
+  };
+
+  const removeSection = (index) => {
+    setDraft(prev => ({ sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  const handleAddSection = (value) => {
+    const preset = value === 'custom'
+      ? { key: 'custom', title: 'New section' }
+      : SECTION_PRESETS.find(p => p.key === value);
+    if (preset) setDraft(prev => addSection(prev, preset));
+  };
+
+  const applySaved = (notesString, notesVersion) => {
+    setSaved(notesString);
+    setSavedVersion(notesVersion);
+    setDraft(parseNotes(notesString));
+    setConflict(false);
+    onSaved?.(notesString);
+  };
+
+  const save = async (baseVersion = savedVersion) => {
+    const notesString = serializeNotes(draft);
+    try {
+      const res = await axios.put(`${API_URL}/questions/${questionId}/notes`, { notes: notesString, version: baseVersion });
+      applySaved(notesString, res.data.version);
+    } catch (error) {
+      if (error.response?.data?.code === 'NOTES_CONFLICT') {
+        setConflict(true);
+      } else {
+        notifyError('save notes', error);
+      }
+    }
+  };
+
+  // Conflict resolution: take the other save and drop this draft, or save the
+  // draft over it
+  const loadLatest = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/questions/${questionId}/notes`);
+      applySaved(res.data.notes, res.data.version);
+    } catch (error) {
+      notifyError('load notes', error);
+    }
+  };
+
+  const overwrite = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/questions/${questionId}/notes`);
+      await save(res.data.version);
+    } catch (error) {
+      notifyError('load notes', error);
+    }
+  };
+
+  const tabClass = (value) => `px-2 py-0.5 rounded ${mode === value ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:text-gray-700'}`;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-1 text-xs">
+        <button onClick={() => setMode('preview')} className={tabClass('preview')}>Preview</button>
+        <button onClick={() => setMode('edit')} className={tabClass('edit')}>Edit</button>
+        <button onClick={() => setMode('history')} className={tabClass('history')}>History</button>
+      </div>
+
+      {mode === 'preview' && (
+        hasContent(draft)
+          ? <Markdown>{notesToMarkdown(draft)}</Markdown>
+          : <p className="text-xs text-gray-400">No notes yet. Switch to Edit to write some.</p>
+      )}
+
+      {mode === 'edit' && (
+        <div className="space-y-4">
+          {draft.sections.map((section, index) => (
+            <div key={section.key}>
+              <div className="flex items-center gap-1 mb-1">
+                <input
+                  type="text"
+                  value={section.title}
+                  onChange={(e) => updateSection(index, { title: e.target.value })}
+                  aria-label="Section title"
+                  className="flex-1 text-xs font-semibold text-gray-700 bg-transparent focus:outline-none focus:bg-gray-50 rounded px-1"
+                />
+                {isCodeSection(section) && (
+                  <select
+                    value={section.language}
+                    onChange={(e) => updateSection(index, { language: e.target.value })}
+                    aria-label="Code language"
+                    className="p-0.5 border border-gray-200 rounded text-xs focus:outline-none focus:border-indigo-500"
+                  >
+                    {CODE_LANGUAGES.map(language => <option key={language} value={language}>{language}</option>)}
+                  </select>
+                )}
+                <button
+                  onClick={() => moveSection(index, -1)}
+                  disabled={index === 0}
+                  aria-label="Move section up"
+                  className="px-1 text-xs text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                >
+                  &uarr;
+                </button>
+                <button
+                  onClick={() => moveSection(index, 1)}
+                  disabled={index === draft.sections.length - 1}
+                  aria-label="Move section down"
+                  className="px-1 text-xs text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                >
+                  &darr;
+                </button>
+                <button
+                  onClick={() => removeSection(index)}
+                  aria-label="Remove section"
+                  className="px-1 text-xs text-gray-400 hover:text-red-600"
+                >
+                  &times;
+                </button>
+              </div>
+              <textarea
+                value={section.body}
+                onChange={(e) => updateSection(index, { body: e.target.value })}
+                placeholder={isCodeSection(section) ? `Paste your ${section.language} solution...` : `${section.title} (Markdown)...`}
+                className={`w-full p-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500 resize-y ${isCodeSection(section) ? 'font-mono text-xs' : ''}`}
+                rows={isCodeSection(section) ? 6 : 3}
+              />
+            </div>
+          ))}
+          <select
+            value=""
+            onChange={(e) => handleAddSection(e.target.value)}
+            aria-label="Add section"
+            className="p-1 border border-gray-200 rounded text-xs text-gray-600 focus:outline-none focus:border-indigo-500"
+          >
+            <option value="">+ Add section</option>
+            {SECTION_PRESETS.map(preset => <option key={preset.key} value={preset.key}>{preset.title}</option>)}
+            <option value="custom">Custom…</option>
+          </select>
+        </div>
+      )}
+
+      {mode === 'history' && (
+        <NoteHistory questionId={questionId} current={saved} onRestored={applySaved} />
+      )}
+
+      {conflict && (
+        <div role="alert" className="p-2 text-xs bg-amber-50 border border-amber-200 rounded text-amber-800 space-y-2">
+          <p>These notes were changed somewhere else after you started editing.</p>
+          <div className="flex justify-end gap-2">
+            <button onClick={loadLatest} className="px-3 py-1 border border-amber-300 rounded hover:bg-amber-100">
+              Load their version
+            </button>
+            <button onClick={overwrite} className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700">
+              Keep mine
+            </button>
+          </div>
+        </div>
+      )}
+
+      {dirty && !conflict && (
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setDraft(parseNotes(saved))}
+            className="px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 text-gray-700"
+          >
+            Cancel
+          </button>
+          <button onClick={() => save()} className="px-3 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700">
+            Save Notes
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotesEditor;
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { onNotice } from './api';
+
+const DISMISS_AFTER_MS = 6000;
+
+// Stack of dismissible error notices raised through notifyError()
+function Notifications() {
+  const [notices, setNotices] = useState([]);
+
+  const dismiss = (id) => setNotices(prev => prev.filter(notice => notice.id !== id));
+
+  useEffect(() => onNotice(notice => {
+    setNotices(prev => [...prev, notice]);
+    setTimeout(() => dismiss(notice.id), DISMISS_AFTER_MS);
+  }), []);
+
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80">
+      {notices.map(notice => (
+        <div
+          key={notice.id}
+          role="alert"
+          className="flex items-start gap-2 p-3 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700 shadow-sm"
+        >
+          <span className="flex-1">{notice.message}</span>
+          <button onClick={() => dismiss(notice.id)} className="text-red-400 hover:text-red-600" aria-label="Dismiss">
+            &times;
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Notifications;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { offline } from './offline';
+
+// Status bar for offline use: shown while the server is unreachable, while
+// queued changes are waiting or syncing, and for changes the server refused
+// on replay. onSynced runs after queued changes reach the server.
+function OfflineStatus({ onSynced }) {
+  const [status, setStatus] = useState(offline.getState);
+
+  useEffect(() => offline.subscribe(setStatus), []);
+  useEffect(() => offline.onSynced(() => onSynced?.()), [onSynced]);
+
+  const { online, syncing, pending, failed } = status;
+  if (online && !pending && failed.length === 0) return null;
+
+  const waiting = `${pending} change${pending === 1 ? '' : 's'}`;
+
+  return (
+    <div className="max-w-4xl mx-auto mb-4 space-y-2" aria-live="polite">
+      {!online && (
+        <div className="p-2 text-sm rounded-lg border border-gray-200 bg-gray-100 text-gray-700">
+          Offline: showing what was last loaded.
+          {pending > 0 && ` ${waiting} will be sent when the server is back.`}
+        </div>
+      )}
+      {online && pending > 0 && (
+        <div className="p-2 text-sm rounded-lg border border-indigo-100 bg-indigo-50 text-indigo-700">
+          {syncing ? `Syncing ${waiting}…` : `${waiting} waiting to sync.`}
+        </div>
+      )}
+      {failed.map(change => (
+        <div key={change.id} className="flex items-start gap-2 p-2 text-sm rounded-lg border border-amber-200 bg-amber-50 text-amber-800">
+          <span className="flex-1">Could not sync the {change.label}: {change.error}</span>
+          {change.code === 'NOTES_CONFLICT' && (
+            <button
+              onClick={() => offline.retry(change.id, { force: true })}
+              title="The notes saved meanwhile stay in the note history"
+              className="px-2 py-0.5 text-xs bg-amber-600 text-white rounded hover:bg-amber-700"
+            >
+              Keep mine
+            </button>
+          )}
+          <button
+            onClick={() => offline.discard(change.id)}
+            className="px-2 py-0.5 text-xs border border-amber-300 rounded hover:bg-amber-100"
+          >
+            Discard
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default OfflineStatus;
@@ -0,0 +1,38 @@
+const DIFFICULTY_STYLES = {
+  Easy: 'bg-green-100 text-green-700',
+  Medium: 'bg-yellow-100 text-yellow-700',
+  Hard: 'bg-red-100 text-red-700',
+};
+
+// Difficulty badge, topic tags and problem link shown under a question title
+function ProblemMeta({ question }) {
+  const tags = question.tags || [];
+  if (!question.difficulty && !tags.length && !question.url) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-1">
+      {question.difficulty && (
+        <span className={`px-1.5 py-0.5 rounded text-[10px] font-semibold ${DIFFICULTY_STYLES[question.difficulty] || 'bg-gray-100 text-gray-600'}`}>
+          {question.difficulty}
+        </span>
+      )}
+      {tags.map(tag => (
+        <span key={tag} className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 text-[10px]">
+          {tag}
+        </span>
+      ))}
+      {question.url && (
+        <a
+          href={question.url}
+          target="_blank"
+          rel="noreferrer"
+          className="text-[10px] text-indigo-600 hover:text-indigo-800"
+        >
+          Open ↗
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default ProblemMeta;
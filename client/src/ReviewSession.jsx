@@ -0,0 +1,234 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, GRADE_OPTIONS, notifyError } from './api';
+import { NotesView } from './NotesEditor';
+import ProblemMeta from './ProblemMeta';
+
+const formatTimer = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const secondsBetween = (from, to) => Math.max(0, Math.floor((to - from) / 1000));
+
+// Keys typed into a form field belong to the field, not the session
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || target?.isContentEditable;
+
+const Key = ({ children }) => (
+  <kbd aria-hidden="true" className="ml-1 px-1 rounded border border-current opacity-60 text-[10px] font-mono">{children}</kbd>
+);
+
+// Flashcard review over the due queue: one card at a time, solution hidden
+// until revealed. The timer runs from showing the card until the reveal and
+// that attempt time is sent with the grade.
+//
+// phase: 'attempt' (solution hidden) -> 'revealed' (grade it) -> 'graded' (show next due)
+function ReviewSession({ filters, onExit }) {
+  const [cards, setCards] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [phase, setPhase] = useState('attempt');
+  const [startedAt, setStartedAt] = useState(() => Date.now());
+  const [now, setNow] = useState(() => Date.now());
+  // Attempt time frozen at the reveal
+  const [attemptSeconds, setAttemptSeconds] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // One entry per graded card: { id, title, grade, seconds, next_due }
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/queue`, {
+      params: { tag: filters.tag || undefined, difficulty: filters.difficulty || undefined },
+    }).then(res => setCards(res.data.filter(task => !task.completed)))
+      .catch(error => notifyError('load review queue', error));
+  }, [filters]);
+
+  useEffect(() => {
+    if (phase !== 'attempt') return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [phase, index]);
+
+  const card = cards?.[index];
+  const lastResult = results[results.length - 1];
+
+  const reveal = () => {
+    setAttemptSeconds(secondsBetween(startedAt, Date.now()));
+    setPhase('revealed');
+  };
+
+  const next = () => {
+    setIndex(i => i + 1);
+    setPhase('attempt');
+    setAttemptSeconds(null);
+    setStartedAt(Date.now());
+    setNow(Date.now());
+  };
+
+  const grade = async (value) => {
+    if (saving) return;
+    setSaving(true);
+    try {
+      const res = await axios.post(`${API_URL}/schedule/${card.id}/review`, { grade: value, time_spent: attemptSeconds });
+      setResults(prev => [...prev, {
+        id: card.id,
+        title: card.title,
+        grade: value,
+        seconds: attemptSeconds,
+        next_due: res.data.next_due,
+      }]);
+      setPhase('graded');
+    } catch (error) {
+      notifyError('grade review', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Space/Enter reveal and move on, 1-4 grade, S skips, Esc leaves the session
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === 'escape') {
+        onExit();
+      } else if (!card) {
+        return;
+      } else if (phase === 'attempt' && (key === ' ' || key === 'enter')) {
+        reveal();
+      } else if (phase === 'revealed' && GRADE_OPTIONS.some(option => option.key === key)) {
+        grade(GRADE_OPTIONS.find(option => option.key === key).value);
+      } else if (phase === 'graded' && (key === ' ' || key === 'enter' || key === 'n')) {
+        next();
+      } else if (phase !== 'graded' && key === 's') {
+        next();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  if (!cards) {
+    return <div className="max-w-2xl mx-auto text-center py-10 text-gray-400">Loading review queue…</div>;
+  }
+
+  const header = (
+    <div className="flex justify-between items-center mb-4">
+      <h2 className="text-xl font-bold text-gray-800">Review session</h2>
+      <div className="flex items-center gap-3 text-sm text-gray-500">
+        {card && <span>Card {index + 1} of {cards.length}</span>}
+        <button onClick={onExit} className="text-xs text-indigo-600 hover:text-indigo-800 font-medium px-2 py-1">
+          End session<Key>Esc</Key>
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!card) {
+    const totalSeconds = results.reduce((sum, result) => sum + (result.seconds || 0), 0);
+    return (
+      <div className="max-w-2xl mx-auto bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        {header}
+        {cards.length === 0 ? (
+          <p className="text-center py-10 text-gray-400">Nothing due. You are all caught up!</p>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-gray-700">
+              Session complete: graded {results.length} of {cards.length} card{cards.length === 1 ? '' : 's'} in {formatTimer(totalSeconds)}.
+            </p>
+            <ul className="text-sm divide-y divide-gray-100">
+              {results.map(result => (
+                <li key={result.id} className="flex justify-between py-1.5">
+                  <span className="text-gray-700">{result.title}</span>
+                  <span className="text-gray-500">
+                    {GRADE_OPTIONS.find(option => option.value === result.grade)?.label} · {formatTimer(result.seconds)}
+                    {result.next_due && ` · next ${dayjs(result.next_due).format('MMM D')}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <div className="flex justify-end mt-4">
+          <button onClick={onExit} className="px-3 py-1 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700">
+            Back to schedule
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const elapsed = attemptSeconds ?? secondsBetween(startedAt, now);
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+      {header}
+
+      <div className="rounded-lg border border-gray-200 p-5 space-y-4">
+        <div className="flex justify-between items-start gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">{card.title}</h3>
+            <ProblemMeta question={card} />
+            {card.days_overdue > 0 && <p className="text-xs text-red-600 mt-1">{card.days_overdue}d overdue</p>}
+          </div>
+          <span
+            role="timer"
+            aria-label="Attempt time"
+            className={`font-mono text-lg ${phase === 'attempt' ? 'text-indigo-600' : 'text-gray-400'}`}
+          >
+            {formatTimer(elapsed)}
+          </span>
+        </div>
+
+        {phase === 'attempt' ? (
+          <div className="text-center py-6 space-y-3">
+            <p className="text-sm text-gray-500">Solve it from memory, then reveal your saved approaches.</p>
+            <div className="flex justify-center gap-2">
+              <button onClick={next} className="px-3 py-1.5 text-sm border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+                Skip<Key>S</Key>
+              </button>
+              <button onClick={reveal} className="px-4 py-1.5 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                Reveal solution<Key>Space</Key>
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="border-t border-gray-100 pt-4">
+              <NotesView notes={card.notes} />
+            </div>
+
+            {phase === 'revealed' ? (
+              <div className="flex flex-wrap justify-end items-center gap-2">
+                <span className="text-xs text-gray-500 mr-auto">How well did you recall it?</span>
+                {GRADE_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => grade(option.value)}
+                    disabled={saving}
+                    className={`px-3 py-1 text-sm border rounded disabled:opacity-40 ${option.className}`}
+                  >
+                    {option.label}<Key>{option.key}</Key>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="flex justify-end items-center gap-3">
+                <span className="text-xs text-gray-500 mr-auto">
+                  Graded {GRADE_OPTIONS.find(option => option.value === lastResult.grade)?.label}
+                  {lastResult.next_due && ` · next review ${dayjs(lastResult.next_due).format('ddd, MMM D')}`}
+                </span>
+                <button onClick={next} className="px-4 py-1.5 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                  {index + 1 < cards.length ? 'Next card' : 'Finish'}<Key>Enter</Key>
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReviewSession;
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
+import ReviewSession from './ReviewSession';
+
+vi.mock('axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    interceptors: {
+      request: { use: vi.fn() },
+      response: { use: vi.fn(), eject: vi.fn() },
+    },
+  },
+}));
+
+const notes = (body) => JSON.stringify({ sections: [{ key: 'intuition', title: 'Intuition', body }] });
+
+const queue = [
+  { id: 1, question_id: 10, title: 'Two Sum', completed: 0, notes: notes('Hash the complements'), tags: [], days_overdue: 2 },
+  { id: 2, question_id: 11, title: 'Valid Parentheses', completed: 0, notes: notes('Use a stack'), tags: [], days_overdue: 0 },
+  { id: 3, question_id: 12, title: 'Already Done', completed: 1, notes: '', tags: [], days_overdue: 0 },
+];
+
+const START = new Date(2025, 11, 15, 9, 0);
+const later = (seconds) => vi.setSystemTime(new Date(START.getTime() + seconds * 1000));
+
+const renderSession = (onExit = vi.fn()) => {
+  render(<ReviewSession filters={{ tag: '', difficulty: '' }} onExit={onExit} />);
+  return onExit;
+};
+
+describe('ReviewSession', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Only Date is faked so user-event's timers keep working
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(START);
+    axios.get.mockResolvedValue({ data: queue });
+    axios.post.mockImplementation(async (url, body) => ({
+      data: { success: true, grade: body.grade, next_due: '2025-12-18' },
+    }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('hides the notes until revealed and sends the grade with the attempt time', async () => {
+    renderSession();
+
+    expect(await screen.findByRole('heading', { name: 'Two Sum' })).toBeInTheDocument();
+    expect(screen.getByText('Card 1 of 2')).toBeInTheDocument();
+    expect(screen.queryByText('Hash the complements')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Good' })).not.toBeInTheDocument();
+
+    later(95);
+    await userEvent.click(screen.getByRole('button', { name: 'Reveal solution' }));
+    expect(screen.getByText('Hash the complements')).toBeInTheDocument();
+    expect(screen.getByRole('timer')).toHaveTextContent('1:35');
+
+    // Reading the notes does not count towards the attempt
+    later(200);
+    await userEvent.click(screen.getByRole('button', { name: 'Good' }));
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringMatching(/\/schedule\/1\/review$/),
+      { grade: 'good', time_spent: 95 },
+    );
+    expect(await screen.findByText(/next review Thu, Dec 18/)).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Next card' }));
+    expect(screen.getByRole('heading', { name: 'Valid Parentheses' })).toBeInTheDocument();
+    expect(screen.getByRole('timer')).toHaveTextContent('0:00');
+  });
+
+  it('is driven from the keyboard and ends with a summary', async () => {
+    const onExit = renderSession();
+    await screen.findByRole('heading', { name: 'Two Sum' });
+
+    later(30);
+    await userEvent.keyboard(' ');
+    expect(screen.getByText('Hash the complements')).toBeInTheDocument();
+    await userEvent.keyboard('1');
+    expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/schedule\/1\/review$/), { grade: 'again', time_spent: 30 });
+    await screen.findByText(/Graded Again/);
+    await userEvent.keyboard('{Enter}');
+
+    // Skipping leaves the card ungraded
+    expect(screen.getByRole('heading', { name: 'Valid Parentheses' })).toBeInTheDocument();
+    await userEvent.keyboard('s');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    expect(screen.getByText('Session complete: graded 1 of 2 cards in 0:30.')).toBeInTheDocument();
+    await userEvent.keyboard('{Escape}');
+    expect(onExit).toHaveBeenCalled();
+  });
+
+  it('ignores grade keys before the reveal', async () => {
+    renderSession();
+    await screen.findByRole('heading', { name: 'Two Sum' });
+
+    await userEvent.keyboard('3');
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(screen.queryByText('Hash the complements')).not.toBeInTheDocument();
+  });
+
+  it('stays on the card when grading fails', async () => {
+    axios.post.mockRejectedValue({ response: { status: 409, data: { error: 'Review has already been graded', code: 'ALREADY_COMPLETED' } } });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderSession();
+    await screen.findByRole('heading', { name: 'Two Sum' });
+
+    await userEvent.click(screen.getByRole('button', { name: 'Reveal solution' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Easy' }));
+
+    expect(screen.getByRole('button', { name: 'Easy' })).toBeEnabled();
+    expect(screen.getByText('Card 1 of 2')).toBeInTheDocument();
+  });
+
+  it('says so when nothing is due', async () => {
+    axios.get.mockResolvedValue({ data: [] });
+    renderSession();
+
+    expect(await screen.findByText('Nothing due. You are all caught up!')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { API_URL, errorDetails, notifyError } from './api';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Suggestions for the time zone field; any IANA name is accepted
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const toForm = (settings) => ({
+  intervals: settings.intervals.join(', '),
+  time_zone: settings.time_zone,
+  week_start: String(settings.week_start),
+  daily_cap: settings.daily_cap === null ? '' : String(settings.daily_cap),
+  spread_days: String(settings.spread_days),
+});
+
+// Per-user settings from /settings. The server validates; its 422 details are
+// listed under the form.
+function Settings({ settings, onSettingsChange }) {
+  const [form, setForm] = useState(() => toForm(settings));
+  const [errors, setErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  const update = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setSaved(false);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.put(`${API_URL}/settings`, {
+        intervals: form.intervals,
+        time_zone: form.time_zone,
+        week_start: Number(form.week_start),
+        daily_cap: form.daily_cap.trim() === '' ? null : Number(form.daily_cap),
+        spread_days: Number(form.spread_days || 0),
+      });
+      onSettingsChange(res.data);
+      setForm(toForm(res.data));
+      setErrors([]);
+      setSaved(true);
+    } catch (error) {
+      if (error.response?.status === 422) {
+        setErrors(errorDetails(error));
+      } else {
+        notifyError('save settings', error);
+      }
+    }
+  };
+
+  const inputClass = 'p-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-indigo-500';
+
+  return (
+    <form onSubmit={save} className="max-w-2xl mx-auto bg-white p-6 rounded-xl shadow-sm border border-gray-100 space-y-5">
+      <h2 className="text-xl font-bold text-gray-800">Settings</h2>
+
+      <div className="space-y-1">
+        <label className="flex flex-col gap-1 text-sm text-gray-600">
+          Review intervals (days)
+          <input value={form.intervals} onChange={(e) => update('intervals', e.target.value)} className={inputClass} />
+        </label>
+        <p className="text-xs text-gray-400">
+          Days between the reviews of a newly added question, e.g. 1, 3, 7, 14. Existing schedules keep their dates.
+        </p>
+      </div>
+
+      <div className="space-y-1">
+        <label className="flex flex-col gap-1 text-sm text-gray-600">
+          Time zone
+          <input
+            value={form.time_zone}
+            onChange={(e) => update('time_zone', e.target.value)}
+            list="time-zones"
+            className={inputClass}
+          />
+        </label>
+        <datalist id="time-zones">
+          {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+        </datalist>
+        <p className="text-xs text-gray-400">Decides when a new day starts, and so what is due today.</p>
+      </div>
+
+      <label className="flex flex-col gap-1 text-sm text-gray-600">
+        Week starts on
+        <select value={form.week_start} onChange={(e) => update('week_start', e.target.value)} className={inputClass}>
+          {WEEKDAY_NAMES.map((name, i) => <option key={name} value={i}>{name}</option>)}
+        </select>
+      </label>
+
+      <div className="flex flex-wrap gap-4">
+        <label className="flex flex-col gap-1 text-sm text-gray-600">
+          Max reviews per day
+          <input
+            type="number"
+            min="1"
+            placeholder="No cap"
+            value={form.daily_cap}
+            onChange={(e) => update('daily_cap', e.target.value)}
+            className={`w-32 ${inputClass}`}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-gray-600">
+          Spread (± days)
+          <input
+            type="number"
+            min="0"
+            max="14"
+            value={form.spread_days}
+            onChange={(e) => update('spread_days', e.target.value)}
+            className={`w-32 ${inputClass}`}
+          />
+        </label>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 list-disc pl-4">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-end items-center gap-3">
+        {saved && <span className="text-xs text-green-600">Settings saved</span>}
+        <button type="submit" className="px-4 py-2 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700">
+          Save settings
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { API_URL, errorDetails, notifyError } from './api';
+
+const STATUS_STYLES = {
+  pass: { mark: '✓', className: 'text-green-700' },
+  fail: { mark: '✗', className: 'text-red-600' },
+  error: { mark: '!', className: 'text-red-600' },
+  timeout: { mark: '⏱', className: 'text-orange-600' },
+};
+
+const emptyTest = () => ({ input: '', expected: '' });
+
+// The form's view of a saved solution; entry is '' when the server picks it
+const toForm = (solution) => ({
+  code: solution.code,
+  entry: solution.entry || '',
+  tests: solution.tests.map(({ input, expected }) => ({ input, expected })),
+});
+
+// "Run tests" panel under a question's notes: a JavaScript solution, test
+// cases (argument list and expected return value as JSON) and the results of
+// running the draft in the server's sandbox. Loads when first opened.
+function SolutionRunner({ questionId }) {
+  const [open, setOpen] = useState(false);
+  // Last saved form (to tell whether there are unsaved changes) and the draft
+  const [saved, setSaved] = useState(null);
+  const [form, setForm] = useState(null);
+  const [run, setRun] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (open || form) return;
+    try {
+      const res = await axios.get(`${API_URL}/questions/${questionId}/solution`);
+      setSaved(toForm(res.data));
+      setForm(toForm(res.data));
+    } catch (error) {
+      notifyError('load solution', error);
+    }
+  };
+
+  const dirty = form && saved && JSON.stringify(form) !== JSON.stringify(saved);
+
+  const updateTest = (index, changes) => {
+    setForm(prev => ({ ...prev, tests: prev.tests.map((test, i) => (i === index ? { ...test, ...changes } : test)) }));
+  };
+
+  const body = () => ({ code: form.code, entry: form.entry.trim() || null, tests: form.tests });
+
+  // 422s list what to fix under the form; anything else is a notice
+  const handleError = (action, error) => {
+    if (error.response?.status === 422) {
+      setErrors(errorDetails(error));
+    } else {
+      notifyError(action, error);
+    }
+  };
+
+  const runTests = async () => {
+    setRunning(true);
+    try {
+      const res = await axios.post(`${API_URL}/questions/${questionId}/solution/run`, body());
+      setRun(res.data);
+      setErrors([]);
+    } catch (error) {
+      handleError('run tests', error);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const save = async () => {
+    try {
+      const res = await axios.put(`${API_URL}/questions/${questionId}/solution`, body());
+      setSaved(toForm(res.data));
+      setForm(toForm(res.data));
+      setErrors([]);
+    } catch (error) {
+      handleError('save solution', error);
+    }
+  };
+
+  const inputClass = 'w-full p-1.5 border border-gray-300 rounded font-mono text-xs focus:outline-none focus:border-indigo-500';
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100">
+      <button onClick={toggle} aria-expanded={open} className="text-xs font-medium text-indigo-600 hover:text-indigo-800">
+        {open ? '▾' : '▸'} Solution & tests
+      </button>
+
+      {open && !form && <p className="mt-2 text-xs text-gray-400">Loading solution…</p>}
+
+      {open && form && (
+        <div className="mt-2 space-y-3">
+          <textarea
+            value={form.code}
+            onChange={(e) => setForm({ ...form, code: e.target.value })}
+            aria-label="Solution code"
+            placeholder={'var twoSum = function(nums, target) {\n  ...\n};'}
+            rows={8}
+            spellCheck={false}
+            className={`${inputClass} resize-y`}
+          />
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            Function to call
+            <input
+              value={form.entry}
+              onChange={(e) => setForm({ ...form, entry: e.target.value })}
+              placeholder="first one in the code"
+              className="p-1 border border-gray-300 rounded font-mono text-xs focus:outline-none focus:border-indigo-500"
+            />
+          </label>
+
+          <div className="space-y-2">
+            <p className="text-xs text-gray-500">
+              Test cases: the arguments as a JSON array and the expected return value as JSON.
+            </p>
+            {form.tests.map((test, index) => {
+              const result = run?.results.find(r => r.index === index);
+              const style = result && STATUS_STYLES[result.status];
+              return (
+                <div key={index} className="flex items-start gap-2">
+                  <span className={`w-4 pt-1.5 text-xs text-center ${style?.className || 'text-gray-300'}`} title={result?.status}>
+                    {style?.mark || '·'}
+                  </span>
+                  <input
+                    value={test.input}
+                    onChange={(e) => updateTest(index, { input: e.target.value })}
+                    aria-label={`Test ${index + 1} input`}
+                    placeholder="[[2, 7, 11, 15], 9]"
+                    className={inputClass}
+                  />
+                  <input
+                    value={test.expected}
+                    onChange={(e) => updateTest(index, { expected: e.target.value })}
+                    aria-label={`Test ${index + 1} expected`}
+                    placeholder="[0, 1]"
+                    className={inputClass}
+                  />
+                  <button
+                    onClick={() => setForm({ ...form, tests: form.tests.filter((_, i) => i !== index) })}
+                    aria-label={`Remove test ${index + 1}`}
+                    className="px-1 pt-1 text-xs text-gray-400 hover:text-red-600"
+                  >
+                    &times;
+                  </button>
+                </div>
+              );
+            })}
+            <button
+              onClick={() => setForm({ ...form, tests: [...form.tests, emptyTest()] })}
+              className="text-xs text-indigo-600 hover:text-indigo-800"
+            >
+              + Add test case
+            </button>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {errors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          <div className="flex justify-end gap-2">
+            {dirty && (
+              <button onClick={save} className="px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50 text-gray-700">
+                Save solution
+              </button>
+            )}
+            <button
+              onClick={runTests}
+              disabled={running}
+              className="px-3 py-1 text-xs bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {running ? 'Running…' : 'Run tests'}
+            </button>
+          </div>
+
+          {run && (
+            <div className="space-y-1 text-xs" aria-live="polite">
+              {run.error ? (
+                <p className="p-2 rounded bg-red-50 text-red-700 font-mono whitespace-pre-wrap">{run.error}</p>
+              ) : (
+                <p className={run.failed ? 'text-red-600 font-semibold' : 'text-green-700 font-semibold'}>
+                  {run.passed}/{run.passed + run.failed} passed
+                </p>
+              )}
+              {run.results.map(result => (
+                <div key={result.index} className="p-2 rounded border border-gray-100 font-mono">
+                  <div className={STATUS_STYLES[result.status].className}>
+                    Test {result.index + 1}: {result.status}
+                    {result.time_ms !== null && <span className="text-gray-400"> · {result.time_ms} ms</span>}
+                  </div>
+                  {result.status === 'fail' && (
+                    <div className="text-gray-600">
+                      got {result.output}, expected {form.tests[result.index]?.expected}
+                    </div>
+                  )}
+                  {result.error && <div className="text-red-600">{result.error}</div>}
+                  {result.logs.map((line, i) => <div key={i} className="text-gray-500">&gt; {line}</div>)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SolutionRunner;
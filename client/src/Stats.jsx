@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { API_URL, notifyError } from './api';
+
+const HEATMAP_WEEKS = 26;
+
+const heatColor = (count) => {
+  if (!count) return 'bg-gray-100';
+  if (count < 2) return 'bg-indigo-200';
+  if (count < 4) return 'bg-indigo-400';
+  if (count < 7) return 'bg-indigo-600';
+  return 'bg-indigo-800';
+};
+
+const percent = (rate) => (rate === null || rate === undefined ? '–' : `${Math.round(rate * 100)}%`);
+
+const formatDuration = (seconds) => {
+  if (!seconds) return '–';
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-2xl font-bold text-gray-800">{value}</p>
+    </div>
+  );
+}
+
+function Stats({ syncKey }) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/stats`, { params: { days: HEATMAP_WEEKS * 7 } })
+      .then(res => setStats(res.data))
+      .catch(error => notifyError('load stats', error));
+  }, [syncKey]);
+
+  if (!stats) {
+    return <div className="max-w-4xl mx-auto text-center py-10 text-gray-400">Loading stats…</div>;
+  }
+
+  // Heatmap columns are weeks (Sunday first), oldest on the left
+  const counts = Object.fromEntries(stats.heatmap.map(day => [day.date, day.count]));
+  const start = dayjs(stats.today).startOf('week').subtract(HEATMAP_WEEKS - 1, 'week');
+  const weeks = Array.from({ length: HEATMAP_WEEKS }, (_, w) => (
+    Array.from({ length: 7 }, (_, d) => start.add(w * 7 + d, 'day'))
+  ));
+  const maxUpcoming = Math.max(1, ...stats.upcoming.map(day => day.count));
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatCard label="Current streak" value={`${stats.streak.current}d`} />
+        <StatCard label="Longest streak" value={`${stats.streak.longest}d`} />
+        <StatCard label="Retention" value={percent(stats.totals.retention)} />
+        <StatCard label="Avg. time per review" value={formatDuration(stats.totals.avg_time_seconds)} />
+      </div>
+
+      {/* Reviews per day heatmap */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <div className="flex justify-between items-baseline mb-4">
+          <h2 className="font-bold text-lg">Reviews per day</h2>
+          <p className="text-xs text-gray-500">
+            {stats.totals.reviews} total · {stats.totals.reviewed_today} today · {stats.totals.due} due
+          </p>
+        </div>
+        <div className="flex gap-1 overflow-x-auto">
+          {weeks.map((week, w) => (
+            <div key={w} className="flex flex-col gap-1">
+              {week.map(day => {
+                const dateStr = day.format('YYYY-MM-DD');
+                const isFuture = dateStr > stats.today;
+                return (
+                  <div
+                    key={dateStr}
+                    title={`${day.format('MMM D, YYYY')}: ${counts[dateStr] || 0} reviews`}
+                    className={`h-3 w-3 rounded-sm ${isFuture ? 'bg-transparent' : heatColor(counts[dateStr])}`}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Retention by interval step */}
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+          <h2 className="font-bold text-lg mb-4">Retention by review step</h2>
+          {stats.retention.length === 0 ? (
+            <p className="text-sm text-gray-400">Grade some reviews to see retention.</p>
+          ) : (
+            <div className="space-y-2">
+              {stats.retention.map(row => (
+                <div key={row.step} className="flex items-center gap-3 text-sm">
+                  <span className="w-14 text-gray-500">Step {row.label}</span>
+                  <div className="flex-1 h-3 bg-gray-100 rounded">
+                    <div className="h-3 bg-green-500 rounded" style={{ width: `${(row.rate || 0) * 100}%` }} />
+                  </div>
+                  <span className="w-20 text-right text-gray-600">{percent(row.rate)} ({row.reviews})</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Upcoming load from the calendar */}
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+          <h2 className="font-bold text-lg mb-4">Next 14 days</h2>
+          {stats.upcoming.length === 0 ? (
+            <p className="text-sm text-gray-400">Nothing scheduled.</p>
+          ) : (
+            <div className="space-y-2">
+              {stats.upcoming.map(day => (
+                <div key={day.date} className="flex items-center gap-3 text-sm">
+                  <span className="w-20 text-gray-500">{dayjs(day.date).format('ddd, MMM D')}</span>
+                  <div className="flex-1 h-3 bg-gray-100 rounded">
+                    <div className="h-3 bg-indigo-500 rounded" style={{ width: `${(day.count / maxUpcoming) * 100}%` }} />
+                  </div>
+                  <span className="w-6 text-right text-gray-600">{day.count}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Per-tag weakness */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-100">
+        <h2 className="font-bold text-lg mb-4">Topics (weakest first)</h2>
+        {stats.tags.length === 0 ? (
+          <p className="text-sm text-gray-400">Tag your questions to see per-topic stats.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-2 font-semibold">Topic</th>
+                <th className="py-2 font-semibold text-right">Questions</th>
+                <th className="py-2 font-semibold text-right">Reviews</th>
+                <th className="py-2 font-semibold text-right">Forgot</th>
+                <th className="py-2 font-semibold text-right">Retention</th>
+                <th className="py-2 font-semibold text-right">Avg. ease</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.tags.map(row => (
+                <tr key={row.tag} className="border-b border-gray-50">
+                  <td className="py-2 text-gray-700">{row.tag}</td>
+                  <td className="py-2 text-right text-gray-600">{row.questions}</td>
+                  <td className="py-2 text-right text-gray-600">{row.reviews}</td>
+                  <td className="py-2 text-right text-red-600">{row.failed}</td>
+                  <td className="py-2 text-right text-gray-700 font-medium">{percent(row.rate)}</td>
+                  <td className="py-2 text-right text-gray-600">{row.avg_ease ?? '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Stats;
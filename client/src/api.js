@@ -0,0 +1,104 @@
+import axios from 'axios';
+
+// Set VITE_API_URL at build time to point the client at another server
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Difficulty values accepted by the server
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Recall grades understood by POST /schedule/:id/review; key is the review
+// session's keyboard shortcut
+export const GRADE_OPTIONS = [
+  { value: 'again', label: 'Again', key: '1', className: 'border-red-300 text-red-600 hover:bg-red-50' },
+  { value: 'hard', label: 'Hard', key: '2', className: 'border-orange-300 text-orange-600 hover:bg-orange-50' },
+  { value: 'good', label: 'Good', key: '3', className: 'border-green-300 text-green-600 hover:bg-green-50' },
+  { value: 'easy', label: 'Easy', key: '4', className: 'border-indigo-300 text-indigo-600 hover:bg-indigo-50' },
+];
+
+// --- Session token ---
+// Saved in localStorage and attached to every axios request as a Bearer token
+const TOKEN_KEY = 'leetcode-scheduler-token';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+axios.interceptors.request.use(config => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Calls handler whenever the server rejects the session; returns an unsubscribe function
+export const onUnauthorized = (handler) => {
+  const id = axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response?.status === 401) handler();
+      return Promise.reject(error);
+    }
+  );
+  return () => axios.interceptors.response.eject(id);
+};
+
+// --- Errors ---
+// The server answers every failure with { error, code, details? }; turn any
+// axios error into a sentence worth showing to the user
+export const errorMessage = (error) => {
+  if (error.response?.data?.error) return error.response.data.error;
+  if (error.request && !error.response) return 'Could not reach the server. Check your connection and try again.';
+  return error.message;
+};
+
+// Field-level messages from a 422, falling back to the overall message
+export const errorDetails = (error) => (
+  error.response?.data?.details?.map(detail => detail.message) || [errorMessage(error)]
+);
+
+// Failure notices are shown by <Notifications />; listeners receive { id, message }
+const listeners = new Set();
+let nextNoticeId = 1;
+
+export const notifyError = (action, error) => {
+  console.error(`Failed to ${action}:`, error);
+  const notice = { id: nextNoticeId++, message: `Failed to ${action}: ${errorMessage(error)}` };
+  listeners.forEach(listener => listener(notice));
+};
+
+// Returns an unsubscribe function
+export const onNotice = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Downloads an authenticated API response as a file
+export const downloadFile = async (path, fallbackName) => {
+  const res = await axios.get(`${API_URL}${path}`, { responseType: 'blob' }).catch(async error => {
+    // Error bodies arrive as a Blob too; decode them so errorMessage() can read them
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch {
+        // Not JSON; errorMessage() falls back to the status text
+      }
+    }
+    throw error;
+  });
+  const disposition = res.headers['content-disposition'] || '';
+  const fileName = /filename="?([^"]+)"?/.exec(disposition)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
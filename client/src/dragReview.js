@@ -0,0 +1,31 @@
+// --- Drag and drop of scheduled reviews ---
+// Pending reviews can be dragged from the task list and the week and agenda
+// views onto a calendar day. The dragged data is the review's id and current
+// due date under a type of its own, so other drags (text, files) are ignored.
+const REVIEW_TYPE = 'application/x-scheduled-review';
+
+// Props for an element showing a pending review
+export const reviewDragProps = (review) => ({
+  draggable: true,
+  onDragStart: (e) => {
+    e.dataTransfer.setData(REVIEW_TYPE, JSON.stringify({ id: review.id, due_date: review.due_date }));
+    e.dataTransfer.effectAllowed = 'move';
+  },
+});
+
+// Props for a day that accepts reviews; onMove(review, date) is called with
+// { id, due_date } when one from another day is dropped on it
+export const reviewDropProps = (date, onMove) => ({
+  onDragOver: (e) => {
+    if (!Array.from(e.dataTransfer.types).includes(REVIEW_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  },
+  onDrop: (e) => {
+    const data = e.dataTransfer.getData(REVIEW_TYPE);
+    if (!data) return;
+    e.preventDefault();
+    const review = JSON.parse(data);
+    if (review.due_date !== date) onMove(review, date);
+  },
+});
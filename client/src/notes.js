@@ -0,0 +1,111 @@
+// --- Structured notes ---
+// A question's notes are stored as a JSON string:
+//   { "sections": [{ "key", "title", "body", "language"? }] }
+// Bodies are Markdown, except code sections whose body is raw code in
+// `language`. Older notes were { bruteForce, optimized } or plain text and are
+// converted when read. server/notes.js has the same reader for the CLI; its
+// tests check that the two agree.
+
+export const SECTION_PRESETS = [
+  { key: 'intuition', title: 'Intuition' },
+  { key: 'complexity', title: 'Complexity' },
+  { key: 'pitfalls', title: 'Pitfalls' },
+  { key: 'code', title: 'Code', language: 'python' },
+];
+
+// Languages offered for code sections; all are highlighted by rehype-highlight
+export const CODE_LANGUAGES = [
+  'python', 'javascript', 'typescript', 'java', 'cpp', 'c', 'csharp', 'go', 'rust', 'kotlin', 'swift', 'ruby', 'sql', 'bash',
+];
+
+const emptySection = (preset) => ({ ...preset, body: '' });
+
+export const defaultNotes = () => ({ sections: SECTION_PRESETS.map(emptySection) });
+
+export const isCodeSection = (section) => section.language !== undefined;
+
+export const parseNotes = (notesString) => {
+  if (!notesString) return defaultNotes();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(notesString);
+  } catch {
+    return { sections: [{ key: 'notes', title: 'Notes', body: notesString }] };
+  }
+
+  if (Array.isArray(parsed?.sections)) {
+    return {
+      sections: parsed.sections.map((section, i) => ({
+        key: String(section.key || `section-${i}`),
+        title: String(section.title ?? ''),
+        body: String(section.body ?? ''),
+        ...(section.language !== undefined && { language: String(section.language) }),
+      })),
+    };
+  }
+  if (parsed && typeof parsed === 'object' && ('bruteForce' in parsed || 'optimized' in parsed)) {
+    return {
+      sections: [
+        { key: 'bruteForce', title: 'Brute Force Approach', body: parsed.bruteForce || '' },
+        { key: 'optimized', title: 'Optimized Approach', body: parsed.optimized || '' },
+      ],
+    };
+  }
+  // Valid JSON that isn't a notes object (e.g. a bare number) is just text
+  return { sections: [{ key: 'notes', title: 'Notes', body: notesString }] };
+};
+
+export const serializeNotes = (notes) => JSON.stringify({ sections: notes.sections });
+
+export const hasContent = (notes) => notes.sections.some(section => section.body.trim());
+
+// Adds a preset (or a custom titled section) with a key unique within the note
+export const addSection = (notes, preset) => {
+  const taken = new Set(notes.sections.map(section => section.key));
+  let key = preset.key;
+  for (let n = 2; taken.has(key); n++) key = `${preset.key}-${n}`;
+  return { sections: [...notes.sections, { ...emptySection(preset), key }] };
+};
+
+// The whole note as one Markdown document, used for previews and diffs
+export const notesToMarkdown = (notes) => notes.sections
+  .filter(section => section.body.trim())
+  .map(section => {
+    const body = isCodeSection(section)
+      ? `\`\`\`${section.language}\n${section.body.replace(/\n+$/, '')}\n\`\`\``
+      : section.body.trim();
+    return `## ${section.title || 'Untitled'}\n\n${body}`;
+  })
+  .join('\n\n');
+
+// Line diff (longest common subsequence). Returns [{ type: 'same' | 'added' | 'removed', text }]
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { parseNotes, serializeNotes, addSection, notesToMarkdown, diffLines, defaultNotes } from './notes';
+
+describe('parseNotes', () => {
+  it('gives empty notes the default sections', () => {
+    expect(parseNotes('')).toEqual(defaultNotes());
+    expect(parseNotes(null).sections.map(s => s.title)).toEqual(['Intuition', 'Complexity', 'Pitfalls', 'Code']);
+  });
+
+  it('reads plain text as a single section', () => {
+    expect(parseNotes('remember the edge case')).toEqual({
+      sections: [{ key: 'notes', title: 'Notes', body: 'remember the edge case' }],
+    });
+    expect(parseNotes('42').sections[0].body).toBe('42');
+  });
+
+  it('converts the old two-field format', () => {
+    const notes = parseNotes(JSON.stringify({ bruteForce: 'loops', optimized: 'hash' }));
+    expect(notes.sections.map(s => [s.title, s.body])).toEqual([
+      ['Brute Force Approach', 'loops'],
+      ['Optimized Approach', 'hash'],
+    ]);
+  });
+
+  it('round-trips sectioned notes', () => {
+    const notes = { sections: [{ key: 'code', title: 'Code', body: 'x = 1', language: 'python' }] };
+    expect(parseNotes(serializeNotes(notes))).toEqual(notes);
+  });
+});
+
+describe('addSection', () => {
+  it('keeps keys unique', () => {
+    const notes = addSection(addSection({ sections: [] }, { key: 'custom', title: 'A' }), { key: 'custom', title: 'B' });
+    expect(notes.sections.map(s => s.key)).toEqual(['custom', 'custom-2']);
+  });
+});
+
+describe('notesToMarkdown', () => {
+  it('skips empty sections and fences code in its language', () => {
+    const markdown = notesToMarkdown({
+      sections: [
+        { key: 'intuition', title: 'Intuition', body: 'Two pointers\n' },
+        { key: 'pitfalls', title: 'Pitfalls', body: '  ' },
+        { key: 'code', title: 'Code', body: 'let i = 0;\n\n', language: 'javascript' },
+      ],
+    });
+    expect(markdown).toBe('## Intuition\n\nTwo pointers\n\n## Code\n\n```javascript\nlet i = 0;\n```');
+  });
+});
+
+describe('diffLines', () => {
+  it('marks added, removed and unchanged lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' },
+    ]);
+  });
+
+  it('handles identical and empty inputs', () => {
+    expect(diffLines('x', 'x')).toEqual([{ type: 'same', text: 'x' }]);
+    expect(diffLines('', 'new')).toEqual([{ type: 'removed', text: '' }, { type: 'added', text: 'new' }]);
+  });
+});
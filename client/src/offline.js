@@ -0,0 +1,343 @@
+import axios from 'axios';
+import { API_URL, getToken, errorMessage } from './api';
+
+// --- Offline support ---
+// Successful GETs of the deck are kept in IndexedDB so the app still opens
+// and shows the last known queue, calendar and notes while the server is
+// unreachable. Grades, new questions and notes saves made meanwhile are
+// queued there and replayed in order once the server answers again; a replay
+// the server refuses (e.g. notes changed elsewhere) is kept as a failed
+// change for the user to retry or discard.
+
+const DB_NAME = 'leetcode-scheduler';
+const PROBE_MS = 15000;
+
+// GET paths (relative to API_URL) answered from the cache when offline
+const CACHED_GETS = [
+  /^\/auth\/me$/, /^\/settings$/, /^\/queue$/, /^\/schedule$/, /^\/agenda$/, /^\/calendar-stats$/, /^\/tags$/,
+  /^\/blackouts$/, /^\/questions$/, /^\/questions\/\d+\/notes$/, /^\/stats$/,
+];
+
+// --- Storage ---
+// Two object stores: responses (cached GET bodies by key) and mutations (the
+// queue, in insertion order). Falls back to memory where IndexedDB is
+// missing, as in tests.
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const indexedDbStorage = () => {
+  const open = indexedDB.open(DB_NAME, 1);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore('responses');
+    open.result.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+  };
+  const opened = idbRequest(open);
+  const run = async (store, mode, action) => {
+    const db = await opened;
+    return idbRequest(action(db.transaction(store, mode).objectStore(store)));
+  };
+  return {
+    get: (store, key) => run(store, 'readonly', s => s.get(key)),
+    getAll: (store) => run(store, 'readonly', s => s.getAll()),
+    keys: (store) => run(store, 'readonly', s => s.getAllKeys()),
+    // key is only passed for responses; mutations get an id
+    put: (store, value, key) => run(store, 'readwrite', s => s.put(value, key)),
+    delete: (store, key) => run(store, 'readwrite', s => s.delete(key)),
+  };
+};
+
+export const memoryStorage = () => {
+  const stores = { responses: new Map(), mutations: new Map() };
+  let nextId = 1;
+  return {
+    get: async (store, key) => structuredClone(stores[store].get(key)),
+    getAll: async (store) => [...stores[store].values()].map(value => structuredClone(value)),
+    keys: async (store) => [...stores[store].keys()],
+    put: async (store, value, key) => {
+      if (store === 'mutations') {
+        const id = value.id ?? nextId++;
+        stores.mutations.set(id, structuredClone({ ...value, id }));
+        return id;
+      }
+      stores[store].set(key, structuredClone(value));
+      return key;
+    },
+    delete: async (store, key) => {
+      stores[store].delete(key);
+    },
+  };
+};
+
+// --- Requests ---
+const pathOf = (config) => (config.url.startsWith(API_URL) ? config.url.slice(API_URL.length) : null);
+
+const cacheKey = (userId, path, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  // Who is signed in is only known once /auth/me answers, so it is cached by token
+  const owner = path === '/auth/me' ? `token:${getToken()}` : `user:${userId}`;
+  return `${owner} ${path}${query && `?${query}`}`;
+};
+
+const parseBody = (data) => (typeof data === 'string' ? JSON.parse(data || '{}') : data || {});
+
+// Today in the user's time zone as last fetched from /settings; the server
+// refuses review dates after its own today
+const todayIn = (timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(new Date());
+
+// Offline support around an axios-like client. send(config) performs a replay.
+// Pass the returned handleResponse/handleError to axios.interceptors.response.
+export const createOffline = ({ storage, send, probe = () => {}, probeMs = PROBE_MS }) => {
+  let userId = null;
+  let online = true;
+  let replaying = false;
+  let probeTimer = null;
+  // { online, syncing, pending, failed: [{ id, label, error, code }] }
+  let state = { online: true, syncing: false, pending: 0, failed: [] };
+  const listeners = new Set();
+  const syncedListeners = new Set();
+
+  const mine = async () => (await storage.getAll('mutations'))
+    .filter(mutation => mutation.user_id === userId)
+    .sort((a, b) => a.id - b.id);
+
+  const publish = async (changes = {}) => {
+    const mutations = await mine();
+    state = {
+      ...state,
+      ...changes,
+      online,
+      pending: mutations.filter(mutation => !mutation.error).length,
+      failed: mutations.filter(mutation => mutation.error)
+        .map(({ id, label, error, code }) => ({ id, label, error, code })),
+    };
+    listeners.forEach(listener => listener(state));
+  };
+
+  // While offline, poll the server so a restart is noticed without a reload
+  const setOnline = (value) => {
+    if (online === value) return;
+    online = value;
+    clearInterval(probeTimer);
+    probeTimer = value ? null : setInterval(probe, probeMs);
+    publish();
+    if (value) replay();
+  };
+
+  // --- Cache ---
+  const cached = (path, params) => storage.get('responses', cacheKey(userId, path, params));
+
+  // Applies fn to every cached response whose path matches
+  const patchCache = async (pattern, fn) => {
+    const prefix = `user:${userId} `;
+    const keys = (await storage.keys('responses')).filter(key => key.startsWith(prefix));
+    for (const key of keys) {
+      const path = key.slice(prefix.length).split('?')[0];
+      if (!pattern.test(path)) continue;
+      const entry = await storage.get('responses', key);
+      await storage.put('responses', { ...entry, data: fn(entry.data) }, key);
+    }
+  };
+
+  const findTitle = async (match) => {
+    const prefix = `user:${userId} `;
+    for (const key of await storage.keys('responses')) {
+      if (!key.startsWith(prefix)) continue;
+      const { data } = await storage.get('responses', key);
+      const rows = Array.isArray(data) ? data : data?.questions;
+      const row = Array.isArray(rows) && rows.find(match);
+      if (row) return row.title;
+    }
+    return null;
+  };
+
+  // --- Queue ---
+  // Each queueable mutation: how to match it, prepare its stored body, label
+  // it for the status bar, update the cache so the UI reflects it, and the
+  // response handed to the caller in place of the server's
+  const QUEUEABLE = [
+    {
+      method: 'post',
+      path: /^\/schedule\/(\d+)\/review$/,
+      prepare: async (body) => ({ date: todayIn((await cached('/settings'))?.data.time_zone), ...body }),
+      label: async ([id]) => `grade for ${(await findTitle(row => 'question_id' in row && row.id === Number(id))) || `review ${id}`}`,
+      apply: async ([id], body) => {
+        await patchCache(/^\/queue$/, rows => rows.filter(row => row.id !== Number(id)));
+        await patchCache(/^\/schedule$/, rows => rows.map(row => (
+          row.id === Number(id) ? { ...row, completed: 1, grade: body.grade } : row
+        )));
+        return { success: true, queued: true };
+      },
+    },
+    {
+      method: 'post',
+      path: /^\/questions$/,
+      prepare: async (body) => ({ started: todayIn((await cached('/settings'))?.data.time_zone), ...body }),
+      label: async (match, body) => `new question "${body.title || body.problem_number}"`,
+      apply: async () => ({ success: true, queued: true }),
+    },
+    {
+      method: 'put',
+      path: /^\/questions\/(\d+)\/notes$/,
+      prepare: async (body) => body,
+      label: async ([id]) => `notes for ${(await findTitle(row => (row.question_id ?? row.id) === Number(id))) || `question ${id}`}`,
+      apply: async ([id], body) => {
+        // If the replay goes through, the server's version will be one higher
+        const version = body.version === undefined ? undefined : body.version + 1;
+        const update = row => (row.question_id === Number(id) ? { ...row, notes: body.notes, notes_version: version } : row);
+        await patchCache(/^\/(queue|schedule)$/, rows => rows.map(update));
+        await patchCache(new RegExp(`^/questions/${id}/notes$`), () => ({ notes: body.notes, version }));
+        return { success: true, queued: true, version };
+      },
+    },
+  ];
+
+  const enqueue = async (config, path) => {
+    const method = config.method.toLowerCase();
+    const kind = QUEUEABLE.find(entry => entry.method === method && entry.path.test(path));
+    if (!kind || userId === null) return null;
+
+    const match = kind.path.exec(path).slice(1);
+    const body = await kind.prepare(parseBody(config.data));
+    await storage.put('mutations', {
+      user_id: userId,
+      method,
+      path,
+      body,
+      label: await kind.label(match, body),
+      queued_at: new Date().toISOString(),
+    });
+    const data = await kind.apply(match, body);
+    await publish();
+    return data;
+  };
+
+  // Sends queued changes oldest first; stops at the first one that still
+  // cannot reach the server
+  const replay = async () => {
+    if (replaying || userId === null) return;
+    replaying = true;
+    let synced = 0;
+    await publish({ syncing: true });
+    try {
+      for (const mutation of (await mine()).filter(entry => !entry.error)) {
+        try {
+          await send({ method: mutation.method, url: `${API_URL}${mutation.path}`, data: mutation.body });
+        } catch (error) {
+          if (!error.response) {
+            setOnline(false);
+            break;
+          }
+          // Signed out; try again after signing back in
+          if (error.response.status === 401) break;
+          await storage.put('mutations', { ...mutation, error: errorMessage(error), code: error.response.data?.code });
+          continue;
+        }
+        await storage.delete('mutations', mutation.id);
+        synced++;
+      }
+    } finally {
+      replaying = false;
+      await publish({ syncing: false });
+      if (synced) syncedListeners.forEach(listener => listener(synced));
+    }
+  };
+
+  // --- Interceptors ---
+  const handleResponse = async (response) => {
+    const { config } = response;
+    const path = pathOf(config);
+    if (config.method === 'get' && path && CACHED_GETS.some(pattern => pattern.test(path))) {
+      await storage.put('responses', { data: response.data, saved_at: new Date().toISOString() }, cacheKey(userId, path, config.params));
+    }
+    if (!config.replay) setOnline(true);
+    return response;
+  };
+
+  const handleError = async (error) => {
+    const { config } = error;
+    // Only network failures; the server's own answers and replays pass through
+    if (error.response || !config || config.replay || axios.isCancel?.(error)) throw error;
+    const path = pathOf(config);
+    if (!path) throw error;
+    setOnline(false);
+
+    if (config.method === 'get') {
+      const entry = CACHED_GETS.some(pattern => pattern.test(path)) && await cached(path, config.params);
+      if (entry) return { data: entry.data, status: 200, statusText: 'OK', headers: {}, config, cached: true };
+      throw error;
+    }
+    const data = await enqueue(config, path);
+    if (data) return { data, status: 202, statusText: 'Accepted', headers: {}, config, queued: true };
+    throw error;
+  };
+
+  return {
+    handleResponse,
+    handleError,
+    replay,
+
+    // Scopes the cache and queue to the signed-in account (null when signed out)
+    setUser: async (id) => {
+      userId = id;
+      await publish();
+      if (id !== null && online) await replay();
+    },
+
+    // Sends a failed change again; force leaves out the notes version so it
+    // replaces whatever was saved meanwhile (which stays in the notes history)
+    retry: async (id, { force = false } = {}) => {
+      const mutation = (await mine()).find(entry => entry.id === id);
+      if (!mutation) return;
+      const body = { ...mutation.body };
+      if (force) delete body.version;
+      await storage.put('mutations', { ...mutation, body, error: undefined, code: undefined });
+      await replay();
+    },
+
+    discard: async (id) => {
+      await storage.delete('mutations', id);
+      await publish();
+    },
+
+    // Forgets this account's cached responses, e.g. on sign out. Its queued
+    // changes stay and are sent after it signs in again.
+    clearCache: async () => {
+      const prefix = `user:${userId} `;
+      for (const key of await storage.keys('responses')) {
+        if (key.startsWith(prefix) || key.startsWith('token:')) await storage.delete('responses', key);
+      }
+    },
+
+    getState: () => state,
+
+    // Both return an unsubscribe function
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    onSynced: (listener) => {
+      syncedListeners.add(listener);
+      return () => syncedListeners.delete(listener);
+    },
+  };
+};
+
+// The app's instance, wired into axios by installOffline() from main.jsx
+export const offline = createOffline({
+  storage: typeof indexedDB === 'undefined' ? memoryStorage() : indexedDbStorage(),
+  send: (config) => axios.request({ ...config, replay: true }),
+  probe: () => axios.get(`${API_URL}/auth/me`).catch(() => {}),
+});
+
+export const installOffline = () => {
+  axios.interceptors.response.use(offline.handleResponse, offline.handleError);
+  window.addEventListener('online', () => offline.replay());
+};
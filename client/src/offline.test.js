@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { API_URL } from './api';
+import { createOffline, memoryStorage } from './offline';
+
+const config = (method, path, extra = {}) => ({ method, url: `${API_URL}${path}`, ...extra });
+const networkError = (cfg) => Object.assign(new Error('Network Error'), { config: cfg, request: {} });
+const serverError = (status, data) => Object.assign(new Error('Request failed'), { response: { status, data } });
+
+describe('offline', () => {
+  let send;
+  let offline;
+
+  // A successful GET as axios would hand it to the interceptor
+  const load = (path, data, params) => offline.handleResponse({ data, config: config('get', path, { params }) });
+
+  beforeEach(() => {
+    send = vi.fn().mockResolvedValue({ data: {} });
+    offline = createOffline({ storage: memoryStorage(), send });
+    return offline.setUser(1);
+  });
+
+  it('answers GETs from the last response while the server is unreachable', async () => {
+    await load('/schedule', [{ id: 1 }], { date: '2025-12-15', tag: undefined });
+    const res = await offline.handleError(networkError(config('get', '/schedule', { params: { date: '2025-12-15' } })));
+    expect(res).toMatchObject({ data: [{ id: 1 }], cached: true });
+    expect(offline.getState().online).toBe(false);
+
+    // Nothing cached for another date, and the catalog is never cached
+    await expect(offline.handleError(networkError(config('get', '/schedule', { params: { date: '2025-12-16' } }))))
+      .rejects.toThrow('Network Error');
+    await expect(offline.handleError(networkError(config('get', '/catalog')))).rejects.toThrow('Network Error');
+  });
+
+  it('passes server errors through untouched', async () => {
+    const error = serverError(500, {});
+    await expect(offline.handleError(error)).rejects.toBe(error);
+  });
+
+  it('queues a grade, hides it from the cached queue and replays it when back online', async () => {
+    await load('/settings', { time_zone: 'UTC' });
+    await load('/queue', [{ id: 5, question_id: 10, title: 'Two Sum' }, { id: 6, question_id: 11, title: 'Other' }]);
+
+    const res = await offline.handleError(networkError(config('post', '/schedule/5/review', { data: '{"grade":"good"}' })));
+    expect(res).toMatchObject({ status: 202, queued: true });
+    expect(offline.getState()).toMatchObject({ online: false, pending: 1 });
+    const queue = await offline.handleError(networkError(config('get', '/queue')));
+    expect(queue.data.map(task => task.id)).toEqual([6]);
+
+    const synced = vi.fn();
+    offline.onSynced(synced);
+    await load('/tags', []);
+    await vi.waitFor(() => expect(synced).toHaveBeenCalledWith(1));
+    expect(send).toHaveBeenCalledWith({
+      method: 'post',
+      url: `${API_URL}/schedule/5/review`,
+      data: { grade: 'good', date: new Date().toISOString().slice(0, 10) },
+    });
+    expect(offline.getState()).toMatchObject({ online: true, pending: 0, failed: [] });
+  });
+
+  it('keeps notes the server refused and can force or discard them', async () => {
+    await load('/queue', [{ id: 5, question_id: 10, title: 'Two Sum', notes: 'old', notes_version: 2 }]);
+    const saved = await offline.handleError(networkError(config('put', '/questions/10/notes', { data: { notes: 'new', version: 2 } })));
+    expect(saved.data.version).toBe(3);
+    const queue = await offline.handleError(networkError(config('get', '/queue')));
+    expect(queue.data[0]).toMatchObject({ notes: 'new', notes_version: 3 });
+
+    send.mockRejectedValueOnce(serverError(409, { error: 'These notes were changed elsewhere', code: 'NOTES_CONFLICT' }));
+    await offline.replay();
+    expect(offline.getState().failed).toEqual([{
+      id: 1,
+      label: 'notes for Two Sum',
+      error: 'These notes were changed elsewhere',
+      code: 'NOTES_CONFLICT',
+    }]);
+
+    await offline.retry(1, { force: true });
+    expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ data: { notes: 'new' } }));
+    expect(offline.getState().failed).toEqual([]);
+
+    await offline.handleError(networkError(config('post', '/questions', { data: { title: 'Alpha' } })));
+    send.mockRejectedValueOnce(serverError(409, { error: 'A question titled "Alpha" already exists', code: 'DUPLICATE_TITLE' }));
+    await offline.replay();
+    expect(offline.getState().failed[0].label).toBe('new question "Alpha"');
+    await offline.discard(offline.getState().failed[0].id);
+    expect(offline.getState()).toMatchObject({ pending: 0, failed: [] });
+  });
+
+  it('stops replaying while the server is still unreachable', async () => {
+    await offline.handleError(networkError(config('post', '/questions', { data: { title: 'Alpha' } })));
+    await offline.handleError(networkError(config('post', '/questions', { data: { title: 'Beta' } })));
+    send.mockRejectedValueOnce(networkError({}));
+    await offline.replay();
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(offline.getState()).toMatchObject({ online: false, pending: 2 });
+  });
+
+  it('keeps each account\'s cache and queue to itself', async () => {
+    await load('/queue', [{ id: 5 }]);
+    await offline.handleError(networkError(config('post', '/questions', { data: { title: 'Alpha' } })));
+
+    await offline.setUser(2);
+    expect(offline.getState().pending).toBe(0);
+    await expect(offline.handleError(networkError(config('get', '/queue')))).rejects.toThrow();
+    await offline.replay();
+    expect(send).not.toHaveBeenCalled();
+
+    await offline.setUser(null);
+    await expect(offline.handleError(networkError(config('post', '/questions', { data: {} })))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,38 @@
+import axios from 'axios';
+import { API_URL, getToken } from './api';
+
+// --- Live updates ---
+// The server streams changes made elsewhere (other tabs, devices or the CLI)
+// over GET /events. Each page load is one client: its requests carry
+// X-Client-Id so the server does not echo its own changes back.
+export const CLIENT_ID = globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+axios.interceptors.request.use(config => {
+  config.headers['X-Client-Id'] = CLIENT_ID;
+  return config;
+});
+
+const EVENT_TYPES = ['question', 'schedule', 'notes', 'settings'];
+
+// Calls handler with { type, data } for every change; returns a function that
+// closes the stream. EventSource reconnects by itself after a dropped
+// connection, so the handler also gets { type: 'reconnected' } to catch up on
+// anything missed in between. Does nothing where EventSource is unavailable.
+export const subscribeToChanges = (handler) => {
+  const token = getToken();
+  if (typeof EventSource === 'undefined' || !token) return () => {};
+
+  const params = new URLSearchParams({ token, client: CLIENT_ID });
+  const source = new EventSource(`${API_URL}/events?${params}`);
+  let connected = false;
+
+  source.addEventListener('ready', () => {
+    if (connected) handler({ type: 'reconnected', data: {} });
+    connected = true;
+  });
+  EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => handler({ type, data: JSON.parse(event.data) }));
+  });
+
+  return () => source.close();
+};
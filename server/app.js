@@ -0,0 +1,61 @@
+const express = require('express');
+const cors = require('cors');
+const config = require('./config');
+const { requireAuth } = require('./auth');
+const { withSettings } = require('./settings');
+const { createEventHub, withEvents } = require('./events');
+const { routeNotFound, errorHandler } = require('./validation');
+const authRoutes = require('./routes/auth');
+const calendarRoutes = require('./routes/calendar');
+const eventRoutes = require('./routes/events');
+const questionRoutes = require('./routes/questions');
+const scheduleRoutes = require('./routes/schedule');
+const deckRoutes = require('./routes/deck');
+const statsRoutes = require('./routes/stats');
+const blackoutRoutes = require('./routes/blackouts');
+const settingsRoutes = require('./routes/settings');
+const solutionRoutes = require('./routes/solutions');
+const interviewRoutes = require('./routes/interviews');
+
+// Only the client app may call the API from a browser
+const DEFAULT_ORIGINS = config.corsOrigins;
+
+// Builds the Express app around an open, migrated database. index.js runs it
+// against leetcode.db; the tests run it against an in-memory database.
+const createApp = (db, { allowedOrigins = DEFAULT_ORIGINS } = {}) => {
+  const app = express();
+  const events = createEventHub();
+
+  app.use(cors({ origin: allowedOrigins }));
+  // Imports carry a whole deck, so allow larger bodies than the 100kb default
+  app.use(express.json({ limit: '5mb' }));
+
+  app.use('/api', authRoutes(db));
+  // The .ics feed also accepts a calendar token instead of a session
+  app.use('/api', calendarRoutes(db));
+  // So does the change stream, since EventSource cannot send headers
+  app.use('/api', eventRoutes(db, events));
+  // Everything below requires a signed-in user
+  app.use('/api', requireAuth(db));
+  // req.settings and req.today (in the user's time zone) for every route below
+  app.use('/api', withSettings(db));
+  // req.publish(type, data) tells the user's other open clients about a change
+  app.use('/api', withEvents(events));
+  app.use('/api', questionRoutes(db));
+  app.use('/api', scheduleRoutes(db));
+  app.use('/api', deckRoutes(db));
+  app.use('/api', statsRoutes(db));
+  app.use('/api', blackoutRoutes(db));
+  app.use('/api', settingsRoutes(db));
+  app.use('/api', solutionRoutes(db));
+  app.use('/api', interviewRoutes(db));
+
+  // Unmatched API paths get a JSON 404, and every thrown error is answered in
+  // the shape documented in ./validation
+  app.use('/api', routeNotFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const { unauthorized } = require('./validation');
+
+// --- Authentication ---
+// Passwords are hashed with scrypt and a per-user random salt, stored as
+// "scrypt$<salt>$<hash>". Logging in creates an opaque session token that the
+// client sends back as "Authorization: Bearer <token>".
+
+const SESSION_DAYS = 30;
+const KEY_LENGTH = 64;
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const createSession = (db, userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = dayjs();
+  db.prepare('INSERT INTO sessions (token, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(token, userId, now.toISOString(), now.add(SESSION_DAYS, 'day').toISOString());
+  return token;
+};
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+};
+
+// Express middleware: sets req.user ({ id, username }) and req.token, or
+// fails with a 401 when the request has no valid session
+const requireAuth = (db) => {
+  const findSession = db.prepare(`
+    SELECT u.id, u.username, s.expires_at
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token = ?
+  `);
+
+  return (req, res, next) => {
+    const token = bearerToken(req);
+    const session = token && findSession.get(token);
+    if (!session || dayjs(session.expires_at).isBefore(dayjs())) {
+      return next(unauthorized('Authentication required'));
+    }
+    req.user = { id: session.id, username: session.username };
+    req.token = token;
+    next();
+  };
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  bearerToken,
+  requireAuth,
+};
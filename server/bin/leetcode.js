@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Usage: leetcode <due|add|done|notes|stats|export|login> [options]
+// See ../cli.js or run leetcode --help for the commands and options.
+const { run } = require('../cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Usage: node bin/migrate.js <up|status|down> [--to <version>] [--steps <n>] [--db <path>]
+//   up      apply pending migrations (optionally only up to --to)
+//   status  list migrations and whether each is applied
+//   down    roll back the last --steps migrations (default 1)
+const { openDatabase, DEFAULT_DB_PATH } = require('../db');
+const { label, migrate, rollback, status } = require('../migrator');
+
+const args = process.argv.slice(2);
+const command = args[0] || 'status';
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const db = openDatabase(option('db') || DEFAULT_DB_PATH);
+
+try {
+  switch (command) {
+    case 'up': {
+      const target = option('to') ? Number(option('to')) : Infinity;
+      const applied = migrate(db, { target });
+      if (!applied.length) console.log('Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = option('steps') ? Number(option('steps')) : 1;
+      const reverted = rollback(db, { steps });
+      if (!reverted.length) console.log('Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      status(db).forEach(m => {
+        const state = m.applied_at ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${label(m)}  ${state}`);
+      });
+      console.log(`user_version = ${db.pragma('user_version', { simple: true })}`);
+      break;
+    }
+    default:
+      console.error(`Unknown command "${command}". Use up, status or down.`);
+      process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,93 @@
+const { catalog, catalogByNumber, normalizeDifficulty } = require('./metadata');
+const { isValidDate } = require('./validation');
+
+// --- Quick Capture ---
+// Parses one line of a pasted list into question fields. A line may be a bare
+// title, a LeetCode problem list row ("43. Multiply Strings"), a problem URL,
+// or quick-capture syntax mixing any of:
+//   LC 43                  problem number (details come from the catalog)
+//   #strings #medium       tags; #easy/#medium/#hard set the difficulty
+//   started:2026-10-01     backdates the question (also solved:)
+// Whatever is left over is the title.
+
+const catalogBySlug = new Map(catalog.map(problem => [problem.slug, problem]));
+
+const LIST_ROW = /^(\d+)\.\s+(.+)$/;
+const BULLET = /^(?:(?:[-*•]|\[[ x]?\])\s+)+/i;
+const PROBLEM_NUMBER = /\bLC[\s-]?(\d+)\b/i;
+const LINK = /https?:\/\/\S+/;
+const TAG = /(?:^|\s)#([^\s#]+)/g;
+const STARTED = /\b(?:started|solved):(\S*)/i;
+
+// "two-sum" -> "Two Sum", for problems missing from the catalog
+const titleFromSlug = (slug) => slug
+  .split('-')
+  .filter(Boolean)
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join(' ');
+
+const slugOf = (url) => {
+  const match = /leetcode\.com\/problems\/([^/?#]+)/.exec(url);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Returns null for blank lines and // comments, otherwise
+// { fields: { title, problem_number, url, difficulty, tags, started }, errors }.
+// Fields the line does not mention are left undefined.
+const parseCaptureLine = (line) => {
+  let rest = line.trim().replace(BULLET, '');
+  if (!rest || rest.startsWith('//')) return null;
+
+  const fields = {};
+  const errors = [];
+  const take = (pattern) => {
+    const match = pattern.exec(rest);
+    if (match) rest = rest.replace(match[0], ' ');
+    return match;
+  };
+
+  const started = take(STARTED);
+  if (started) {
+    if (isValidDate(started[1])) {
+      fields.started = started[1];
+    } else {
+      errors.push(`${started[0]} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  const url = take(LINK);
+  if (url) {
+    fields.url = url[0];
+    const slug = slugOf(url[0]);
+    if (slug) {
+      const known = catalogBySlug.get(slug);
+      if (known) fields.problem_number = known.number;
+      else fields.title = titleFromSlug(slug);
+    }
+  }
+
+  const number = take(PROBLEM_NUMBER);
+  if (number) fields.problem_number = Number(number[1]);
+
+  const tags = [];
+  rest = rest.replace(TAG, (match, name) => {
+    const difficulty = normalizeDifficulty(name);
+    if (difficulty) fields.difficulty = difficulty;
+    else tags.push(name.replace(/_/g, ' '));
+    return ' ';
+  });
+  if (tags.length) fields.tags = tags;
+
+  rest = rest.replace(/\s+/g, ' ').trim();
+  const row = LIST_ROW.exec(rest);
+  if (row && fields.problem_number === undefined) {
+    fields.problem_number = Number(row[1]);
+    // Catalog problems get their canonical title from resolveMetadata
+    rest = catalogByNumber.has(fields.problem_number) ? '' : rest;
+  }
+  if (rest) fields.title = rest;
+
+  return { fields, errors };
+};
+
+module.exports = { parseCaptureLine, titleFromSlug };
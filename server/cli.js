@@ -0,0 +1,388 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('util');
+const dayjs = require('dayjs');
+const { openDatabase, DEFAULT_DB_PATH } = require('./db');
+const { migrate } = require('./migrator');
+const { createApp } = require('./app');
+const { createSession } = require('./auth');
+const { notesToText, textToNotes } = require('./notes');
+
+// --- Command-Line Interface ---
+// Every command goes through the HTTP API, so the CLI follows the same
+// validation, settings and scheduling rules as the web app. By default it
+// starts the app in-process on the local database (signed in with a session
+// that is removed afterwards); --api talks to a running server instead.
+
+const USAGE = `Usage: leetcode <command> [options]
+
+Commands:
+  due [--date YYYY-MM-DD] [--tag <tag>] [--difficulty <level>]
+                        reviews due on or before a date (default today)
+  add [<line>...] [--check]
+                        add questions in quick-capture syntax, e.g.
+                        leetcode add "LC 43 #strings started:2026-10-01";
+                        with no lines, one question per line is read from stdin
+  done <review id> [--grade again|hard|good|easy] [--time <seconds>]
+                        grade a due review (default good)
+  notes <question id> [--print]
+                        edit a question's notes in $VISUAL or $EDITOR
+  stats                 streaks, retention, weakest topics and upcoming load
+  export [--format json|csv] [--type questions|schedule] [--out <file>]
+                        write the deck to stdout or a file
+  login <username>      with --api: sign in (password read from stdin) and
+                        print a session token for LEETCODE_TOKEN
+
+Options:
+  --json                print the API's JSON instead of tables
+  --db <path>           database file (default DATABASE_PATH or ${path.relative(process.cwd(), DEFAULT_DB_PATH) || DEFAULT_DB_PATH})
+  --user <username>     account to use with the database when it has several
+                        (LEETCODE_USER)
+  --api <url>           use a running server, e.g. http://localhost:3001/api
+                        (LEETCODE_API_URL)
+  --token <token>       session token for --api (LEETCODE_TOKEN)
+  -h, --help            show this help
+`;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  db: { type: 'string' },
+  user: { type: 'string' },
+  api: { type: 'string' },
+  token: { type: 'string' },
+  date: { type: 'string' },
+  tag: { type: 'string' },
+  difficulty: { type: 'string' },
+  check: { type: 'boolean', default: false },
+  grade: { type: 'string', default: 'good' },
+  time: { type: 'string' },
+  print: { type: 'boolean', default: false },
+  format: { type: 'string', default: 'json' },
+  type: { type: 'string', default: 'questions' },
+  out: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Bad arguments: the message is followed by a pointer to --help, exit code 2
+class UsageError extends Error {}
+
+// A non-2xx API response; details are the per-field messages of a 422
+class RequestError extends Error {
+  constructor(status, body) {
+    super(body?.error || `Request failed with status ${status}`);
+    this.status = status;
+    this.details = body?.details || [];
+  }
+}
+
+// --- Output ---
+
+const MAX_CELL = 48;
+
+const cell = (value, limit = MAX_CELL) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+};
+
+// columns: [[header, row => value]]; numbers are right-aligned and only the
+// last column may run past MAX_CELL
+const formatTable = (columns, rows) => {
+  const last = columns.length - 1;
+  const cells = rows.map(row => columns.map(([, read], i) => {
+    const value = read(row);
+    return typeof value === 'number' ? value : cell(value, i === last ? Infinity : MAX_CELL);
+  }));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...cells.map(line => String(line[i]).length)));
+  const render = (values) => values
+    .map((value, i) => (typeof value === 'number' ? String(value).padStart(widths[i]) : value.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+  return [render(columns.map(([header]) => header)), ...cells.map(render)].join('\n');
+};
+
+const percent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+const duration = (seconds) => (
+  seconds === null ? '–' : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+);
+
+// --- Connections ---
+// Both return { request(method, path, { query, body, raw }), close() }
+
+const connection = (baseUrl, token) => ({
+  async request(method, apiPath, { query, body, raw = false } = {}) {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}${apiPath}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined) url.searchParams.set(key, value);
+    });
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Not JSON (a CSV export); keep the text
+    }
+    if (!res.ok) throw new RequestError(res.status, data);
+    return raw ? text : data;
+  },
+});
+
+const openRemote = (baseUrl, token) => ({ ...connection(baseUrl, token), close: async () => {} });
+
+// The account to act as: --user, or the only one in the database
+const pickUser = (db, username) => {
+  if (username) {
+    const user = db.prepare('SELECT id, username FROM users WHERE username = ?').get(username);
+    if (!user) throw new UsageError(`No account named "${username}"`);
+    return user;
+  }
+  const users = db.prepare('SELECT id, username FROM users ORDER BY id LIMIT 2').all();
+  if (users.length === 0) throw new UsageError('The database has no accounts yet; sign up in the app first');
+  if (users.length > 1) throw new UsageError('The database has several accounts; choose one with --user');
+  return users[0];
+};
+
+const openLocal = async (dbPath, username, log) => {
+  if (!fs.existsSync(dbPath)) throw new UsageError(`No database at ${dbPath}`);
+  const db = openDatabase(dbPath);
+  let server;
+  try {
+    migrate(db, { log });
+    const user = pickUser(db, username);
+    const token = createSession(db, user.id);
+    server = createApp(db).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+      ...connection(`http://127.0.0.1:${server.address().port}/api`, token),
+      async close() {
+        db.prepare('DELETE FROM sessions WHERE token = ?').run(token);
+        server.close();
+        await once(server, 'close');
+        db.close();
+      },
+    };
+  } catch (error) {
+    server?.close();
+    db.close();
+    throw error;
+  }
+};
+
+const readStdin = async (stdin) => {
+  let text = '';
+  for await (const chunk of stdin) text += chunk;
+  return text;
+};
+
+// --- Commands ---
+// Each receives { api, values, positionals, io } and returns an exit code
+
+const commands = {
+  async due({ api, values, io }) {
+    const tasks = await api.request('GET', '/queue', {
+      query: { date: values.date, tag: values.tag, difficulty: values.difficulty },
+    });
+    if (values.json) return io.print(JSON.stringify(tasks, null, 2));
+    if (tasks.length === 0) return io.print('Nothing due.');
+
+    io.print(formatTable([
+      ['Review', task => task.id],
+      ['Question', task => task.question_id],
+      ['Title', task => task.title],
+      ['Difficulty', task => task.difficulty],
+      ['Due', task => task.due_date],
+      ['Late', task => (task.days_overdue > 0 ? `${task.days_overdue}d` : '')],
+    ], tasks));
+    return 0;
+  },
+
+  async add({ api, values, positionals, io }) {
+    const text = positionals.length ? positionals.join('\n') : await readStdin(io.stdin);
+    if (!text.trim()) throw new UsageError('Nothing to add: pass quick-capture lines or pipe them in');
+
+    const report = await api.request('POST', '/questions/bulk', { body: { text, dryRun: values.check } });
+    if (values.json) {
+      io.print(JSON.stringify(report, null, 2));
+    } else {
+      io.print(formatTable([
+        ['Line', result => result.line],
+        ['Status', result => (result.status === 'ok' ? (report.dryRun ? 'ready' : 'added') : 'error')],
+        ['Question', result => result.question?.id ?? ''],
+        ['Title', result => (result.status === 'ok' ? result.question.title : result.input)],
+        ['Started', result => result.question?.created_at],
+        ['Problem', result => result.error],
+      ], report.results));
+      io.print(`${report.dryRun ? 'Ready to add' : 'Added'} ${report.added}, failed ${report.failed}.`);
+    }
+    return report.failed ? 1 : 0;
+  },
+
+  async done({ api, values, positionals, io }) {
+    const id = Number(positionals[0]);
+    if (!Number.isInteger(id) || id < 1) throw new UsageError('done needs a review id (see leetcode due)');
+    const body = { grade: values.grade };
+    if (values.time !== undefined) body.time_spent = Number(values.time);
+
+    const result = await api.request('POST', `/schedule/${id}/review`, { body });
+    if (values.json) return io.print(JSON.stringify(result, null, 2));
+    const next = result.next_due ? `; next review ${dayjs(result.next_due).format('ddd, MMM D YYYY')}` : '';
+    io.print(`Review ${id} graded ${result.grade}${next}.`);
+    return 0;
+  },
+
+  async notes({ api, values, positionals, io }) {
+    const id = Number(positionals[0]);
+    if (!Number.isInteger(id) || id < 1) throw new UsageError('notes needs a question id (see leetcode due)');
+    const { notes, version } = await api.request('GET', `/questions/${id}/notes`);
+    const text = notesToText(notes);
+    if (values.print) return io.print(text.trimEnd());
+
+    const editor = io.env.VISUAL || io.env.EDITOR;
+    if (!editor) throw new UsageError('Set $EDITOR (or use --print)');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leetcode-notes-'));
+    const file = path.join(dir, `question-${id}.md`);
+    let keep = false;
+    try {
+      fs.writeFileSync(file, text);
+      const { status, error } = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+      if (error || status !== 0) {
+        io.error(`Editor exited with ${error ? error.message : `status ${status}`}; notes not saved.`);
+        return 1;
+      }
+      const edited = fs.readFileSync(file, 'utf8');
+      if (edited === text) return io.print('No changes.');
+
+      let saved;
+      try {
+        saved = await api.request('PUT', `/questions/${id}/notes`, { body: { notes: textToNotes(edited), version } });
+      } catch (error) {
+        // Someone saved these notes while the editor was open; keep the edit
+        if (error.status !== 409) throw error;
+        keep = true;
+        io.error(`Error: ${error.message}. Your edit is in ${file}; run notes again to merge it.`);
+        return 1;
+      }
+      io.print(saved.revision ? `Saved notes (revision ${saved.revision.id}).` : 'No changes.');
+      return 0;
+    } finally {
+      if (!keep) fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  async stats({ api, values, io }) {
+    const stats = await api.request('GET', '/stats');
+    if (values.json) return io.print(JSON.stringify(stats, null, 2));
+
+    const { totals, streak } = stats;
+    io.print([
+      `Today ${stats.today}: ${totals.due} due, ${totals.reviewed_today} reviewed`,
+      `Questions ${totals.questions} · Reviews ${totals.reviews} · Retention ${percent(totals.retention)} · Avg time ${duration(totals.avg_time_seconds)}`,
+      `Streak ${streak.current} day${streak.current === 1 ? '' : 's'} (longest ${streak.longest})`,
+    ].join('\n'));
+    if (stats.upcoming.length) {
+      io.print(`\nNext two weeks\n${formatTable([['Date', row => row.date], ['Reviews', row => row.count]], stats.upcoming)}`);
+    }
+    if (stats.tags.length) {
+      io.print(`\nWeakest topics\n${formatTable([
+        ['Tag', row => row.tag],
+        ['Questions', row => row.questions],
+        ['Reviews', row => row.reviews],
+        ['Retention', row => percent(row.rate)],
+      ], stats.tags.slice(0, 5))}`);
+    }
+    return 0;
+  },
+
+  async export({ api, values, io }) {
+    const text = await api.request('GET', '/export', { query: { format: values.format, type: values.type }, raw: true });
+    const output = values.format === 'json' ? `${JSON.stringify(JSON.parse(text), null, 2)}\n` : text;
+    if (values.out) {
+      fs.writeFileSync(values.out, output);
+      io.error(`Wrote ${values.out}`);
+    } else {
+      io.write(output);
+    }
+    return 0;
+  },
+};
+
+const login = async ({ values, positionals, io, baseUrl }) => {
+  if (!baseUrl) throw new UsageError('login only applies with --api; with a local database pass --user instead');
+  if (!positionals[0]) throw new UsageError('login needs a username');
+  const password = (io.env.LEETCODE_PASSWORD ?? (await readStdin(io.stdin))).replace(/\r?\n$/, '');
+
+  const { token, user } = await connection(baseUrl).request('POST', '/auth/login', {
+    body: { username: positionals[0], password },
+  });
+  if (values.json) return io.print(JSON.stringify({ token, user }, null, 2));
+  io.print(token);
+  io.error(`Signed in as ${user.username}; export LEETCODE_TOKEN=<token> to use it.`);
+  return 0;
+};
+
+// Runs one command line and resolves to the exit code. io holds the streams
+// and environment so tests can run commands in-process.
+const run = async (argv, io = {}) => {
+  const env = io.env || process.env;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const out = {
+    env,
+    stdin: io.stdin || process.stdin,
+    write: (text) => stdout.write(text),
+    print: (text) => {
+      stdout.write(`${text}\n`);
+      return 0;
+    },
+    error: (text) => stderr.write(`${text}\n`),
+  };
+
+  let api;
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals: [command, ...positionals] } = parsed;
+    if (values.help || !command || command === 'help') {
+      out.write(USAGE);
+      return command || values.help ? 0 : 2;
+    }
+
+    const baseUrl = values.api || env.LEETCODE_API_URL;
+    if (command === 'login') return await login({ values, positionals, io: out, baseUrl });
+    if (!Object.hasOwn(commands, command)) throw new UsageError(`Unknown command "${command}"`);
+
+    if (baseUrl) {
+      const token = values.token || env.LEETCODE_TOKEN;
+      if (!token) throw new UsageError('--api needs a session token: pass --token or set LEETCODE_TOKEN (see leetcode login)');
+      api = openRemote(baseUrl, token);
+    } else {
+      api = await openLocal(values.db || DEFAULT_DB_PATH, values.user || env.LEETCODE_USER, out.error);
+    }
+    return await commands[command]({ api, values, positionals, io: out });
+  } catch (error) {
+    if (error instanceof UsageError) {
+      out.error(`${error.message}\nRun leetcode --help for usage.`);
+      return 2;
+    }
+    out.error(`Error: ${error.message}`);
+    error.details?.forEach(detail => out.error(`  ${detail.message}`));
+    return 1;
+  } finally {
+    await api?.close();
+  }
+};
+
+module.exports = { run, formatTable, USAGE };
@@ -0,0 +1,22 @@
+const path = require('path');
+
+// --- Server Configuration ---
+// Deployment-specific values come from the environment; the defaults suit
+// local development.
+//   PORT               port to listen on (3001)
+//   DATABASE_PATH      SQLite file (server/leetcode.db)
+//   CORS_ORIGIN        comma-separated origins allowed to call the API (http://localhost:5173)
+//   DEFAULT_TIME_ZONE  time zone for users who have not picked one (the host's)
+//   RUN_TIMEOUT_MS     time limit per test case when running a solution (2000)
+//   RUN_MEMORY_MB      heap limit of the process a solution runs in (64)
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+  port: Number(process.env.PORT) || 3001,
+  databasePath: process.env.DATABASE_PATH || path.join(__dirname, 'leetcode.db'),
+  corsOrigins: list(process.env.CORS_ORIGIN || 'http://localhost:5173'),
+  defaultTimeZone: process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  runTimeoutMs: Number(process.env.RUN_TIMEOUT_MS) || 2000,
+  runMemoryMb: Number(process.env.RUN_MEMORY_MB) || 64,
+};
@@ -0,0 +1,67 @@
+// --- Minimal RFC 4180 CSV helpers ---
+// Fields containing commas, quotes or newlines are quoted and embedded
+// quotes are doubled. The first row is always the header.
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects, columns: keys to write (in order)
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Returns an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...body] = records.filter(r => r.some(value => value !== ''));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return body.map(values => Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ''])));
+};
+
+module.exports = { toCsv, parseCsv };
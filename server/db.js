@@ -0,0 +1,24 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const config = require('./config');
+
+const DEFAULT_DB_PATH = config.databasePath;
+
+// Open database with explicit write access using absolute path
+const openDatabase = (dbPath = DEFAULT_DB_PATH) => {
+  // Ensure database file is writable
+  try {
+    if (fs.existsSync(dbPath)) {
+      fs.chmodSync(dbPath, 0o664);
+    }
+  } catch (err) {
+    console.warn('Could not set database permissions:', err.message);
+  }
+
+  const db = new Database(dbPath);
+  // Enable foreign keys
+  db.pragma('foreign_keys = ON');
+  return db;
+};
+
+module.exports = { DEFAULT_DB_PATH, openDatabase };
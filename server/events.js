@@ -0,0 +1,46 @@
+// --- Change Events ---
+// In-process publish/subscribe of changes to a user's deck, streamed to open
+// clients by GET /events (see routes/events.js). Routes call
+// req.publish(type, data) after a change:
+//   question  { action: 'created' | 'updated' | 'deleted' | 'imported', ids }
+//   schedule  { question_ids? }   due dates or completion changed
+//   notes     { question_id, version }
+//   settings  {}
+// Events stay within this process; a server run as several processes would
+// need a shared channel instead.
+
+const createEventHub = () => {
+  // userId -> Set of listeners
+  const listeners = new Map();
+  let nextId = 1;
+
+  // Returns an unsubscribe function
+  const subscribe = (userId, listener) => {
+    if (!listeners.has(userId)) listeners.set(userId, new Set());
+    listeners.get(userId).add(listener);
+    return () => {
+      const set = listeners.get(userId);
+      set?.delete(listener);
+      if (set?.size === 0) listeners.delete(userId);
+    };
+  };
+
+  const publish = (userId, event) => {
+    const set = listeners.get(userId);
+    if (!set) return;
+    const withId = { id: nextId++, ...event };
+    set.forEach(listener => listener(withId));
+  };
+
+  return { subscribe, publish };
+};
+
+// Express middleware (after requireAuth): sets req.publish. Events carry the
+// request's X-Client-Id as origin, so the client that made a change is not
+// sent its own event back.
+const withEvents = (hub) => (req, res, next) => {
+  req.publish = (type, data = {}) => hub.publish(req.user.id, { type, origin: req.get('x-client-id') || null, data });
+  next();
+};
+
+module.exports = { createEventHub, withEvents };
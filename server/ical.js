@@ -0,0 +1,83 @@
+const dayjs = require('dayjs');
+
+// --- iCalendar (RFC 5545) ---
+// Just enough of the format for a feed of all-day events. Lines end in CRLF
+// and are folded at 75 octets; text values escape \ ; , and newlines.
+
+const PRODUCT_ID = '-//LeetCode Scheduler//Review Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Continuation lines start with a space, which counts towards their 75 octets.
+// Splits between characters so multi-byte UTF-8 sequences stay whole.
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+// 'YYYY-MM-DD' -> DATE value
+const formatDate = (date) => date.replace(/-/g, '');
+
+// -> UTC DATE-TIME value, e.g. 20250101T090000Z
+const formatTimestamp = (time) => dayjs(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// events: [{ uid, date: 'YYYY-MM-DD', summary, description? }]
+const buildCalendar = ({ name, events, now = new Date() }) => {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Hints for subscribers on how often to refresh
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(dayjs(event.date).add(1, 'day').format('YYYY-MM-DD'))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      // All-day reminders should not show as busy time
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  formatTimestamp,
+  buildCalendar,
+};
@@ -0,0 +1,71 @@
+const dayjs = require('dayjs');
+const { DIFFICULTIES } = require('./metadata');
+const { DEFAULT_EASE } = require('./scheduler');
+
+// --- Mock Interviews ---
+// Picks questions for a timed practice session and scores the result. Picking
+// is a weighted draw: every candidate can come up, but questions that have
+// lapsed, lost ease or not been seen for a while come up more often.
+
+const OUTCOMES = ['solved', 'partial', 'failed', 'skipped'];
+const OUTCOME_POINTS = { solved: 1, partial: 0.5, failed: 0, skipped: 0 };
+
+// Days without practice stop adding weight after this
+const MAX_UNSEEN_DAYS = 90;
+// Each "again" costs 0.2 ease, so this turns lost ease into missed reviews
+const EASE_PER_LAPSE = 0.2;
+
+// candidate is { ease, lapses, last_seen, created_at }; last_seen is the day
+// of the latest review or interview, null when there has been none
+const weight = (candidate, today) => {
+  const seen = candidate.last_seen || dayjs(candidate.created_at).format('YYYY-MM-DD');
+  const unseen = Math.min(Math.max(dayjs(today).diff(dayjs(seen), 'day'), 0), MAX_UNSEEN_DAYS);
+  const lostEase = Math.max((DEFAULT_EASE - (candidate.ease ?? DEFAULT_EASE)) / EASE_PER_LAPSE, 0);
+  const weakness = (candidate.lapses || 0) + lostEase;
+  return 1 + unseen / 7 + weakness * 2;
+};
+
+// Draws up to count candidates without replacement, in proportion to weight
+const draw = (candidates, count, today, random) => {
+  const pool = candidates.map(candidate => ({ candidate, weight: weight(candidate, today) }));
+  const picked = [];
+  while (picked.length < count && pool.length) {
+    let target = random() * pool.reduce((sum, entry) => sum + entry.weight, 0);
+    let index = pool.findIndex(entry => (target -= entry.weight) < 0);
+    if (index === -1) index = pool.length - 1;
+    picked.push(pool.splice(index, 1)[0].candidate);
+  }
+  return picked;
+};
+
+const difficultyRank = (difficulty) => {
+  const rank = DIFFICULTIES.indexOf(difficulty);
+  return rank === -1 ? DIFFICULTIES.length : rank;
+};
+
+// mix ({ Easy: 1, Medium: 2 }) asks for that many of each difficulty; any it
+// cannot fill is made up from the other candidates. Without a mix, count
+// questions of any difficulty. The session runs easiest first.
+const pickQuestions = (candidates, { count, mix }, { today, random = Math.random }) => {
+  let picked;
+  if (mix) {
+    picked = DIFFICULTIES.flatMap(difficulty => draw(
+      candidates.filter(candidate => candidate.difficulty === difficulty), mix[difficulty] || 0, today, random,
+    ));
+    const total = Object.values(mix).reduce((sum, n) => sum + n, 0);
+    const rest = candidates.filter(candidate => !picked.includes(candidate));
+    picked = picked.concat(draw(rest, total - picked.length, today, random));
+  } else {
+    picked = draw(candidates, count, today, random);
+  }
+  return picked.sort((a, b) => difficultyRank(a.difficulty) - difficultyRank(b.difficulty));
+};
+
+// Percentage of the session solved, with a partial solve worth half
+const scoreOutcomes = (outcomes) => {
+  if (!outcomes.length) return null;
+  const points = outcomes.reduce((sum, outcome) => sum + (OUTCOME_POINTS[outcome] || 0), 0);
+  return Math.round((points / outcomes.length) * 100);
+};
+
+module.exports = { OUTCOMES, weight, pickQuestions, scoreOutcomes };
@@ -0,0 +1,89 @@
+const catalog = require('./data/leetcode-catalog.json');
+
+// --- Problem Metadata & Tags ---
+// Pure helpers for the problem number/slug/url/difficulty/tags columns and
+// the SQL fragments that read tags back.
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const catalogByNumber = new Map(catalog.map(problem => [problem.number, problem]));
+
+const normalizeDifficulty = (value) => (
+  DIFFICULTIES.find(d => d.toLowerCase() === String(value).toLowerCase()) || null
+);
+
+// Tags are stored comma-joined by GROUP_CONCAT, so commas are not allowed in names
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const names = list
+    .map(tag => String(tag).replace(/,/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  // Dedupe case-insensitively, keeping the first spelling
+  return names.filter((name, i) => names.findIndex(n => n.toLowerCase() === name.toLowerCase()) === i);
+};
+
+const problemUrl = (slug) => `https://leetcode.com/problems/${slug}/`;
+
+const slugFromUrl = (url) => {
+  const match = /leetcode\.com\/problems\/([^/?#]+)/.exec(url || '');
+  return match ? match[1] : null;
+};
+
+// Builds the metadata columns for a question from a request body, filling any
+// gaps from the bundled catalog when the problem number is known
+const resolveMetadata = (body) => {
+  const number = body.problem_number != null && body.problem_number !== ''
+    ? parseInt(body.problem_number, 10)
+    : null;
+  const known = catalogByNumber.get(number);
+  const slug = body.slug || slugFromUrl(body.url) || known?.slug || null;
+
+  return {
+    title: body.title?.trim() || (known ? `${known.number}. ${known.title}` : ''),
+    problem_number: Number.isInteger(number) ? number : null,
+    slug,
+    url: body.url || (slug ? problemUrl(slug) : null),
+    difficulty: normalizeDifficulty(body.difficulty || known?.difficulty),
+    tags: body.tags !== undefined ? normalizeTags(body.tags) : (known?.tags || []),
+  };
+};
+
+// Select column listing a question's tags; pair with withTags() on the rows
+const TAGS_COLUMN = `(
+  SELECT GROUP_CONCAT(t.name, ',') FROM question_tags qt
+  JOIN tags t ON t.id = qt.tag_id
+  WHERE qt.question_id = q.id
+) as tags`;
+
+const withTags = (rows) => rows.map(row => ({ ...row, tags: row.tags ? row.tags.split(',') : [] }));
+
+// WHERE fragments for ?tag= and ?difficulty= filters on a query aliasing questions as q
+const metadataFilters = ({ tag, difficulty }) => {
+  const conditions = [];
+  const params = [];
+  if (tag) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM question_tags qt JOIN tags t ON t.id = qt.tag_id
+      WHERE qt.question_id = q.id AND t.name = ?
+    )`);
+    params.push(tag);
+  }
+  if (difficulty) {
+    conditions.push('q.difficulty = ?');
+    params.push(normalizeDifficulty(difficulty));
+  }
+  return { sql: conditions.map(c => ` AND ${c}`).join(''), params };
+};
+
+module.exports = {
+  DIFFICULTIES,
+  catalog,
+  catalogByNumber,
+  normalizeDifficulty,
+  normalizeTags,
+  problemUrl,
+  slugFromUrl,
+  resolveMetadata,
+  TAGS_COLUMN,
+  withTags,
+  metadataFilters,
+};
@@ -0,0 +1,33 @@
+const { addColumn } = require('../migrator');
+
+// We need two tables:
+// 1. Questions (metadata)
+// 2. Schedule (actual dates to practice)
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS questions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      notes TEXT DEFAULT ''
+    );
+
+    CREATE TABLE IF NOT EXISTS schedule (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      question_id INTEGER NOT NULL,
+      due_date TEXT NOT NULL,
+      completed INTEGER DEFAULT 0,
+      FOREIGN KEY (question_id) REFERENCES questions (id)
+    );
+  `);
+
+  // The earliest databases were created before notes existed
+  addColumn(db, 'questions', 'notes', "TEXT DEFAULT ''");
+};
+
+exports.down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS schedule;
+    DROP TABLE IF EXISTS questions;
+  `);
+};
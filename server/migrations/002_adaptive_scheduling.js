@@ -0,0 +1,21 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Per-question scheduling state used by the adaptive scheduler, and the grade
+// given when a scheduled review was completed
+exports.up = (db) => {
+  addColumn(db, 'questions', 'ease', 'REAL DEFAULT 2.5');
+  addColumn(db, 'questions', 'interval_days', 'INTEGER DEFAULT 1');
+  addColumn(db, 'questions', 'repetitions', 'INTEGER DEFAULT 0');
+  addColumn(db, 'questions', 'lapses', 'INTEGER DEFAULT 0');
+  addColumn(db, 'schedule', 'grade', 'INTEGER');
+  addColumn(db, 'schedule', 'reviewed_at', 'TEXT');
+};
+
+exports.down = (db) => {
+  dropColumn(db, 'schedule', 'reviewed_at');
+  dropColumn(db, 'schedule', 'grade');
+  dropColumn(db, 'questions', 'lapses');
+  dropColumn(db, 'questions', 'repetitions');
+  dropColumn(db, 'questions', 'interval_days');
+  dropColumn(db, 'questions', 'ease');
+};
@@ -0,0 +1,10 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Archived questions are kept but no longer show up for review
+exports.up = (db) => {
+  addColumn(db, 'questions', 'archived', 'INTEGER DEFAULT 0');
+};
+
+exports.down = (db) => {
+  dropColumn(db, 'questions', 'archived');
+};
@@ -0,0 +1,35 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// LeetCode problem metadata plus many-to-many topic tags
+exports.up = (db) => {
+  addColumn(db, 'questions', 'problem_number', 'INTEGER');
+  addColumn(db, 'questions', 'slug', 'TEXT');
+  addColumn(db, 'questions', 'url', 'TEXT');
+  addColumn(db, 'questions', 'difficulty', 'TEXT');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE
+    );
+
+    CREATE TABLE IF NOT EXISTS question_tags (
+      question_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (question_id, tag_id),
+      FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+    );
+  `);
+};
+
+exports.down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS question_tags;
+    DROP TABLE IF EXISTS tags;
+  `);
+  dropColumn(db, 'questions', 'difficulty');
+  dropColumn(db, 'questions', 'url');
+  dropColumn(db, 'questions', 'slug');
+  dropColumn(db, 'questions', 'problem_number');
+};
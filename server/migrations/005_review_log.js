@@ -0,0 +1,27 @@
+// Append-only log of every review action. review_date is the local calendar
+// day the review happened on, used for streaks and the heatmap.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS review_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      question_id INTEGER NOT NULL,
+      schedule_id INTEGER,
+      action TEXT NOT NULL,
+      grade INTEGER,
+      completed INTEGER,
+      time_spent_seconds INTEGER,
+      interval_days INTEGER,
+      repetitions INTEGER,
+      review_date TEXT NOT NULL,
+      reviewed_at TEXT NOT NULL,
+      FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_review_log_question ON review_log (question_id);
+    CREATE INDEX IF NOT EXISTS idx_review_log_date ON review_log (review_date);
+  `);
+};
+
+exports.down = (db) => {
+  db.exec('DROP TABLE IF EXISTS review_log;');
+};
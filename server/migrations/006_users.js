@@ -0,0 +1,35 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Local accounts with token sessions. Questions belong to a user; schedule
+// rows, notes and the review log are scoped through their question. Existing
+// questions stay unowned until the first account is registered and adopts them.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+  `);
+
+  addColumn(db, 'questions', 'user_id', 'INTEGER REFERENCES users (id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_questions_user ON questions (user_id);');
+};
+
+exports.down = (db) => {
+  db.exec('DROP INDEX IF EXISTS idx_questions_user;');
+  dropColumn(db, 'questions', 'user_id');
+  db.exec(`
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS users;
+  `);
+};
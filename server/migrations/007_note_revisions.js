@@ -0,0 +1,24 @@
+// Every notes save is kept as a revision so older write-ups can be diffed
+// and restored. Existing notes become each question's first revision.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS note_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      question_id INTEGER NOT NULL,
+      notes TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_note_revisions_question ON note_revisions (question_id);
+  `);
+
+  db.prepare(`
+    INSERT INTO note_revisions (question_id, notes, created_at)
+    SELECT id, notes, ? FROM questions WHERE notes IS NOT NULL AND notes != ''
+  `).run(new Date().toISOString());
+};
+
+exports.down = (db) => {
+  db.exec('DROP TABLE IF EXISTS note_revisions;');
+};
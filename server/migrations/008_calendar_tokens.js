@@ -0,0 +1,13 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Secret per-user token for subscribing to the .ics feed from calendar apps,
+// which cannot send a session header. NULL means no subscription link.
+exports.up = (db) => {
+  addColumn(db, 'users', 'calendar_token', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users (calendar_token);');
+};
+
+exports.down = (db) => {
+  db.exec('DROP INDEX IF EXISTS idx_users_calendar_token;');
+  dropColumn(db, 'users', 'calendar_token');
+};
@@ -0,0 +1,13 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Per-user load balancing: an optional cap on reviews per day and how many
+// days either side of its exact date a new review may move to a lighter day
+exports.up = (db) => {
+  addColumn(db, 'users', 'daily_cap', 'INTEGER');
+  addColumn(db, 'users', 'spread_days', 'INTEGER NOT NULL DEFAULT 0');
+};
+
+exports.down = (db) => {
+  dropColumn(db, 'users', 'spread_days');
+  dropColumn(db, 'users', 'daily_cap');
+};
@@ -0,0 +1,21 @@
+// Date ranges (inclusive) when the user is away. Reviews are moved out of
+// them when a range is added and new reviews are never placed inside them.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS blackouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      label TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_blackouts_user ON blackouts (user_id);
+  `);
+};
+
+exports.down = (db) => {
+  db.exec('DROP TABLE IF EXISTS blackouts;');
+};
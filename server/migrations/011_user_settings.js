@@ -0,0 +1,37 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Per-user settings as key/value rows (values are JSON). The daily load
+// columns added to users in 009 move here.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_settings (
+      user_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (user_id, key),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    INSERT OR IGNORE INTO user_settings (user_id, key, value)
+      SELECT id, 'daily_cap', daily_cap FROM users WHERE daily_cap IS NOT NULL;
+    INSERT OR IGNORE INTO user_settings (user_id, key, value)
+      SELECT id, 'spread_days', spread_days FROM users WHERE spread_days != 0;
+  `);
+
+  dropColumn(db, 'users', 'spread_days');
+  dropColumn(db, 'users', 'daily_cap');
+};
+
+exports.down = (db) => {
+  addColumn(db, 'users', 'daily_cap', 'INTEGER');
+  addColumn(db, 'users', 'spread_days', 'INTEGER NOT NULL DEFAULT 0');
+  db.exec(`
+    UPDATE users SET
+      daily_cap = (SELECT CAST(value AS INTEGER) FROM user_settings
+                   WHERE user_id = users.id AND key = 'daily_cap' AND value != 'null'),
+      spread_days = COALESCE((SELECT CAST(value AS INTEGER) FROM user_settings
+                              WHERE user_id = users.id AND key = 'spread_days'), 0);
+
+    DROP TABLE IF EXISTS user_settings;
+  `);
+};
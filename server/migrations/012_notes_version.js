@@ -0,0 +1,11 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Counts changes to a question's notes. Saves may send the version they were
+// based on; a stale one is refused instead of overwriting the newer notes.
+exports.up = (db) => {
+  addColumn(db, 'questions', 'notes_version', 'INTEGER NOT NULL DEFAULT 0');
+};
+
+exports.down = (db) => {
+  dropColumn(db, 'questions', 'notes_version');
+};
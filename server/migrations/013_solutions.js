@@ -0,0 +1,32 @@
+// A JavaScript solution per question and the test cases it is run against.
+// input is the JSON text of the argument list, expected the JSON text of the
+// return value, both kept as typed.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS solutions (
+      question_id INTEGER PRIMARY KEY,
+      code TEXT NOT NULL DEFAULT '',
+      entry TEXT,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS test_cases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      question_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      input TEXT NOT NULL,
+      expected TEXT NOT NULL,
+      FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_test_cases_question ON test_cases (question_id, position);
+  `);
+};
+
+exports.down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS test_cases;
+    DROP TABLE IF EXISTS solutions;
+  `);
+};
@@ -0,0 +1,38 @@
+// Mock interview sessions: the questions picked for a session in order, and
+// the outcome recorded for each once the session is finished. tags holds the
+// tag filter the session was generated with, comma-joined.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS interviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      duration_minutes INTEGER NOT NULL,
+      tags TEXT NOT NULL DEFAULT '',
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      score INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS interview_questions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      interview_id INTEGER NOT NULL,
+      question_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      outcome TEXT,
+      time_spent_seconds INTEGER,
+      FOREIGN KEY (interview_id) REFERENCES interviews (id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_interviews_user ON interviews (user_id, started_at);
+    CREATE INDEX IF NOT EXISTS idx_interview_questions_interview ON interview_questions (interview_id, position);
+  `);
+};
+
+exports.down = (db) => {
+  db.exec(`
+    DROP TABLE IF EXISTS interview_questions;
+    DROP TABLE IF EXISTS interviews;
+  `);
+};
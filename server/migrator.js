@@ -0,0 +1,126 @@
+const path = require('path');
+const fs = require('fs');
+
+// --- Schema Migrations ---
+// Migrations live in ./migrations as NNN_description.js, each exporting
+// up(db) and down(db). Applied versions are recorded in schema_migrations and
+// mirrored into PRAGMA user_version so the schema version of any leetcode.db
+// can be read without the app. Every migration runs in its own transaction.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(.+)\.js$/;
+
+const loadMigrations = () => (
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const [, version, name] = MIGRATION_FILE.exec(file);
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return { version: Number(version), name, up, down };
+    })
+    .sort((a, b) => a.version - b.version)
+);
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const ensureMigrationsTable = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+};
+
+const appliedMigrations = (db) => {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+};
+
+const syncUserVersion = (db) => {
+  const { version } = db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_migrations').get();
+  db.pragma(`user_version = ${version}`);
+};
+
+// Applies every pending migration up to `target` (default: latest).
+// Returns the migrations that were applied.
+const migrate = (db, { target = Infinity, log = console.log } = {}) => {
+  const applied = new Set(appliedMigrations(db).map(m => m.version));
+  const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+
+  pending.forEach(migration => {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, new Date().toISOString());
+      syncUserVersion(db);
+    })();
+    log(`Applied migration ${label(migration)}`);
+  });
+
+  return pending;
+};
+
+// Reverts the last `steps` applied migrations, newest first.
+// Returns the migrations that were rolled back.
+const rollback = (db, { steps = 1, log = console.log } = {}) => {
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const toRevert = appliedMigrations(db).reverse().slice(0, steps);
+
+  toRevert.forEach(({ version, name }) => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration file for ${label({ version, name })} is missing`);
+    }
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+      syncUserVersion(db);
+    })();
+    log(`Rolled back migration ${label(migration)}`);
+  });
+
+  return toRevert;
+};
+
+// Lists every known migration with when (if ever) it was applied
+const status = (db) => {
+  const applied = new Map(appliedMigrations(db).map(m => [m.version, m.applied_at]));
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: applied.get(version) || null,
+  }));
+};
+
+// --- Helpers for migration files ---
+// Databases created before migrations existed may already have some of these
+// columns (they were added with ad-hoc ALTER TABLE checks), so both are no-ops
+// when there is nothing to do.
+const hasColumn = (db, table, column) => (
+  db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column)
+);
+
+const addColumn = (db, table, column, definition) => {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const dropColumn = (db, table, column) => {
+  if (hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = {
+  label,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  hasColumn,
+  addColumn,
+  dropColumn,
+};
@@ -0,0 +1,105 @@
+// --- Notes as Plain Text ---
+// Notes are stored as JSON sections (see client/src/notes.js for the format
+// and the older shapes it still reads). For editing in a terminal they are
+// turned into one Markdown document with a heading per section; a comment on
+// each heading keeps the section key and, for code sections, the language:
+//
+//   ## Intuition <!-- intuition -->
+//   Hash the complements.
+//
+//   ## Code <!-- code python -->
+//   ```python
+//   ...
+//   ```
+//
+// Only headings with that comment start a section, so a plain `## ` line in a
+// Markdown body (or anything inside a ``` fence) stays part of the body.
+
+const HEADING = /^## (.*?)\s*<!--\s*(\S+)(?:\s+(\S+))?\s*-->\s*$/;
+const FENCE = /^\s*```/;
+
+const PRESETS = [
+  { key: 'intuition', title: 'Intuition' },
+  { key: 'complexity', title: 'Complexity' },
+  { key: 'pitfalls', title: 'Pitfalls' },
+  { key: 'code', title: 'Code', language: 'python' },
+];
+
+// Notes string -> [{ key, title, body, language? }]; the same reading as
+// parseNotes in client/src/notes.js (test/cli.test.js checks they agree)
+const parseSections = (notes) => {
+  if (!notes) return PRESETS.map(preset => ({ ...preset, body: '' }));
+
+  let parsed;
+  try {
+    parsed = JSON.parse(notes);
+  } catch {
+    return [{ key: 'notes', title: 'Notes', body: notes }];
+  }
+  if (Array.isArray(parsed?.sections)) {
+    return parsed.sections.map((section, i) => ({
+      key: String(section.key || `section-${i}`),
+      title: String(section.title ?? ''),
+      body: String(section.body ?? ''),
+      ...(section.language !== undefined && { language: String(section.language) }),
+    }));
+  }
+  if (parsed && typeof parsed === 'object' && ('bruteForce' in parsed || 'optimized' in parsed)) {
+    return [
+      { key: 'bruteForce', title: 'Brute Force Approach', body: parsed.bruteForce || '' },
+      { key: 'optimized', title: 'Optimized Approach', body: parsed.optimized || '' },
+    ];
+  }
+  return [{ key: 'notes', title: 'Notes', body: notes }];
+};
+
+const notesToText = (notes) => `${parseSections(notes).map(section => {
+  const marker = section.language !== undefined ? `${section.key} ${section.language}` : section.key;
+  const body = section.language !== undefined
+    ? `\`\`\`${section.language}\n${section.body.replace(/\n+$/, '')}\n\`\`\``
+    : section.body.trim();
+  return `## ${section.title} <!-- ${marker} -->\n${body}`;
+}).join('\n\n')}\n`;
+
+// Inverse of notesToText. Text before the first heading becomes a Notes
+// section.
+const textToNotes = (text) => {
+  const sections = [];
+  let current = null;
+  const taken = new Set();
+  const uniqueKey = (key) => {
+    let unique = key;
+    for (let n = 2; taken.has(unique); n++) unique = `${key}-${n}`;
+    taken.add(unique);
+    return unique;
+  };
+  const start = (title, key, language) => {
+    current = { key: uniqueKey(key), title, lines: [], ...(language !== undefined && { language }) };
+    sections.push(current);
+  };
+
+  let inFence = false;
+  text.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const heading = inFence ? null : HEADING.exec(line);
+    if (heading) {
+      const [, title, key, language] = heading;
+      start(title, key, language);
+      return;
+    }
+    if (FENCE.test(line)) inFence = !inFence;
+    if (!current) start('Notes', 'notes');
+    current.lines.push(line);
+  });
+
+  return JSON.stringify({
+    sections: sections.map(({ key, title, language, lines }) => {
+      let body = lines.join('\n').trim();
+      if (language !== undefined) {
+        body = body.replace(/^```[^\n]*\n?/, '').replace(/\n?```$/, '');
+      }
+      return { key, title, body, ...(language !== undefined && { language }) };
+    }),
+  });
+};
+
+module.exports = { parseSections, notesToText, textToNotes };
@@ -0,0 +1,69 @@
+const express = require('express');
+const dayjs = require('dayjs');
+const { hashPassword, verifyPassword, createSession, requireAuth } = require('../auth');
+const { conflict, unauthorized, rules: v, validate } = require('../validation');
+
+// --- Auth Endpoints ---
+// Mounted ahead of the session check; only logout and me need a session
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const credentialsBody = {
+  username: v.string({ pattern: USERNAME_PATTERN, message: 'must be 3-32 letters, numbers, dots, dashes or underscores' }),
+  password: v.string({ min: MIN_PASSWORD_LENGTH, trim: false }),
+};
+
+const loginBody = {
+  username: v.string({ min: 1 }),
+  password: v.string({ min: 1, trim: false }),
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+  const authenticate = requireAuth(db);
+
+  // The first account adopts questions created before accounts existed
+  const registerUser = db.transaction((username, password) => {
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+    const { lastInsertRowid: id } = db.prepare(`
+      INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)
+    `).run(username, hashPassword(password), dayjs().toISOString());
+    if (count === 0) {
+      db.prepare('UPDATE questions SET user_id = ? WHERE user_id IS NULL').run(id);
+    }
+    return { id, username, token: createSession(db, id) };
+  });
+
+  router.post('/auth/register', validate({ body: credentialsBody }), (req, res) => {
+    const { username, password } = req.valid.body;
+
+    if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+      throw conflict('Username is already taken', 'USERNAME_TAKEN');
+    }
+
+    const { token, ...user } = registerUser(username, password);
+    res.status(201).json({ token, user });
+  });
+
+  router.post('/auth/login', validate({ body: loginBody }), (req, res) => {
+    const { username, password } = req.valid.body;
+    const user = db.prepare('SELECT id, username, password_hash FROM users WHERE username = ?').get(username);
+
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      throw unauthorized('Invalid username or password');
+    }
+
+    res.json({ token: createSession(db, user.id), user: { id: user.id, username: user.username } });
+  });
+
+  router.post('/auth/logout', authenticate, (req, res) => {
+    db.prepare('DELETE FROM sessions WHERE token = ?').run(req.token);
+    res.json({ success: true });
+  });
+
+  router.get('/auth/me', authenticate, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+};
@@ -0,0 +1,127 @@
+const express = require('express');
+const dayjs = require('dayjs');
+const { notFound, unprocessable, rules: v, validate } = require('../validation');
+const { shiftPastBlackouts } = require('../scheduler');
+const { blackoutRanges, blackoutEndFinder, moveReviews } = require('../store');
+const { idParams } = require('./schemas');
+
+// --- Blackout Endpoints ---
+// Vacations and other days off. Adding one moves the reviews inside it;
+// afterwards new reviews are kept out of it (see placeReviews).
+const MAX_BLACKOUT_DAYS = 366;
+
+const countByDate = (dates) => {
+  const counts = new Map();
+  dates.forEach(date => counts.set(date, (counts.get(date) || 0) + 1));
+  return counts;
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // 30. List blackouts, earliest first
+  router.get('/blackouts', (req, res) => {
+    res.json(blackoutRanges(db, req.user.id));
+  });
+
+  // Moves every incomplete review out of `ranges`, one question at a time.
+  // Returns the moves and, for every day whose load changes, its review
+  // count before and after.
+  const planShift = (userId, ranges, shiftChain) => {
+    const rows = db.prepare(`
+      SELECT s.id, s.question_id, s.due_date, q.title
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE s.completed = 0 AND q.user_id = ? AND q.archived = 0
+      ORDER BY s.question_id, s.due_date, s.id
+    `).all(userId);
+
+    const chains = new Map();
+    rows.forEach(row => {
+      if (!chains.has(row.question_id)) chains.set(row.question_id, []);
+      chains.get(row.question_id).push(row);
+    });
+
+    const blackoutEnd = blackoutEndFinder(ranges);
+    const moves = [];
+    const after = [];
+    chains.forEach(chain => {
+      const dates = shiftPastBlackouts(chain.map(row => row.due_date), blackoutEnd, { shiftChain });
+      chain.forEach((row, i) => {
+        after.push(dates[i]);
+        if (dates[i] !== row.due_date) {
+          moves.push({ id: row.id, question_id: row.question_id, title: row.title, from: row.due_date, to: dates[i] });
+        }
+      });
+    });
+    moves.sort((a, b) => a.from.localeCompare(b.from) || a.title.localeCompare(b.title));
+
+    const countsBefore = countByDate(rows.map(row => row.due_date));
+    const countsAfter = countByDate(after);
+    const calendar = [...new Set([...countsBefore.keys(), ...countsAfter.keys()])]
+      .filter(date => (countsBefore.get(date) || 0) !== (countsAfter.get(date) || 0))
+      .sort()
+      .map(date => ({ date, before: countsBefore.get(date) || 0, after: countsAfter.get(date) || 0 }));
+
+    return { moves, calendar };
+  };
+
+  // 31. Add a blackout (start_date..end_date, inclusive). Incomplete reviews
+  // inside it move to the day after; with shiftChain (default) the rest of
+  // each question's chain moves by the same number of days so the spacing is
+  // kept. dryRun previews the moves and the resulting calendar without saving.
+  const blackoutBody = {
+    start_date: v.date(),
+    end_date: v.date(),
+    label: v.optional(v.string({ max: 100 }), ''),
+    shiftChain: v.optional(v.boolean(), true),
+    dryRun: v.optional(v.boolean(), false),
+  };
+
+  const addBlackout = db.transaction((userId, blackout, moves) => {
+    const { lastInsertRowid: id } = db.prepare(`
+      INSERT INTO blackouts (user_id, start_date, end_date, label, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(userId, blackout.start_date, blackout.end_date, blackout.label, dayjs().toISOString());
+    moveReviews(db, moves);
+    return id;
+  });
+
+  router.post('/blackouts', validate({ body: blackoutBody }), (req, res) => {
+    const { shiftChain, dryRun, ...blackout } = req.valid.body;
+
+    const days = dayjs(blackout.end_date).diff(dayjs(blackout.start_date), 'day') + 1;
+    if (days < 1) {
+      throw unprocessable('end_date must not be before start_date', [
+        { field: 'end_date', message: 'end_date must not be before start_date' },
+      ]);
+    }
+    if (days > MAX_BLACKOUT_DAYS) {
+      throw unprocessable(`A blackout can last at most ${MAX_BLACKOUT_DAYS} days`, [
+        { field: 'end_date', message: `end_date must be within ${MAX_BLACKOUT_DAYS} days of start_date` },
+      ]);
+    }
+
+    const plan = planShift(req.user.id, [...blackoutRanges(db, req.user.id), blackout], shiftChain);
+    if (dryRun) {
+      return res.json({ dryRun, blackout, moved: plan.moves.length, ...plan });
+    }
+
+    const id = addBlackout(req.user.id, blackout, plan.moves);
+    // Also sent when nothing moved: the calendar shades blackout days
+    req.publish('schedule', { question_ids: [...new Set(plan.moves.map(move => move.question_id))] });
+    res.status(201).json({ dryRun, blackout: { id, ...blackout }, moved: plan.moves.length, ...plan });
+  });
+
+  // 32. Remove a blackout; reviews that were moved out of it stay where they are
+  router.delete('/blackouts/:id', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+    const result = db.prepare('DELETE FROM blackouts WHERE id = ? AND user_id = ?').run(id, req.user.id);
+    if (result.changes === 0) {
+      throw notFound('Blackout not found');
+    }
+    req.publish('schedule', { question_ids: [] });
+    res.json({ success: true });
+  });
+
+  return router;
+};
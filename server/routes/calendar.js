@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { unauthorized, rules: v, validate } = require('../validation');
+const { metadataFilters } = require('../metadata');
+const { buildCalendar } = require('../ical');
+const { filterQuery } = require('./schemas');
+
+// --- Calendar Feed Endpoints ---
+// Mounted ahead of the session check: the feed also accepts the user's
+// calendar token, since calendar apps subscribe by URL and cannot log in.
+
+// Summaries list at most this many titles; the description has them all
+const SUMMARY_TITLES = 3;
+
+const summarize = (questions) => {
+  if (questions.length === 1) return `LeetCode review: ${questions[0].title}`;
+  const titles = questions.slice(0, SUMMARY_TITLES).map(q => q.title).join(', ');
+  const more = questions.length > SUMMARY_TITLES ? ` +${questions.length - SUMMARY_TITLES} more` : '';
+  return `LeetCode reviews (${questions.length}): ${titles}${more}`;
+};
+
+const describe = (questions) => questions
+  .map(q => [`- ${q.title}`, q.difficulty && `(${q.difficulty})`, q.url].filter(Boolean).join(' '))
+  .join('\n');
+
+const newCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+module.exports = (db) => {
+  const router = express.Router();
+  const authenticate = requireAuth(db);
+
+  // A ?token= query signs in as the token's owner; otherwise a session is required
+  const authenticateFeed = (req, res, next) => {
+    const { token } = req.valid.query;
+    if (!token) return authenticate(req, res, next);
+
+    const user = db.prepare('SELECT id, username FROM users WHERE calendar_token = ?').get(token);
+    if (!user) return next(unauthorized('Invalid calendar token'));
+    req.user = user;
+    next();
+  };
+
+  // 23. iCalendar feed of every pending review: one all-day event per due
+  // date. UIDs depend only on the user and the date, so a refreshed feed
+  // updates events in place. Optional: tag, difficulty, download=true
+  const feedQuery = {
+    token: v.optional(v.string({ min: 1, max: 200 })),
+    download: v.optional(v.boolean(), false),
+    ...filterQuery,
+  };
+
+  router.get('/calendar.ics', validate({ query: feedQuery }), authenticateFeed, (req, res) => {
+    const filters = metadataFilters(req.valid.query);
+    const rows = db.prepare(`
+      SELECT s.due_date, q.title, q.difficulty, q.url
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE s.completed = 0 AND q.user_id = ? AND q.archived = 0${filters.sql}
+      ORDER BY s.due_date, q.title COLLATE NOCASE
+    `).all(req.user.id, ...filters.params);
+
+    const byDate = new Map();
+    rows.forEach(row => {
+      if (!byDate.has(row.due_date)) byDate.set(row.due_date, []);
+      byDate.get(row.due_date).push(row);
+    });
+
+    const events = [...byDate].map(([date, questions]) => ({
+      uid: `review-${date}-user${req.user.id}@leetcode-scheduler`,
+      date,
+      summary: summarize(questions),
+      description: describe(questions),
+    }));
+
+    if (req.valid.query.download) {
+      res.attachment('leetcode-reviews.ics');
+    }
+    res.type('text/calendar; charset=utf-8')
+      .send(buildCalendar({ name: `LeetCode reviews (${req.user.username})`, events }));
+  });
+
+  // 24. The current calendar token, or null when no subscription link exists
+  router.get('/calendar/token', authenticate, (req, res) => {
+    const { calendar_token: token } = db.prepare('SELECT calendar_token FROM users WHERE id = ?').get(req.user.id);
+    res.json({ token });
+  });
+
+  // 25. Create a calendar token, replacing (and so revoking) any earlier one
+  router.post('/calendar/token', authenticate, (req, res) => {
+    const token = newCalendarToken();
+    db.prepare('UPDATE users SET calendar_token = ? WHERE id = ?').run(token, req.user.id);
+    res.status(201).json({ token });
+  });
+
+  // 26. Revoke the calendar token; subscriptions stop updating
+  router.delete('/calendar/token', authenticate, (req, res) => {
+    db.prepare('UPDATE users SET calendar_token = NULL WHERE id = ?').run(req.user.id);
+    res.json({ success: true });
+  });
+
+  return router;
+};
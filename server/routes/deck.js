@@ -0,0 +1,330 @@
+const express = require('express');
+const dayjs = require('dayjs');
+const { unprocessable, isValidDate, rules: v, validate } = require('../validation');
+const { DEFAULT_EASE, MIN_EASE, parseGrade } = require('../scheduler');
+const { toCsv, parseCsv } = require('../csv');
+const { DIFFICULTIES, resolveMetadata, TAGS_COLUMN, withTags } = require('../metadata');
+const { generateSchedule, setQuestionTags, logReview, saveNotes } = require('../store');
+const { MAX_TITLE_LENGTH } = require('./schemas');
+
+// --- Deck Import/Export Endpoints ---
+module.exports = (db) => {
+  const router = express.Router();
+
+  // --- Helper: Deck Import/Export ---
+  const EXPORT_FORMAT = 'leetcode-spaced-repetition';
+  const EXPORT_VERSION = 1;
+
+  const QUESTION_CSV_COLUMNS = [
+    'title', 'problem_number', 'slug', 'url', 'difficulty', 'tags', 'notes',
+    'created_at', 'archived', 'ease', 'interval_days', 'repetitions', 'lapses',
+  ];
+  const SCHEDULE_CSV_COLUMNS = ['title', 'problem_number', 'due_date', 'completed', 'grade', 'reviewed_at'];
+
+  const exportDeck = (userId) => {
+    const questions = withTags(db.prepare(`
+      SELECT q.id, q.title, q.problem_number, q.slug, q.url, q.difficulty, q.notes, q.created_at,
+             q.archived, q.ease, q.interval_days, q.repetitions, q.lapses, ${TAGS_COLUMN}
+      FROM questions q WHERE q.user_id = ? ORDER BY q.id
+    `).all(userId));
+    const schedule = db.prepare(`
+      SELECT s.question_id, s.due_date, s.completed, s.grade, s.reviewed_at
+      FROM schedule s JOIN questions q ON q.id = s.question_id
+      WHERE q.user_id = ? ORDER BY s.due_date, s.id
+    `).all(userId);
+    const reviews = db.prepare(`
+      SELECT r.question_id, r.action, r.grade, r.completed, r.time_spent_seconds, r.interval_days,
+             r.repetitions, r.review_date, r.reviewed_at
+      FROM review_log r JOIN questions q ON q.id = r.question_id
+      WHERE q.user_id = ? ORDER BY r.reviewed_at, r.id
+    `).all(userId);
+
+    const forQuestion = (rows, id) => rows
+      .filter(row => row.question_id === id)
+      .map(({ question_id: _questionId, ...row }) => row);
+
+    return questions.map(({ id, ...question }) => ({
+      ...question,
+      schedule: forQuestion(schedule, id),
+      reviews: forQuestion(reviews, id),
+    }));
+  };
+
+  // Validates one imported question and returns { question, errors }.
+  // Questions without created_at start today.
+  const validateImportQuestion = (raw, index, today) => {
+    const errors = [];
+    const where = `Question ${index + 1}`;
+
+    if (!raw || typeof raw !== 'object') {
+      return { errors: [`${where}: must be an object`] };
+    }
+
+    const meta = resolveMetadata(raw);
+    if (!meta.title) errors.push(`${where}: title is required`);
+    if (meta.title.length > MAX_TITLE_LENGTH) errors.push(`${where}: title is longer than ${MAX_TITLE_LENGTH} characters`);
+
+    const problemNumber = raw.problem_number;
+    if (problemNumber != null && problemNumber !== '' && !/^[1-9]\d*$/.test(String(problemNumber).trim())) {
+      errors.push(`${where}: problem_number must be a positive whole number`);
+    }
+
+    const createdAt = raw.created_at || today;
+    if (!isValidDate(createdAt)) errors.push(`${where}: created_at must be YYYY-MM-DD`);
+    if (raw.difficulty && !meta.difficulty) errors.push(`${where}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+
+    // Left out (or blank in a CSV), a number takes `fallback`; otherwise it
+    // must be finite, at least `min` and, unless `whole` is false, an integer
+    const number = (value, field, fallback, { min = 0, whole = true, at = where } = {}) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const num = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+      if (!Number.isFinite(num) || num < min || (whole && !Number.isInteger(num))) {
+        errors.push(`${at}: ${field} must be ${whole ? 'a whole number' : 'a number'} of at least ${min}`);
+      }
+      return num;
+    };
+
+    let notes = raw.notes ?? '';
+    if (typeof notes === 'object') notes = JSON.stringify(notes);
+
+    let schedule = null;
+    if (raw.schedule !== undefined) {
+      if (!Array.isArray(raw.schedule)) {
+        errors.push(`${where}: schedule must be an array`);
+      } else {
+        schedule = raw.schedule.map((row, i) => {
+          if (!isValidDate(row?.due_date)) errors.push(`${where}, review ${i + 1}: due_date must be YYYY-MM-DD`);
+          const grade = row?.grade == null || row.grade === '' ? null : parseGrade(row.grade);
+          if (row?.grade != null && row.grade !== '' && !grade) errors.push(`${where}, review ${i + 1}: invalid grade`);
+          return {
+            due_date: row?.due_date,
+            completed: row?.completed === true || Number(row?.completed) === 1 ? 1 : 0,
+            grade,
+            reviewed_at: row?.reviewed_at || null,
+          };
+        });
+      }
+    }
+
+    let reviews = [];
+    if (raw.reviews !== undefined) {
+      if (!Array.isArray(raw.reviews)) {
+        errors.push(`${where}: reviews must be an array`);
+      } else {
+        reviews = raw.reviews.map((row, i) => {
+          const at = `${where}, log entry ${i + 1}`;
+          const reviewedAt = dayjs(row?.reviewed_at);
+          if (!row?.action || !reviewedAt.isValid()) {
+            errors.push(`${at}: action and reviewed_at are required`);
+          }
+          if (row?.review_date != null && !isValidDate(row.review_date)) {
+            errors.push(`${at}: review_date must be YYYY-MM-DD`);
+          }
+          const grade = row?.grade == null ? null : parseGrade(row.grade);
+          if (row?.grade != null && !grade) errors.push(`${at}: invalid grade`);
+          const completed = row?.completed ?? null;
+          if (![null, true, false, 0, 1].includes(completed)) errors.push(`${at}: completed must be true, false, 1 or 0`);
+          return {
+            action: String(row?.action),
+            grade,
+            completed: completed === null ? null : Number(completed),
+            time_spent_seconds: number(row?.time_spent_seconds, 'time_spent_seconds', null, { at }),
+            interval_days: number(row?.interval_days, 'interval_days', null, { at }),
+            repetitions: number(row?.repetitions, 'repetitions', null, { at }),
+            review_date: row?.review_date ?? reviewedAt.format('YYYY-MM-DD'),
+            reviewed_at: row?.reviewed_at,
+          };
+        });
+      }
+    }
+
+    return {
+      errors,
+      question: {
+        ...meta,
+        notes: String(notes),
+        created_at: createdAt,
+        archived: raw.archived === true || Number(raw.archived) === 1 ? 1 : 0,
+        ease: number(raw.ease, 'ease', DEFAULT_EASE, { min: MIN_EASE, whole: false }),
+        interval_days: number(raw.interval_days, 'interval_days', 1, { min: 1 }),
+        repetitions: number(raw.repetitions, 'repetitions', 0),
+        lapses: number(raw.lapses, 'lapses', 0),
+        schedule,
+        reviews,
+      },
+    };
+  };
+
+  // Titles are unique per user, so a file naming one twice cannot be imported
+  const duplicateTitleErrors = (questions) => {
+    const firstIndex = new Map();
+    const errors = [];
+    questions.forEach((question, index) => {
+      if (!question?.title) return;
+      const key = question.title.toLowerCase();
+      if (firstIndex.has(key)) {
+        errors.push(`Question ${index + 1}: title is the same as question ${firstIndex.get(key) + 1}`);
+      } else {
+        firstIndex.set(key, index);
+      }
+    });
+    return errors;
+  };
+
+  // Splits validated questions into ones to add and duplicates to skip.
+  // Duplicates match by problem number or by title (ignoring case).
+  const planImport = (userId, questions, mode) => {
+    const byNumber = new Set();
+    const byTitle = new Set();
+    if (mode === 'merge') {
+      db.prepare('SELECT title, problem_number FROM questions WHERE user_id = ?').all(userId).forEach(q => {
+        if (q.problem_number != null) byNumber.add(q.problem_number);
+        byTitle.add(q.title.toLowerCase());
+      });
+    }
+
+    const toAdd = [];
+    const skipped = [];
+    questions.forEach(question => {
+      const duplicate = (question.problem_number != null && byNumber.has(question.problem_number))
+        || byTitle.has(question.title.toLowerCase());
+      if (duplicate) {
+        skipped.push(question.title);
+        return;
+      }
+      if (question.problem_number != null) byNumber.add(question.problem_number);
+      byTitle.add(question.title.toLowerCase());
+      toAdd.push(question);
+    });
+
+    return { toAdd, skipped };
+  };
+
+  const applyImport = db.transaction((userId, questions, mode) => {
+    if (mode === 'replace') {
+      // Tags and the review log go with their questions (ON DELETE CASCADE).
+      // Mock interviews were made of those questions, so they go too.
+      db.prepare('DELETE FROM schedule WHERE question_id IN (SELECT id FROM questions WHERE user_id = ?)').run(userId);
+      db.prepare('DELETE FROM interviews WHERE user_id = ?').run(userId);
+      db.prepare('DELETE FROM questions WHERE user_id = ?').run(userId);
+    }
+
+    const insertQuestion = db.prepare(`
+      INSERT INTO questions (user_id, title, created_at, notes, problem_number, slug, url, difficulty,
+                             archived, ease, interval_days, repetitions, lapses)
+      VALUES (@user_id, @title, @created_at, @notes, @problem_number, @slug, @url, @difficulty,
+              @archived, @ease, @interval_days, @repetitions, @lapses)
+    `);
+    const insertReview = db.prepare(`
+      INSERT INTO schedule (question_id, due_date, completed, grade, reviewed_at) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    return questions.map(({ tags, schedule, reviews, ...question }) => {
+      const { lastInsertRowid: id } = insertQuestion.run({ ...question, user_id: userId });
+      setQuestionTags(db, id, tags);
+      // Imported notes start the question's revision history
+      saveNotes(db, id, question.notes);
+      reviews.forEach(entry => logReview(db, { ...entry, question_id: id, schedule_id: null }));
+      if (schedule) {
+        schedule.forEach(row => insertReview.run(id, row.due_date, row.completed, row.grade, row.reviewed_at));
+      } else {
+        generateSchedule(db, id, question.created_at);
+      }
+      return id;
+    });
+  });
+
+  // Turns CSV question rows into the same shape as a JSON export
+  const questionsFromCsv = (text) => parseCsv(text).map(row => ({
+    ...row,
+    tags: row.tags ? row.tags.split(';') : undefined,
+    problem_number: row.problem_number || undefined,
+    created_at: row.created_at || undefined,
+  }));
+
+  // 16. Export the whole deck
+  // Query: format=json (default) or csv; for csv, type=questions (default) or schedule
+  const exportQuery = {
+    format: v.optional(v.oneOf(['json', 'csv']), 'json'),
+    type: v.optional(v.oneOf(['questions', 'schedule']), 'questions'),
+  };
+
+  router.get('/export', validate({ query: exportQuery }), (req, res) => {
+    const { format, type } = req.valid.query;
+    const stamp = req.today;
+    const questions = exportDeck(req.user.id);
+
+    if (format === 'csv') {
+      const csv = type === 'schedule'
+        ? toCsv(questions.flatMap(q => q.schedule.map(row => ({ title: q.title, problem_number: q.problem_number, ...row }))), SCHEDULE_CSV_COLUMNS)
+        : toCsv(questions.map(q => ({ ...q, tags: q.tags.join(';') })), QUESTION_CSV_COLUMNS);
+      res.attachment(`leetcode-${type}-${stamp}.csv`);
+      return res.type('text/csv').send(csv);
+    }
+
+    res.attachment(`leetcode-deck-${stamp}.json`);
+    res.json({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: dayjs().toISOString(),
+      questions,
+    });
+  });
+
+  // 17. Import a deck
+  // Body: { format: 'json' | 'csv', data, mode: 'merge' | 'replace', dryRun }
+  //   json data is an export object (or just its questions array); csv data is
+  //   the text of a questions CSV export. merge skips questions whose problem
+  //   number or title already exists; replace wipes the deck (and its mock
+  //   interviews) first. dryRun returns the same report without writing
+  //   anything.
+  const importBody = {
+    format: v.optional(v.oneOf(['json', 'csv']), 'json'),
+    data: v.any(),
+    mode: v.optional(v.oneOf(['merge', 'replace']), 'merge'),
+    dryRun: v.optional(v.boolean(), false),
+  };
+
+  router.post('/import', validate({ body: importBody }), (req, res) => {
+    const { format, data, mode, dryRun } = req.valid.body;
+
+    let rawQuestions;
+    try {
+      if (format === 'csv') {
+        rawQuestions = questionsFromCsv(String(data));
+      } else {
+        const deck = typeof data === 'string' ? JSON.parse(data) : data;
+        rawQuestions = Array.isArray(deck) ? deck : deck?.questions;
+      }
+    } catch (error) {
+      throw unprocessable(`Could not parse ${format}: ${error.message}`, [{ field: 'data', message: error.message }]);
+    }
+    if (!Array.isArray(rawQuestions)) {
+      throw unprocessable('Import must contain a questions array');
+    }
+
+    const results = rawQuestions.map((raw, index) => validateImportQuestion(raw, index, req.today));
+    const errors = [
+      ...results.flatMap(result => result.errors),
+      ...duplicateTitleErrors(results.map(result => result.question)),
+    ];
+    if (errors.length) {
+      throw unprocessable('Import failed validation', errors.map(message => ({ field: 'data', message })));
+    }
+
+    const { toAdd, skipped } = planImport(req.user.id, results.map(result => result.question), mode);
+    if (!dryRun) {
+      const ids = applyImport(req.user.id, toAdd, mode);
+      req.publish('question', { action: 'imported', ids });
+    }
+    res.json({
+      success: true,
+      dryRun,
+      mode,
+      added: toAdd.map(q => q.title),
+      skipped,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,60 @@
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { rules: v, validate } = require('../validation');
+
+// --- Change Stream Endpoint ---
+// Mounted ahead of the session check: EventSource cannot set headers, so the
+// session token may come as ?token= instead of the Authorization header.
+const RETRY_MS = 3000;
+const HEARTBEAT_MS = 25000;
+
+module.exports = (db, hub) => {
+  const router = express.Router();
+  const authenticate = requireAuth(db);
+
+  const authenticateStream = (req, res, next) => {
+    const { token } = req.valid.query;
+    if (token) req.headers.authorization = `Bearer ${token}`;
+    authenticate(req, res, next);
+  };
+
+  // 34. Server-Sent Events stream of changes to your deck (see ../events for
+  // the event types). Starts with a ready event; a comment line every 25s
+  // keeps proxies from closing the connection. Query: token, client (this
+  // client's X-Client-Id; its own changes are not echoed back)
+  const streamQuery = {
+    token: v.optional(v.string({ min: 1, max: 200 })),
+    client: v.optional(v.string({ max: 100 })),
+  };
+
+  router.get('/events', validate({ query: streamQuery }), authenticateStream, (req, res) => {
+    const { client = null } = req.valid.query;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (id, type, data) => {
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    send(null, 'ready', { client });
+
+    const unsubscribe = hub.subscribe(req.user.id, (event) => {
+      if (client && event.origin === client) return;
+      send(event.id, event.type, event.data);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+};
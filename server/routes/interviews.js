@@ -0,0 +1,230 @@
+const express = require('express');
+const dayjs = require('dayjs');
+const { notFound, conflict, unprocessable, rules: v, validate } = require('../validation');
+const { DIFFICULTIES, normalizeTags, TAGS_COLUMN, withTags } = require('../metadata');
+const { GRADES } = require('../scheduler');
+const { OUTCOMES, pickQuestions, scoreOutcomes } = require('../interviews');
+const { logReview, blackoutRanges, blackoutEndFinder } = require('../store');
+const { idParams } = require('./schemas');
+
+// --- Mock Interview Endpoints ---
+// A session is a handful of questions drawn from the library (see
+// ../interviews for how they are picked) worked through against a clock.
+// Finishing it records each outcome and pulls failed questions forward.
+const MAX_QUESTIONS = 10;
+const DEFAULT_QUESTIONS = 3;
+const DEFAULT_DURATION = 45;
+
+// Outcomes go into review_log as interview entries graded like a review
+const OUTCOME_GRADES = { solved: GRADES.good, partial: GRADES.hard, failed: GRADES.again };
+
+// { Easy: 1, Medium: 2 }: how many questions of each difficulty
+const parseMix = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  const mix = {};
+  for (const [key, count] of Object.entries(value)) {
+    const difficulty = DIFFICULTIES.find(d => d.toLowerCase() === key.toLowerCase());
+    if (!difficulty || !Number.isInteger(count) || count < 0) return undefined;
+    mix[difficulty] = count;
+  }
+  const total = Object.values(mix).reduce((sum, count) => sum + count, 0);
+  return total >= 1 && total <= MAX_QUESTIONS ? mix : undefined;
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  const findInterview = (id, userId) => {
+    const interview = db.prepare(`
+      SELECT id, duration_minutes, tags, started_at, finished_at, score FROM interviews WHERE id = ? AND user_id = ?
+    `).get(id, userId);
+    if (!interview) return null;
+    const questions = withTags(db.prepare(`
+      SELECT i.question_id, i.position, i.outcome, i.time_spent_seconds, q.title, q.problem_number, q.url,
+             q.difficulty, ${TAGS_COLUMN}
+      FROM interview_questions i
+      JOIN questions q ON q.id = i.question_id
+      WHERE i.interview_id = ?
+      ORDER BY i.position
+    `).all(id));
+    return {
+      ...interview,
+      tags: interview.tags ? interview.tags.split(',') : [],
+      ends_at: dayjs(interview.started_at).add(interview.duration_minutes, 'minute').toISOString(),
+      questions,
+    };
+  };
+
+  // 38. Start a session. Body: count (default 3) or a difficulty mix
+  // ({ Easy: 1, Medium: 2 }), optional tags (questions with any of them) and
+  // duration_minutes (default 45). Answers the session with its questions.
+  const interviewBody = {
+    count: v.optional(v.integer({ min: 1, max: MAX_QUESTIONS }), DEFAULT_QUESTIONS),
+    mix: v.optional(v.nullable(v.custom(parseMix, `must give a count per difficulty (${DIFFICULTIES.join(', ')}) adding up to 1-${MAX_QUESTIONS}`))),
+    tags: v.optional(v.list(), []),
+    duration_minutes: v.optional(v.integer({ min: 5, max: 240 }), DEFAULT_DURATION),
+  };
+
+  // Active questions with what the picker weighs: ease, lapses and the last
+  // day they were reviewed or practiced
+  const findCandidates = (userId, tags) => {
+    const tagFilter = tags.length
+      ? ` AND EXISTS (
+          SELECT 1 FROM question_tags qt JOIN tags t ON t.id = qt.tag_id
+          WHERE qt.question_id = q.id AND t.name COLLATE NOCASE IN (${tags.map(() => '?').join(', ')})
+        )`
+      : '';
+    return db.prepare(`
+      SELECT q.id, q.difficulty, q.ease, q.lapses, q.created_at,
+             (SELECT MAX(r.review_date) FROM review_log r
+              WHERE r.question_id = q.id AND (r.action IN ('review', 'interview') OR (r.action = 'toggle' AND r.completed = 1))
+             ) as last_seen
+      FROM questions q
+      WHERE q.user_id = ? AND q.archived = 0${tagFilter}
+    `).all(userId, ...tags);
+  };
+
+  const createInterview = db.transaction((userId, { duration_minutes: duration, tags }, questions) => {
+    const { lastInsertRowid: id } = db.prepare(`
+      INSERT INTO interviews (user_id, duration_minutes, tags, started_at) VALUES (?, ?, ?, ?)
+    `).run(userId, duration, tags.join(','), new Date().toISOString());
+    const insert = db.prepare('INSERT INTO interview_questions (interview_id, question_id, position) VALUES (?, ?, ?)');
+    questions.forEach((question, position) => insert.run(id, question.id, position));
+    return id;
+  });
+
+  router.post('/interviews', validate({ body: interviewBody }), (req, res) => {
+    const body = { ...req.valid.body, tags: normalizeTags(req.valid.body.tags) };
+    const picked = pickQuestions(findCandidates(req.user.id, body.tags), body, { today: req.today });
+    if (!picked.length) {
+      throw unprocessable('No questions in your library match this session', [
+        { field: 'tags', message: body.tags.length ? 'no active questions have these tags' : 'the library has no active questions' },
+      ]);
+    }
+    const id = createInterview(req.user.id, body, picked);
+    res.status(201).json(findInterview(id, req.user.id));
+  });
+
+  // 39. Past sessions, newest first, with their score and outcome counts
+  router.get('/interviews', (req, res) => {
+    const rows = db.prepare(`
+      SELECT s.id, s.duration_minutes, s.tags, s.started_at, s.finished_at, s.score,
+             COUNT(i.id) as total,
+             SUM(CASE WHEN i.outcome = 'solved' THEN 1 ELSE 0 END) as solved,
+             SUM(CASE WHEN i.outcome = 'partial' THEN 1 ELSE 0 END) as partial,
+             SUM(CASE WHEN i.outcome = 'failed' THEN 1 ELSE 0 END) as failed
+      FROM interviews s
+      LEFT JOIN interview_questions i ON i.interview_id = s.id
+      WHERE s.user_id = ?
+      GROUP BY s.id
+      ORDER BY s.started_at DESC, s.id DESC
+    `).all(req.user.id);
+    res.json(rows.map(row => ({ ...row, tags: row.tags ? row.tags.split(',') : [] })));
+  });
+
+  // 40. One session with its questions and their outcomes
+  router.get('/interviews/:id', validate({ params: idParams }), (req, res) => {
+    const interview = findInterview(req.valid.params.id, req.user.id);
+    if (!interview) {
+      throw notFound('Interview not found');
+    }
+    res.json(interview);
+  });
+
+  // 41. Finish a session. Body: results, [{ question_id, outcome, time_spent }]
+  // with outcome solved, partial, failed or skipped; questions left out count
+  // as skipped. Each failed question's next review moves to tomorrow (or
+  // the first day after a blackout), or one is added if none is left.
+  const resultsRule = v.custom(value => (Array.isArray(value) ? value : undefined), 'must be a list of results');
+
+  const checkResults = (results, questionIds) => {
+    const details = [];
+    const byQuestion = new Map();
+    results.forEach((result, index) => {
+      const field = `results[${index}]`;
+      if (!questionIds.includes(result?.question_id)) {
+        details.push({ field, message: `${field} question_id is not in this interview` });
+      } else if (!OUTCOMES.includes(result.outcome)) {
+        details.push({ field, message: `${field} outcome must be one of ${OUTCOMES.join(', ')}` });
+      } else if (result.time_spent != null && !(Number.isFinite(result.time_spent) && result.time_spent >= 0)) {
+        details.push({ field, message: `${field} time_spent must be a number of seconds` });
+      } else {
+        byQuestion.set(result.question_id, {
+          outcome: result.outcome,
+          time_spent: result.time_spent == null ? null : Math.round(result.time_spent),
+        });
+      }
+    });
+    if (details.length) throw unprocessable('Some results are invalid', details);
+    return byQuestion;
+  };
+
+  // The earliest day from tomorrow that is not in a blackout
+  const nextOpenDay = (userId, today) => {
+    const blackoutEnd = blackoutEndFinder(blackoutRanges(db, userId));
+    let day = dayjs(today).add(1, 'day').format('YYYY-MM-DD');
+    for (let end = blackoutEnd(day); end; end = blackoutEnd(day)) {
+      day = dayjs(end).add(1, 'day').format('YYYY-MM-DD');
+    }
+    return day;
+  };
+
+  const finishInterview = db.transaction((interview, results, userId, today) => {
+    const update = db.prepare(`
+      UPDATE interview_questions SET outcome = ?, time_spent_seconds = ? WHERE interview_id = ? AND question_id = ?
+    `);
+    const pulled = [];
+    const target = nextOpenDay(userId, today);
+
+    interview.questions.forEach(question => {
+      const { outcome, time_spent: timeSpent } = results.get(question.question_id) || { outcome: 'skipped', time_spent: null };
+      update.run(outcome, timeSpent, interview.id, question.question_id);
+      if (outcome === 'skipped') return;
+
+      logReview(db, {
+        question_id: question.question_id,
+        schedule_id: null,
+        action: 'interview',
+        grade: OUTCOME_GRADES[outcome],
+        time_spent_seconds: timeSpent,
+        review_date: today,
+      });
+
+      if (outcome !== 'failed') return;
+      const next = db.prepare(`
+        SELECT id, due_date FROM schedule WHERE question_id = ? AND completed = 0 ORDER BY due_date, id LIMIT 1
+      `).get(question.question_id);
+      if (!next) {
+        db.prepare('INSERT INTO schedule (question_id, due_date) VALUES (?, ?)').run(question.question_id, target);
+        pulled.push({ question_id: question.question_id, title: question.title, from: null, to: target });
+      } else if (next.due_date > target) {
+        db.prepare('UPDATE schedule SET due_date = ? WHERE id = ?').run(target, next.id);
+        pulled.push({ question_id: question.question_id, title: question.title, from: next.due_date, to: target });
+      }
+    });
+
+    const outcomes = interview.questions.map(question => results.get(question.question_id)?.outcome || 'skipped');
+    db.prepare('UPDATE interviews SET finished_at = ?, score = ? WHERE id = ?')
+      .run(new Date().toISOString(), scoreOutcomes(outcomes), interview.id);
+    return pulled;
+  });
+
+  router.post('/interviews/:id/finish', validate({ params: idParams, body: { results: v.optional(resultsRule, []) } }), (req, res) => {
+    const interview = findInterview(req.valid.params.id, req.user.id);
+    if (!interview) {
+      throw notFound('Interview not found');
+    }
+    if (interview.finished_at) {
+      throw conflict('This interview has already been finished', 'ALREADY_FINISHED');
+    }
+
+    const results = checkResults(req.valid.body.results, interview.questions.map(question => question.question_id));
+    const pulled = finishInterview(interview, results, req.user.id, req.today);
+    if (pulled.length) {
+      req.publish('schedule', { question_ids: pulled.map(move => move.question_id) });
+    }
+    res.json({ ...findInterview(interview.id, req.user.id), pulled_forward: pulled });
+  });
+
+  return router;
+};
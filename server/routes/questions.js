@@ -0,0 +1,390 @@
+const express = require('express');
+const { notFound, conflict, unprocessable, rules: v, validate } = require('../validation');
+const { normalizeTags, problemUrl, slugFromUrl, resolveMetadata, TAGS_COLUMN, withTags, metadataFilters } = require('../metadata');
+const { generateSchedule, setQuestionTags, saveNotes, ownsQuestion, titleTaken } = require('../store');
+const { parseCaptureLine } = require('../capture');
+const { idParams, filterQuery, MAX_TITLE_LENGTH, MAX_NOTES_LENGTH, metadataBody } = require('./schemas');
+
+// --- Question Endpoints ---
+const MAX_BULK_LINES = 500;
+const MAX_BULK_LENGTH = 200000;
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // 1. Add a new question
+  // Body: title, plus optional problem_number, slug, url, difficulty and tags.
+  // A known problem_number fills in the rest from the bundled catalog.
+  // started (default today) is the day it was solved, as in bulk add below.
+  const createQuestion = db.transaction((userId, meta, today) => {
+    const stmt = db.prepare(`
+      INSERT INTO questions (user_id, title, created_at, problem_number, slug, url, difficulty)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const info = stmt.run(userId, meta.title, today, meta.problem_number, meta.slug, meta.url, meta.difficulty);
+    setQuestionTags(db, info.lastInsertRowid, meta.tags);
+
+    // Generate the future spaced repetition dates immediately
+    generateSchedule(db, info.lastInsertRowid, today);
+    return info.lastInsertRowid;
+  });
+
+  const questionBody = {
+    title: v.optional(v.string({ max: MAX_TITLE_LENGTH })),
+    started: v.optional(v.date()),
+    ...metadataBody,
+  };
+
+  router.post('/questions', validate({ body: questionBody }), (req, res) => {
+    const { started = req.today, ...fields } = req.valid.body;
+    const meta = resolveMetadata(fields);
+
+    if (!meta.title) {
+      throw unprocessable('Title or a known problem number is required', [
+        { field: 'title', message: 'title is required unless problem_number is in the catalog' },
+      ]);
+    }
+    if (started > req.today) {
+      throw unprocessable('A question cannot be started in the future', [
+        { field: 'started', message: `started must not be after ${req.today}` },
+      ]);
+    }
+    if (titleTaken(db, req.user.id, meta.title)) {
+      throw conflict(`A question titled "${meta.title}" already exists`, 'DUPLICATE_TITLE');
+    }
+
+    const id = createQuestion(req.user.id, meta, started);
+    req.publish('question', { action: 'created', ids: [id] });
+    res.json({ id, success: true });
+  });
+
+  // 33. Add many questions from pasted text, one per line, in the quick
+  // capture syntax (see ../capture). Valid lines are added together in one
+  // transaction; the others are reported and skipped. started: backdates a
+  // question, so reviews its ladder would have had since then come due now.
+  // Body: { text, dryRun }. dryRun reports what would be added.
+  const bulkBody = {
+    text: v.string({ max: MAX_BULK_LENGTH }),
+    dryRun: v.optional(v.boolean(), false),
+  };
+
+  // One result per non-blank line: { line, input, status, question?, error? }
+  // with status 'ok' or 'error'; question is the resolved metadata
+  const planBulk = (userId, text, today) => {
+    const seen = new Set();
+    const results = [];
+    text.split(/\r?\n/).forEach((input, index) => {
+      const parsed = parseCaptureLine(input);
+      if (!parsed) return;
+      const result = { line: index + 1, input: input.trim() };
+      results.push(result);
+
+      const { started, ...fields } = parsed.fields;
+      const meta = { ...resolveMetadata(fields), created_at: started || today };
+      const error = parsed.errors[0]
+        || (started > today && `started:${started} is in the future`)
+        || (!meta.title && 'No title or known problem number')
+        || (meta.title.length > MAX_TITLE_LENGTH && `Title is longer than ${MAX_TITLE_LENGTH} characters`)
+        || (seen.has(meta.title.toLowerCase()) && `"${meta.title}" appears earlier in the list`)
+        || (titleTaken(db, userId, meta.title) && `A question titled "${meta.title}" already exists`);
+
+      if (error) {
+        Object.assign(result, { status: 'error', error });
+      } else {
+        seen.add(meta.title.toLowerCase());
+        Object.assign(result, { status: 'ok', question: meta });
+      }
+    });
+    if (results.length > MAX_BULK_LINES) {
+      throw unprocessable(`At most ${MAX_BULK_LINES} questions can be added at once`, [
+        { field: 'text', message: `text has ${results.length} lines; the limit is ${MAX_BULK_LINES}` },
+      ]);
+    }
+    return results;
+  };
+
+  const applyBulk = db.transaction((userId, results) => {
+    results.filter(result => result.status === 'ok').forEach(result => {
+      result.question.id = createQuestion(userId, result.question, result.question.created_at);
+    });
+  });
+
+  router.post('/questions/bulk', validate({ body: bulkBody }), (req, res) => {
+    const { text, dryRun } = req.valid.body;
+    const results = planBulk(req.user.id, text, req.today);
+    const added = results.filter(result => result.status === 'ok').length;
+    if (!dryRun) {
+      applyBulk(req.user.id, results);
+      if (added) {
+        req.publish('question', { action: 'created', ids: results.filter(r => r.question?.id).map(r => r.question.id) });
+      }
+    }
+
+    res.json({ dryRun, added, failed: results.length - added, results });
+  });
+
+  // 5. Update notes for a question
+  // Every change is also kept in note_revisions (see 20-22). Body: notes and
+  // optionally the version the edit started from; if the notes have changed
+  // since, the save is refused with 409 NOTES_CONFLICT.
+  const notesBody = {
+    notes: v.optional(v.nullable(v.string({ max: MAX_NOTES_LENGTH, trim: false })), ''),
+    version: v.optional(v.integer({ min: 0 })),
+  };
+  const notesVersion = (id) => db.prepare('SELECT notes_version FROM questions WHERE id = ?').get(id).notes_version;
+
+  // Returns { revision, version, changed }
+  const updateNotes = db.transaction((id, notes, baseVersion) => {
+    const before = notesVersion(id);
+    if (baseVersion !== undefined && baseVersion !== before) {
+      throw conflict('These notes were changed elsewhere since you opened them', 'NOTES_CONFLICT');
+    }
+    const revision = saveNotes(db, id, notes);
+    const version = notesVersion(id);
+    return { revision, version, changed: version !== before };
+  });
+
+  router.put('/questions/:id/notes', validate({ params: idParams, body: notesBody }), (req, res) => {
+    const { id } = req.valid.params;
+    const { notes, version: baseVersion } = req.valid.body;
+
+    if (!ownsQuestion(db, id, req.user.id)) {
+      throw notFound('Question not found');
+    }
+    const { revision, version, changed } = updateNotes(id, notes || '', baseVersion);
+    if (changed) {
+      req.publish('notes', { question_id: id, version });
+    }
+    res.json({ success: true, revision, version });
+  });
+
+  // 6. Get notes for a question
+  router.get('/questions/:id/notes', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+
+    const stmt = db.prepare('SELECT notes, notes_version FROM questions WHERE id = ? AND user_id = ?');
+    const result = stmt.get(id, req.user.id);
+    if (!result) {
+      throw notFound('Question not found');
+    }
+    res.json({ notes: result.notes || '', version: result.notes_version });
+  });
+
+  // 10. List questions with search over title and notes, paginated
+  // Query: q (search text), archived (0/1, omit for all), tag, difficulty,
+  // page (1-based), limit
+  const listQuery = {
+    q: v.optional(v.string({ max: 200 })),
+    archived: v.optional(v.boolean()),
+    page: v.optional(v.integer({ min: 1 }), 1),
+    limit: v.optional(v.integer({ min: 1, max: 100 }), 20),
+    ...filterQuery,
+  };
+
+  router.get('/questions', validate({ query: listQuery }), (req, res) => {
+    const { q, archived, page, limit } = req.valid.query;
+
+    let where = 'WHERE q.user_id = ?';
+    const params = [req.user.id];
+    if (q) {
+      where += ' AND (q.title LIKE ? OR q.notes LIKE ?)';
+      params.push(`%${q}%`, `%${q}%`);
+    }
+    if (archived !== undefined) {
+      where += ' AND q.archived = ?';
+      params.push(archived ? 1 : 0);
+    }
+    const filters = metadataFilters(req.valid.query);
+    where += filters.sql;
+    params.push(...filters.params);
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM questions q ${where}`).get(...params);
+    const questions = db.prepare(`
+      SELECT q.id, q.title, q.created_at, q.notes, q.notes_version, q.archived, q.ease, q.interval_days, q.repetitions, q.lapses,
+             q.problem_number, q.slug, q.url, q.difficulty, ${TAGS_COLUMN},
+             (SELECT MIN(due_date) FROM schedule WHERE question_id = q.id AND completed = 0) as next_due
+      FROM questions q
+      ${where}
+      ORDER BY q.created_at DESC, q.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, (page - 1) * limit);
+
+    res.json({ questions: withTags(questions), total, page, limit });
+  });
+
+  // 11. Get a single question with its full schedule
+  router.get('/questions/:id', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+
+    const [question] = withTags(db.prepare(`
+      SELECT q.*, ${TAGS_COLUMN} FROM questions q WHERE q.id = ? AND q.user_id = ?
+    `).all(id, req.user.id));
+    if (!question) {
+      throw notFound('Question not found');
+    }
+    question.schedule = db.prepare(`
+      SELECT id, due_date, completed, grade, reviewed_at
+      FROM schedule WHERE question_id = ? ORDER BY due_date ASC
+    `).all(id);
+    res.json(question);
+  });
+
+  // 12. Edit a question's title, archived flag, problem metadata and tags
+  const updateQuestion = db.transaction((id, userId, updates, params, tags) => {
+    if (!ownsQuestion(db, id, userId)) {
+      return false;
+    }
+    if (updates.length) {
+      db.prepare(`UPDATE questions SET ${updates.join(', ')} WHERE id = ?`).run(...params, id);
+    }
+    if (tags) {
+      setQuestionTags(db, id, tags);
+    }
+    return true;
+  });
+
+  const patchBody = {
+    title: v.optional(v.string({ min: 1, max: MAX_TITLE_LENGTH })),
+    archived: v.optional(v.boolean()),
+    ...metadataBody,
+  };
+
+  router.patch('/questions/:id', validate({ params: idParams, body: patchBody }), (req, res) => {
+    const { id } = req.valid.params;
+    const { title, archived, problem_number, slug, url, difficulty, tags } = req.valid.body;
+    if (!ownsQuestion(db, id, req.user.id)) {
+      throw notFound('Question not found');
+    }
+
+    const updates = [];
+    const params = [];
+    if (title !== undefined) {
+      if (titleTaken(db, req.user.id, title, id)) {
+        throw conflict(`A question titled "${title}" already exists`, 'DUPLICATE_TITLE');
+      }
+      updates.push('title = ?');
+      params.push(title);
+    }
+    if (archived !== undefined) {
+      updates.push('archived = ?');
+      params.push(archived ? 1 : 0);
+    }
+    if (problem_number !== undefined) {
+      updates.push('problem_number = ?');
+      params.push(problem_number);
+    }
+    if (slug !== undefined || url !== undefined) {
+      const newSlug = slug !== undefined ? slug : slugFromUrl(url);
+      updates.push('slug = ?', 'url = ?');
+      params.push(newSlug, url || (newSlug ? problemUrl(newSlug) : null));
+    }
+    if (difficulty !== undefined) {
+      updates.push('difficulty = ?');
+      params.push(difficulty);
+    }
+    if (!updates.length && tags === undefined) {
+      throw unprocessable('Nothing to update');
+    }
+
+    const found = updateQuestion(id, req.user.id, updates, params, tags !== undefined ? normalizeTags(tags) : null);
+    if (!found) {
+      throw notFound('Question not found');
+    }
+    req.publish('question', { action: 'updated', ids: [id] });
+    res.json({ success: true });
+  });
+
+  // 13. Delete a question and its schedule rows
+  const deleteQuestion = db.transaction((id, userId) => {
+    if (!ownsQuestion(db, id, userId)) {
+      return { changes: 0 };
+    }
+    db.prepare('DELETE FROM schedule WHERE question_id = ?').run(id);
+    return db.prepare('DELETE FROM questions WHERE id = ?').run(id);
+  });
+
+  router.delete('/questions/:id', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+
+    const result = deleteQuestion(id, req.user.id);
+    if (result.changes === 0) {
+      throw notFound('Question not found');
+    }
+    req.publish('question', { action: 'deleted', ids: [id] });
+    res.json({ success: true });
+  });
+
+  // 14. List the tags used in your deck with how many questions use each
+  router.get('/tags', (req, res) => {
+    const stmt = db.prepare(`
+      SELECT t.name, COUNT(qt.question_id) as count
+      FROM tags t
+      JOIN question_tags qt ON qt.tag_id = t.id
+      JOIN questions q ON q.id = qt.question_id
+      WHERE q.user_id = ?
+      GROUP BY t.id
+      ORDER BY t.name COLLATE NOCASE
+    `);
+    res.json(stmt.all(req.user.id));
+  });
+
+  // 19. Review log for one question, newest first
+  router.get('/questions/:id/reviews', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+    if (!ownsQuestion(db, id, req.user.id)) {
+      throw notFound('Question not found');
+    }
+    const stmt = db.prepare(`
+      SELECT id, schedule_id, action, grade, completed, time_spent_seconds, interval_days, repetitions, reviewed_at
+      FROM review_log WHERE question_id = ? ORDER BY reviewed_at DESC, id DESC
+    `);
+    res.json(stmt.all(id));
+  });
+
+  // 20. Note revision history, newest first (without the note bodies)
+  router.get('/questions/:id/notes/revisions', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+    if (!ownsQuestion(db, id, req.user.id)) {
+      throw notFound('Question not found');
+    }
+    const stmt = db.prepare(`
+      SELECT id, created_at, LENGTH(notes) as size
+      FROM note_revisions WHERE question_id = ? ORDER BY id DESC
+    `);
+    res.json(stmt.all(id));
+  });
+
+  const revisionParams = { ...idParams, revisionId: v.integer({ min: 1 }) };
+
+  const findRevision = (questionId, revisionId, userId) => db.prepare(`
+    SELECT r.id, r.notes, r.created_at
+    FROM note_revisions r JOIN questions q ON q.id = r.question_id
+    WHERE r.id = ? AND r.question_id = ? AND q.user_id = ?
+  `).get(revisionId, questionId, userId);
+
+  // 21. One revision with its notes
+  router.get('/questions/:id/notes/revisions/:revisionId', validate({ params: revisionParams }), (req, res) => {
+    const { id, revisionId } = req.valid.params;
+    const revision = findRevision(id, revisionId, req.user.id);
+    if (!revision) {
+      throw notFound('Revision not found');
+    }
+    res.json(revision);
+  });
+
+  // 22. Restore an older revision; the restore is saved as a new revision
+  router.post('/questions/:id/notes/revisions/:revisionId/restore', validate({ params: revisionParams }), (req, res) => {
+    const { id, revisionId } = req.valid.params;
+    const revision = findRevision(id, revisionId, req.user.id);
+    if (!revision) {
+      throw notFound('Revision not found');
+    }
+    const { version, changed } = updateNotes(id, revision.notes);
+    if (changed) {
+      req.publish('notes', { question_id: id, version });
+    }
+    res.json({ success: true, notes: revision.notes, version });
+  });
+
+  return router;
+};
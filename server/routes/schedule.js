@@ -0,0 +1,348 @@
+const express = require('express');
+const dayjs = require('dayjs');
+const { badRequest, notFound, conflict, unprocessable, rules: v, validate } = require('../validation');
+const { parseGrade, gradeName, applyGrade, projectDates, balanceDates } = require('../scheduler');
+const { TAGS_COLUMN, withTags, metadataFilters } = require('../metadata');
+const { settingsBody } = require('../settings');
+const { logReview, findTask, blackoutRanges, blackoutEndFinder, placeReviews, moveReviews } = require('../store');
+const { idParams, filterQuery } = require('./schemas');
+
+// --- Schedule Endpoints ---
+// Longest range GET /agenda answers, about three months
+const MAX_AGENDA_DAYS = 92;
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  // 2. Get tasks for a specific date (or today)
+  // Optional filters: tag, difficulty
+  const dayQuery = { date: v.optional(v.date()), ...filterQuery };
+
+  router.get('/schedule', validate({ query: dayQuery }), (req, res) => {
+    const { date } = req.valid.query;
+    const targetDate = date || req.today;
+    const filters = metadataFilters(req.valid.query);
+
+    const stmt = db.prepare(`
+      SELECT s.id, s.due_date, s.completed, s.grade, q.title, q.id as question_id, q.notes, q.notes_version,
+             q.problem_number, q.url, q.difficulty, ${TAGS_COLUMN}
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE s.due_date = ? AND q.user_id = ? AND q.archived = 0${filters.sql}
+    `);
+
+    const tasks = withTags(stmt.all(targetDate, req.user.id, ...filters.params));
+    res.json(tasks);
+  });
+
+  // 3. Mark a scheduled task as done (or undo it). A graded review cannot be
+  // reopened: its grade has already moved the question's chain on.
+  const toggleTask = db.transaction((id, today) => {
+    db.prepare('UPDATE schedule SET completed = NOT completed WHERE id = ?').run(id);
+    const task = db.prepare('SELECT id, question_id, completed FROM schedule WHERE id = ?').get(id);
+    logReview(db, {
+      question_id: task.question_id,
+      schedule_id: task.id,
+      action: 'toggle',
+      completed: task.completed,
+      review_date: today,
+    });
+    return task;
+  });
+
+  router.post('/schedule/:id/toggle', validate({ params: idParams }), (req, res) => {
+    const { id } = req.valid.params;
+    const found = findTask(db, id, req.user.id);
+    if (!found) {
+      throw notFound('Scheduled review not found');
+    }
+    if (found.grade != null) {
+      throw conflict('Graded reviews cannot be reopened', 'ALREADY_GRADED');
+    }
+    const task = toggleTask(id, req.today);
+    req.publish('schedule', { question_ids: [task.question_id] });
+    res.json({ success: true, completed: task.completed });
+  });
+
+  // 4. Get the calendar overview: per day with any reviews, how many are
+  // pending and completed (count is pending, as before completed was added)
+  // Optional filters: tag, difficulty
+  router.get('/calendar-stats', validate({ query: filterQuery }), (req, res) => {
+    const filters = metadataFilters(req.valid.query);
+    const stmt = db.prepare(`
+      SELECT s.due_date, SUM(s.completed = 0) as count, SUM(s.completed = 0) as pending, SUM(s.completed = 1) as completed
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE q.user_id = ? AND q.archived = 0${filters.sql}
+      GROUP BY s.due_date
+    `);
+    res.json(stmt.all(req.user.id, ...filters.params));
+  });
+
+  // 7. Grade a scheduled review (again/hard/good/easy)
+  // Marks the review done, updates the question's ease/interval and replaces
+  // its remaining future reviews with a chain projected from the new state,
+  // balanced against the user's daily load.
+  const reviewTask = db.transaction((task, grade, today, timeSpent, userId) => {
+    const next = applyGrade(task, grade);
+
+    logReview(db, {
+      question_id: task.question_id,
+      schedule_id: task.id,
+      action: 'review',
+      grade,
+      completed: 1,
+      time_spent_seconds: timeSpent,
+      interval_days: task.interval_days,
+      repetitions: task.repetitions,
+      review_date: today,
+    });
+
+    db.prepare(`
+      UPDATE schedule SET completed = 1, grade = ?, reviewed_at = ? WHERE id = ?
+    `).run(grade, dayjs().toISOString(), task.id);
+
+    db.prepare(`
+      UPDATE questions SET ease = ?, interval_days = ?, repetitions = ?, lapses = ? WHERE id = ?
+    `).run(next.ease, next.interval_days, next.repetitions, next.lapses, task.question_id);
+
+    const removed = db.prepare(`
+      DELETE FROM schedule WHERE question_id = ? AND completed = 0 AND id != ?
+    `).run(task.question_id, task.id);
+
+    const insert = db.prepare('INSERT INTO schedule (question_id, due_date) VALUES (?, ?)');
+    const dates = placeReviews(db, userId, projectDates(next, today, Math.max(removed.changes, 1)), today);
+    dates.forEach(date => insert.run(task.question_id, date));
+
+    return { ...next, next_due: dates[0] };
+  });
+
+  const reviewBody = {
+    grade: v.custom(parseGrade, 'must be one of again, hard, good, easy'),
+    // Optional time spent on the review, in seconds
+    time_spent: v.optional(v.nullable(v.number({ min: 0 })), null),
+    // Day the review happened, if not today; lets a client that graded while
+    // offline replay it later without shifting the next reviews
+    date: v.optional(v.date()),
+  };
+
+  router.post('/schedule/:id/review', validate({ params: idParams, body: reviewBody }), (req, res) => {
+    const { id } = req.valid.params;
+    const { grade, time_spent: timeSpent, date = req.today } = req.valid.body;
+
+    const task = findTask(db, id, req.user.id);
+    if (!task) {
+      throw notFound('Scheduled review not found');
+    }
+    if (task.completed) {
+      throw conflict('Review has already been graded', 'ALREADY_COMPLETED');
+    }
+    if (date > req.today) {
+      throw unprocessable('A review cannot be dated in the future', [{ field: 'date', message: `date must not be after ${req.today}` }]);
+    }
+
+    const seconds = timeSpent === null ? null : Math.round(timeSpent);
+    const result = reviewTask(task, grade, date, seconds, req.user.id);
+    req.publish('schedule', { question_ids: [task.question_id] });
+    res.json({ success: true, grade: gradeName(grade), ...result });
+  });
+
+  // 8. Get the review queue: everything still incomplete and due on or before
+  // a date (default today), most overdue first. Optional filters: tag, difficulty
+  router.get('/queue', validate({ query: dayQuery }), (req, res) => {
+    const { date } = req.valid.query;
+    const targetDate = date || req.today;
+    const filters = metadataFilters(req.valid.query);
+
+    const stmt = db.prepare(`
+      SELECT s.id, s.due_date, s.completed, s.grade, q.title, q.id as question_id, q.notes, q.notes_version,
+             q.problem_number, q.url, q.difficulty, ${TAGS_COLUMN},
+             CAST(julianday(?) - julianday(s.due_date) AS INTEGER) as days_overdue
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE s.completed = 0 AND s.due_date <= ? AND q.user_id = ? AND q.archived = 0${filters.sql}
+      ORDER BY s.due_date ASC, s.id ASC
+    `);
+
+    res.json(withTags(stmt.all(targetDate, targetDate, req.user.id, ...filters.params)));
+  });
+
+  // 9. Reschedule a missed review to a new date (default today, and not
+  // before it)
+  // By default the question's later incomplete reviews move by the same number
+  // of days so the spacing of the chain is preserved.
+  const rescheduleTask = db.transaction((task, newDate, shiftChain) => {
+    const delta = dayjs(newDate).diff(dayjs(task.due_date), 'day');
+
+    if (shiftChain) {
+      const later = db.prepare(`
+        SELECT id, due_date FROM schedule
+        WHERE question_id = ? AND completed = 0 AND id != ? AND due_date >= ?
+      `).all(task.question_id, task.id, task.due_date);
+
+      const update = db.prepare('UPDATE schedule SET due_date = ? WHERE id = ?');
+      later.forEach(row => {
+        update.run(dayjs(row.due_date).add(delta, 'day').format('YYYY-MM-DD'), row.id);
+      });
+    }
+
+    db.prepare('UPDATE schedule SET due_date = ? WHERE id = ?').run(newDate, task.id);
+    return delta;
+  });
+
+  const rescheduleBody = {
+    date: v.optional(v.nullable(v.date())),
+    shiftChain: v.optional(v.boolean(), true),
+  };
+
+  router.post('/schedule/:id/reschedule', validate({ params: idParams, body: rescheduleBody }), (req, res) => {
+    const { id } = req.valid.params;
+    const { date, shiftChain } = req.valid.body;
+    const newDate = date || req.today;
+
+    const task = findTask(db, id, req.user.id);
+    if (!task) {
+      throw notFound('Scheduled review not found');
+    }
+    if (task.completed) {
+      throw conflict('Completed reviews cannot be rescheduled', 'ALREADY_COMPLETED');
+    }
+    if (newDate < req.today) {
+      throw unprocessable('A review cannot be moved into the past', [
+        { field: 'date', message: `date must not be before ${req.today}` },
+      ]);
+    }
+
+    const shiftedBy = rescheduleTask(task, newDate, shiftChain);
+    req.publish('schedule', { question_ids: [task.question_id] });
+    res.json({ success: true, due_date: newDate, shifted_by: shiftedBy });
+  });
+
+  // 29. Redistribute every incomplete review after today using the cap and
+  // spread (the saved settings unless overridden in the body), keeping clear
+  // of blackouts. Reviews are placed in date order and each question keeps
+  // its order. With dryRun the moves are returned without being saved.
+  const rebalanceBody = {
+    dryRun: v.optional(v.boolean(), false),
+    daily_cap: settingsBody.daily_cap,
+    spread_days: settingsBody.spread_days,
+  };
+
+  const planRebalance = (userId, today, { daily_cap: cap, spread_days: spread }) => {
+    const rows = db.prepare(`
+      SELECT s.id, s.question_id, s.due_date, q.title
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE s.completed = 0 AND q.user_id = ? AND q.archived = 0 AND s.due_date > ?
+      ORDER BY s.due_date, s.question_id, s.id
+    `).all(userId, today);
+
+    const blackoutEnd = blackoutEndFinder(blackoutRanges(db, userId));
+    const load = new Map();
+    const lastPlaced = new Map();
+    const moves = [];
+    rows.forEach(row => {
+      const [date] = balanceDates([row.due_date], {
+        load,
+        cap,
+        spread,
+        after: lastPlaced.get(row.question_id) || today,
+        blocked: (date) => Boolean(blackoutEnd(date)),
+      });
+      lastPlaced.set(row.question_id, date);
+      if (date !== row.due_date) {
+        moves.push({ id: row.id, question_id: row.question_id, title: row.title, from: row.due_date, to: date });
+      }
+    });
+
+    const before = new Map();
+    rows.forEach(row => before.set(row.due_date, (before.get(row.due_date) || 0) + 1));
+    const busiest = (counts) => Math.max(0, ...counts.values());
+    return { moves, busiest_day: { before: busiest(before), after: busiest(load) } };
+  };
+
+  router.post('/schedule/rebalance', validate({ body: rebalanceBody }), (req, res) => {
+    const { dryRun, ...overrides } = req.valid.body;
+    const settings = { daily_cap: req.settings.daily_cap, spread_days: req.settings.spread_days, ...overrides };
+    const plan = planRebalance(req.user.id, req.today, settings);
+
+    if (!dryRun && plan.moves.length) {
+      moveReviews(db, plan.moves);
+      req.publish('schedule', { question_ids: [...new Set(plan.moves.map(move => move.question_id))] });
+    }
+    res.json({ dryRun, settings, moved: plan.moves.length, ...plan });
+  });
+
+  // 42. Move an incomplete review to another day (drag and drop on the
+  // calendar). Only that review moves unless shiftChain is set, in which case
+  // the question's later reviews move by the same number of days, as in 9.
+  // Moved alone, it may not pass the question's next pending review.
+  const moveBody = {
+    due_date: v.date(),
+    shiftChain: v.optional(v.boolean(), false),
+  };
+
+  router.patch('/schedule/:id', validate({ params: idParams, body: moveBody }), (req, res) => {
+    const { id } = req.valid.params;
+    const { due_date: dueDate, shiftChain } = req.valid.body;
+
+    const task = findTask(db, id, req.user.id);
+    if (!task) {
+      throw notFound('Scheduled review not found');
+    }
+    if (task.completed) {
+      throw conflict('Completed reviews cannot be moved', 'ALREADY_COMPLETED');
+    }
+    if (dueDate < req.today) {
+      throw unprocessable('A review cannot be moved into the past', [
+        { field: 'due_date', message: `due_date must not be before ${req.today}` },
+      ]);
+    }
+
+    if (!shiftChain) {
+      const next = db.prepare(`
+        SELECT due_date FROM schedule
+        WHERE question_id = ? AND completed = 0 AND id != ? AND due_date >= ?
+        ORDER BY due_date, id LIMIT 1
+      `).get(task.question_id, task.id, task.due_date);
+      if (next && dueDate > next.due_date) {
+        throw unprocessable('A review cannot be moved past the question\'s next review', [
+          { field: 'due_date', message: `due_date must not be after ${next.due_date} unless shiftChain moves the later reviews too` },
+        ]);
+      }
+    }
+
+    const shiftedBy = rescheduleTask(task, dueDate, shiftChain);
+    req.publish('schedule', { question_ids: [task.question_id] });
+    res.json({ success: true, id, question_id: task.question_id, due_date: dueDate, shifted_by: shiftedBy });
+  });
+
+  // 43. Every review due from one day to another (inclusive, default the
+  // next 7 days from today) with its question, for the week and agenda
+  // views. Ordered by day, pending first. Optional filters: tag, difficulty
+  const agendaQuery = { from: v.optional(v.date()), to: v.optional(v.date()), ...filterQuery };
+
+  router.get('/agenda', validate({ query: agendaQuery }), (req, res) => {
+    const { from = req.today } = req.valid.query;
+    const to = req.valid.query.to || dayjs(from).add(6, 'day').format('YYYY-MM-DD');
+    const days = dayjs(to).diff(dayjs(from), 'day') + 1;
+    if (days < 1 || days > MAX_AGENDA_DAYS) {
+      throw badRequest(`to must be on or after from and at most ${MAX_AGENDA_DAYS} days later`, [
+        { field: 'to', message: `to must be between ${from} and ${MAX_AGENDA_DAYS} days after it` },
+      ]);
+    }
+    const filters = metadataFilters(req.valid.query);
+
+    const stmt = db.prepare(`
+      SELECT s.id, s.due_date, s.completed, s.grade, q.title, q.id as question_id,
+             q.problem_number, q.url, q.difficulty, ${TAGS_COLUMN}
+      FROM schedule s
+      JOIN questions q ON s.question_id = q.id
+      WHERE s.due_date BETWEEN ? AND ? AND q.user_id = ? AND q.archived = 0${filters.sql}
+      ORDER BY s.due_date, s.completed, q.title COLLATE NOCASE, s.id
+    `);
+    res.json(withTags(stmt.all(from, to, req.user.id, ...filters.params)));
+  });
+
+  return router;
+};
@@ -0,0 +1,24 @@
+const { rules: v } = require('../validation');
+const { DIFFICULTIES } = require('../metadata');
+
+// --- Helper: Request Schemas ---
+// Rules shared by several routes; see ../validation for the rule builders
+const idParams = { id: v.integer({ min: 1 }) };
+
+const filterQuery = {
+  tag: v.optional(v.string({ max: 100 })),
+  difficulty: v.optional(v.oneOf(DIFFICULTIES)),
+};
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_NOTES_LENGTH = 100000;
+
+const metadataBody = {
+  problem_number: v.optional(v.nullable(v.integer({ min: 1 }))),
+  slug: v.optional(v.nullable(v.string({ max: 200 }))),
+  url: v.optional(v.nullable(v.string({ max: 2000, pattern: /^https?:\/\//, message: 'must be an http(s) URL' }))),
+  difficulty: v.optional(v.nullable(v.oneOf(DIFFICULTIES))),
+  tags: v.optional(v.list()),
+};
+
+module.exports = { idParams, filterQuery, MAX_TITLE_LENGTH, MAX_NOTES_LENGTH, metadataBody };
@@ -0,0 +1,24 @@
+const express = require('express');
+const { validate } = require('../validation');
+const { settingsBody, saveSettings, todayIn } = require('../settings');
+
+// --- Settings Endpoints ---
+module.exports = (db) => {
+  const router = express.Router();
+
+  // 27. The user's settings, defaults filled in, plus today's date in their
+  // time zone
+  router.get('/settings', (req, res) => {
+    res.json({ ...req.settings, today: req.today });
+  });
+
+  // 28. Update settings; omitted fields keep their value. Interval changes
+  // apply to questions added afterwards, not to existing ladders.
+  router.put('/settings', validate({ body: settingsBody }), (req, res) => {
+    const settings = saveSettings(db, req.user.id, req.valid.body);
+    req.publish('settings');
+    res.json({ ...settings, today: todayIn(settings.time_zone) });
+  });
+
+  return router;
+};
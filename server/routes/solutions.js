@@ -0,0 +1,124 @@
+const express = require('express');
+const { notFound, unprocessable, rules: v, validate } = require('../validation');
+const { ownsQuestion } = require('../store');
+const { runTests, checkTestCase } = require('../runner');
+const { idParams } = require('./schemas');
+
+// --- Solution Endpoints ---
+// Each question can keep a JavaScript solution and test cases to run it
+// against (see ../runner for the test case format and the sandbox).
+const MAX_CODE_LENGTH = 50000;
+const MAX_TESTS = 50;
+const MAX_CASE_LENGTH = 10000;
+
+module.exports = (db) => {
+  const router = express.Router();
+
+  const findSolution = (questionId) => {
+    const solution = db.prepare('SELECT code, entry, updated_at FROM solutions WHERE question_id = ?').get(questionId);
+    const tests = db.prepare('SELECT id, input, expected FROM test_cases WHERE question_id = ? ORDER BY position')
+      .all(questionId);
+    return { code: '', entry: null, updated_at: null, ...solution, tests };
+  };
+
+  const requireQuestion = (req) => {
+    if (!ownsQuestion(db, req.valid.params.id, req.user.id)) {
+      throw notFound('Question not found');
+    }
+  };
+
+  const entryRule = v.string({ max: 100, pattern: /^[A-Za-z_$][\w$]*$/, message: 'must be a function name' });
+
+  // Test cases arrive as [{ input, expected }] with both JSON text; every
+  // problem is reported with its position
+  const testsRule = v.custom(value => (Array.isArray(value) ? value : undefined), 'must be a list of test cases');
+  const checkTests = (tests) => {
+    if (tests.length > MAX_TESTS) {
+      throw unprocessable(`At most ${MAX_TESTS} test cases are allowed`, [
+        { field: 'tests', message: `tests has ${tests.length} cases; the limit is ${MAX_TESTS}` },
+      ]);
+    }
+    const details = [];
+    const cleaned = tests.map((test, index) => {
+      const field = `tests[${index}]`;
+      const input = typeof test?.input === 'string' ? test.input.trim() : null;
+      const expected = typeof test?.expected === 'string' ? test.expected.trim() : null;
+      if (input === null || expected === null) {
+        details.push({ field, message: `${field} needs input and expected as text` });
+      } else if (input.length > MAX_CASE_LENGTH || expected.length > MAX_CASE_LENGTH) {
+        details.push({ field, message: `${field} is longer than ${MAX_CASE_LENGTH} characters` });
+      } else {
+        checkTestCase({ input, expected }).forEach(problem => details.push({ field, message: `${field} ${problem}` }));
+      }
+      return { input, expected };
+    });
+    if (details.length) throw unprocessable('Some test cases are invalid', details);
+    return cleaned;
+  };
+
+  const solutionBody = {
+    code: v.string({ max: MAX_CODE_LENGTH, trim: false }),
+    // Function to call; found in the code when left out
+    entry: v.optional(v.nullable(entryRule), null),
+    tests: v.optional(testsRule, []),
+  };
+
+  // 35. The question's solution and test cases ({ code: '', tests: [] } if
+  // none has been saved)
+  router.get('/questions/:id/solution', validate({ params: idParams }), (req, res) => {
+    requireQuestion(req);
+    res.json(findSolution(req.valid.params.id));
+  });
+
+  // 36. Save the solution and replace its test cases
+  const saveSolution = db.transaction((questionId, { code, entry }, tests) => {
+    db.prepare(`
+      INSERT INTO solutions (question_id, code, entry, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (question_id) DO UPDATE SET code = excluded.code, entry = excluded.entry, updated_at = excluded.updated_at
+    `).run(questionId, code, entry, new Date().toISOString());
+    db.prepare('DELETE FROM test_cases WHERE question_id = ?').run(questionId);
+    const insert = db.prepare('INSERT INTO test_cases (question_id, position, input, expected) VALUES (?, ?, ?, ?)');
+    tests.forEach((test, position) => insert.run(questionId, position, test.input, test.expected));
+  });
+
+  router.put('/questions/:id/solution', validate({ params: idParams, body: solutionBody }), (req, res) => {
+    requireQuestion(req);
+    const { id } = req.valid.params;
+    saveSolution(id, req.valid.body, checkTests(req.valid.body.tests));
+    req.publish('question', { action: 'updated', ids: [id] });
+    res.json(findSolution(id));
+  });
+
+  // 37. Run the solution against its test cases. Send code, entry and tests
+  // to run a draft instead of what is saved. Answers { entry, passed, failed,
+  // results } with per-case status, output and time; or { error } when the
+  // code does not load (syntax error, no function to call).
+  const runBody = {
+    code: v.optional(v.string({ max: MAX_CODE_LENGTH, trim: false })),
+    entry: v.optional(v.nullable(entryRule)),
+    tests: v.optional(testsRule),
+  };
+
+  router.post('/questions/:id/solution/run', validate({ params: idParams, body: runBody }), async (req, res) => {
+    requireQuestion(req);
+    const saved = findSolution(req.valid.params.id);
+    const { code = saved.code, entry = saved.entry } = req.valid.body;
+    const tests = req.valid.body.tests ? checkTests(req.valid.body.tests) : saved.tests;
+
+    if (!code.trim()) {
+      throw unprocessable('There is no solution to run', [{ field: 'code', message: 'code is required' }]);
+    }
+    if (tests.length === 0) {
+      throw unprocessable('Add a test case to run the solution against', [{ field: 'tests', message: 'tests is empty' }]);
+    }
+
+    const run = await runTests({ code, entry, tests });
+    if (run.error) {
+      return res.json({ error: run.error, passed: 0, failed: tests.length, results: [] });
+    }
+    const passed = run.results.filter(result => result.status === 'pass').length;
+    res.json({ entry: run.entry, passed, failed: tests.length - passed, results: run.results });
+  });
+
+  return router;
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const { rules: v, validate } = require('../validation');
+const { computeStats } = require('../stats');
+const { catalog } = require('../metadata');
+
+// --- Stats & Catalog Endpoints ---
+module.exports = (db) => {
+  const router = express.Router();
+
+  // 15. Search the bundled offline problem catalog by number or title
+  const catalogQuery = {
+    q: v.optional(v.string({ max: 200 }), ''),
+    limit: v.optional(v.integer({ min: 1, max: 50 }), 10),
+  };
+
+  router.get('/catalog', validate({ query: catalogQuery }), (req, res) => {
+    const { limit } = req.valid.query;
+    const query = req.valid.query.q.toLowerCase();
+    if (!query) {
+      return res.json([]);
+    }
+
+    const matches = catalog.filter(problem => (
+      String(problem.number).startsWith(query) || problem.title.toLowerCase().includes(query)
+    ));
+    res.json(matches.slice(0, limit));
+  });
+
+  // 18. Review statistics: streaks, daily heatmap, retention by interval step,
+  // per-tag weakness and upcoming load. Query: days (heatmap window, default 365)
+  const statsQuery = { days: v.optional(v.integer({ min: 1, max: 3650 }), 365) };
+
+  router.get('/stats', validate({ query: statsQuery }), (req, res) => {
+    res.json(computeStats(db, { userId: req.user.id, today: req.today, days: req.valid.query.days }));
+  });
+
+  return router;
+};
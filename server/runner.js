@@ -0,0 +1,115 @@
+const path = require('path');
+const vm = require('vm');
+const { fork } = require('child_process');
+const config = require('./config');
+
+// --- Solution Runner ---
+// Runs a JavaScript solution against test cases in a child process (see
+// ./sandbox) with a per-case time limit and a capped heap. Each test case is
+// { input, expected } as JSON text: input is the argument list passed to the
+// entry function, expected its return value.
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+// How long the process may take to start and load the solution
+const STARTUP_MS = 3000;
+const SANDBOX = path.join(__dirname, 'sandbox.js');
+// Node 20 only knows the permission model by its experimental flag
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+
+// Name of the function to call: the first one declared, in any of the forms
+// LeetCode's JavaScript templates use
+//   function twoSum(nums, target) {...}
+//   var twoSum = function(nums, target) {...}
+//   const twoSum = (nums, target) => {...}
+const findEntry = (code) => {
+  const match = /(?:^|\n)\s*(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(/.exec(code)
+    || /(?:^|\n)\s*(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/.exec(code);
+  return match ? match[1] : null;
+};
+
+// Problems with one test case, as messages; empty when it can be run
+const checkTestCase = ({ input, expected }) => {
+  const problems = [];
+  try {
+    if (!Array.isArray(JSON.parse(input))) problems.push('input must be a JSON array of arguments');
+  } catch {
+    problems.push('input is not valid JSON');
+  }
+  try {
+    JSON.parse(expected);
+  } catch {
+    problems.push('expected is not valid JSON');
+  }
+  return problems;
+};
+
+// Resolves to { error } when the solution could not be loaded, otherwise to
+// { results } with one { index, status, output, error, time_ms, logs } per
+// test case; status is pass, fail, error or timeout. Never rejects.
+const runTests = ({ code, entry, tests }, { timeoutMs = config.runTimeoutMs, memoryMb = config.runMemoryMb } = {}) => {
+  const name = entry || findEntry(code);
+  if (!name) {
+    // Half-written code often has no recognisable function yet; a syntax
+    // error is the more useful message (compiling does not run anything)
+    try {
+      new vm.Script(code, { filename: 'solution.js' });
+    } catch (error) {
+      return Promise.resolve({ error: `${error.name}: ${error.message}` });
+    }
+    return Promise.resolve({ error: 'Could not find a function to call; set the entry function name' });
+  }
+  if (!IDENTIFIER.test(name)) {
+    return Promise.resolve({ error: `"${name}" is not a valid function name` });
+  }
+
+  return new Promise((resolve) => {
+    const results = [];
+    let fatal = null;
+    // Only the sandbox script itself may be read; no other file, child
+    // process or worker, and no code built from strings even in its own realm
+    const child = fork(SANDBOX, [], {
+      execArgv: [
+        PERMISSION_FLAG,
+        `--allow-fs-read=${SANDBOX}`,
+        '--disallow-code-generation-from-strings',
+        `--max-old-space-size=${memoryMb}`,
+      ],
+      env: {},
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+      serialization: 'json',
+    });
+
+    child.send({ code, entry: name, tests, timeoutMs });
+
+    // Backstop for anything the per-case vm timeout cannot interrupt
+    const limit = setTimeout(() => {
+      fatal = fatal || 'The run took too long and was stopped';
+      child.kill('SIGKILL');
+    }, STARTUP_MS + timeoutMs * (tests.length + 1));
+
+    child.on('message', (message) => {
+      if (message.type === 'result') results.push(message);
+      if (message.type === 'error') fatal = message.error;
+    });
+    child.on('error', (error) => {
+      fatal = fatal || `The run failed: ${error.message}`;
+    });
+    child.on('exit', (exitCode, signal) => {
+      clearTimeout(limit);
+      // V8 aborts the process when the heap limit is reached
+      if (!fatal && signal === 'SIGABRT') fatal = `Ran out of memory (limit ${memoryMb} MB)`;
+      if (!fatal && exitCode !== 0) fatal = 'The run failed';
+      if (fatal && results.length === 0) return resolve({ error: fatal });
+      // Cases the process never reached share the reason it stopped
+      const reached = new Set(results.map(result => result.index));
+      tests.forEach((test, index) => {
+        if (!reached.has(index)) {
+          results.push({ index, status: 'error', output: null, error: fatal || 'Not run', time_ms: null, logs: [] });
+        }
+      });
+      resolve({ entry: name, results: results.sort((a, b) => a.index - b.index).map(({ type, ...result }) => result) });
+    });
+  });
+};
+
+module.exports = { runTests, findEntry, checkTestCase };
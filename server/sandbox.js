@@ -0,0 +1,185 @@
+'use strict';
+
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+// --- Solution Sandbox ---
+// Child process script started by runner.js under Node's permission model
+// (no file system, child processes or workers); not meant to be required.
+// The solution runs in a vm context of its own with no require, process,
+// fetch or timers, and with eval/new Function disabled.
+//
+// Nothing from the context is ever touched here: the harness inside it
+// catches errors and serializes results and console lines itself, and only
+// the JSON text it answers crosses back. Calling, spreading or reading a
+// property of a context object would run the solution's code with a function
+// of this realm on the stack.
+//
+// Receives { code, entry, tests, timeoutMs } and sends one message per test
+// case as it finishes:
+//   { type: 'result', index, status, output, error, time_ms, logs }
+// then { type: 'done' }. A fatal problem (syntax error, missing entry
+// function) is sent as { type: 'error', error } instead.
+
+const MAX_LOGS = 50;
+const MAX_OUTPUT = 10000;
+// Numbers closer than this count as equal (answers like 2.00000)
+const EPSILON = 1e-6;
+
+// Set up before any solution code runs. console.log and friends collect
+// lines; __harness.load and __harness.run answer JSON text whatever the
+// solution throws or replaces (JSON and String are kept aside). Strict, so
+// the solution cannot climb to it through arguments.callee.caller.
+const HARNESS = `
+  const __harness = (() => {
+    'use strict';
+    const json = { parse: JSON.parse, stringify: JSON.stringify };
+    const toString = String;
+    let logs = [];
+    let solution;
+
+    const log = (...args) => {
+      if (logs.length < ${MAX_LOGS}) {
+        logs.push(args.map(arg => (typeof arg === 'string' ? arg : json.stringify(arg) ?? toString(arg))).join(' '));
+      }
+    };
+    globalThis.console = { log, info: log, warn: log, error: log, debug: log };
+
+    const describe = (error) => {
+      try {
+        return error && typeof error === 'object' && 'message' in error
+          ? \`\${error.name || 'Error'}: \${error.message}\`
+          : \`Thrown: \${toString(error)}\`;
+      } catch {
+        return 'Thrown: a value that could not be shown';
+      }
+    };
+
+    const reply = (value) => {
+      let text;
+      try {
+        text = json.stringify(value);
+      } catch {
+        text = undefined;
+      }
+      return typeof text === 'string' ? text : '{"error":"The result could not be turned into JSON"}';
+    };
+
+    return {
+      load: (compiled) => {
+        try {
+          solution = compiled();
+          return reply(typeof solution === 'function' ? {} : { missing: true });
+        } catch (error) {
+          return reply({ error: describe(error) });
+        }
+      },
+      run: (input) => {
+        logs = [];
+        try {
+          const result = solution(...json.parse(input));
+          return reply({ output: json.stringify(result === undefined ? null : result) ?? 'null', logs });
+        } catch (error) {
+          return reply({ error: describe(error), logs });
+        }
+      },
+    };
+  })();
+`;
+
+const matches = (actual, expected) => {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return actual === expected || Math.abs(actual - expected) < EPSILON;
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((value, i) => matches(value, expected[i]));
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object' && !Array.isArray(actual) && !Array.isArray(expected)) {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => matches(actual[key], expected[key]));
+  }
+  return actual === expected;
+};
+
+// Runs harness source in the context and parses its answer. Only the
+// harness's JSON text is looked at; anything else (a timeout is the only
+// thing that gets past its try/catch) is left alone and answered as timedOut.
+const ask = (context, source, timeoutMs) => {
+  let text;
+  try {
+    text = vm.runInContext(source, context, { timeout: timeoutMs });
+  } catch {
+    return { timedOut: true };
+  }
+  try {
+    const answer = typeof text === 'string' ? JSON.parse(text) : null;
+    if (answer && typeof answer === 'object') return answer;
+  } catch {
+    // Falls through: the solution replaced the harness
+  }
+  return { error: 'The result could not be turned into JSON' };
+};
+
+const asText = (value) => (typeof value === 'string' ? value : null);
+
+const run = ({ code, entry, tests, timeoutMs }) => {
+  // Syntax errors come from compiling here, before any solution code runs
+  try {
+    new vm.Script(code, { filename: 'solution.js' });
+  } catch (error) {
+    return process.send({ type: 'error', error: `${error.name}: ${error.message}` });
+  }
+
+  const context = vm.createContext(Object.create(null), {
+    name: 'solution',
+    codeGeneration: { strings: false, wasm: false },
+  });
+  vm.runInContext(HARNESS, context);
+  // The solution's top level becomes a function body answering the entry
+  // function, so declarations stay out of the harness's way
+  try {
+    context.__solution = vm.compileFunction(`${code}\n;return typeof ${entry} === 'function' ? ${entry} : undefined;`, [], {
+      parsingContext: context,
+      filename: 'solution.js',
+    });
+  } catch (error) {
+    return process.send({ type: 'error', error: `${error.name}: ${error.message}` });
+  }
+
+  const loaded = ask(context, '__harness.load(__solution)', timeoutMs);
+  if (loaded.timedOut || loaded.missing || loaded.error) {
+    const error = loaded.timedOut ? `Loading took longer than ${timeoutMs} ms`
+      : loaded.missing ? `Error: ${entry} is not a function in the solution`
+        : asText(loaded.error) || 'The solution could not be loaded';
+    return process.send({ type: 'error', error });
+  }
+
+  tests.forEach((test, index) => {
+    const started = performance.now();
+    const answer = ask(context, `__harness.run(${JSON.stringify(test.input)})`, timeoutMs);
+    const time = performance.now() - started;
+    let outcome;
+    if (answer.timedOut) {
+      outcome = { status: 'timeout', output: null, error: `Took longer than ${timeoutMs} ms` };
+    } else if (typeof answer.output === 'string') {
+      let passed;
+      try {
+        passed = matches(JSON.parse(answer.output), JSON.parse(test.expected));
+      } catch {
+        passed = false;
+      }
+      outcome = { status: passed ? 'pass' : 'fail', output: answer.output.slice(0, MAX_OUTPUT), error: null };
+    } else {
+      outcome = { status: 'error', output: null, error: asText(answer.error) || 'The solution failed' };
+    }
+    const logs = Array.isArray(answer.logs) ? answer.logs.filter(line => typeof line === 'string').slice(0, MAX_LOGS) : [];
+    process.send({ type: 'result', index, ...outcome, time_ms: Math.round(time * 100) / 100, logs });
+  });
+
+  process.send({ type: 'done' });
+};
+
+process.once('message', (job) => {
+  run(job);
+  process.disconnect();
+});
@@ -0,0 +1,199 @@
+const dayjs = require('dayjs');
+
+// --- Adaptive Scheduling (SM-2 style) ---
+// Each question carries its own ease factor and current interval. Grading a
+// review moves those values, and the next due date is computed from them
+// instead of walking the fixed INTERVALS ladder.
+
+const GRADES = {
+  again: 1,
+  hard: 2,
+  good: 3,
+  easy: 4,
+};
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const HARD_MULTIPLIER = 1.2;
+const EASY_BONUS = 1.3;
+
+// Accepts either a grade name ('good') or its number (3)
+const parseGrade = (value) => {
+  if (typeof value === 'string' && GRADES[value.toLowerCase()]) {
+    return GRADES[value.toLowerCase()];
+  }
+  const num = Number(value);
+  return Object.values(GRADES).includes(num) ? num : null;
+};
+
+const gradeName = (grade) => Object.keys(GRADES).find(key => GRADES[key] === grade) || null;
+
+// Returns the question's new scheduling state after a review with `grade`.
+// `state` is { ease, interval_days, repetitions, lapses }.
+const applyGrade = (state, grade) => {
+  const ease = state.ease || DEFAULT_EASE;
+  const interval = Math.max(state.interval_days || 1, 1);
+  const next = {
+    ease,
+    interval_days: interval,
+    repetitions: state.repetitions || 0,
+    lapses: state.lapses || 0,
+  };
+
+  switch (grade) {
+    case GRADES.again:
+      next.ease = Math.max(MIN_EASE, ease - 0.2);
+      next.interval_days = 1;
+      next.repetitions = 0;
+      next.lapses += 1;
+      break;
+    case GRADES.hard:
+      next.ease = Math.max(MIN_EASE, ease - 0.15);
+      next.interval_days = Math.max(interval + 1, Math.round(interval * HARD_MULTIPLIER));
+      next.repetitions += 1;
+      break;
+    case GRADES.good:
+      next.interval_days = Math.max(interval + 1, Math.round(interval * ease));
+      next.repetitions += 1;
+      break;
+    case GRADES.easy:
+      next.ease = ease + 0.15;
+      next.interval_days = Math.max(interval + 2, Math.round(interval * ease * EASY_BONUS));
+      next.repetitions += 1;
+      break;
+    default:
+      throw new Error(`Unknown grade: ${grade}`);
+  }
+
+  next.ease = Math.round(next.ease * 100) / 100;
+  return next;
+};
+
+// Projects `count` future due dates starting from `fromDate`, assuming every
+// upcoming review is graded Good. The first date uses the current interval.
+const projectDates = (state, fromDate, count) => {
+  const dates = [];
+  let current = dayjs(fromDate);
+  let projected = { ...state };
+
+  for (let i = 0; i < count; i++) {
+    current = current.add(projected.interval_days, 'day');
+    dates.push(current.format('YYYY-MM-DD'));
+    projected = applyGrade(projected, GRADES.good);
+  }
+
+  return dates;
+};
+
+// --- Initial Schedule ---
+// A new question gets a fixed ladder of reviews; each step is counted from
+// the previous review date, so the default offsets from the start are
+// 1, 4, 10, 22... Users can set their own ladder (see settings.js).
+const INTERVALS = [1, 3, 6, 12, 24, 48];
+
+const initialDates = (startDate, intervals = INTERVALS) => {
+  const dates = [];
+  let current = dayjs(startDate);
+  for (const daysToAdd of intervals) {
+    current = current.add(daysToAdd, 'day');
+    dates.push(current.format('YYYY-MM-DD'));
+  }
+  return dates;
+};
+
+// --- Daily Load Balancing ---
+// Reviews land on exact offsets, so questions added together pile up on the
+// same days. balanceDates nudges each date to the lightest day within
+// +/- spread days and past any day already holding `cap` reviews or blocked
+// (a blackout day), keeping a question's reviews in order. With spread 0, no
+// cap and nothing blocked dates are unchanged.
+
+// How far past its window a review may be pushed looking for a day under the cap
+const MAX_CAP_SEARCH_DAYS = 365;
+
+// idealDates must be ascending. `load` maps 'YYYY-MM-DD' to the number of
+// reviews already due that day and is updated with the chosen dates. Every
+// chosen date is after `after` (and after the previous chosen date).
+// blocked(date) returns true for days that must not get reviews.
+const balanceDates = (idealDates, { load, cap = null, spread = 0, after, blocked = () => false }) => {
+  const countOn = (date) => load.get(date) || 0;
+  const underCap = (date) => !blocked(date) && (cap === null || countOn(date) < cap);
+  let previous = dayjs(after);
+
+  return idealDates.map(ideal => {
+    const target = dayjs(ideal);
+    let start = target.subtract(spread, 'day');
+    if (!start.isAfter(previous)) start = previous.add(1, 'day');
+    const end = target.add(spread, 'day').isBefore(start) ? start : target.add(spread, 'day');
+
+    const window = [];
+    for (let day = start; !day.isAfter(end); day = day.add(1, 'day')) {
+      window.push(day.format('YYYY-MM-DD'));
+    }
+    // Lightest day first; ties go to the day closest to the ideal, then the earlier one
+    const distance = (date) => Math.abs(dayjs(date).diff(target, 'day'));
+    const lightest = (dates) => [...dates].sort((a, b) => (
+      countOn(a) - countOn(b) || distance(a) - distance(b) || a.localeCompare(b)
+    ))[0];
+
+    let chosen = lightest(window.filter(underCap));
+    for (let i = 1; !chosen && i <= MAX_CAP_SEARCH_DAYS; i++) {
+      const date = end.add(i, 'day').format('YYYY-MM-DD');
+      if (underCap(date)) chosen = date;
+    }
+    // Every day is full or blocked; settle for the lightest day in the window
+    chosen = chosen || lightest(window);
+
+    load.set(chosen, countOn(chosen) + 1);
+    previous = dayjs(chosen);
+    return chosen;
+  });
+};
+
+// --- Blackouts ---
+// Moves a question's ascending review dates out of blackout ranges.
+// blackoutEnd(date) returns the last day of the blackout containing date, or
+// null. A review inside a blackout moves to the day after it; with shiftChain
+// every later review moves by the same number of days, keeping the spacing.
+// Otherwise reviews inside blackouts move to the first free days after them,
+// and later reviews only move as far as needed to stay in order.
+const shiftPastBlackouts = (dates, blackoutEnd, { shiftChain = true } = {}) => {
+  const shifted = [...dates];
+  // The first day after the previous review (always allowed when i = 0)
+  const nextFree = (i) => (i > 0 ? dayjs(shifted[i - 1]).add(1, 'day') : null);
+
+  for (let i = 0; i < shifted.length; i++) {
+    if (!shiftChain && nextFree(i)?.isAfter(shifted[i])) {
+      shifted[i] = nextFree(i).format('YYYY-MM-DD');
+    }
+    let end = blackoutEnd(shifted[i]);
+    while (end) {
+      let target = dayjs(end).add(1, 'day');
+      if (shiftChain) {
+        const delta = target.diff(dayjs(shifted[i]), 'day');
+        for (let j = i; j < shifted.length; j++) {
+          shifted[j] = dayjs(shifted[j]).add(delta, 'day').format('YYYY-MM-DD');
+        }
+      } else {
+        if (nextFree(i)?.isAfter(target)) target = nextFree(i);
+        shifted[i] = target.format('YYYY-MM-DD');
+      }
+      end = blackoutEnd(shifted[i]);
+    }
+  }
+  return shifted;
+};
+
+module.exports = {
+  INTERVALS,
+  initialDates,
+  balanceDates,
+  shiftPastBlackouts,
+  GRADES,
+  DEFAULT_EASE,
+  MIN_EASE,
+  parseGrade,
+  gradeName,
+  applyGrade,
+  projectDates,
+};
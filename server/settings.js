@@ -0,0 +1,99 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const config = require('./config');
+const { INTERVALS } = require('./scheduler');
+const { rules: v } = require('./validation');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// --- User Settings ---
+// Stored as one JSON value per key in user_settings; keys a user never
+// changed fall back to DEFAULTS, so new settings need no migration.
+//   intervals     days between the reviews of a new question's ladder
+//   time_zone     IANA zone used to decide what "today" is
+//   week_start    first day of the calendar week, 0 (Sunday) to 6 (Saturday)
+//   daily_cap     max reviews per day, null for no cap (see balanceDates)
+//   spread_days   how far a new review may move to a lighter day
+
+const MAX_INTERVALS = 20;
+const MAX_INTERVAL_DAYS = 365;
+
+const defaults = () => ({
+  intervals: INTERVALS,
+  time_zone: config.defaultTimeZone,
+  week_start: 0,
+  daily_cap: null,
+  spread_days: 0,
+});
+
+// Canonical spelling of an IANA time zone, or null when it is unknown
+const canonicalTimeZone = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return Intl.DateTimeFormat('en-US', { timeZone: value.trim() }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+// An array of whole days, or the same as comma-separated text
+const parseIntervals = (value) => {
+  const items = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+  if (!Array.isArray(items) || items.length < 1 || items.length > MAX_INTERVALS) return null;
+  const days = items.map(item => (typeof item === 'string' && item !== '' ? Number(item) : item));
+  const valid = days.every(day => Number.isInteger(day) && day >= 1 && day <= MAX_INTERVAL_DAYS);
+  return valid ? days : null;
+};
+
+// validate() schema for updates; every field is optional
+const settingsBody = {
+  intervals: v.optional(v.custom(
+    parseIntervals,
+    `must be a list of 1-${MAX_INTERVALS} whole numbers of days between 1 and ${MAX_INTERVAL_DAYS}`,
+  )),
+  time_zone: v.optional(v.custom(canonicalTimeZone, 'must be an IANA time zone such as Europe/London')),
+  week_start: v.optional(v.integer({ min: 0, max: 6 })),
+  daily_cap: v.optional(v.nullable(v.integer({ min: 1, max: 500 }))),
+  spread_days: v.optional(v.integer({ min: 0, max: 14 })),
+};
+
+const getSettings = (db, userId) => {
+  const settings = defaults();
+  db.prepare('SELECT key, value FROM user_settings WHERE user_id = ?').all(userId).forEach(row => {
+    if (row.key in settings) settings[row.key] = JSON.parse(row.value);
+  });
+  return settings;
+};
+
+// Saves the given keys (already validated) and returns the full settings
+const saveSettings = (db, userId, changes) => {
+  const upsert = db.prepare(`
+    INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
+    ON CONFLICT (user_id, key) DO UPDATE SET value = excluded.value
+  `);
+  db.transaction(() => {
+    Object.entries(changes).forEach(([key, value]) => upsert.run(userId, key, JSON.stringify(value)));
+  })();
+  return getSettings(db, userId);
+};
+
+// Today's date in a time zone, as YYYY-MM-DD
+const todayIn = (timeZone) => dayjs().tz(timeZone).format('YYYY-MM-DD');
+
+// Express middleware (after requireAuth): sets req.settings and req.today
+const withSettings = (db) => (req, res, next) => {
+  req.settings = getSettings(db, req.user.id);
+  req.today = todayIn(req.settings.time_zone);
+  next();
+};
+
+module.exports = {
+  defaults,
+  settingsBody,
+  getSettings,
+  saveSettings,
+  todayIn,
+  withSettings,
+};
@@ -0,0 +1,115 @@
+const dayjs = require('dayjs');
+
+// --- Review Statistics ---
+// Everything here is derived from review_log (what actually happened) and
+// schedule (what is coming up), scoped to one user's questions. A "review" is
+// a graded review or a toggle that marked a row completed.
+
+const REVIEWED = "(r.action = 'review' OR (r.action = 'toggle' AND r.completed = 1))";
+const PASSING_GRADE = 2; // Hard or better counts as recalled
+const MAX_STEP = 6; // Retention steps beyond this are grouped together
+
+// Current streak counts back from today, or from yesterday when nothing has
+// been reviewed yet today so the streak doesn't reset until the day is over
+const computeStreaks = (reviewDates, today) => {
+  const days = new Set(reviewDates);
+  let current = 0;
+  let cursor = dayjs(today);
+  if (!days.has(cursor.format('YYYY-MM-DD'))) cursor = cursor.subtract(1, 'day');
+  while (days.has(cursor.format('YYYY-MM-DD'))) {
+    current++;
+    cursor = cursor.subtract(1, 'day');
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...days].sort().forEach(date => {
+    run = previous && dayjs(date).diff(dayjs(previous), 'day') === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  return { current, longest };
+};
+
+const rate = (passed, total) => (total ? Math.round((passed / total) * 1000) / 1000 : null);
+
+const computeStats = (db, { userId, today = dayjs().format('YYYY-MM-DD'), days = 365 } = {}) => {
+  const since = dayjs(today).subtract(days - 1, 'day').format('YYYY-MM-DD');
+  const userLog = 'review_log r JOIN questions q ON q.id = r.question_id AND q.user_id = @userId';
+
+  const heatmap = db.prepare(`
+    SELECT r.review_date as date, COUNT(*) as count
+    FROM ${userLog}
+    WHERE ${REVIEWED} AND r.review_date >= @since
+    GROUP BY r.review_date ORDER BY r.review_date
+  `).all({ userId, since });
+
+  const reviewDates = db.prepare(`
+    SELECT DISTINCT r.review_date FROM ${userLog} WHERE ${REVIEWED}
+  `).all({ userId }).map(row => row.review_date);
+
+  const retention = db.prepare(`
+    SELECT MIN(r.repetitions, @maxStep) as step, COUNT(*) as reviews,
+           SUM(CASE WHEN r.grade >= @passing THEN 1 ELSE 0 END) as passed
+    FROM ${userLog}
+    WHERE r.action = 'review' AND r.grade IS NOT NULL
+    GROUP BY MIN(r.repetitions, @maxStep) ORDER BY step
+  `).all({ userId, maxStep: MAX_STEP, passing: PASSING_GRADE }).map(row => ({
+    ...row,
+    label: row.step >= MAX_STEP ? `${MAX_STEP}+` : String(row.step + 1),
+    rate: rate(row.passed, row.reviews),
+  }));
+
+  // Weakest topics first: lowest retention, then most lapses
+  const tags = db.prepare(`
+    SELECT t.name as tag, COUNT(DISTINCT qt.question_id) as questions,
+           COUNT(r.id) as reviews,
+           SUM(CASE WHEN r.grade >= @passing THEN 1 ELSE 0 END) as passed,
+           SUM(CASE WHEN r.grade = 1 THEN 1 ELSE 0 END) as failed,
+           (SELECT ROUND(AVG(q2.ease), 2) FROM questions q2
+            JOIN question_tags qt2 ON qt2.question_id = q2.id
+            WHERE qt2.tag_id = t.id AND q2.user_id = @userId) as avg_ease
+    FROM tags t
+    JOIN question_tags qt ON qt.tag_id = t.id
+    JOIN questions q ON q.id = qt.question_id AND q.user_id = @userId
+    LEFT JOIN review_log r ON r.question_id = qt.question_id AND r.action = 'review' AND r.grade IS NOT NULL
+    GROUP BY t.id
+  `).all({ userId, passing: PASSING_GRADE })
+    .map(row => ({ ...row, passed: row.passed || 0, failed: row.failed || 0, rate: rate(row.passed, row.reviews) }))
+    .sort((a, b) => (a.rate ?? 1) - (b.rate ?? 1) || b.failed - a.failed);
+
+  const upcoming = db.prepare(`
+    SELECT s.due_date as date, COUNT(*) as count
+    FROM schedule s JOIN questions q ON s.question_id = q.id
+    WHERE s.completed = 0 AND q.user_id = @userId AND q.archived = 0 AND s.due_date >= @today AND s.due_date < @until
+    GROUP BY s.due_date ORDER BY s.due_date
+  `).all({ userId, today, until: dayjs(today).add(14, 'day').format('YYYY-MM-DD') });
+
+  const totals = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM questions WHERE user_id = @userId AND archived = 0) as questions,
+      (SELECT COUNT(*) FROM ${userLog} WHERE ${REVIEWED}) as reviews,
+      (SELECT COUNT(*) FROM ${userLog} WHERE ${REVIEWED} AND r.review_date = @today) as reviewed_today,
+      (SELECT COUNT(*) FROM schedule s JOIN questions q ON s.question_id = q.id
+        WHERE s.completed = 0 AND q.user_id = @userId AND q.archived = 0 AND s.due_date <= @today) as due,
+      (SELECT ROUND(AVG(r.time_spent_seconds)) FROM ${userLog}
+        WHERE r.action = 'review' AND r.time_spent_seconds IS NOT NULL) as avg_time_seconds
+  `).get({ userId, today });
+
+  const graded = retention.reduce((sum, row) => sum + row.reviews, 0);
+  const passed = retention.reduce((sum, row) => sum + row.passed, 0);
+
+  return {
+    today,
+    totals: { ...totals, retention: rate(passed, graded) },
+    streak: computeStreaks(reviewDates, today),
+    heatmap,
+    retention,
+    tags,
+    upcoming,
+  };
+};
+
+module.exports = { computeStats, computeStreaks };
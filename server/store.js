@@ -0,0 +1,150 @@
+const dayjs = require('dayjs');
+const { initialDates, balanceDates } = require('./scheduler');
+const { getSettings } = require('./settings');
+
+// --- Shared Queries ---
+// Helpers used by several route modules. Every question belongs to a user;
+// schedule rows, notes and the review log are reached through their question,
+// so the ownership checks here gate all of them.
+
+// Map of 'YYYY-MM-DD' -> incomplete reviews due that day, after `afterDate`
+const dailyLoad = (db, userId, afterDate) => new Map(db.prepare(`
+  SELECT s.due_date, COUNT(*) as count
+  FROM schedule s
+  JOIN questions q ON s.question_id = q.id
+  WHERE s.completed = 0 AND q.user_id = ? AND q.archived = 0 AND s.due_date > ?
+  GROUP BY s.due_date
+`).raw().all(userId, afterDate));
+
+// The user's blackout ranges, earliest first
+const blackoutRanges = (db, userId) => db.prepare(`
+  SELECT id, start_date, end_date, label FROM blackouts WHERE user_id = ? ORDER BY start_date, id
+`).all(userId);
+
+// Returns a function giving the last day of the range containing a date, or null.
+// Overlapping ranges are followed to the end of the latest one.
+const blackoutEndFinder = (ranges) => (date) => {
+  const ends = ranges.filter(range => range.start_date <= date && date <= range.end_date).map(range => range.end_date);
+  return ends.length ? ends.sort().pop() : null;
+};
+
+// Moves a question's ideal review dates onto lighter days following the
+// user's cap and spread, never into a blackout (see balanceDates)
+const placeReviews = (db, userId, idealDates, afterDate) => {
+  const settings = getSettings(db, userId);
+  const blackoutEnd = blackoutEndFinder(blackoutRanges(db, userId));
+  return balanceDates(idealDates, {
+    load: dailyLoad(db, userId, afterDate),
+    cap: settings.daily_cap,
+    spread: settings.spread_days,
+    after: afterDate,
+    blocked: (date) => Boolean(blackoutEnd(date)),
+  });
+};
+
+// Applies planned moves ([{ id, to }]) to schedule rows
+const moveReviews = (db, moves) => {
+  const update = db.prepare('UPDATE schedule SET due_date = ? WHERE id = ?');
+  db.transaction(() => {
+    moves.forEach(move => update.run(move.to, move.id));
+  })();
+};
+
+// Inserts the initial review ladder (the user's intervals setting) for a new question
+const generateSchedule = (db, questionId, startDate) => {
+  const insert = db.prepare('INSERT INTO schedule (question_id, due_date) VALUES (?, ?)');
+  const { user_id: userId } = db.prepare('SELECT user_id FROM questions WHERE id = ?').get(questionId);
+  const { intervals } = getSettings(db, userId);
+  db.transaction(() => {
+    placeReviews(db, userId, initialDates(startDate, intervals), startDate).forEach(date => insert.run(questionId, date));
+  })();
+};
+
+// Replaces the full tag set of a question
+const setQuestionTags = (db, questionId, tags) => {
+  db.prepare('DELETE FROM question_tags WHERE question_id = ?').run(questionId);
+  const insertTag = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const link = db.prepare(`
+    INSERT OR IGNORE INTO question_tags (question_id, tag_id)
+    SELECT ?, id FROM tags WHERE name = ?
+  `);
+  tags.forEach(tag => {
+    insertTag.run(tag);
+    link.run(questionId, tag);
+  });
+};
+
+// Every review action is appended to review_log; rows are never updated
+const logReview = (db, entry) => {
+  const now = dayjs();
+  db.prepare(`
+    INSERT INTO review_log (question_id, schedule_id, action, grade, completed, time_spent_seconds,
+                            interval_days, repetitions, review_date, reviewed_at)
+    VALUES (@question_id, @schedule_id, @action, @grade, @completed, @time_spent_seconds,
+            @interval_days, @repetitions, @review_date, @reviewed_at)
+  `).run({
+    grade: null,
+    completed: null,
+    time_spent_seconds: null,
+    interval_days: null,
+    repetitions: null,
+    review_date: now.format('YYYY-MM-DD'),
+    reviewed_at: now.toISOString(),
+    ...entry,
+  });
+};
+
+// Stores a question's notes and appends a revision when they changed; a
+// change also bumps notes_version. Returns the new revision, or null when the
+// notes were already current.
+const saveNotes = (db, questionId, notes) => {
+  db.prepare(`
+    UPDATE questions SET notes = @notes, notes_version = notes_version + 1
+    WHERE id = @questionId AND notes IS NOT @notes
+  `).run({ notes, questionId });
+
+  const latest = db.prepare(`
+    SELECT notes FROM note_revisions WHERE question_id = ? ORDER BY id DESC LIMIT 1
+  `).get(questionId);
+  if (latest ? latest.notes === notes : notes === '') {
+    return null;
+  }
+
+  const createdAt = dayjs().toISOString();
+  const { lastInsertRowid: id } = db.prepare(`
+    INSERT INTO note_revisions (question_id, notes, created_at) VALUES (?, ?, ?)
+  `).run(questionId, notes, createdAt);
+  return { id, created_at: createdAt };
+};
+
+const ownsQuestion = (db, questionId, userId) => Boolean(
+  db.prepare('SELECT 1 FROM questions WHERE id = ? AND user_id = ?').get(questionId, userId)
+);
+
+// A schedule row with its question's scheduling state, if the user owns it
+const findTask = (db, id, userId) => db.prepare(`
+  SELECT s.id, s.question_id, s.due_date, s.completed, s.grade, q.ease, q.interval_days, q.repetitions, q.lapses
+  FROM schedule s
+  JOIN questions q ON s.question_id = q.id
+  WHERE s.id = ? AND q.user_id = ?
+`).get(id, userId);
+
+// Case-insensitive, per user; exceptId skips the question being renamed
+const titleTaken = (db, userId, title, exceptId = null) => Boolean(db.prepare(`
+  SELECT 1 FROM questions WHERE user_id = ? AND title = ? COLLATE NOCASE AND id IS NOT ?
+`).get(userId, title, exceptId));
+
+module.exports = {
+  dailyLoad,
+  blackoutRanges,
+  blackoutEndFinder,
+  placeReviews,
+  moveReviews,
+  generateSchedule,
+  setQuestionTags,
+  logReview,
+  saveNotes,
+  ownsQuestion,
+  findTask,
+  titleTaken,
+};
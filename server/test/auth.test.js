@@ -0,0 +1,82 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('auth routes', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('register returns a token and the new user', async () => {
+    const res = await server.request('POST', '/auth/register', { body: { username: 'alice', password: 'password123' } });
+    assert.equal(res.status, 201);
+    assert.match(res.body.token, /^[0-9a-f]{64}$/);
+    assert.equal(res.body.user.username, 'alice');
+  });
+
+  test('register validates username and password', async () => {
+    const res = await server.request('POST', '/auth/register', { body: { username: 'a b', password: 'short' } });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.details.map(d => d.field), ['username', 'password']);
+  });
+
+  test('register rejects a taken username', async () => {
+    const res = await server.request('POST', '/auth/register', { body: { username: 'alice', password: 'password123' } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'USERNAME_TAKEN');
+  });
+
+  test('login succeeds with the right password only', async () => {
+    const ok = await server.request('POST', '/auth/login', { body: { username: 'alice', password: 'password123' } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.username, 'alice');
+
+    const wrong = await server.request('POST', '/auth/login', { body: { username: 'alice', password: 'nope-nope' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, 'UNAUTHORIZED');
+
+    const unknown = await server.request('POST', '/auth/login', { body: { username: 'nobody', password: 'password123' } });
+    assert.equal(unknown.status, 401);
+  });
+
+  test('me reports the session user and logout ends the session', async () => {
+    const { body: { token } } = await server.request('POST', '/auth/login', { body: { username: 'alice', password: 'password123' } });
+    const api = server.as(token);
+
+    const me = await api.get('/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.username, 'alice');
+
+    assert.equal((await api.post('/auth/logout')).status, 200);
+    assert.equal((await api.get('/auth/me')).status, 401);
+  });
+
+  test('API routes require a session', async () => {
+    const res = await server.request('GET', '/questions');
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: 'Authentication required', code: 'UNAUTHORIZED' });
+
+    const bogus = await server.request('GET', '/questions', { token: 'not-a-token' });
+    assert.equal(bogus.status, 401);
+  });
+
+  test('expired sessions are rejected', async () => {
+    const { body: { token } } = await server.request('POST', '/auth/login', { body: { username: 'alice', password: 'password123' } });
+    server.db.prepare("UPDATE sessions SET expires_at = '2000-01-01T00:00:00.000Z' WHERE token = ?").run(token);
+    assert.equal((await server.as(token).get('/auth/me')).status, 401);
+  });
+
+  test('the first account adopts questions created before accounts existed', async () => {
+    const fresh = await startServer();
+    try {
+      fresh.db.prepare("INSERT INTO questions (title, created_at) VALUES ('Legacy', '2024-01-01')").run();
+      const first = await fresh.signUp('first');
+      const second = await fresh.signUp('second');
+      assert.equal((await first.get('/questions')).body.total, 1);
+      assert.equal((await second.get('/questions')).body.total, 0);
+    } finally {
+      await fresh.close();
+    }
+  });
+});
@@ -0,0 +1,98 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { initialDates } = require('../scheduler');
+const { startServer } = require('./helpers');
+
+const day = (offset) => dayjs().add(offset, 'day').format('YYYY-MM-DD');
+
+describe('blackout routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  // Reviews for a new question fall on days 1, 4, 10, 22, 46 and 94
+  const addQuestion = async (title) => (await api.post('/questions', { title })).body.id;
+  const dates = async (id) => (await api.get(`/questions/${id}`)).body.schedule.map(row => row.due_date);
+
+  test('previews the shift without saving anything', async () => {
+    const id = await addQuestion('Alpha');
+    const before = await dates(id);
+
+    const { status, body } = await api.post('/blackouts', { start_date: day(3), end_date: day(5), dryRun: true });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    // Day 4 moves to day 6 and everything after it by the same two days
+    assert.equal(body.moved, 5);
+    assert.deepEqual(body.moves[0], { id: body.moves[0].id, question_id: id, title: 'Alpha', from: day(4), to: day(6) });
+    assert.deepEqual(body.calendar.slice(0, 2), [
+      { date: day(4), before: 1, after: 0 },
+      { date: day(6), before: 0, after: 1 },
+    ]);
+
+    assert.deepEqual(await dates(id), before);
+    assert.deepEqual((await api.get('/blackouts')).body, []);
+  });
+
+  test('shifts the chain and keeps its spacing', async () => {
+    const id = await addQuestion('Alpha');
+    const { status, body } = await api.post('/blackouts', { start_date: day(3), end_date: day(5), label: 'Trip' });
+    assert.equal(status, 201);
+    assert.deepEqual(body.blackout, { id: body.blackout.id, start_date: day(3), end_date: day(5), label: 'Trip' });
+
+    const expected = initialDates(day(0)).map((date, i) => (i === 0 ? date : dayjs(date).add(2, 'day').format('YYYY-MM-DD')));
+    assert.deepEqual(await dates(id), expected);
+    assert.deepEqual((await api.get('/blackouts')).body, [
+      { id: body.blackout.id, start_date: day(3), end_date: day(5), label: 'Trip' },
+    ]);
+  });
+
+  test('can move only the reviews inside the blackout', async () => {
+    const id = await addQuestion('Alpha');
+    await api.post('/blackouts', { start_date: day(3), end_date: day(5), shiftChain: false });
+
+    const expected = initialDates(day(0));
+    expected[1] = day(6);
+    assert.deepEqual(await dates(id), expected);
+  });
+
+  test('keeps later reviews out of saved blackouts', async () => {
+    await api.post('/blackouts', { start_date: day(1), end_date: day(2) });
+    const id = await addQuestion('Alpha');
+    assert.equal((await dates(id))[0], day(3));
+  });
+
+  test('validates the range', async () => {
+    const backwards = await api.post('/blackouts', { start_date: day(5), end_date: day(3) });
+    assert.equal(backwards.status, 422);
+    assert.equal(backwards.body.details[0].field, 'end_date');
+
+    const tooLong = await api.post('/blackouts', { start_date: day(0), end_date: day(400) });
+    assert.equal(tooLong.status, 422);
+
+    const missing = await api.post('/blackouts', { start_date: 'soon' });
+    assert.deepEqual(missing.body.details.map(detail => detail.field), ['start_date', 'end_date']);
+  });
+
+  test('removes a blackout without moving reviews back', async () => {
+    const id = await addQuestion('Alpha');
+    const { body } = await api.post('/blackouts', { start_date: day(3), end_date: day(5) });
+    const shifted = await dates(id);
+
+    assert.deepEqual((await api.delete(`/blackouts/${body.blackout.id}`)).body, { success: true });
+    assert.deepEqual((await api.get('/blackouts')).body, []);
+    assert.deepEqual(await dates(id), shifted);
+    assert.equal((await api.delete(`/blackouts/${body.blackout.id}`)).status, 404);
+  });
+
+  test('blackouts are private to their owner', async () => {
+    const { body } = await api.post('/blackouts', { start_date: day(3), end_date: day(5) });
+    const bob = await server.signUp('bob');
+    assert.deepEqual((await bob.get('/blackouts')).body, []);
+    assert.equal((await bob.delete(`/blackouts/${body.blackout.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,140 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { escapeText, foldLine, formatTimestamp, buildCalendar } = require('../ical');
+const { startServer } = require('./helpers');
+
+// Unfolds continuation lines and returns the events as { PROPERTY: value } maps
+const parseEvents = (ics) => ics
+  .replace(/\r\n /g, '')
+  .split('BEGIN:VEVENT\r\n')
+  .slice(1)
+  .map(block => Object.fromEntries(block.split('\r\n')
+    .filter(line => line && !line.startsWith('END:'))
+    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)])));
+
+describe('ical', () => {
+  test('escapes text values', () => {
+    assert.equal(escapeText('a, b; c\\d\nnext'), 'a\\, b\\; c\\\\d\\nnext');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+    assert.equal(lines.map((line, i) => (i ? line.slice(1) : line)).join(''), `SUMMARY:${'é'.repeat(60)}`);
+    assert.equal(foldLine('SHORT:line'), 'SHORT:line');
+  });
+
+  test('builds all-day events that end the next day', () => {
+    const ics = buildCalendar({
+      name: 'Reviews',
+      now: new Date('2025-01-02T03:04:05.678Z'),
+      events: [{ uid: 'one@test', date: '2025-02-28', summary: 'Review' }],
+    });
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    const [event] = parseEvents(ics);
+    assert.equal(event.UID, 'one@test');
+    assert.equal(event.DTSTAMP, '20250102T030405Z');
+    assert.equal(event['DTSTART;VALUE=DATE'], '20250228');
+    assert.equal(event['DTEND;VALUE=DATE'], '20250301');
+    assert.equal(formatTimestamp('2025-12-31T23:59:59.000Z'), '20251231T235959Z');
+  });
+});
+
+describe('calendar routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  test('serves one event per due date with stable ids', async () => {
+    await api.post('/questions', { title: 'Two Sum, again', problem_number: 1 });
+    await api.post('/questions', { title: 'Valid Parentheses' });
+
+    const res = await api.get('/calendar.ics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/calendar/);
+    assert.equal(res.headers.get('content-disposition'), null);
+
+    const events = parseEvents(res.body);
+    // Both questions share their whole review ladder, starting tomorrow
+    const dates = events.map(event => event['DTSTART;VALUE=DATE']);
+    assert.equal(dates[0], dayjs().add(1, 'day').format('YYYYMMDD'));
+    assert.equal(new Set(dates).size, events.length);
+    assert.equal(events[0].SUMMARY, 'LeetCode reviews (2): Two Sum\\, again\\, Valid Parentheses');
+    assert.match(events[0].DESCRIPTION, /- Two Sum\\, again \(Easy\) https:\/\/leetcode\.com\/problems\/two-sum\//);
+
+    const again = parseEvents((await api.get('/calendar.ics')).body);
+    assert.deepEqual(again.map(event => event.UID), events.map(event => event.UID));
+  });
+
+  test('drops reviews once they are done and honours filters', async () => {
+    const { body: { id } } = await api.post('/questions', { title: 'Alpha', difficulty: 'Hard' });
+    await api.post('/questions', { title: 'Beta' });
+    const { body: question } = await api.get(`/questions/${id}`);
+    await api.post(`/schedule/${question.schedule[0].id}/toggle`);
+
+    const [first] = parseEvents((await api.get('/calendar.ics')).body);
+    assert.equal(first.SUMMARY, 'LeetCode review: Beta');
+
+    const hard = parseEvents((await api.get('/calendar.ics?difficulty=hard')).body);
+    assert.ok(hard.length > 0);
+    hard.forEach(event => assert.equal(event.SUMMARY, 'LeetCode review: Alpha'));
+  });
+
+  test('can be downloaded as a file', async () => {
+    const res = await api.get('/calendar.ics?download=true');
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="leetcode-reviews.ics"/);
+    assert.deepEqual(parseEvents(res.body), []);
+  });
+
+  test('requires a session or a calendar token', async () => {
+    assert.equal((await server.request('GET', '/calendar.ics')).status, 401);
+    const bad = await server.request('GET', '/calendar.ics?token=nope');
+    assert.equal(bad.status, 401);
+    assert.equal(bad.body.error, 'Invalid calendar token');
+  });
+
+  test('subscribes with a token that can be rotated and revoked', async () => {
+    await api.post('/questions', { title: 'Alpha' });
+    assert.deepEqual((await api.get('/calendar/token')).body, { token: null });
+
+    const created = await api.post('/calendar/token');
+    assert.equal(created.status, 201);
+    const { token } = created.body;
+    assert.match(token, /^[0-9a-f]{48}$/);
+    assert.deepEqual((await api.get('/calendar/token')).body, { token });
+
+    const feed = await server.request('GET', `/calendar.ics?token=${token}`);
+    assert.equal(feed.status, 200);
+    assert.match(feed.body, /X-WR-CALNAME:LeetCode reviews \(alice\)/);
+    assert.equal(parseEvents(feed.body)[0].SUMMARY, 'LeetCode review: Alpha');
+
+    // Rotating revokes the old link
+    const { body: rotated } = await api.post('/calendar/token');
+    assert.notEqual(rotated.token, token);
+    assert.equal((await server.request('GET', `/calendar.ics?token=${token}`)).status, 401);
+
+    await api.delete('/calendar/token');
+    assert.equal((await server.request('GET', `/calendar.ics?token=${rotated.token}`)).status, 401);
+    assert.deepEqual((await api.get('/calendar/token')).body, { token: null });
+  });
+
+  test('only shows the token owner\'s reviews', async () => {
+    await api.post('/questions', { title: 'Alpha' });
+    const bob = await server.signUp('bob');
+    await bob.post('/questions', { title: 'Bobs question' });
+    const { body: { token } } = await bob.post('/calendar/token');
+
+    const events = parseEvents((await server.request('GET', `/calendar.ics?token=${token}`)).body);
+    assert.ok(events.length > 0);
+    events.forEach(event => assert.equal(event.SUMMARY, 'LeetCode review: Bobs question'));
+    assert.equal((await server.request('GET', '/calendar/token')).status, 401);
+  });
+});
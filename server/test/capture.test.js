@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCaptureLine, titleFromSlug } = require('../capture');
+
+const fields = (line) => parseCaptureLine(line).fields;
+
+describe('parseCaptureLine', () => {
+  test('skips blank lines and comments', () => {
+    assert.equal(parseCaptureLine('   '), null);
+    assert.equal(parseCaptureLine('// solved on the plane'), null);
+  });
+
+  test('reads a plain title', () => {
+    assert.deepEqual(parseCaptureLine('  My custom problem '), { fields: { title: 'My custom problem' }, errors: [] });
+    assert.deepEqual(fields('- [x] Bulleted problem'), { title: 'Bulleted problem' });
+  });
+
+  test('reads quick-capture syntax', () => {
+    assert.deepEqual(fields('LC 43 #strings #medium started:2026-10-01'), {
+      problem_number: 43,
+      difficulty: 'Medium',
+      tags: ['strings'],
+      started: '2026-10-01',
+    });
+    assert.deepEqual(fields('lc-1 Warm up #two_pointers solved:2026-01-05'), {
+      problem_number: 1,
+      title: 'Warm up',
+      tags: ['two pointers'],
+      started: '2026-01-05',
+    });
+  });
+
+  test('reads LeetCode problem list rows', () => {
+    // Catalog problems take their canonical title later on
+    assert.deepEqual(fields('43. Multiply Strings'), { problem_number: 43 });
+    assert.deepEqual(fields('99999. Brand New Problem'), { problem_number: 99999, title: '99999. Brand New Problem' });
+  });
+
+  test('reads problem URLs', () => {
+    assert.deepEqual(fields('https://leetcode.com/problems/multiply-strings/description/'), {
+      url: 'https://leetcode.com/problems/multiply-strings/description/',
+      problem_number: 43,
+    });
+    assert.deepEqual(fields('https://leetcode.com/problems/some-new-thing/ #graph'), {
+      url: 'https://leetcode.com/problems/some-new-thing/',
+      title: 'Some New Thing',
+      tags: ['graph'],
+    });
+  });
+
+  test('reports a bad start date', () => {
+    const { errors } = parseCaptureLine('Two Sum started:yesterday');
+    assert.deepEqual(errors, ['started:yesterday must be a date in YYYY-MM-DD format']);
+    assert.deepEqual(parseCaptureLine('Two Sum started:2026-02-30').errors.length, 1);
+  });
+
+  test('turns slugs into titles', () => {
+    assert.equal(titleFromSlug('longest-common-prefix'), 'Longest Common Prefix');
+  });
+});
@@ -0,0 +1,260 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pathToFileURL } = require('url');
+const dayjs = require('dayjs');
+const { openDatabase } = require('../db');
+const { migrate } = require('../migrator');
+const { hashPassword } = require('../auth');
+const { run, formatTable } = require('../cli');
+const { parseSections, notesToText, textToNotes } = require('../notes');
+const { startServer } = require('./helpers');
+
+// Collects what a stream-like writer receives
+const sink = () => {
+  const chunks = [];
+  return { write: (text) => chunks.push(text), get text() { return chunks.join(''); } };
+};
+
+describe('cli', () => {
+  let dir;
+  let dbPath;
+
+  const addUser = (username) => {
+    const db = openDatabase(dbPath);
+    db.prepare('INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)')
+      .run(username, hashPassword('password123'), new Date().toISOString());
+    db.close();
+  };
+
+  // Runs one command against the temporary database
+  const cli = async (args, { stdin = '', env = {} } = {}) => {
+    const stdout = sink();
+    const stderr = sink();
+    const code = await run([...args, '--db', dbPath], {
+      stdout,
+      stderr,
+      stdin: Readable.from([stdin]),
+      env,
+    });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leetcode-cli-'));
+    dbPath = path.join(dir, 'test.db');
+    const db = openDatabase(dbPath);
+    migrate(db, { log: () => {} });
+    db.close();
+    addUser('alice');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('adds questions and lists what is due', async () => {
+    const started = dayjs().subtract(3, 'day').format('YYYY-MM-DD');
+    const added = await cli(['add', `LC 43 #strings started:${started}`, 'LC 43']);
+    assert.equal(added.code, 1);
+    assert.match(added.stdout, /^Line\s+Status\s+Question\s+Title/);
+    assert.match(added.stdout, /1\s+added\s+1\s+43\. Multiply Strings/);
+    assert.match(added.stdout, /appears earlier in the list/);
+    assert.match(added.stdout, /Added 1, failed 1\./);
+
+    const due = await cli(['due']);
+    assert.equal(due.code, 0);
+    const [header, row] = due.stdout.trim().split('\n');
+    assert.match(header, /^Review\s+Question\s+Title\s+Difficulty\s+Due\s+Late$/);
+    assert.match(row, /43\. Multiply Strings\s+Medium/);
+    assert.match(row, /2d$/);
+
+    const json = JSON.parse((await cli(['due', '--json'])).stdout);
+    assert.equal(json[0].title, '43. Multiply Strings');
+    assert.equal((await cli(['due', '--date', dayjs().subtract(10, 'day').format('YYYY-MM-DD')])).stdout, 'Nothing due.\n');
+  });
+
+  test('reads lines to add from stdin', async () => {
+    const { code, stdout } = await cli(['add', '--check'], { stdin: 'Alpha\n\nBeta #graph\n' });
+    assert.equal(code, 0);
+    assert.match(stdout, /Ready to add 2, failed 0\./);
+    assert.equal((await cli(['due', '--json', '--date', dayjs().add(1, 'day').format('YYYY-MM-DD')])).stdout, '[]\n');
+  });
+
+  test('grades a review', async () => {
+    await cli(['add', `Alpha started:${dayjs().subtract(1, 'day').format('YYYY-MM-DD')}`]);
+    const [task] = JSON.parse((await cli(['due', '--json'])).stdout);
+
+    const done = await cli(['done', String(task.id), '--grade', 'easy', '--time', '90']);
+    assert.equal(done.code, 0);
+    assert.match(done.stdout, new RegExp(`^Review ${task.id} graded easy; next review `));
+    assert.equal((await cli(['due'])).stdout, 'Nothing due.\n');
+
+    const again = await cli(['done', String(task.id)]);
+    assert.equal(again.code, 1);
+    assert.equal(again.stderr, 'Error: Review has already been graded\n');
+    const bad = await cli(['done', String(task.id), '--grade', 'great']);
+    assert.match(bad.stderr, /grade must be one of again, hard, good, easy/);
+  });
+
+  test('edits notes in $EDITOR', async () => {
+    await cli(['add', 'Alpha']);
+    const editor = path.join(dir, 'editor.js');
+    fs.writeFileSync(editor, `
+      const fs = require('fs');
+      const file = process.argv[2];
+      fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('<!-- intuition -->\\n', '<!-- intuition -->\\nUse a hash map\\n'));
+    `);
+
+    const edited = await cli(['notes', '1'], { env: { EDITOR: `node "${editor}"` } });
+    assert.equal(edited.code, 0, edited.stderr);
+    assert.match(edited.stdout, /^Saved notes \(revision \d+\)\./);
+
+    const printed = await cli(['notes', '1', '--print']);
+    assert.match(printed.stdout, /## Intuition <!-- intuition -->\nUse a hash map\n/);
+    assert.equal((await cli(['notes', '1'], { env: { EDITOR: 'true' } })).stdout, 'No changes.\n');
+    assert.equal((await cli(['notes', '99', '--print'])).stderr, 'Error: Question not found\n');
+  });
+
+  test('keeps the edit when the notes changed while the editor was open', async () => {
+    await cli(['add', 'Alpha']);
+    const editor = path.join(dir, 'editor.js');
+    fs.writeFileSync(editor, `
+      const fs = require('fs');
+      const Database = require(${JSON.stringify(require.resolve('better-sqlite3'))});
+      const db = new Database(${JSON.stringify(dbPath)});
+      db.prepare("UPDATE questions SET notes = 'elsewhere', notes_version = notes_version + 1").run();
+      db.close();
+      fs.appendFileSync(process.argv[2], 'mine\\n');
+    `);
+
+    const edited = await cli(['notes', '1'], { env: { EDITOR: `node "${editor}"` } });
+    assert.equal(edited.code, 1);
+    const [, file] = /Your edit is in (\S+);/.exec(edited.stderr);
+    assert.match(fs.readFileSync(file, 'utf8'), /mine\n$/);
+    fs.rmSync(path.dirname(file), { recursive: true });
+    assert.equal((await cli(['notes', '1', '--print'])).stdout, '## Notes <!-- notes -->\nelsewhere\n');
+  });
+
+  test('prints stats and exports the deck', async () => {
+    await cli(['add', 'Alpha #graph']);
+    const stats = await cli(['stats']);
+    assert.match(stats.stdout, /^Today \d{4}-\d{2}-\d{2}: 0 due, 0 reviewed/);
+    assert.match(stats.stdout, /Questions 1 · Reviews 0 · Retention – · Avg time –/);
+    assert.match(stats.stdout, /Weakest topics\nTag\s+Questions\s+Reviews\s+Retention\ngraph\s+1\s+0\s+–/);
+
+    const deck = JSON.parse((await cli(['export'])).stdout);
+    assert.deepEqual(deck.questions.map(q => q.title), ['Alpha']);
+
+    const out = path.join(dir, 'deck.csv');
+    const csv = await cli(['export', '--format', 'csv', '--out', out]);
+    assert.equal(csv.stderr, `Wrote ${out}\n`);
+    assert.match(fs.readFileSync(out, 'utf8'), /^title,/);
+  });
+
+  test('picks the account and explains bad usage', async () => {
+    addUser('bob');
+    const ambiguous = await cli(['due']);
+    assert.equal(ambiguous.code, 2);
+    assert.match(ambiguous.stderr, /several accounts; choose one with --user/);
+    assert.equal((await cli(['due', '--user', 'bob'])).code, 0);
+    assert.equal((await cli(['due', '--user', 'carol'])).code, 2);
+
+    assert.equal((await cli(['frobnicate'])).code, 2);
+    assert.equal((await cli(['due', '--nope'])).code, 2);
+    const help = await cli(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: leetcode <command>/);
+
+    // The CLI's sessions do not outlive the command
+    const db = openDatabase(dbPath);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM sessions').get().count, 0);
+    db.close();
+  });
+
+  test('talks to a running server with --api', async () => {
+    const server = await startServer();
+    try {
+      await server.signUp('dana');
+      const base = server.baseUrl;
+      const login = await cli(['login', 'dana', '--api', base], { stdin: 'password123\n' });
+      assert.equal(login.code, 0, login.stderr);
+      const token = login.stdout.trim();
+
+      await cli(['add', 'Remote question', '--api', base, '--token', token]);
+      const due = await cli(['due', '--json', '--date', dayjs().add(1, 'day').format('YYYY-MM-DD')], {
+        env: { LEETCODE_API_URL: base, LEETCODE_TOKEN: token },
+      });
+      assert.deepEqual(JSON.parse(due.stdout).map(task => task.title), ['Remote question']);
+
+      assert.equal((await cli(['due', '--api', base])).code, 2);
+      assert.equal((await cli(['due', '--api', base, '--token', 'nope'])).stderr, 'Error: Authentication required\n');
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('formatTable', () => {
+  test('pads columns and right-aligns numbers', () => {
+    assert.equal(formatTable([['Id', row => row.id], ['Name', row => row.name]], [
+      { id: 7, name: 'Alpha' },
+      { id: 12, name: null },
+    ]), 'Id  Name\n 7  Alpha\n12');
+  });
+});
+
+describe('notes text', () => {
+  test('round-trips sections through Markdown', () => {
+    const notes = JSON.stringify({
+      sections: [
+        { key: 'intuition', title: 'Intuition', body: 'Hash the complements.' },
+        { key: 'code', title: 'Code', body: 'def f():\n    return 1', language: 'python' },
+      ],
+    });
+    const text = notesToText(notes);
+    assert.equal(text, '## Intuition <!-- intuition -->\nHash the complements.\n\n'
+      + '## Code <!-- code python -->\n```python\ndef f():\n    return 1\n```\n');
+    assert.equal(textToNotes(text), notes);
+  });
+
+  test('reads plain text and new headings', () => {
+    assert.equal(notesToText('just text'), '## Notes <!-- notes -->\njust text\n');
+    assert.deepEqual(JSON.parse(textToNotes('intro\n## Edge Cases! <!-- edge-cases -->\n- empty input')).sections, [
+      { key: 'notes', title: 'Notes', body: 'intro' },
+      { key: 'edge-cases', title: 'Edge Cases!', body: '- empty input' },
+    ]);
+  });
+
+  // The editor in the browser reads the same stored notes with its own parser
+  test('parses stored notes the way the client does', async () => {
+    const { parseNotes } = await import(pathToFileURL(path.join(__dirname, '../../client/src/notes.js')));
+    const fixtures = [
+      '',
+      'plain text',
+      '42',
+      '{"other": true}',
+      JSON.stringify({ bruteForce: 'Try every pair.', optimized: 'Hash the complements.' }),
+      JSON.stringify({ optimized: 'Only this one.' }),
+      JSON.stringify({
+        sections: [
+          { key: 'intuition', title: 'Intuition', body: 'Hash.' },
+          { title: 'No key', body: 7 },
+          { key: 'code', body: 'x = 1', language: 'python' },
+        ],
+      }),
+    ];
+    fixtures.forEach(notes => assert.deepEqual(parseSections(notes), parseNotes(notes).sections, notes));
+  });
+
+  test('keeps headings inside a body or a code fence in that section', () => {
+    const notes = JSON.stringify({
+      sections: [
+        { key: 'intuition', title: 'Intuition', body: 'Two passes.\n\n## Why it works\nInvariant holds.' },
+        { key: 'code', title: 'Code', body: '## helpers\ndef f():\n    return 1\n## Title <!-- not-a-section -->', language: 'python' },
+        { key: 'pitfalls', title: 'Pitfalls', body: '```\n## Pitfalls <!-- pitfalls -->\n```' },
+      ],
+    });
+    assert.equal(textToNotes(notesToText(notes)), notes);
+  });
+});
@@ -0,0 +1,175 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('deck import/export routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  test('exports the deck as JSON with schedule and review history', async () => {
+    const { body: { id } } = await api.post('/questions', { problem_number: 1 });
+    const { body: question } = await api.get(`/questions/${id}`);
+    await api.post(`/schedule/${question.schedule[0].id}/review`, { grade: 'easy' });
+
+    const res = await api.get('/export');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /leetcode-deck-\d{4}-\d{2}-\d{2}\.json/);
+    assert.equal(res.body.format, 'leetcode-spaced-repetition');
+    const [exported] = res.body.questions;
+    assert.equal(exported.title, '1. Two Sum');
+    assert.deepEqual(exported.tags, ['Array', 'Hash Table']);
+    assert.equal(exported.schedule.filter(row => row.completed).length, 1);
+    assert.equal(exported.reviews[0].action, 'review');
+  });
+
+  test('exports questions and history as CSV', async () => {
+    await api.post('/questions', { title: 'Alpha, with comma', tags: ['A', 'B'] });
+
+    const questions = await api.get('/export?format=csv');
+    assert.match(questions.headers.get('content-type'), /text\/csv/);
+    const [header, row] = questions.body.trim().split('\r\n');
+    assert.ok(header.startsWith('title,problem_number'));
+    assert.ok(row.startsWith('"Alpha, with comma",'));
+    assert.ok(row.includes('A;B'));
+
+    const history = await api.get('/export?format=csv&type=schedule');
+    assert.equal(history.body.trim().split('\r\n').length, 7);
+  });
+
+  test('rejects unknown export formats', async () => {
+    assert.equal((await api.get('/export?format=xml')).status, 400);
+    assert.equal((await api.get('/export?format=csv&type=everything')).status, 400);
+  });
+
+  test('round-trips an export through import', async () => {
+    await api.post('/questions', { title: 'Alpha', difficulty: 'Medium', tags: ['DP'] });
+    const { body: deck } = await api.get('/export');
+
+    const bob = await server.signUp('bob');
+    const res = await bob.post('/import', { format: 'json', data: deck });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.added, ['Alpha']);
+
+    const { body: { questions: [imported] } } = await bob.get('/questions');
+    assert.equal(imported.difficulty, 'Medium');
+    assert.deepEqual(imported.tags, ['DP']);
+    assert.equal((await bob.get(`/questions/${imported.id}`)).body.schedule.length, 6);
+  });
+
+  test('dry runs report without writing', async () => {
+    const res = await api.post('/import', { data: [{ title: 'Alpha' }], dryRun: true });
+    assert.deepEqual(res.body, { success: true, dryRun: true, mode: 'merge', added: ['Alpha'], skipped: [] });
+    assert.equal((await api.get('/questions')).body.total, 0);
+  });
+
+  test('merge skips duplicates and replace wipes the deck', async () => {
+    await api.post('/questions', { title: 'Alpha' });
+    await api.post('/questions', { problem_number: 1 });
+
+    const merged = await api.post('/import', { data: [{ title: 'alpha' }, { problem_number: 1, title: 'Renamed' }, { title: 'Beta' }] });
+    assert.deepEqual(merged.body.added, ['Beta']);
+    assert.deepEqual(merged.body.skipped, ['alpha', 'Renamed']);
+
+    // A numbered question whose title is already taken is a duplicate too
+    const retitled = await api.post('/import', { data: [{ problem_number: 2, title: 'ALPHA' }] });
+    assert.deepEqual(retitled.body.skipped, ['ALPHA']);
+    assert.equal((await api.get('/questions')).body.total, 3);
+
+    await api.post('/interviews', { count: 2 });
+    const replaced = await api.post('/import', { data: [{ title: 'Gamma' }], mode: 'replace' });
+    assert.deepEqual(replaced.body.added, ['Gamma']);
+    assert.deepEqual((await api.get('/questions')).body.questions.map(q => q.title), ['Gamma']);
+    // Interviews of the old questions go with them
+    assert.deepEqual((await api.get('/interviews')).body, []);
+    assert.equal(server.db.prepare('SELECT COUNT(*) as n FROM interview_questions').get().n, 0);
+  });
+
+  test('imports the questions CSV format', async () => {
+    const csv = 'title,problem_number,difficulty,tags,created_at\r\nAlpha,,Hard,Graph;BFS,2024-01-15\r\n';
+    const res = await api.post('/import', { format: 'csv', data: csv });
+    assert.deepEqual(res.body.added, ['Alpha']);
+
+    const { body: { questions: [imported] } } = await api.get('/questions');
+    assert.equal(imported.created_at, '2024-01-15');
+    assert.deepEqual(imported.tags.sort(), ['BFS', 'Graph']);
+  });
+
+  test('rejects CSV rows whose problem number is not a number', async () => {
+    const csv = 'title,problem_number\r\nAlpha,12\r\nBeta,twelve\r\nGamma,3.5\r\n';
+    const res = await api.post('/import', { format: 'csv', data: csv });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.details.map(d => d.message), [
+      'Question 2: problem_number must be a positive whole number',
+      'Question 3: problem_number must be a positive whole number',
+    ]);
+  });
+
+  test('answers 422 with every problem in the file', async () => {
+    const res = await api.post('/import', {
+      data: [
+        { title: '' },
+        { title: 'Bad date', created_at: '2024-02-31' },
+        { title: 'Bad grade', schedule: [{ due_date: '2024-01-01', grade: 'meh' }] },
+        { title: 'x'.repeat(301) },
+      ],
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.details.map(d => d.message), [
+      'Question 1: title is required',
+      'Question 2: created_at must be YYYY-MM-DD',
+      'Question 3, review 1: invalid grade',
+      'Question 4: title is longer than 300 characters',
+    ]);
+    assert.equal((await api.get('/questions')).body.total, 0);
+  });
+
+  test('rejects scheduling state and log entries that are out of range', async () => {
+    const res = await api.post('/import', {
+      data: [
+        { title: 'Alpha', ease: 'high', interval_days: 0, repetitions: 1.5, lapses: -1 },
+        {
+          title: 'Beta',
+          ease: 2.1,
+          reviews: [
+            { action: 'review', reviewed_at: '2024-01-02T10:00:00Z', grade: 7, completed: 'yes' },
+            { action: 'review', reviewed_at: '2024-01-03T10:00:00Z', review_date: 'tuesday', time_spent_seconds: -5 },
+          ],
+        },
+      ],
+    });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.details.map(d => d.message), [
+      'Question 1: ease must be a number of at least 1.3',
+      'Question 1: interval_days must be a whole number of at least 1',
+      'Question 1: repetitions must be a whole number of at least 0',
+      'Question 1: lapses must be a whole number of at least 0',
+      'Question 2, log entry 1: invalid grade',
+      'Question 2, log entry 1: completed must be true, false, 1 or 0',
+      'Question 2, log entry 2: review_date must be YYYY-MM-DD',
+      'Question 2, log entry 2: time_spent_seconds must be a whole number of at least 0',
+    ]);
+    assert.equal((await api.get('/questions')).body.total, 0);
+  });
+
+  test('rejects a file that uses a title twice', async () => {
+    const res = await api.post('/import', { data: [{ title: 'Alpha' }, { title: 'Beta' }, { title: 'alpha' }], mode: 'replace' });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.details.map(d => d.message), ['Question 3: title is the same as question 1']);
+    assert.equal((await api.get('/questions')).body.total, 0);
+  });
+
+  test('rejects unparseable data and bad options', async () => {
+    assert.equal((await api.post('/import', { data: '{nope' })).status, 422);
+    assert.equal((await api.post('/import', { format: 'csv', data: '"unterminated' })).status, 422);
+    assert.equal((await api.post('/import', { data: { something: 'else' } })).status, 422);
+    assert.equal((await api.post('/import', { data: [], mode: 'append' })).status, 422);
+    assert.equal((await api.post('/import', { format: 'xml', data: '' })).status, 422);
+    assert.equal((await api.post('/import', {})).status, 422);
+  });
+});
@@ -0,0 +1,44 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('error contract', () => {
+  let server;
+  let api;
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  after(() => server.close());
+
+  test('malformed JSON answers 400 INVALID_JSON', async () => {
+    const res = await server.request('POST', '/questions', { token: api.token, body: '{"title":' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  });
+
+  test('a body that is not an object answers 422', async () => {
+    const res = await server.request('POST', '/questions', { token: api.token, body: '[1, 2]' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+  });
+
+  test('unknown API paths answer 404 NOT_FOUND', async () => {
+    const res = await api.get('/nope');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+
+  test('bad route params answer 400 with details', async () => {
+    const res = await api.get('/questions/abc');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+    assert.deepEqual(res.body.details, [{ field: 'id', message: 'id must be a number' }]);
+  });
+
+  test('bad query strings answer 400', async () => {
+    const res = await api.get('/questions?page=0');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'page must be at least 1');
+  });
+});
@@ -0,0 +1,111 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventHub } = require('../events');
+const { startServer } = require('./helpers');
+
+// Opens GET /events and returns a reader that yields parsed events
+const openStream = async (baseUrl, query) => {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/events?${new URLSearchParams(query)}`, { signal: controller.signal });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  const next = async () => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+        if (fields.event) return { type: fields.event, id: fields.id, data: JSON.parse(fields.data) };
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Stream ended');
+      buffer += value;
+    }
+  };
+
+  return { res, next, close: () => controller.abort() };
+};
+
+describe('event hub', () => {
+  test('delivers events to the user\'s subscribers only', () => {
+    const hub = createEventHub();
+    const seen = [];
+    const unsubscribe = hub.subscribe(1, event => seen.push(event));
+    hub.subscribe(2, () => assert.fail('wrong user'));
+
+    hub.publish(1, { type: 'settings', data: {} });
+    unsubscribe();
+    hub.publish(1, { type: 'settings', data: {} });
+    assert.deepEqual(seen, [{ id: 1, type: 'settings', data: {} }]);
+  });
+});
+
+describe('events route', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  after(() => server.close());
+
+  test('streams changes made by other clients', async () => {
+    const stream = await openStream(server.baseUrl, { token: api.token, client: 'tab-1' });
+    try {
+      assert.equal(stream.res.status, 200);
+      assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+      assert.deepEqual((await stream.next()).data, { client: 'tab-1' });
+
+      // A change sent as tab-1 is not echoed back to tab-1
+      await fetch(`${server.baseUrl}/questions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${api.token}`, 'X-Client-Id': 'tab-1' },
+        body: JSON.stringify({ title: 'Mine' }),
+      });
+      const created = await api.post('/questions', { title: 'Alpha' });
+      const event = await stream.next();
+      assert.equal(event.type, 'question');
+      assert.deepEqual(event.data, { action: 'created', ids: [created.body.id] });
+      assert.ok(Number(event.id) > 0);
+
+      await api.put(`/questions/${created.body.id}/notes`, { notes: 'hash map' });
+      assert.deepEqual(await stream.next().then(e => [e.type, e.data]), ['notes', { question_id: created.body.id, version: 1 }]);
+
+      await api.post('/import', { data: [{ title: 'Beta' }, { title: 'Gamma' }] });
+      const { body: { questions } } = await api.get('/questions');
+      const importedIds = ['Beta', 'Gamma'].map(title => questions.find(q => q.title === title).id);
+      assert.deepEqual((await stream.next()).data, { action: 'imported', ids: importedIds });
+
+      await api.put('/settings', { week_start: 1 });
+      assert.equal((await stream.next()).type, 'settings');
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('does not leak other users\' changes', async () => {
+    const bob = await server.signUp('bob');
+    const stream = await openStream(server.baseUrl, { token: bob.token });
+    try {
+      await stream.next();
+      await api.post('/questions', { title: 'Private' });
+      const mine = await bob.post('/questions', { title: 'Bob\'s' });
+      const event = await stream.next();
+      assert.equal(event.type, 'question');
+      assert.deepEqual(event.data.ids, [mine.body.id]);
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('requires a session', async () => {
+    assert.equal((await server.request('GET', '/events')).status, 401);
+    assert.equal((await server.request('GET', '/events?token=nope')).status, 401);
+  });
+});
@@ -0,0 +1,62 @@
+const { once } = require('events');
+const { openDatabase } = require('../db');
+const { migrate } = require('../migrator');
+const { createApp } = require('../app');
+
+// --- Test Helpers ---
+// Each suite gets its own server on a random port, backed by a fresh
+// in-memory database with every migration applied.
+
+const startServer = async () => {
+  const db = openDatabase(':memory:');
+  migrate(db, { log: () => {} });
+  const server = createApp(db).listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // Sends a request and parses the reply; body may be an object or raw text
+  const request = async (method, path, { body, token } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Not JSON (e.g. a CSV export); keep the text
+    }
+    return { status: res.status, headers: res.headers, body: data };
+  };
+
+  // Request helpers bound to one session token
+  const as = (token) => ({
+    get: (path) => request('GET', path, { token }),
+    post: (path, body) => request('POST', path, { token, body }),
+    put: (path, body) => request('PUT', path, { token, body }),
+    patch: (path, body) => request('PATCH', path, { token, body }),
+    delete: (path) => request('DELETE', path, { token }),
+  });
+
+  // Registers an account and returns request helpers signed in as it
+  const signUp = async (username = 'alice', password = 'password123') => {
+    const res = await request('POST', '/auth/register', { body: { username, password } });
+    if (res.status !== 201) throw new Error(`Sign up failed: ${JSON.stringify(res.body)}`);
+    return { ...as(res.body.token), token: res.body.token, user: res.body.user };
+  };
+
+  const close = async () => {
+    server.close();
+    await once(server, 'close');
+    db.close();
+  };
+
+  return { db, baseUrl, request, as, signUp, close };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,173 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { weight, pickQuestions, scoreOutcomes } = require('../interviews');
+const { startServer } = require('./helpers');
+
+const day = (offset) => dayjs().add(offset, 'day').format('YYYY-MM-DD');
+const TODAY = '2026-03-01';
+
+// Deterministic stand-in for Math.random
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+const candidate = (id, difficulty, fields = {}) => ({
+  id, difficulty, ease: 2.5, lapses: 0, created_at: TODAY, last_seen: TODAY, ...fields,
+});
+
+describe('interview picker', () => {
+  test('weighs lapsed and long-unseen questions higher', () => {
+    const fresh = weight(candidate(1, 'Easy'), TODAY);
+    assert.equal(fresh, 1);
+    assert.ok(weight(candidate(2, 'Easy', { lapses: 2, ease: 2.1 }), TODAY) > fresh);
+    assert.ok(weight(candidate(3, 'Easy', { last_seen: '2026-01-01' }), TODAY) > fresh);
+    // Never reviewed: counts from the day it was added, up to a limit
+    assert.equal(
+      weight(candidate(4, 'Easy', { last_seen: null, created_at: '2020-01-01' }), TODAY),
+      weight(candidate(5, 'Easy', { last_seen: '2025-01-01' }), TODAY),
+    );
+  });
+
+  test('draws in proportion to weight', () => {
+    const pool = [candidate(1, 'Easy'), candidate(2, 'Easy', { lapses: 4 })];
+    // Weights 1 and 9: a draw at 0.5 of the total lands on the weak question
+    assert.deepEqual(pickQuestions(pool, { count: 1 }, { today: TODAY, random: () => 0.5 }).map(q => q.id), [2]);
+    assert.deepEqual(pickQuestions(pool, { count: 1 }, { today: TODAY, random: () => 0.05 }).map(q => q.id), [1]);
+  });
+
+  test('follows the difficulty mix, easiest first, and fills any gap', () => {
+    const pool = [candidate(1, 'Hard'), candidate(2, 'Medium'), candidate(3, 'Easy'), candidate(4, 'Medium'), candidate(5, null)];
+    const picked = pickQuestions(pool, { mix: { Hard: 1, Medium: 1, Easy: 1 } }, { today: TODAY, random: sequence(0) });
+    assert.deepEqual(picked.map(q => q.difficulty), ['Easy', 'Medium', 'Hard']);
+
+    const short = pickQuestions(pool, { mix: { Hard: 3 } }, { today: TODAY, random: sequence(0) });
+    // One Hard question exists; the rest come from the other difficulties
+    assert.deepEqual(short.map(q => q.id), [3, 2, 1]);
+
+    assert.equal(pickQuestions(pool, { count: 10 }, { today: TODAY }).length, 5);
+  });
+
+  test('scores solved as a point and partial as half', () => {
+    assert.equal(scoreOutcomes(['solved', 'partial', 'failed', 'skipped']), 38);
+    assert.equal(scoreOutcomes(['solved']), 100);
+    assert.equal(scoreOutcomes([]), null);
+  });
+});
+
+describe('interview routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  const addQuestion = async (title, fields = {}) => (await api.post('/questions', { title, ...fields })).body.id;
+
+  test('starts a session from the matching questions', async () => {
+    await addQuestion('Two Sum', { difficulty: 'Easy', tags: ['Array'] });
+    await addQuestion('LRU Cache', { difficulty: 'Medium', tags: ['Design'] });
+    await addQuestion('Word Ladder', { difficulty: 'Hard', tags: ['Graph', 'array'] });
+
+    const { status, body } = await api.post('/interviews', { count: 5, tags: ['array'], duration_minutes: 30 });
+    assert.equal(status, 201);
+    assert.deepEqual(body.questions.map(q => q.title), ['Two Sum', 'Word Ladder']);
+    assert.deepEqual(body.tags, ['array']);
+    assert.equal(body.duration_minutes, 30);
+    assert.equal(dayjs(body.ends_at).diff(dayjs(body.started_at), 'minute'), 30);
+    assert.equal(body.finished_at, null);
+
+    const mixed = await api.post('/interviews', { mix: { medium: 1 } });
+    assert.deepEqual(mixed.body.questions.map(q => q.title), ['LRU Cache']);
+    assert.deepEqual((await api.get(`/interviews/${mixed.body.id}`)).body, mixed.body);
+  });
+
+  test('rejects sessions with nothing to ask', async () => {
+    assert.equal((await api.post('/interviews', {})).status, 422);
+    await addQuestion('Two Sum', { tags: ['Array'] });
+    const none = await api.post('/interviews', { tags: ['Graph'] });
+    assert.equal(none.status, 422);
+    assert.equal(none.body.details[0].message, 'no active questions have these tags');
+    assert.equal((await api.post('/interviews', { mix: { Easy: 0 } })).status, 422);
+    assert.equal((await api.post('/interviews', { mix: { Trivial: 1 } })).status, 422);
+  });
+
+  test('records outcomes and pulls failed questions forward', async () => {
+    const solved = await addQuestion('Two Sum', { difficulty: 'Easy' });
+    const failed = await addQuestion('LRU Cache', { difficulty: 'Medium' });
+    const skipped = await addQuestion('Word Ladder', { difficulty: 'Hard' });
+    // With the first review done the next one is on day 4
+    const [first, second] = (await api.get(`/questions/${failed}`)).body.schedule;
+    await api.post(`/schedule/${first.id}/toggle`);
+    assert.equal(second.due_date, day(4));
+
+    const { body: interview } = await api.post('/interviews', { count: 3 });
+    const { status, body } = await api.post(`/interviews/${interview.id}/finish`, {
+      results: [
+        { question_id: solved, outcome: 'solved', time_spent: 600.4 },
+        { question_id: failed, outcome: 'failed', time_spent: 1500 },
+      ],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.score, 33);
+    assert.ok(body.finished_at);
+    assert.deepEqual(body.questions.map(q => [q.question_id, q.outcome, q.time_spent_seconds]), [
+      [solved, 'solved', 600], [failed, 'failed', 1500], [skipped, 'skipped', null],
+    ]);
+    assert.deepEqual(body.pulled_forward, [{ question_id: failed, title: 'LRU Cache', from: day(4), to: day(1) }]);
+
+    const schedule = (await api.get(`/questions/${failed}`)).body.schedule;
+    assert.equal(schedule.find(row => row.id === second.id).due_date, day(1));
+    const log = (await api.get(`/questions/${failed}/reviews`)).body;
+    assert.deepEqual([log[0].action, log[0].grade, log[0].time_spent_seconds], ['interview', 1, 1500]);
+    assert.deepEqual((await api.get(`/questions/${skipped}/reviews`)).body, []);
+
+    const again = await api.post(`/interviews/${interview.id}/finish`, {});
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ALREADY_FINISHED');
+  });
+
+  test('adds a review for a failed question with none left, after any blackout', async () => {
+    const id = await addQuestion('Two Sum');
+    server.db.prepare('DELETE FROM schedule WHERE question_id = ?').run(id);
+    await api.post('/blackouts', { start_date: day(1), end_date: day(2) });
+
+    const { body: interview } = await api.post('/interviews', { count: 1 });
+    const { body } = await api.post(`/interviews/${interview.id}/finish`, { results: [{ question_id: id, outcome: 'failed' }] });
+    assert.deepEqual(body.pulled_forward, [{ question_id: id, title: 'Two Sum', from: null, to: day(3) }]);
+    assert.deepEqual((await api.get(`/questions/${id}`)).body.schedule.map(row => row.due_date), [day(3)]);
+  });
+
+  test('validates results', async () => {
+    const id = await addQuestion('Two Sum');
+    const { body: interview } = await api.post('/interviews', { count: 1 });
+    const bad = await api.post(`/interviews/${interview.id}/finish`, {
+      results: [{ question_id: id + 1, outcome: 'solved' }, { question_id: id, outcome: 'aced' }, { question_id: id, outcome: 'solved', time_spent: -1 }],
+    });
+    assert.equal(bad.status, 422);
+    assert.deepEqual(bad.body.details.map(detail => detail.message), [
+      'results[0] question_id is not in this interview',
+      'results[1] outcome must be one of solved, partial, failed, skipped',
+      'results[2] time_spent must be a number of seconds',
+    ]);
+    assert.equal((await api.get(`/interviews/${interview.id}`)).body.finished_at, null);
+  });
+
+  test('lists past sessions with scores, scoped to the user', async () => {
+    const id = await addQuestion('Two Sum');
+    const { body: first } = await api.post('/interviews', { count: 1 });
+    await api.post(`/interviews/${first.id}/finish`, { results: [{ question_id: id, outcome: 'partial' }] });
+    const { body: second } = await api.post('/interviews', { count: 1 });
+
+    const { body } = await api.get('/interviews');
+    assert.deepEqual(body.map(row => [row.id, row.score, row.total, row.partial]), [[second.id, null, 1, 0], [first.id, 50, 1, 1]]);
+
+    const bob = await server.signUp('bob');
+    assert.deepEqual((await bob.get('/interviews')).body, []);
+    assert.equal((await bob.get(`/interviews/${first.id}`)).status, 404);
+    assert.equal((await bob.post(`/interviews/${second.id}/finish`, {})).status, 404);
+  });
+});
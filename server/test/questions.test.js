@@ -0,0 +1,374 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { initialDates } = require('../scheduler');
+const { startServer } = require('./helpers');
+
+describe('question routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  const addQuestion = async (body) => {
+    const res = await api.post('/questions', body);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.id;
+  };
+
+  describe('POST /questions', () => {
+    test('creates the question with its initial schedule from today', async () => {
+      const id = await addQuestion({ title: '  Two Sum  ' });
+      const { body } = await api.get(`/questions/${id}`);
+      const today = dayjs().format('YYYY-MM-DD');
+
+      assert.equal(body.title, 'Two Sum');
+      assert.equal(body.created_at, today);
+      assert.deepEqual(body.schedule.map(row => row.due_date), initialDates(today));
+      assert.ok(body.schedule.every(row => row.completed === 0));
+    });
+
+    test('starts the schedule on an earlier day when given started', async () => {
+      const started = dayjs().subtract(2, 'day').format('YYYY-MM-DD');
+      const id = await addQuestion({ title: 'Alpha', started });
+      const { body } = await api.get(`/questions/${id}`);
+      assert.equal(body.created_at, started);
+      assert.deepEqual(body.schedule.map(row => row.due_date), initialDates(started));
+
+      const future = await api.post('/questions', { title: 'Beta', started: dayjs().add(1, 'day').format('YYYY-MM-DD') });
+      assert.equal(future.status, 422);
+    });
+
+    test('fills metadata from the catalog for a known problem number', async () => {
+      const id = await addQuestion({ problem_number: 1 });
+      const { body } = await api.get(`/questions/${id}`);
+      assert.equal(body.title, '1. Two Sum');
+      assert.equal(body.difficulty, 'Easy');
+      assert.equal(body.url, 'https://leetcode.com/problems/two-sum/');
+      assert.deepEqual(body.tags, ['Array', 'Hash Table']);
+    });
+
+    test('normalizes difficulty and tags', async () => {
+      const id = await addQuestion({ title: 'Custom', difficulty: 'hard', tags: 'Graph, graph,  BFS ' });
+      const { body } = await api.get(`/questions/${id}`);
+      assert.equal(body.difficulty, 'Hard');
+      assert.deepEqual(body.tags.sort(), ['BFS', 'Graph']);
+    });
+
+    test('requires a title or a known problem number', async () => {
+      for (const body of [{}, { title: '   ' }, { problem_number: 99999 }]) {
+        const res = await api.post('/questions', body);
+        assert.equal(res.status, 422);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+      }
+    });
+
+    test('rejects fields of the wrong type', async () => {
+      const res = await api.post('/questions', { title: 42, difficulty: 'Impossible', url: 'ftp://x' });
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.details.map(d => d.field), ['title', 'url', 'difficulty']);
+    });
+
+    test('rejects duplicate titles case-insensitively', async () => {
+      await addQuestion({ title: 'Two Sum' });
+      const res = await api.post('/questions', { title: 'two sum' });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'DUPLICATE_TITLE');
+    });
+
+    test('allows the same title in different accounts', async () => {
+      await addQuestion({ title: 'Two Sum' });
+      const bob = await server.signUp('bob');
+      assert.equal((await bob.post('/questions', { title: 'Two Sum' })).status, 200);
+    });
+  });
+
+  describe('POST /questions/bulk', () => {
+    const text = [
+      'LC 43 #strings #medium started:2026-01-10',
+      '',
+      '1. Two Sum',
+      'https://leetcode.com/problems/some-new-thing/',
+      'LC 1 #array',
+      'Custom problem started:not-a-date',
+      'Back to the future started:2999-01-01',
+    ].join('\n');
+
+    test('adds the valid lines together and reports every line', async () => {
+      const { status, body } = await api.post('/questions/bulk', { text });
+      assert.equal(status, 200);
+      assert.equal(body.dryRun, false);
+      assert.equal(body.added, 3);
+      assert.equal(body.failed, 3);
+      assert.deepEqual(body.results.map(r => [r.line, r.status]), [
+        [1, 'ok'], [3, 'ok'], [4, 'ok'], [5, 'error'], [6, 'error'], [7, 'error'],
+      ]);
+      assert.equal(body.results[3].error, '"1. Two Sum" appears earlier in the list');
+      assert.equal(body.results[4].error, 'started:not-a-date must be a date in YYYY-MM-DD format');
+      assert.equal(body.results[5].error, 'started:2999-01-01 is in the future');
+
+      const { body: question } = await api.get(`/questions/${body.results[0].question.id}`);
+      assert.equal(question.title, '43. Multiply Strings');
+      assert.equal(question.difficulty, 'Medium');
+      assert.deepEqual(question.tags, ['strings']);
+      // Backdated: the ladder runs from the start date
+      assert.equal(question.created_at, '2026-01-10');
+      assert.deepEqual(question.schedule.map(row => row.due_date), initialDates('2026-01-10'));
+
+      const { body: list } = await api.get('/questions');
+      assert.deepEqual(list.questions.map(q => q.title).sort(), ['1. Two Sum', '43. Multiply Strings', 'Some New Thing']);
+    });
+
+    test('previews without saving and skips titles already in the deck', async () => {
+      await addQuestion({ title: 'Two Sum' });
+      const { body } = await api.post('/questions/bulk', { text: 'two sum\nLC 20', dryRun: true });
+      assert.equal(body.dryRun, true);
+      assert.equal(body.results[0].error, 'A question titled "two sum" already exists');
+      assert.equal(body.results[1].question.title, '20. Valid Parentheses');
+      assert.equal(body.results[1].question.created_at, dayjs().format('YYYY-MM-DD'));
+      assert.equal((await api.get('/questions')).body.total, 1);
+    });
+
+    test('rejects a missing or oversized paste', async () => {
+      assert.equal((await api.post('/questions/bulk', {})).status, 422);
+      const res = await api.post('/questions/bulk', { text: Array.from({ length: 501 }, (_, i) => `Problem ${i}`).join('\n') });
+      assert.equal(res.status, 422);
+      assert.equal(res.body.details[0].field, 'text');
+      assert.equal((await api.get('/questions')).body.total, 0);
+    });
+  });
+
+  describe('GET /questions', () => {
+    test('searches, filters and paginates', async () => {
+      await addQuestion({ title: 'Alpha', difficulty: 'Easy', tags: ['Array'] });
+      const beta = await addQuestion({ title: 'Beta', difficulty: 'Hard', tags: ['Graph'] });
+      await addQuestion({ title: 'Gamma', difficulty: 'Hard' });
+      await api.put(`/questions/${beta}/notes`, { notes: 'use a heap' });
+
+      assert.equal((await api.get('/questions')).body.total, 3);
+      assert.deepEqual((await api.get('/questions?q=heap')).body.questions.map(q => q.title), ['Beta']);
+      assert.equal((await api.get('/questions?difficulty=hard')).body.total, 2);
+      assert.deepEqual((await api.get('/questions?tag=Array')).body.questions.map(q => q.title), ['Alpha']);
+
+      const page = await api.get('/questions?limit=2&page=2');
+      assert.equal(page.body.questions.length, 1);
+      assert.equal(page.body.page, 2);
+    });
+
+    test('filters by archived flag and reports the next due date', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      await addQuestion({ title: 'Beta' });
+      await api.patch(`/questions/${id}`, { archived: true });
+
+      assert.deepEqual((await api.get('/questions?archived=1')).body.questions.map(q => q.title), ['Alpha']);
+      const active = (await api.get('/questions?archived=0')).body.questions;
+      assert.deepEqual(active.map(q => q.title), ['Beta']);
+      assert.equal(active[0].next_due, dayjs().add(1, 'day').format('YYYY-MM-DD'));
+    });
+
+    test('validates query parameters', async () => {
+      assert.equal((await api.get('/questions?limit=500')).status, 400);
+      assert.equal((await api.get('/questions?archived=maybe')).status, 400);
+      assert.equal((await api.get('/questions?difficulty=trivial')).status, 400);
+    });
+
+    test('only lists the signed-in user\'s questions', async () => {
+      await addQuestion({ title: 'Alpha' });
+      const bob = await server.signUp('bob');
+      assert.equal((await bob.get('/questions')).body.total, 0);
+    });
+  });
+
+  describe('GET /questions/:id', () => {
+    test('404s for missing questions and other users\' questions', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      const bob = await server.signUp('bob');
+      assert.equal((await api.get('/questions/9999')).status, 404);
+      assert.equal((await bob.get(`/questions/${id}`)).status, 404);
+    });
+  });
+
+  describe('PATCH /questions/:id', () => {
+    test('updates title, metadata and tags', async () => {
+      const id = await addQuestion({ title: 'Alpha', tags: ['Array'] });
+      const res = await api.patch(`/questions/${id}`, {
+        title: 'Alpha v2',
+        problem_number: 70,
+        url: 'https://leetcode.com/problems/climbing-stairs/',
+        difficulty: 'easy',
+        tags: ['DP'],
+      });
+      assert.equal(res.status, 200);
+
+      const { body } = await api.get(`/questions/${id}`);
+      assert.equal(body.title, 'Alpha v2');
+      assert.equal(body.problem_number, 70);
+      assert.equal(body.slug, 'climbing-stairs');
+      assert.equal(body.difficulty, 'Easy');
+      assert.deepEqual(body.tags, ['DP']);
+    });
+
+    test('clears nullable fields', async () => {
+      const id = await addQuestion({ problem_number: 1 });
+      await api.patch(`/questions/${id}`, { problem_number: null, difficulty: '', slug: null });
+      const { body } = await api.get(`/questions/${id}`);
+      assert.equal(body.problem_number, null);
+      assert.equal(body.difficulty, null);
+      assert.equal(body.url, null);
+    });
+
+    test('allows changing the case of its own title', async () => {
+      const id = await addQuestion({ title: 'alpha' });
+      assert.equal((await api.patch(`/questions/${id}`, { title: 'Alpha' })).status, 200);
+    });
+
+    test('rejects renaming onto another question\'s title', async () => {
+      await addQuestion({ title: 'Alpha' });
+      const id = await addQuestion({ title: 'Beta' });
+      const res = await api.patch(`/questions/${id}`, { title: 'ALPHA' });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'DUPLICATE_TITLE');
+    });
+
+    test('rejects empty titles and empty updates', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      assert.equal((await api.patch(`/questions/${id}`, { title: ' ' })).status, 422);
+      const empty = await api.patch(`/questions/${id}`, {});
+      assert.equal(empty.status, 422);
+      assert.equal(empty.body.error, 'Nothing to update');
+    });
+
+    test('404s for questions the user does not own', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      const bob = await server.signUp('bob');
+      assert.equal((await bob.patch(`/questions/${id}`, { archived: true })).status, 404);
+    });
+  });
+
+  describe('DELETE /questions/:id', () => {
+    test('removes the question, its schedule and tags', async () => {
+      const id = await addQuestion({ title: 'Alpha', tags: ['Array'] });
+      assert.equal((await api.delete(`/questions/${id}`)).status, 200);
+      assert.equal((await api.get(`/questions/${id}`)).status, 404);
+      assert.equal(server.db.prepare('SELECT COUNT(*) as n FROM schedule WHERE question_id = ?').get(id).n, 0);
+      assert.deepEqual((await api.get('/tags')).body, []);
+    });
+
+    test('404s when there is nothing to delete', async () => {
+      assert.equal((await api.delete('/questions/9999')).status, 404);
+    });
+  });
+
+  describe('notes', () => {
+    test('round-trips notes', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      assert.deepEqual((await api.get(`/questions/${id}/notes`)).body, { notes: '', version: 0 });
+      assert.equal((await api.put(`/questions/${id}/notes`, { notes: 'two pointers' })).status, 200);
+      assert.deepEqual((await api.get(`/questions/${id}/notes`)).body, { notes: 'two pointers', version: 1 });
+    });
+
+    test('refuses a save based on an older version', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      const saved = await api.put(`/questions/${id}/notes`, { notes: 'first', version: 0 });
+      assert.equal(saved.body.version, 1);
+
+      const stale = await api.put(`/questions/${id}/notes`, { notes: 'from another tab', version: 0 });
+      assert.equal(stale.status, 409);
+      assert.equal(stale.body.code, 'NOTES_CONFLICT');
+      assert.deepEqual((await api.get(`/questions/${id}/notes`)).body, { notes: 'first', version: 1 });
+
+      // An unchanged save keeps the version; leaving it out skips the check
+      assert.equal((await api.put(`/questions/${id}/notes`, { notes: 'first', version: 1 })).body.version, 1);
+      assert.equal((await api.put(`/questions/${id}/notes`, { notes: 'forced' })).body.version, 2);
+      assert.equal((await api.get(`/questions/${id}`)).body.notes_version, 2);
+    });
+
+    test('validates and 404s', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      assert.equal((await api.put(`/questions/${id}/notes`, { notes: 5 })).status, 422);
+      assert.equal((await api.put('/questions/9999/notes', { notes: 'x' })).status, 404);
+      assert.equal((await api.get('/questions/9999/notes')).status, 404);
+    });
+  });
+
+  describe('note revisions', () => {
+    test('every changed save adds a revision', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      const first = await api.put(`/questions/${id}/notes`, { notes: 'v1' });
+      assert.ok(first.body.revision.id);
+      await api.put(`/questions/${id}/notes`, { notes: 'v2 longer' });
+      const unchanged = await api.put(`/questions/${id}/notes`, { notes: 'v2 longer' });
+      assert.equal(unchanged.body.revision, null);
+
+      const revisions = (await api.get(`/questions/${id}/notes/revisions`)).body;
+      assert.deepEqual(revisions.map(r => r.size), [9, 2]);
+
+      const oldest = await api.get(`/questions/${id}/notes/revisions/${revisions[1].id}`);
+      assert.equal(oldest.body.notes, 'v1');
+    });
+
+    test('restoring brings back old notes as a new revision', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      await api.put(`/questions/${id}/notes`, { notes: 'v1' });
+      await api.put(`/questions/${id}/notes`, { notes: 'v2' });
+      const [, oldest] = (await api.get(`/questions/${id}/notes/revisions`)).body;
+
+      const res = await api.post(`/questions/${id}/notes/revisions/${oldest.id}/restore`);
+      assert.deepEqual(res.body, { success: true, notes: 'v1', version: 3 });
+      assert.equal((await api.get(`/questions/${id}/notes`)).body.notes, 'v1');
+      assert.equal((await api.get(`/questions/${id}/notes/revisions`)).body.length, 3);
+    });
+
+    test('revisions are scoped to their question and owner', async () => {
+      const alpha = await addQuestion({ title: 'Alpha' });
+      const beta = await addQuestion({ title: 'Beta' });
+      const { body: { revision } } = await api.put(`/questions/${alpha}/notes`, { notes: 'secret' });
+      const bob = await server.signUp('bob');
+
+      assert.equal((await api.get(`/questions/${beta}/notes/revisions/${revision.id}`)).status, 404);
+      assert.equal((await bob.get(`/questions/${alpha}/notes/revisions/${revision.id}`)).status, 404);
+      assert.equal((await bob.get(`/questions/${alpha}/notes/revisions`)).status, 404);
+      assert.equal((await bob.post(`/questions/${alpha}/notes/revisions/${revision.id}/restore`)).status, 404);
+    });
+
+    test('imported notes start the history', async () => {
+      await api.post('/import', { data: [{ title: 'Imported', notes: 'from a file' }] });
+      const { body: { questions: [question] } } = await api.get('/questions');
+      assert.equal((await api.get(`/questions/${question.id}/notes/revisions`)).body.length, 1);
+    });
+  });
+
+  describe('GET /tags', () => {
+    test('counts questions per tag', async () => {
+      await addQuestion({ title: 'Alpha', tags: ['Array', 'DP'] });
+      await addQuestion({ title: 'Beta', tags: ['Array'] });
+      assert.deepEqual((await api.get('/tags')).body, [{ name: 'Array', count: 2 }, { name: 'DP', count: 1 }]);
+    });
+  });
+
+  describe('GET /questions/:id/reviews', () => {
+    test('lists the review log newest first', async () => {
+      const id = await addQuestion({ title: 'Alpha' });
+      const { body } = await api.get(`/questions/${id}`);
+      await api.post(`/schedule/${body.schedule[0].id}/toggle`);
+      await api.post(`/schedule/${body.schedule[0].id}/toggle`);
+
+      const log = (await api.get(`/questions/${id}/reviews`)).body;
+      assert.deepEqual(log.map(entry => [entry.action, entry.completed]), [['toggle', 0], ['toggle', 1]]);
+      assert.equal((await api.get('/questions/9999/reviews')).status, 404);
+    });
+  });
+
+  describe('GET /catalog', () => {
+    test('searches by number prefix or title', async () => {
+      assert.equal((await api.get('/catalog?q=1')).body[0].number, 1);
+      assert.ok((await api.get('/catalog?q=two sum')).body.some(p => p.title === 'Two Sum'));
+      assert.deepEqual((await api.get('/catalog')).body, []);
+      assert.equal((await api.get('/catalog?q=a&limit=3')).body.length, 3);
+      assert.equal((await api.get('/catalog?q=a&limit=100')).status, 400);
+    });
+  });
+});
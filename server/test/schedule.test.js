@@ -0,0 +1,414 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { initialDates } = require('../scheduler');
+const { startServer } = require('./helpers');
+
+const day = (offset) => dayjs().add(offset, 'day').format('YYYY-MM-DD');
+
+describe('schedule routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  // Adds a question and returns it with its schedule rows
+  const addQuestion = async (body) => {
+    const { body: { id } } = await api.post('/questions', body);
+    return (await api.get(`/questions/${id}`)).body;
+  };
+
+  // Moves a question's whole schedule so its first review falls on `date`
+  const startScheduleOn = (question, date) => {
+    const shift = dayjs(date).diff(dayjs(question.schedule[0].due_date), 'day');
+    server.db.prepare(`UPDATE schedule SET due_date = date(due_date, '${shift} days') WHERE question_id = ?`)
+      .run(question.id);
+  };
+
+  describe('GET /schedule', () => {
+    test('lists the reviews due on a date', async () => {
+      await addQuestion({ title: 'Alpha', tags: ['Array'] });
+      const tasks = (await api.get(`/schedule?date=${day(1)}`)).body;
+      assert.equal(tasks.length, 1);
+      assert.equal(tasks[0].title, 'Alpha');
+      assert.deepEqual(tasks[0].tags, ['Array']);
+      assert.deepEqual((await api.get(`/schedule?date=${day(2)}`)).body, []);
+    });
+
+    test('defaults to today', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      startScheduleOn(question, day(0));
+      assert.equal((await api.get('/schedule')).body.length, 1);
+    });
+
+    test('hides archived questions and applies filters', async () => {
+      const alpha = await addQuestion({ title: 'Alpha', difficulty: 'Easy' });
+      await addQuestion({ title: 'Beta', difficulty: 'Hard' });
+      assert.deepEqual((await api.get(`/schedule?date=${day(1)}&difficulty=Hard`)).body.map(t => t.title), ['Beta']);
+
+      await api.patch(`/questions/${alpha.id}`, { archived: true });
+      assert.deepEqual((await api.get(`/schedule?date=${day(1)}`)).body.map(t => t.title), ['Beta']);
+    });
+
+    test('rejects malformed and impossible dates', async () => {
+      for (const date of ['garbage', '2024-13-01', '2024-02-30', '24-1-1']) {
+        const res = await api.get(`/schedule?date=${date}`);
+        assert.equal(res.status, 400, date);
+        assert.equal(res.body.details[0].field, 'date');
+      }
+    });
+  });
+
+  describe('POST /schedule/:id/toggle', () => {
+    test('flips completion and logs it', async () => {
+      const { schedule: [first] } = await addQuestion({ title: 'Alpha' });
+      const res = await api.post(`/schedule/${first.id}/toggle`);
+      assert.deepEqual(res.body, { success: true, completed: 1 });
+      assert.equal((await api.post(`/schedule/${first.id}/toggle`)).body.completed, 0);
+      assert.equal(server.db.prepare("SELECT COUNT(*) as n FROM review_log WHERE action = 'toggle'").get().n, 2);
+    });
+
+    test('will not reopen a graded review', async () => {
+      const { id, schedule: [first] } = await addQuestion({ title: 'Alpha' });
+      await api.post(`/schedule/${first.id}/review`, { grade: 'good' });
+      const before = (await api.get(`/questions/${id}`)).body;
+
+      const res = await api.post(`/schedule/${first.id}/toggle`);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'ALREADY_GRADED');
+      assert.deepEqual((await api.get(`/questions/${id}`)).body, before);
+      // So it cannot be graded a second time either
+      assert.equal((await api.post(`/schedule/${first.id}/review`, { grade: 'good' })).status, 409);
+    });
+
+    test('404s for unknown or foreign rows and 400s for bad ids', async () => {
+      const { schedule: [first] } = await addQuestion({ title: 'Alpha' });
+      const bob = await server.signUp('bob');
+      assert.equal((await api.post('/schedule/9999/toggle')).status, 404);
+      assert.equal((await bob.post(`/schedule/${first.id}/toggle`)).status, 404);
+      assert.equal((await api.post('/schedule/abc/toggle')).status, 400);
+    });
+  });
+
+  describe('POST /schedule/:id/review', () => {
+    test('grades the review and reprojects the rest of the chain', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      startScheduleOn(question, day(0));
+      const [first] = question.schedule;
+
+      const res = await api.post(`/schedule/${first.id}/review`, { grade: 'good', time_spent: 90.4 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.grade, 'good');
+      assert.equal(res.body.interval_days, 3);
+      assert.equal(res.body.next_due, day(3));
+
+      const { body } = await api.get(`/questions/${question.id}`);
+      const pending = body.schedule.filter(row => !row.completed);
+      assert.equal(pending.length, question.schedule.length - 1);
+      assert.equal(pending[0].due_date, day(3));
+      assert.equal(body.repetitions, 1);
+
+      const [entry] = (await api.get(`/questions/${question.id}/reviews`)).body;
+      assert.equal(entry.grade, 3);
+      assert.equal(entry.time_spent_seconds, 90);
+    });
+
+    test('again counts a lapse and brings the question back tomorrow', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      const res = await api.post(`/schedule/${question.schedule[0].id}/review`, { grade: 1 });
+      assert.equal(res.body.lapses, 1);
+      assert.equal(res.body.next_due, day(1));
+    });
+
+    test('dates a replayed review to the day it happened', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      startScheduleOn(question, day(-2));
+      const [first] = question.schedule;
+
+      const res = await api.post(`/schedule/${first.id}/review`, { grade: 'good', date: day(-1) });
+      assert.equal(res.body.next_due, day(2));
+      const entry = server.db.prepare('SELECT review_date FROM review_log WHERE schedule_id = ?').get(first.id);
+      assert.equal(entry.review_date, day(-1));
+
+      const { schedule: [other] } = await addQuestion({ title: 'Beta' });
+      const future = await api.post(`/schedule/${other.id}/review`, { grade: 'good', date: day(1) });
+      assert.equal(future.status, 422);
+      assert.equal(future.body.details[0].field, 'date');
+    });
+
+    test('rejects bad grades and times', async () => {
+      const { schedule: [first] } = await addQuestion({ title: 'Alpha' });
+      assert.equal((await api.post(`/schedule/${first.id}/review`, {})).status, 422);
+      assert.equal((await api.post(`/schedule/${first.id}/review`, { grade: 'meh' })).status, 422);
+      assert.equal((await api.post(`/schedule/${first.id}/review`, { grade: 'good', time_spent: -5 })).status, 422);
+    });
+
+    test('409s when the review was already graded', async () => {
+      const { schedule: [first] } = await addQuestion({ title: 'Alpha' });
+      await api.post(`/schedule/${first.id}/review`, { grade: 'good' });
+      const res = await api.post(`/schedule/${first.id}/review`, { grade: 'good' });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'ALREADY_COMPLETED');
+    });
+
+    test('404s for unknown rows', async () => {
+      assert.equal((await api.post('/schedule/9999/review', { grade: 'good' })).status, 404);
+    });
+  });
+
+  describe('GET /queue', () => {
+    test('returns everything due up to today, most overdue first', async () => {
+      const old = await addQuestion({ title: 'Old' });
+      const recent = await addQuestion({ title: 'Recent' });
+      await addQuestion({ title: 'Future' });
+      startScheduleOn(old, day(-5));
+      startScheduleOn(recent, day(0));
+
+      const queue = (await api.get('/queue')).body;
+      assert.deepEqual(queue.map(t => [t.title, t.days_overdue]), [['Old', 5], ['Old', 2], ['Recent', 0]]);
+    });
+
+    test('accepts a date and rejects bad ones', async () => {
+      await addQuestion({ title: 'Alpha' });
+      assert.equal((await api.get(`/queue?date=${day(1)}`)).body.length, 1);
+      assert.equal((await api.get('/queue?date=tomorrow')).status, 400);
+    });
+  });
+
+  describe('POST /schedule/:id/reschedule', () => {
+    test('moves the review and shifts the later chain by default', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      startScheduleOn(question, day(-3));
+      const [first] = question.schedule;
+
+      const res = await api.post(`/schedule/${first.id}/reschedule`, {});
+      assert.deepEqual(res.body, { success: true, due_date: day(0), shifted_by: 3 });
+
+      const { body } = await api.get(`/questions/${question.id}`);
+      assert.deepEqual(body.schedule.map(row => row.due_date), initialDates(day(-1)));
+    });
+
+    test('can move a single review without shifting the chain', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      const [first, second] = question.schedule;
+      await api.post(`/schedule/${first.id}/reschedule`, { date: day(2), shiftChain: false });
+
+      const { body } = await api.get(`/questions/${question.id}`);
+      assert.equal(body.schedule.find(row => row.id === first.id).due_date, day(2));
+      assert.equal(body.schedule.find(row => row.id === second.id).due_date, second.due_date);
+    });
+
+    test('rejects bad or past dates, completed reviews and unknown rows', async () => {
+      const { schedule: [first] } = await addQuestion({ title: 'Alpha' });
+      assert.equal((await api.post(`/schedule/${first.id}/reschedule`, { date: '2024-02-31' })).status, 422);
+      assert.equal((await api.post(`/schedule/${first.id}/reschedule`, { shiftChain: 'sometimes' })).status, 422);
+      assert.equal((await api.post('/schedule/9999/reschedule', {})).status, 404);
+
+      const past = await api.post(`/schedule/${first.id}/reschedule`, { date: day(-1) });
+      assert.equal(past.status, 422);
+      assert.deepEqual(past.body.details, [{ field: 'date', message: `date must not be before ${day(0)}` }]);
+
+      await api.post(`/schedule/${first.id}/toggle`);
+      assert.equal((await api.post(`/schedule/${first.id}/reschedule`, {})).status, 409);
+    });
+  });
+
+  describe('PATCH /schedule/:id', () => {
+    test('moves only that review by default', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      const [first, second] = question.schedule;
+
+      const res = await api.patch(`/schedule/${second.id}`, { due_date: day(2) });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { success: true, id: second.id, question_id: question.id, due_date: day(2), shifted_by: -2 });
+
+      const { body } = await api.get(`/questions/${question.id}`);
+      assert.deepEqual(body.schedule.map(row => row.due_date), [first.due_date, day(2), ...initialDates(day(0)).slice(2)]);
+    });
+
+    test('can shift the rest of the chain', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      const [first] = question.schedule;
+      await api.patch(`/schedule/${first.id}`, { due_date: day(3), shiftChain: true });
+
+      const { body } = await api.get(`/questions/${question.id}`);
+      assert.deepEqual(body.schedule.map(row => row.due_date), initialDates(day(2)));
+    });
+
+    test('keeps a review from passing the next one unless the chain moves', async () => {
+      const question = await addQuestion({ title: 'Alpha' });
+      const [first] = question.schedule;
+
+      const passed = await api.patch(`/schedule/${first.id}`, { due_date: day(5) });
+      assert.equal(passed.status, 422);
+      assert.deepEqual(passed.body.details, [
+        { field: 'due_date', message: `due_date must not be after ${day(4)} unless shiftChain moves the later reviews too` },
+      ]);
+      assert.equal((await api.patch(`/schedule/${first.id}`, { due_date: day(4) })).status, 200);
+      assert.equal((await api.patch(`/schedule/${first.id}`, { due_date: day(5), shiftChain: true })).status, 200);
+
+      const { body } = await api.get(`/questions/${question.id}`);
+      assert.deepEqual(body.schedule.map(row => row.due_date), [day(5), day(5), ...initialDates(day(1)).slice(2)]);
+    });
+
+    test('rejects past days, completed reviews and other users\' reviews', async () => {
+      const { schedule: [first, second] } = await addQuestion({ title: 'Alpha' });
+      const past = await api.patch(`/schedule/${first.id}`, { due_date: day(-1) });
+      assert.equal(past.status, 422);
+      assert.equal(past.body.details[0].field, 'due_date');
+      assert.equal((await api.patch(`/schedule/${first.id}`, {})).status, 422);
+      assert.equal((await api.patch(`/schedule/${first.id}`, { due_date: day(0) })).status, 200);
+
+      await api.post(`/schedule/${first.id}/toggle`);
+      const done = await api.patch(`/schedule/${first.id}`, { due_date: day(1) });
+      assert.equal(done.status, 409);
+      assert.equal(done.body.code, 'ALREADY_COMPLETED');
+
+      const bob = await server.signUp('bob');
+      assert.equal((await bob.patch(`/schedule/${second.id}`, { due_date: day(1) })).status, 404);
+    });
+  });
+
+  describe('GET /agenda', () => {
+    test('lists reviews with their questions over the next week', async () => {
+      const alpha = await addQuestion({ title: 'Alpha', tags: ['Array'], difficulty: 'Easy' });
+      const beta = await addQuestion({ title: 'Beta' });
+      await api.post(`/schedule/${beta.schedule[0].id}/toggle`);
+
+      const { status, body } = await api.get('/agenda');
+      assert.equal(status, 200);
+      // Days 1 and 4 of each ladder; pending before completed on a day
+      assert.deepEqual(body.map(row => [row.due_date, row.title, row.completed]), [
+        [day(1), 'Alpha', 0], [day(1), 'Beta', 1], [day(4), 'Alpha', 0], [day(4), 'Beta', 0],
+      ]);
+      assert.deepEqual([body[0].id, body[0].question_id, body[0].tags, body[0].difficulty], [alpha.schedule[0].id, alpha.id, ['Array'], 'Easy']);
+    });
+
+    test('takes a range and filters', async () => {
+      await addQuestion({ title: 'Alpha', tags: ['Array'] });
+      await addQuestion({ title: 'Beta', tags: ['Graph'] });
+
+      const range = (await api.get(`/agenda?from=${day(2)}&to=${day(10)}&tag=Graph`)).body;
+      assert.deepEqual(range.map(row => [row.due_date, row.title]), [[day(4), 'Beta'], [day(10), 'Beta']]);
+      assert.equal((await api.get(`/agenda?from=${day(3)}&to=${day(2)}`)).status, 400);
+      assert.equal((await api.get(`/agenda?from=${day(0)}&to=${day(100)}`)).status, 400);
+    });
+  });
+
+  describe('GET /calendar-stats', () => {
+    test('counts incomplete reviews per day', async () => {
+      await addQuestion({ title: 'Alpha', tags: ['Array'] });
+      const beta = await addQuestion({ title: 'Beta' });
+      const counts = Object.fromEntries((await api.get('/calendar-stats')).body.map(row => [row.due_date, row.count]));
+
+      const dates = initialDates(day(0));
+      assert.equal(counts[dates[0]], 2);
+      assert.equal(counts[dates[5]], 2);
+      assert.equal(Object.keys(counts).length, dates.length);
+
+      // Completed rows move from pending to completed
+      await api.post(`/schedule/${beta.schedule[0].id}/toggle`);
+      const after = (await api.get('/calendar-stats')).body.find(row => row.due_date === dates[0]);
+      assert.deepEqual(after, { due_date: dates[0], count: 1, pending: 1, completed: 1 });
+    });
+
+    test('keeps days whose reviews are all done', async () => {
+      const alpha = await addQuestion({ title: 'Alpha' });
+      await api.post(`/schedule/${alpha.schedule[0].id}/toggle`);
+      const row = (await api.get('/calendar-stats')).body.find(r => r.due_date === alpha.schedule[0].due_date);
+      assert.deepEqual(row, { due_date: alpha.schedule[0].due_date, count: 0, pending: 0, completed: 1 });
+    });
+
+    test('skips archived questions and applies filters', async () => {
+      const alpha = await addQuestion({ title: 'Alpha', tags: ['Array'] });
+      await addQuestion({ title: 'Beta', tags: ['Graph'] });
+
+      const tagged = (await api.get('/calendar-stats?tag=Graph')).body;
+      assert.ok(tagged.every(row => row.count === 1));
+
+      await api.patch(`/questions/${alpha.id}`, { archived: true });
+      assert.ok((await api.get('/calendar-stats')).body.every(row => row.count === 1));
+    });
+
+    test('only counts the signed-in user\'s reviews', async () => {
+      await addQuestion({ title: 'Alpha' });
+      const bob = await server.signUp('bob');
+      assert.deepEqual((await bob.get('/calendar-stats')).body, []);
+    });
+  });
+
+  describe('daily load', () => {
+    const dates = async (questionId) => (await api.get(`/questions/${questionId}`)).body.schedule.map(row => row.due_date);
+
+    test('new questions avoid days at the cap', async () => {
+      await api.put('/settings', { daily_cap: 1 });
+      const first = await addQuestion({ title: 'Alpha' });
+      const second = await addQuestion({ title: 'Beta' });
+
+      assert.deepEqual(first.schedule.map(row => row.due_date), initialDates(day(0)));
+      const secondDates = second.schedule.map(row => row.due_date);
+      secondDates.forEach(date => assert.ok(!first.schedule.some(row => row.due_date === date)));
+      assert.deepEqual([...secondDates].sort(), secondDates);
+
+      const { body: stats } = await api.get('/calendar-stats');
+      stats.forEach(row => assert.equal(row.count, 1));
+    });
+
+    test('graded reviews are placed with the spread', async () => {
+      const alpha = await addQuestion({ title: 'Alpha' });
+      const beta = await addQuestion({ title: 'Beta' });
+      assert.deepEqual(await dates(alpha.id), await dates(beta.id));
+
+      await api.put('/settings', { spread_days: 1 });
+      startScheduleOn(alpha, day(0));
+      startScheduleOn(beta, day(0));
+      await api.post(`/schedule/${alpha.schedule[0].id}/review`, { grade: 'good' });
+      await api.post(`/schedule/${beta.schedule[0].id}/review`, { grade: 'good' });
+
+      const [alphaNext, betaNext] = [(await dates(alpha.id))[1], (await dates(beta.id))[1]];
+      assert.notEqual(alphaNext, betaNext);
+      assert.ok(Math.abs(dayjs(alphaNext).diff(betaNext, 'day')) <= 2);
+    });
+
+    test('rebalance previews and then spreads future reviews', async () => {
+      const questions = [];
+      for (const title of ['Alpha', 'Beta', 'Gamma', 'Delta']) {
+        questions.push(await addQuestion({ title }));
+      }
+      const before = await Promise.all(questions.map(q => dates(q.id)));
+
+      const preview = await api.post('/schedule/rebalance', { dryRun: true, daily_cap: 2 });
+      assert.equal(preview.status, 200);
+      assert.equal(preview.body.dryRun, true);
+      assert.deepEqual(preview.body.settings, { daily_cap: 2, spread_days: 0 });
+      assert.deepEqual(preview.body.busiest_day, { before: 4, after: 2 });
+      assert.ok(preview.body.moved > 0);
+      assert.deepEqual(Object.keys(preview.body.moves[0]), ['id', 'question_id', 'title', 'from', 'to']);
+      // Nothing saved yet, and the saved settings are untouched
+      assert.deepEqual(await Promise.all(questions.map(q => dates(q.id))), before);
+      const { body: saved } = await api.get('/settings');
+      assert.deepEqual([saved.daily_cap, saved.spread_days], [null, 0]);
+
+      const { body } = await api.post('/schedule/rebalance', { daily_cap: 2 });
+      assert.equal(body.moved, preview.body.moved);
+      const after = await Promise.all(questions.map(q => dates(q.id)));
+      after.forEach(chain => assert.deepEqual([...chain].sort(), chain));
+      const { body: stats } = await api.get('/calendar-stats');
+      stats.forEach(row => assert.ok(row.count <= 2));
+    });
+
+    test('rebalance leaves today and overdue reviews alone', async () => {
+      const alpha = await addQuestion({ title: 'Alpha' });
+      const beta = await addQuestion({ title: 'Beta' });
+      startScheduleOn(alpha, day(-1));
+      startScheduleOn(beta, day(-1));
+
+      const { body } = await api.post('/schedule/rebalance', { daily_cap: 1 });
+      assert.ok(body.moves.every(move => move.from > day(0) && move.to > day(0)));
+      assert.equal((await api.get('/queue')).body.length, 2);
+    });
+  });
+});
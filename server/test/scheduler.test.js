@@ -0,0 +1,157 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { INTERVALS, initialDates, balanceDates, shiftPastBlackouts, parseGrade, gradeName, applyGrade, projectDates, GRADES } = require('../scheduler');
+
+describe('initialDates', () => {
+  test('walks the interval ladder from the start date', () => {
+    assert.deepEqual(initialDates('2024-03-01'), [
+      '2024-03-02', '2024-03-05', '2024-03-11', '2024-03-23', '2024-04-16', '2024-06-03',
+    ]);
+  });
+
+  test('returns one date per interval', () => {
+    assert.equal(initialDates('2024-01-01').length, INTERVALS.length);
+  });
+
+  test('crosses month boundaries', () => {
+    assert.deepEqual(initialDates('2024-01-30').slice(0, 3), ['2024-01-31', '2024-02-03', '2024-02-09']);
+  });
+
+  test('handles leap years', () => {
+    assert.equal(initialDates('2024-02-28')[0], '2024-02-29');
+    assert.equal(initialDates('2023-02-28')[0], '2023-03-01');
+  });
+
+  test('crosses year boundaries', () => {
+    assert.deepEqual(initialDates('2024-12-30'), [
+      '2024-12-31', '2025-01-03', '2025-01-09', '2025-01-21', '2025-02-14', '2025-04-03',
+    ]);
+  });
+});
+
+describe('parseGrade', () => {
+  test('accepts names in any case and numbers', () => {
+    assert.equal(parseGrade('good'), GRADES.good);
+    assert.equal(parseGrade('AGAIN'), GRADES.again);
+    assert.equal(parseGrade(4), GRADES.easy);
+    assert.equal(parseGrade('2'), GRADES.hard);
+  });
+
+  test('rejects anything else', () => {
+    assert.equal(parseGrade('meh'), null);
+    assert.equal(parseGrade(5), null);
+    assert.equal(parseGrade(undefined), null);
+  });
+
+  test('gradeName maps back', () => {
+    assert.equal(gradeName(3), 'good');
+    assert.equal(gradeName(9), null);
+  });
+});
+
+describe('applyGrade', () => {
+  const fresh = { ease: 2.5, interval_days: 1, repetitions: 0, lapses: 0 };
+
+  test('again resets the interval and counts a lapse', () => {
+    const next = applyGrade({ ...fresh, interval_days: 12, repetitions: 4 }, GRADES.again);
+    assert.deepEqual(next, { ease: 2.3, interval_days: 1, repetitions: 0, lapses: 1 });
+  });
+
+  test('good multiplies the interval by the ease', () => {
+    assert.equal(applyGrade({ ...fresh, interval_days: 4 }, GRADES.good).interval_days, 10);
+    // Always at least one day longer
+    assert.equal(applyGrade(fresh, GRADES.good).interval_days, 3);
+  });
+
+  test('hard and easy move the ease', () => {
+    assert.equal(applyGrade(fresh, GRADES.hard).ease, 2.35);
+    assert.equal(applyGrade(fresh, GRADES.easy).ease, 2.65);
+  });
+
+  test('ease never drops below the minimum', () => {
+    assert.equal(applyGrade({ ...fresh, ease: 1.35 }, GRADES.again).ease, 1.3);
+  });
+
+  test('unknown grades throw', () => {
+    assert.throws(() => applyGrade(fresh, 7), /Unknown grade/);
+  });
+});
+
+describe('projectDates', () => {
+  test('assumes every later review is graded good', () => {
+    const state = { ease: 2.5, interval_days: 3, repetitions: 1, lapses: 0 };
+    assert.deepEqual(projectDates(state, '2024-12-30', 3), ['2025-01-02', '2025-01-10', '2025-01-30']);
+  });
+});
+
+describe('balanceDates', () => {
+  const ladder = initialDates('2025-01-01');
+
+  test('leaves dates alone without a cap or spread', () => {
+    const load = new Map([['2025-01-02', 9]]);
+    assert.deepEqual(balanceDates(ladder, { load, after: '2025-01-01' }), ladder);
+    assert.equal(load.get('2025-01-02'), 10);
+  });
+
+  test('moves reviews to the lightest day within the spread', () => {
+    const load = new Map([['2025-01-02', 2], ['2025-01-03', 1], ['2025-01-05', 1], ['2025-01-06', 1]]);
+    const [first, second] = balanceDates(ladder.slice(0, 2), { load, spread: 1, after: '2025-01-01' });
+    // Never on or before the start day, so the first review can only move later
+    assert.equal(first, '2025-01-03');
+    // Ties go to the exact date
+    assert.equal(second, '2025-01-04');
+  });
+
+  test('keeps a question\'s reviews in order', () => {
+    const load = new Map([['2025-01-02', 5]]);
+    // The first review moves onto the second's day, so the second moves on too
+    const dates = balanceDates(['2025-01-02', '2025-01-03'], { load, spread: 1, after: '2025-01-01' });
+    assert.deepEqual(dates, ['2025-01-03', '2025-01-04']);
+  });
+
+  test('pushes past days that are at the cap', () => {
+    const load = new Map([['2025-01-02', 2], ['2025-01-03', 2]]);
+    assert.deepEqual(balanceDates(['2025-01-02'], { load, cap: 2, after: '2025-01-01' }), ['2025-01-04']);
+  });
+
+  test('skips blocked days', () => {
+    const blocked = (date) => date >= '2025-01-04' && date <= '2025-01-06';
+    assert.deepEqual(
+      balanceDates(['2025-01-02', '2025-01-05'], { load: new Map(), after: '2025-01-01', blocked }),
+      ['2025-01-02', '2025-01-07'],
+    );
+  });
+
+  test('spreads a batch of identical ladders', () => {
+    const load = new Map();
+    const batches = [1, 2, 3].map(() => balanceDates(ladder, { load, spread: 1, after: '2025-01-01' }));
+    assert.deepEqual(batches.map(dates => dates[2]), ['2025-01-11', '2025-01-10', '2025-01-12']);
+    assert.ok(Math.max(...load.values()) <= 2);
+  });
+});
+
+describe('shiftPastBlackouts', () => {
+  // Jan 5-9 and Jan 12-13
+  const ranges = [['2025-01-05', '2025-01-09'], ['2025-01-12', '2025-01-13']];
+  const blackoutEnd = (date) => ranges.find(([start, end]) => start <= date && date <= end)?.[1] || null;
+
+  test('moves the rest of the chain by the same amount', () => {
+    assert.deepEqual(
+      shiftPastBlackouts(['2025-01-02', '2025-01-06', '2025-01-08', '2025-01-20'], blackoutEnd),
+      // Jan 6 -> Jan 10 (+4); Jan 8 + 4 lands in the second blackout -> Jan 14 (+2 more)
+      ['2025-01-02', '2025-01-10', '2025-01-14', '2025-01-26'],
+    );
+  });
+
+  test('can move only the reviews inside a blackout', () => {
+    assert.deepEqual(
+      shiftPastBlackouts(['2025-01-02', '2025-01-06', '2025-01-08', '2025-01-10', '2025-01-20'], blackoutEnd, { shiftChain: false }),
+      ['2025-01-02', '2025-01-10', '2025-01-11', '2025-01-14', '2025-01-20'],
+    );
+  });
+
+  test('leaves dates outside blackouts alone', () => {
+    const dates = ['2025-01-01', '2025-01-10', '2025-01-14'];
+    assert.deepEqual(shiftPastBlackouts(dates, blackoutEnd), dates);
+  });
+});
@@ -0,0 +1,90 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { INTERVALS } = require('../scheduler');
+const { defaults, todayIn } = require('../settings');
+const { startServer } = require('./helpers');
+
+describe('settings routes', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  test('start from the defaults', async () => {
+    const { body } = await api.get('/settings');
+    const { today, ...settings } = body;
+    assert.deepEqual(settings, defaults());
+    assert.deepEqual(settings.intervals, INTERVALS);
+    assert.equal(settings.week_start, 0);
+    assert.equal(today, todayIn(settings.time_zone));
+  });
+
+  test('updates only the fields sent', async () => {
+    const first = await api.put('/settings', { week_start: 1, daily_cap: 4 });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.week_start, 1);
+    assert.equal(first.body.daily_cap, 4);
+
+    const { body } = await api.put('/settings', { intervals: '2, 5,10', time_zone: 'europe/london', daily_cap: null });
+    assert.deepEqual(body.intervals, [2, 5, 10]);
+    assert.equal(body.time_zone, 'Europe/London');
+    assert.equal(body.week_start, 1);
+    assert.equal(body.daily_cap, null);
+    assert.equal(body.spread_days, 0);
+
+    const { body: saved } = await api.get('/settings');
+    assert.deepEqual(saved, body);
+  });
+
+  test('rejects invalid values field by field', async () => {
+    const res = await api.put('/settings', {
+      intervals: [1, 0],
+      time_zone: 'Mars/Olympus_Mons',
+      week_start: 7,
+      daily_cap: 0,
+      spread_days: 99,
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.details.map(detail => detail.field), ['intervals', 'time_zone', 'week_start', 'daily_cap', 'spread_days']);
+
+    for (const intervals of [[], 'a,b', Array(21).fill(1), [1.5], [400]]) {
+      assert.equal((await api.put('/settings', { intervals })).status, 422, JSON.stringify(intervals));
+    }
+    assert.deepEqual((await api.get('/settings')).body.intervals, INTERVALS);
+  });
+
+  test('new questions use the interval ladder', async () => {
+    await api.put('/settings', { intervals: [2, 5] });
+    const { body: { id } } = await api.post('/questions', { title: 'Alpha' });
+    const { body: question } = await api.get(`/questions/${id}`);
+    const today = (await api.get('/settings')).body.today;
+    assert.deepEqual(question.schedule.map(row => row.due_date), [
+      dayjs(today).add(2, 'day').format('YYYY-MM-DD'),
+      dayjs(today).add(7, 'day').format('YYYY-MM-DD'),
+    ]);
+  });
+
+  test('the time zone decides what today is', async () => {
+    // UTC+14 and UTC-11 never share a date
+    const east = (await api.put('/settings', { time_zone: 'Pacific/Kiritimati' })).body.today;
+    const { body: { id } } = await api.post('/questions', { title: 'Alpha' });
+    const { body: question } = await api.get(`/questions/${id}`);
+    assert.equal(question.created_at, east);
+
+    const west = (await api.put('/settings', { time_zone: 'Pacific/Pago_Pago' })).body.today;
+    assert.ok(dayjs(east).diff(west, 'day') >= 1);
+    assert.equal(west, todayIn('Pacific/Pago_Pago'));
+  });
+
+  test('are kept per user', async () => {
+    await api.put('/settings', { week_start: 6 });
+    const bob = await server.signUp('bob');
+    assert.equal((await bob.get('/settings')).body.week_start, 0);
+    assert.equal((await server.request('GET', '/settings')).status, 401);
+  });
+});
@@ -0,0 +1,168 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runTests, findEntry } = require('../runner');
+const { startServer } = require('./helpers');
+
+const TWO_SUM = `
+/**
+ * @param {number[]} nums
+ * @param {number} target
+ * @return {number[]}
+ */
+var twoSum = function(nums, target) {
+  const seen = new Map();
+  for (let i = 0; i < nums.length; i++) {
+    if (seen.has(target - nums[i])) return [seen.get(target - nums[i]), i];
+    seen.set(nums[i], i);
+  }
+};
+`;
+
+const run = (code, expected = '1', limits) => runTests({ code, tests: [{ input: '[]', expected }] }, limits);
+
+describe('runner', () => {
+  test('finds the function to call', () => {
+    assert.equal(findEntry(TWO_SUM), 'twoSum');
+    assert.equal(findEntry('function helper() {}\nfunction solve() {}'), 'helper');
+    assert.equal(findEntry('const maxArea = (height) => 0;'), 'maxArea');
+    assert.equal(findEntry('let x = 1;'), null);
+  });
+
+  test('reports pass, fail, output, logs and time per case', async () => {
+    const { entry, results } = await runTests({
+      code: `${TWO_SUM}\nconsole.log('loaded');`,
+      tests: [
+        { input: '[[2, 7, 11, 15], 9]', expected: '[0, 1]' },
+        { input: '[[3, 3], 6]', expected: '[1, 0]' },
+      ],
+    });
+    assert.equal(entry, 'twoSum');
+    assert.deepEqual(results.map(result => [result.status, result.output]), [['pass', '[0,1]'], ['fail', '[0,1]']]);
+    assert.ok(results.every(result => typeof result.time_ms === 'number'));
+
+    const logged = await run('function f() { console.log("n =", 1, [2]); return 1; }');
+    assert.deepEqual(logged.results[0].logs, ['n = 1 [2]']);
+  });
+
+  test('compares numbers with a small tolerance', async () => {
+    assert.equal((await run('function f() { return 0.1 + 0.2; }', '0.3')).results[0].status, 'pass');
+  });
+
+  test('keeps the code away from Node', async () => {
+    const globals = await run('function f() { return [typeof require, typeof process, typeof fetch, typeof setTimeout]; }',
+      '["undefined", "undefined", "undefined", "undefined"]');
+    assert.equal(globals.results[0].status, 'pass');
+
+    const escape = await run('function f() { return this.constructor.constructor("return process")().pid; }');
+    assert.equal(escape.results[0].status, 'error');
+    assert.match(escape.results[0].error, /Code generation from strings disallowed/);
+  });
+
+  test('never lets the code call back into the runner', async () => {
+    // The runner once spread the console lines on its side, calling this
+    // iterator with one of its own functions as the caller
+    const code = `function f() {
+      Array.prototype[Symbol.iterator] = function () {
+        const caller = arguments.callee.caller;
+        if (caller) console.log(typeof caller.constructor('return process')());
+        return [].values.call(this);
+      };
+      console.log('loaded');
+      return 1;
+    }`;
+    const { results } = await runTests({ code, tests: [{ input: '[]', expected: '1' }, { input: '[]', expected: '1' }] });
+    assert.deepEqual(results.map(result => [result.status, result.logs]), [['pass', ['loaded']], ['pass', ['loaded']]]);
+
+    const thrown = await run('function f() { throw { get message() { return typeof arguments.callee.caller; } }; }');
+    assert.equal(thrown.results[0].status, 'error');
+    assert.doesNotMatch(thrown.results[0].error, /function/);
+  });
+
+  test('stops runaway code', async () => {
+    const loop = await run('function f() { while (true) {} }', '1', { timeoutMs: 200 });
+    assert.equal(loop.results[0].status, 'timeout');
+
+    const memory = await run('function f() { const a = []; for (;;) a.push(new Array(1e5).fill(1)); }', '1', { memoryMb: 32, timeoutMs: 20000 });
+    assert.equal(memory.error, 'Ran out of memory (limit 32 MB)');
+  });
+
+  test('reports code that does not load', async () => {
+    assert.match((await run('function f( {')).error, /^SyntaxError/);
+    assert.match((await runTests({ code: 'let x = 1;', tests: [] })).error, /Could not find a function/);
+    assert.equal((await runTests({ code: TWO_SUM, entry: 'nope', tests: [] })).error, 'Error: nope is not a function in the solution');
+  });
+});
+
+describe('solution routes', () => {
+  let server;
+  let api;
+  let id;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+    id = (await api.post('/questions', { title: 'Two Sum' })).body.id;
+  });
+  afterEach(() => server.close());
+
+  test('starts empty, saves code and replaces test cases', async () => {
+    assert.deepEqual((await api.get(`/questions/${id}/solution`)).body, { code: '', entry: null, updated_at: null, tests: [] });
+
+    const tests = [{ input: '[[2,7,11,15], 9]', expected: '[0,1]' }, { input: '[[3,2,4], 6]', expected: '[1,2]' }];
+    const saved = await api.put(`/questions/${id}/solution`, { code: TWO_SUM, tests });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.code, TWO_SUM);
+    assert.deepEqual(saved.body.tests.map(({ input, expected }) => ({ input, expected })), tests);
+
+    await api.put(`/questions/${id}/solution`, { code: TWO_SUM, entry: 'twoSum', tests: tests.slice(1) });
+    const { body } = await api.get(`/questions/${id}/solution`);
+    assert.equal(body.entry, 'twoSum');
+    assert.deepEqual(body.tests.map(test => test.input), ['[[3,2,4], 6]']);
+  });
+
+  test('runs the saved solution or a draft', async () => {
+    await api.put(`/questions/${id}/solution`, {
+      code: TWO_SUM,
+      tests: [{ input: '[[2,7,11,15], 9]', expected: '[0,1]' }, { input: '[[3,3], 6]', expected: '[0,2]' }],
+    });
+    const saved = await api.post(`/questions/${id}/solution/run`);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.entry, 'twoSum');
+    assert.equal(saved.body.passed, 1);
+    assert.equal(saved.body.failed, 1);
+    assert.deepEqual(saved.body.results.map(result => result.status), ['pass', 'fail']);
+
+    const draft = await api.post(`/questions/${id}/solution/run`, { code: 'var twoSum = () => [0, 1];' });
+    assert.equal(draft.body.passed, 1);
+    const broken = await api.post(`/questions/${id}/solution/run`, { code: 'var twoSum = (' });
+    assert.match(broken.body.error, /^SyntaxError/);
+    assert.equal(broken.body.failed, 2);
+  });
+
+  test('validates test cases and needs something to run', async () => {
+    const bad = await api.put(`/questions/${id}/solution`, {
+      code: TWO_SUM,
+      tests: [{ input: '1', expected: '[0,1]' }, { input: '[', expected: 'x' }, { input: '[]' }],
+    });
+    assert.equal(bad.status, 422);
+    assert.deepEqual(bad.body.details.map(detail => detail.message), [
+      'tests[0] input must be a JSON array of arguments',
+      'tests[1] input is not valid JSON',
+      'tests[1] expected is not valid JSON',
+      'tests[2] needs input and expected as text',
+    ]);
+    assert.equal((await api.put(`/questions/${id}/solution`, { code: TWO_SUM, entry: 'two sum' })).status, 422);
+
+    assert.equal((await api.post(`/questions/${id}/solution/run`)).status, 422);
+    assert.equal((await api.post(`/questions/${id}/solution/run`, { code: TWO_SUM })).body.details[0].field, 'tests');
+  });
+
+  test('is scoped to the owner and removed with the question', async () => {
+    const bob = await server.signUp('bob');
+    assert.equal((await bob.get(`/questions/${id}/solution`)).status, 404);
+    assert.equal((await bob.post(`/questions/${id}/solution/run`, { code: TWO_SUM })).status, 404);
+
+    await api.put(`/questions/${id}/solution`, { code: TWO_SUM, tests: [{ input: '[[1], 1]', expected: 'null' }] });
+    await api.delete(`/questions/${id}`);
+    assert.equal(server.db.prepare('SELECT COUNT(*) AS count FROM test_cases').get().count, 0);
+  });
+});
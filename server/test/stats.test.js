@@ -0,0 +1,43 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { startServer } = require('./helpers');
+
+describe('stats route', () => {
+  let server;
+  let api;
+  beforeEach(async () => {
+    server = await startServer();
+    api = await server.signUp();
+  });
+  afterEach(() => server.close());
+
+  test('is empty for a new deck', async () => {
+    const { body } = await api.get('/stats');
+    assert.equal(body.today, dayjs().format('YYYY-MM-DD'));
+    assert.deepEqual(body.streak, { current: 0, longest: 0 });
+    assert.equal(body.totals.reviews, 0);
+    assert.deepEqual(body.heatmap, []);
+  });
+
+  test('counts today\'s reviews, retention and upcoming load', async () => {
+    const { body: { id } } = await api.post('/questions', { title: 'Alpha', tags: ['DP'] });
+    const { body: question } = await api.get(`/questions/${id}`);
+    await api.post(`/schedule/${question.schedule[0].id}/review`, { grade: 'good', time_spent: 60 });
+
+    const { body } = await api.get('/stats');
+    assert.equal(body.totals.reviews, 1);
+    assert.equal(body.totals.reviewed_today, 1);
+    assert.equal(body.totals.retention, 1);
+    assert.equal(body.totals.avg_time_seconds, 60);
+    assert.deepEqual(body.streak, { current: 1, longest: 1 });
+    assert.deepEqual(body.heatmap, [{ date: body.today, count: 1 }]);
+    assert.equal(body.tags[0].tag, 'DP');
+    assert.ok(body.upcoming.length > 0);
+  });
+
+  test('validates the window', async () => {
+    assert.equal((await api.get('/stats?days=0')).status, 400);
+    assert.equal((await api.get('/stats?days=30')).status, 200);
+  });
+});
@@ -0,0 +1,204 @@
+const dayjs = require('dayjs');
+
+// --- API errors ---
+// Every error response has the same JSON shape:
+//   { error: 'Human readable message', code: 'MACHINE_CODE', details?: [{ field, message }] }
+// Route handlers throw an ApiError (or let anything else bubble up as a 500)
+// and errorHandler turns it into the response.
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, ...(this.details && { details: this.details }) };
+  }
+}
+
+const badRequest = (message, details) => new ApiError(400, 'BAD_REQUEST', message, details);
+const unauthorized = (message) => new ApiError(401, 'UNAUTHORIZED', message);
+const notFound = (message) => new ApiError(404, 'NOT_FOUND', message);
+const conflict = (message, code = 'CONFLICT') => new ApiError(409, code, message);
+const unprocessable = (message, details) => new ApiError(422, 'VALIDATION_FAILED', message, details);
+
+// --- Schema rules ---
+// A rule is a function that takes the raw value and returns the cleaned one,
+// or throws Invalid with a message completing "<field> ...". Query strings and
+// route params arrive as text, so numeric and boolean rules accept strings too.
+
+class Invalid extends Error {}
+
+const required = (value) => {
+  if (value === undefined || value === null) throw new Invalid('is required');
+};
+
+const string = ({ min = 0, max = 10000, trim = true, pattern, message } = {}) => (value) => {
+  required(value);
+  if (typeof value !== 'string') throw new Invalid('must be a string');
+  const text = trim ? value.trim() : value;
+  if (min > 0 && !text) throw new Invalid('is required');
+  if (text.length < min) throw new Invalid(message || `must be at least ${min} characters`);
+  if (text.length > max) throw new Invalid(`must be at most ${max} characters`);
+  if (pattern && !pattern.test(text)) throw new Invalid(message || 'has an invalid format');
+  return text;
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value) => {
+  required(value);
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) throw new Invalid('must be a number');
+  if (integer && !Number.isInteger(parsed)) throw new Invalid('must be a whole number');
+  if (parsed < min) throw new Invalid(`must be at least ${min}`);
+  if (parsed > max) throw new Invalid(`must be at most ${max}`);
+  return parsed;
+};
+
+const integer = (options) => number({ ...options, integer: true });
+
+const BOOLEANS = new Map([[true, true], [false, false], [1, true], [0, false], ['true', true], ['false', false], ['1', true], ['0', false]]);
+
+const boolean = () => (value) => {
+  required(value);
+  if (!BOOLEANS.has(value)) throw new Invalid('must be true or false');
+  return BOOLEANS.get(value);
+};
+
+// Strict YYYY-MM-DD (dayjs alone accepts 2024-02-31)
+const isValidDate = (value) => (
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  dayjs(value).format('YYYY-MM-DD') === value
+);
+
+const date = () => (value) => {
+  required(value);
+  if (!isValidDate(value)) throw new Invalid('must be a date in YYYY-MM-DD format');
+  return value;
+};
+
+// Matches case-insensitively and returns the canonical spelling
+const oneOf = (values) => (value) => {
+  required(value);
+  const match = values.find(v => String(v).toLowerCase() === String(value).toLowerCase());
+  if (match === undefined) throw new Invalid(`must be one of ${values.join(', ')}`);
+  return match;
+};
+
+// A list of strings, sent either as an array or as comma-separated text
+const list = ({ max = 50 } = {}) => (value) => {
+  required(value);
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    throw new Invalid('must be a list of strings');
+  }
+  if (items.length > max) throw new Invalid(`must have at most ${max} entries`);
+  return items;
+};
+
+// Wraps a parse function that returns undefined/null/NaN for bad input
+const custom = (parse, message) => (value) => {
+  required(value);
+  const parsed = parse(value);
+  if (parsed === undefined || parsed === null || Number.isNaN(parsed)) throw new Invalid(message);
+  return parsed;
+};
+
+const any = () => (value) => {
+  required(value);
+  return value;
+};
+
+// Missing values become fallback instead of failing
+const optional = (rule, fallback) => (value) => (value === undefined ? fallback : rule(value));
+
+// null (or an empty string) is accepted and stored as null
+const nullable = (rule) => (value) => (value === null || value === '' ? null : rule(value));
+
+// --- Middleware ---
+// validate({ params, query, body }) checks each part of the request against
+// an object of rules and stores the cleaned values on req.valid. Unknown keys
+// are dropped. Bad params or query strings answer 400; a body that does not
+// match its schema answers 422 with one detail per failing field.
+
+const checkObject = (schema, input) => {
+  const values = {};
+  const details = [];
+  Object.entries(schema).forEach(([field, rule]) => {
+    try {
+      const value = rule(input[field]);
+      if (value !== undefined) values[field] = value;
+    } catch (error) {
+      if (!(error instanceof Invalid)) throw error;
+      details.push({ field, message: `${field} ${error.message}` });
+    }
+  });
+  return { values, details };
+};
+
+const summarize = (details) => details.map(detail => detail.message).join('; ');
+
+const validate = (schema) => (req, res, next) => {
+  req.valid = {};
+
+  for (const part of ['params', 'query']) {
+    if (!schema[part]) continue;
+    // An empty query parameter (?tag=) means the same as leaving it out
+    const input = Object.fromEntries(Object.entries(req[part] || {}).map(([key, value]) => [key, value === '' ? undefined : value]));
+    const { values, details } = checkObject(schema[part], input);
+    if (details.length) return next(badRequest(summarize(details), details));
+    req.valid[part] = values;
+  }
+
+  if (schema.body) {
+    const body = req.body;
+    if (body !== undefined && (typeof body !== 'object' || body === null || Array.isArray(body))) {
+      return next(unprocessable('Request body must be a JSON object'));
+    }
+    const { values, details } = checkObject(schema.body, body || {});
+    if (details.length) return next(unprocessable(summarize(details), details));
+    req.valid.body = values;
+  }
+
+  next();
+};
+
+// Catch-all for API paths no route matched
+const routeNotFound = (req, res, next) => {
+  next(notFound(`No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+};
+
+// Express error middleware; must be registered after every route. Express
+// recognises it by its four arguments, so next stays even though it is unused.
+const errorHandler = (err, req, res, next) => {
+  if (err instanceof ApiError) {
+    return res.status(err.status).json(err);
+  }
+  // Errors raised by express.json() before a route runs
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({ error: 'Something went wrong on the server', code: 'INTERNAL_ERROR' });
+};
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  notFound,
+  conflict,
+  unprocessable,
+  isValidDate,
+  rules: { string, number, integer, boolean, date, oneOf, list, custom, any, optional, nullable },
+  validate,
+  routeNotFound,
+  errorHandler,
+};